@@ -11,6 +11,8 @@
  *   sitemanager logs [lines]     - Show recent logs
  *   sitemanager maintenance on/off - Toggle maintenance mode
  *   sitemanager api-keys         - Manage API keys
+ *   sitemanager releases         - List, upload, activate, roll back and canary releases
+ *   sitemanager backups          - Incremental snapshots: create, diff, verify, restore
  */
 
 import fetch from 'node-fetch';
@@ -148,6 +150,7 @@ async function apiRequest(endpoint, options = {}, credentials = null) {
     ...options,
     headers: {
       'Content-Type': 'application/json',
+      ...(process.env.SITEMANAGER_SITE ? { 'X-Site-Id': process.env.SITEMANAGER_SITE } : {}),
       ...(options.headers || {}),
     },
   };
@@ -279,13 +282,15 @@ async function cmdAPIKeys(subcommand, ...args) {
       console.table(response.keys);
     } else if (subcommand === 'generate') {
       const name = args[0] || 'new-key';
+      const scopes = args.slice(1);
       const response = await apiRequest('/admin/api-keys/generate', {
         method: 'POST',
-        body: JSON.stringify({ name }),
+        body: JSON.stringify(scopes.length ? { name, scopes } : { name }),
       }, creds);
 
       print('green', '✓ API Key generated:');
-      print('bright', response.key);
+      print('bright', response.key.key);
+      console.log(`Scopes: ${response.key.scopes.join(', ')}`);
       console.log('Save this key securely - it cannot be recovered!');
     } else if (subcommand === 'revoke') {
       const keyId = args[0];
@@ -309,6 +314,185 @@ async function cmdAPIKeys(subcommand, ...args) {
   }
 }
 
+/**
+ * releases canary: show, start, reweight, promote or stop the canary
+ */
+async function releasesCanary([action, value], creds) {
+  if (!action) {
+    const response = await apiRequest('/admin/releases/canary', {}, creds);
+    if (!response.canary) {
+      print('yellow', `No canary running (site: ${response.site}, stable: ${response.stable || 'working copy'})`);
+    } else {
+      print('green', `✓ Canary ${response.canary.release} at ${response.canary.weight}% (site: ${response.site}, stable: ${response.stable || 'working copy'})`);
+    }
+    if (response.variants.length) {
+      console.table(response.variants.map(v => ({
+        variant: v.variant,
+        release: v.release || 'working copy',
+        requests: v.requests,
+        errorRate: v.errorRate,
+        avg: v.avgResponseTime,
+        p95: v.p95ResponseTime,
+      })));
+    }
+  } else if (action === 'weight' || action === 'promote' || action === 'stop') {
+    const response = await apiRequest(`/admin/releases/canary/${action}`, {
+      method: 'POST',
+      body: JSON.stringify(action === 'weight' ? { weight: Number(value) } : {}),
+    }, creds);
+    if (action === 'weight') {
+      print('green', `✓ Canary weight set to ${response.pointer.canary.weight}%`);
+    } else if (action === 'promote') {
+      print('green', `✓ Canary promoted, release ${response.pointer.release} is live`);
+    } else {
+      print('green', '✓ Canary stopped');
+    }
+  } else {
+    const response = await apiRequest('/admin/releases/canary', {
+      method: 'POST',
+      body: JSON.stringify({ release: action, weight: Number(value ?? 10) }),
+    }, creds);
+    print('green', `✓ Canary ${action} serving ${response.pointer.canary.weight}% of visitors`);
+  }
+}
+
+/**
+ * Command: releases
+ */
+async function cmdReleases(subcommand = 'list', ...args) {
+  try {
+    const creds = await promptCredentials('admin');
+
+    if (subcommand === 'list') {
+      const response = await apiRequest('/admin/releases', {}, creds);
+      print('green', `✓ Releases (site: ${response.site}):`);
+      console.table(response.releases.map(r => ({
+        id: r.id,
+        active: r.active ? '*' : '',
+        previous: r.previous ? '*' : '',
+        files: r.fileCount,
+        source: r.source,
+        createdBy: r.createdBy,
+      })));
+    } else if (subcommand === 'upload') {
+      const file = args[0];
+      if (!file || !fs.existsSync(file)) {
+        print('red', 'Usage: sitemanager releases upload <site.zip> [--activate]');
+        process.exit(1);
+      }
+      const activate = args.includes('--activate') ? '?activate=1' : '';
+      print('yellow', `⇪ Uploading ${path.basename(file)}...`);
+      const response = await apiRequest(`/admin/releases${activate}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/zip' },
+        body: fs.readFileSync(file),
+      }, creds);
+
+      print('green', `✓ Release ${response.release.id} created${activate ? ' and activated' : ''}`);
+    } else if (subcommand === 'snapshot') {
+      const response = await apiRequest('/admin/releases/snapshot', { method: 'POST' }, creds);
+      print('green', `✓ Release ${response.release.id} created from working directory`);
+    } else if (subcommand === 'activate') {
+      const id = args[0];
+      if (!id) {
+        print('red', 'Usage: sitemanager releases activate <release-id>');
+        process.exit(1);
+      }
+      await apiRequest(`/admin/releases/${encodeURIComponent(id)}/activate`, { method: 'POST' }, creds);
+      print('green', `✓ Release ${id} activated`);
+    } else if (subcommand === 'rollback') {
+      const response = await apiRequest('/admin/releases/rollback', {
+        method: 'POST',
+        body: JSON.stringify(args[0] ? { release: args[0] } : {}),
+      }, creds);
+      print('green', `✓ Rolled back to release ${response.pointer.release}`);
+    } else if (subcommand === 'canary') {
+      await releasesCanary(args, creds);
+    } else {
+      print('red', 'Usage: sitemanager releases list|upload|snapshot|activate|rollback|canary');
+      process.exit(1);
+    }
+  } catch (err) {
+    print('red', `✗ Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Command: backups (incremental snapshots)
+ */
+async function cmdBackups(subcommand = 'list', ...args) {
+  try {
+    const creds = await promptCredentials('admin');
+
+    if (subcommand === 'list') {
+      const response = await apiRequest('/admin/backups/snapshots', {}, creds);
+      print('green', `✓ Snapshots (${response.usage.snapshots}, ${response.usage.storedBytes} bytes stored for ${response.usage.logicalBytes}):`);
+      console.table(response.snapshots.map(s => ({
+        id: s.id,
+        trigger: s.trigger,
+        files: s.fileCount,
+        added: s.changes.added,
+        changed: s.changes.changed,
+        removed: s.changes.removed,
+        storedBytes: s.storedBytes,
+        createdBy: s.createdBy,
+      })));
+    } else if (subcommand === 'create') {
+      const response = await apiRequest('/admin/backups/create', { method: 'POST' }, creds);
+      print('green', `✓ Snapshot ${response.snapshot.id} created (${response.snapshot.storedFiles} new files, ${response.snapshot.storedBytes} bytes)`);
+      if (response.pruned.length) console.log(`Pruned by retention: ${response.pruned.join(', ')}`);
+    } else if (subcommand === 'diff') {
+      const [id, against] = args;
+      if (!id) {
+        print('red', 'Usage: sitemanager backups diff <snapshot-id> [other-id|working]');
+        process.exit(1);
+      }
+      const query = against ? `?against=${encodeURIComponent(against)}` : '';
+      const response = await apiRequest(`/admin/backups/snapshots/${encodeURIComponent(id)}/diff${query}`, {}, creds);
+      print('green', `✓ ${response.snapshot} vs ${response.against || '(empty)'}:`);
+      response.added.forEach(p => print('green', `  + ${p}`));
+      response.changed.forEach(p => print('yellow', `  ~ ${p}`));
+      response.removed.forEach(p => print('red', `  - ${p}`));
+    } else if (subcommand === 'verify') {
+      const query = args[0] ? `?id=${encodeURIComponent(args[0])}` : '';
+      const response = await apiRequest(`/admin/backups/snapshots/verify${query}`, {}, creds);
+      if (response.valid) {
+        print('green', `✓ ${response.snapshots} snapshots, ${response.objects} objects verified`);
+      } else {
+        print('red', `✗ ${response.problems.length} problems found:`);
+        console.table(response.problems);
+        process.exit(1);
+      }
+    } else if (subcommand === 'restore') {
+      const [id, ...paths] = args;
+      if (!id) {
+        print('red', 'Usage: sitemanager backups restore <snapshot-id> [path...]');
+        process.exit(1);
+      }
+      const response = await apiRequest(`/admin/backups/snapshots/${encodeURIComponent(id)}/restore`, {
+        method: 'POST',
+        body: JSON.stringify({ paths }),
+      }, creds);
+      print('green', `✓ Restored ${response.restored.length} files from ${id}`);
+    } else if (subcommand === 'prune') {
+      const dryRun = args.includes('--dry-run');
+      const response = await apiRequest('/admin/backups/snapshots/retention', {
+        method: 'POST',
+        body: JSON.stringify({ dryRun }),
+      }, creds);
+      print('green', `✓ ${dryRun ? 'Would remove' : 'Removed'} ${response.removed.length} snapshots, kept ${response.keep.length}`);
+      response.keep.forEach(k => console.log(`  ${k.id}  ${k.reasons.join(', ')}`));
+    } else {
+      print('red', 'Usage: sitemanager backups list|create|diff|verify|restore|prune');
+      process.exit(1);
+    }
+  } catch (err) {
+    print('red', `✗ Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
 /**
  * Main CLI
  */
@@ -327,11 +511,28 @@ Usage:
   sitemanager api-keys list             List API keys
   sitemanager api-keys generate [name]  Generate new API key
   sitemanager api-keys revoke <id>      Revoke API key
+  sitemanager releases list             List releases
+  sitemanager releases upload <zip> [--activate]
+                                        Upload a zip as a new release
+  sitemanager releases snapshot         Release the current website directory
+  sitemanager releases activate <id>    Make a release live
+  sitemanager releases rollback [id]    Roll back to the previous (or given) release
+  sitemanager releases canary [<id> [weight]|weight <n>|promote|stop]
+                                        Show or manage the canary release
+  sitemanager backups list              List incremental snapshots
+  sitemanager backups create            Snapshot the website directory
+  sitemanager backups diff <id> [other|working]
+                                        Files changed since the parent (or given) snapshot
+  sitemanager backups verify [id]       Check stored files against their hashes
+  sitemanager backups restore <id> [path...]
+                                        Restore a snapshot, or only some files/directories
+  sitemanager backups prune [--dry-run] Apply the retention policy now
   sitemanager health                    Quick health check
   sitemanager help                      Show this help
 
 Environment:
   SITEMANAGER_API_KEY                   API key for authentication
+  SITEMANAGER_SITE                      Site id for site-scoped commands (default: default)
     `);
     return;
   }
@@ -353,6 +554,12 @@ Environment:
       case 'api-keys':
         await cmdAPIKeys(args[1], ...args.slice(2));
         break;
+      case 'releases':
+        await cmdReleases(args[1], ...args.slice(2));
+        break;
+      case 'backups':
+        await cmdBackups(args[1], ...args.slice(2));
+        break;
       case 'health':
         {
           const response = await apiRequest('/admin/health');
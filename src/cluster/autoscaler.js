@@ -0,0 +1,421 @@
+/**
+ * Worker Autoscaler
+ *
+ * Runs in the master. Every check it averages the workers' heartbeats
+ * (request rate from the requestCount deltas, event-loop lag and CPU) and
+ * adds a worker when any signal is above its scale-up threshold, or retires
+ * one when every signal is below its scale-down threshold and the remaining
+ * workers could take the load. To keep the cluster from flapping:
+ * - a signal must hold for sustainChecks checks in a row
+ * - nothing changes during a cooldown after the last change
+ * - nothing changes while workers are starting, draining or being restarted,
+ *   or while a blue/green deployment runs
+ *
+ * Retired workers get the usual drain signal and are not replaced.
+ *
+ * Settings come from config.cluster.autoscale, overridden by
+ * cluster.autoscale in data/config-override.json (saved from the ops
+ * panel). With autoscaling off, a saved cluster.workerCount resizes the
+ * live cluster instead.
+ */
+
+import os from 'os';
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
+import { readConfigOverride } from '../utils/config-override.js';
+import { getClusterMetrics } from '../utils/metrics.js';
+
+// Hard limits for any worker count
+export const MIN_WORKERS = 1;
+export const MAX_WORKERS = 32;
+
+export const SIGNALS = ['requestsPerSecond', 'eventLoopLagMs', 'cpuPercent'];
+
+// Scaling decisions kept for the ops panel
+const HISTORY_SIZE = 50;
+
+const clampWorkers = n => Math.min(MAX_WORKERS, Math.max(MIN_WORKERS, n));
+
+/**
+ * Settings saved from the ops panel ({} when none)
+ */
+function savedOverride() {
+  try {
+    return readConfigOverride().cluster || {};
+  } catch (err) {
+    logger.warn('Failed to read autoscale overrides', { error: err.message });
+    return {};
+  }
+}
+
+/**
+ * Effective autoscale settings, with the worker bounds filled in
+ * (min defaults to WORKER_COUNT, max to the larger of it and the CPU count)
+ */
+export function resolveAutoscaleSettings(saved = savedOverride().autoscale || {}) {
+  const base = config.cluster.autoscale;
+  const settings = {
+    ...base,
+    ...saved,
+    scaleUp: { ...base.scaleUp, ...saved.scaleUp },
+    scaleDown: { ...base.scaleDown, ...saved.scaleDown },
+  };
+  settings.minWorkers = clampWorkers(settings.minWorkers || config.cluster.workerCount);
+  settings.maxWorkers = Math.max(
+    settings.minWorkers,
+    clampWorkers(settings.maxWorkers || Math.max(config.cluster.workerCount, os.cpus().length))
+  );
+  return settings;
+}
+
+/**
+ * Check settings sent from the ops panel; only the given fields are kept
+ * Returns { ok, settings } or { ok: false, error }
+ */
+export function validateAutoscaleSettings(input = {}) {
+  const settings = {};
+  if (input.enabled !== undefined) settings.enabled = !!input.enabled;
+
+  for (const key of ['minWorkers', 'maxWorkers']) {
+    if (input[key] === undefined) continue;
+    if (!Number.isInteger(input[key]) || input[key] < MIN_WORKERS || input[key] > MAX_WORKERS) {
+      return { ok: false, error: `${key} must be an integer from ${MIN_WORKERS} to ${MAX_WORKERS}` };
+    }
+    settings[key] = input[key];
+  }
+  if (settings.minWorkers && settings.maxWorkers && settings.minWorkers > settings.maxWorkers) {
+    return { ok: false, error: 'minWorkers must not exceed maxWorkers' };
+  }
+
+  for (const key of ['sustainChecks', 'scaleUpCooldownMs', 'scaleDownCooldownMs']) {
+    if (input[key] === undefined) continue;
+    if (!Number.isInteger(input[key]) || input[key] < 0) return { ok: false, error: `${key} must be 0 or more` };
+    settings[key] = input[key];
+  }
+
+  for (const direction of ['scaleUp', 'scaleDown']) {
+    if (input[direction] === undefined) continue;
+    settings[direction] = {};
+    for (const signal of SIGNALS) {
+      const value = input[direction]?.[signal];
+      if (value === undefined) continue;
+      if (typeof value !== 'number' || !(value >= 0)) return { ok: false, error: `${direction}.${signal} must be 0 or more` };
+      settings[direction][signal] = value;
+    }
+  }
+
+  const up = { ...config.cluster.autoscale.scaleUp, ...settings.scaleUp };
+  const down = { ...config.cluster.autoscale.scaleDown, ...settings.scaleDown };
+  const crossed = SIGNALS.find(signal => down[signal] >= up[signal]);
+  if (crossed) return { ok: false, error: `scaleDown.${crossed} must be below scaleUp.${crossed}` };
+
+  return { ok: true, settings };
+}
+
+/**
+ * Direction a sample of per-worker averages points to
+ * ({ workers, requestsPerSecond, eventLoopLagMs, cpuPercent })
+ * Returns { direction: 'up' | 'down' | null, reasons, bounds }
+ */
+export function decideScaling(sample, settings) {
+  const { workers } = sample;
+  if (workers < settings.minWorkers) {
+    return { direction: 'up', reasons: [`below minimum of ${settings.minWorkers} workers`], bounds: true };
+  }
+  if (workers > settings.maxWorkers) {
+    return { direction: 'down', reasons: [`above maximum of ${settings.maxWorkers} workers`], bounds: true };
+  }
+
+  const above = SIGNALS.filter(signal => sample[signal] > settings.scaleUp[signal])
+    .map(signal => `${signal} ${sample[signal]} > ${settings.scaleUp[signal]}`);
+  if (above.length) {
+    return workers < settings.maxWorkers
+      ? { direction: 'up', reasons: above, bounds: false }
+      : { direction: null, reasons: [...above, 'at maximum workers'], bounds: false };
+  }
+
+  if (workers > settings.minWorkers && SIGNALS.every(signal => sample[signal] < settings.scaleDown[signal])) {
+    // The load of the retired worker moves to the others
+    const share = workers / (workers - 1);
+    const projected = ['requestsPerSecond', 'cpuPercent']
+      .find(signal => sample[signal] * share > settings.scaleUp[signal]);
+    if (!projected) return { direction: 'down', reasons: ['every signal below its scale-down threshold'], bounds: false };
+  }
+  return { direction: null, reasons: [], bounds: false };
+}
+
+/**
+ * Master-side autoscaler
+ */
+export class Autoscaler {
+  constructor(clusterModule, watchdog, { spawnWorker }) {
+    this.cluster = clusterModule;
+    this.watchdog = watchdog;
+    this.spawnWorker = spawnWorker;
+    this.settings = resolveAutoscaleSettings();
+    this.resizeTarget = null;
+    this.previous = new Map(); // workerId -> { requestCount, at } of the last heartbeat seen
+    this.rates = new Map(); // workerId -> requests per second between its last two heartbeats
+    this.streak = null; // { direction, count }
+    this.lastScaledAt = 0;
+    this.lastSample = null;
+    this.history = [];
+    this.timer = null;
+  }
+
+  /**
+   * Workers to spawn at startup
+   */
+  initialWorkerCount() {
+    if (this.settings.enabled) {
+      return Math.min(this.settings.maxWorkers, Math.max(this.settings.minWorkers, config.cluster.workerCount));
+    }
+    const saved = savedOverride().workerCount;
+    return Number.isInteger(saved) ? clampWorkers(saved) : config.cluster.workerCount;
+  }
+
+  start() {
+    this.stop();
+    this.timer = setInterval(() => this.check(), this.settings.intervalMs);
+    logger.info('Autoscaler started', {
+      enabled: this.settings.enabled,
+      minWorkers: this.settings.minWorkers,
+      maxWorkers: this.settings.maxWorkers,
+    });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Pick up settings saved from the panels
+   */
+  reload() {
+    const previousInterval = this.settings.intervalMs;
+    this.settings = resolveAutoscaleSettings();
+    this.streak = null;
+
+    const saved = savedOverride().workerCount;
+    this.resizeTarget = !this.settings.enabled && Number.isInteger(saved) && saved !== this.liveWorkers().length
+      ? clampWorkers(saved)
+      : null;
+
+    if (this.timer && this.settings.intervalMs !== previousInterval) this.start();
+    logger.info('Autoscale settings reloaded', {
+      enabled: this.settings.enabled,
+      minWorkers: this.settings.minWorkers,
+      maxWorkers: this.settings.maxWorkers,
+      resizeTarget: this.resizeTarget,
+    });
+  }
+
+  /**
+   * Connected workers that are not being retired
+   */
+  liveWorkers() {
+    return Object.values(this.cluster.workers || {})
+      .filter(worker => worker && worker.isConnected() && !this.watchdog.retiringWorkers.has(worker.id));
+  }
+
+  /**
+   * Per-worker averages of the latest heartbeats
+   * Request rates need two heartbeats, so new workers are not `reporting` yet
+   */
+  sample(workers) {
+    const healthMonitor = this.watchdog.getHealthMonitor();
+    const totals = { requestsPerSecond: 0, eventLoopLagMs: 0, cpuPercent: 0 };
+    let reporting = 0;
+
+    for (const worker of workers) {
+      const health = healthMonitor.workers.get(worker.id);
+      if (!health) continue;
+
+      const previous = this.previous.get(worker.id);
+      if (!previous || health.lastHeartbeat > previous.at) {
+        if (previous) {
+          const seconds = (health.lastHeartbeat - previous.at) / 1000;
+          this.rates.set(worker.id, Math.max(0, health.requestCount - previous.requestCount) / seconds);
+        }
+        this.previous.set(worker.id, { requestCount: health.requestCount, at: health.lastHeartbeat });
+      }
+      if (!this.rates.has(worker.id)) continue;
+
+      reporting++;
+      totals.requestsPerSecond += this.rates.get(worker.id);
+      totals.eventLoopLagMs += health.eventLoopLagMs;
+      totals.cpuPercent += health.cpuPercent;
+    }
+
+    // Forget workers that are gone
+    const ids = new Set(workers.map(worker => worker.id));
+    for (const id of this.previous.keys()) {
+      if (!ids.has(id)) {
+        this.previous.delete(id);
+        this.rates.delete(id);
+      }
+    }
+
+    const average = value => (reporting ? Math.round(value / reporting * 10) / 10 : 0);
+    return {
+      workers: workers.length,
+      reporting,
+      requestsPerSecond: average(totals.requestsPerSecond),
+      eventLoopLagMs: average(totals.eventLoopLagMs),
+      cpuPercent: average(totals.cpuPercent),
+    };
+  }
+
+  /**
+   * One autoscaling round; returns the change made or null
+   */
+  check(now = Date.now()) {
+    try {
+      const workers = this.liveWorkers();
+      const sample = this.sample(workers);
+      this.lastSample = { ...sample, at: new Date(now).toISOString() };
+      getClusterMetrics().recordScaling(workers.length);
+
+      // Let starts, drains, rolling restarts and deployments settle first
+      if (this.watchdog.isRollingRestart || this.watchdog.retiringWorkers.size > 0) return null;
+      if (this.watchdog.deploymentWorkers.size > 0) return null;
+
+      const decision = this.settings.enabled ? this.decide(sample, now) : this.resizeDecision(workers.length);
+      return decision ? this.apply(decision, workers, sample, now) : null;
+    } catch (err) {
+      logger.error('Autoscaler check failed', { error: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * Scaling decision once the signal has held and the cooldown has passed
+   */
+  decide(sample, now) {
+    const decision = decideScaling(sample, this.settings);
+    if (!decision.bounds && sample.reporting < sample.workers) {
+      this.streak = null;
+      return null;
+    }
+    if (!decision.direction) {
+      this.streak = null;
+      return null;
+    }
+
+    this.streak = this.streak?.direction === decision.direction
+      ? { direction: decision.direction, count: this.streak.count + 1 }
+      : { direction: decision.direction, count: 1 };
+    if (!decision.bounds && this.streak.count < this.settings.sustainChecks) return null;
+
+    const cooldownMs = decision.direction === 'up' ? this.settings.scaleUpCooldownMs : this.settings.scaleDownCooldownMs;
+    if (now - this.lastScaledAt < cooldownMs) return null;
+    return decision;
+  }
+
+  /**
+   * With autoscaling off: step towards a worker count saved from the panels
+   */
+  resizeDecision(workers) {
+    if (this.resizeTarget === null) return null;
+    if (workers === this.resizeTarget) {
+      this.resizeTarget = null;
+      return null;
+    }
+    return {
+      direction: workers < this.resizeTarget ? 'up' : 'down',
+      reasons: [`resizing to ${this.resizeTarget} workers`],
+      bounds: true,
+    };
+  }
+
+  /**
+   * Spawn or retire one worker and record the decision
+   */
+  apply(decision, workers, sample, now) {
+    const from = workers.length;
+    if (decision.direction === 'up') {
+      this.spawnWorker();
+    } else {
+      this.watchdog.retireWorker(this.pickWorkerToRetire(workers)).catch(() => {});
+    }
+    const to = from + (decision.direction === 'up' ? 1 : -1);
+
+    this.lastScaledAt = now;
+    this.streak = null;
+    const entry = {
+      at: new Date(now).toISOString(),
+      direction: decision.direction,
+      from,
+      to,
+      reasons: decision.reasons,
+      sample,
+    };
+    this.history.unshift(entry);
+    this.history.length = Math.min(this.history.length, HISTORY_SIZE);
+    getClusterMetrics().recordScaling(to, decision.direction);
+
+    logger.warn(`Autoscaler scaled workers ${decision.direction}`, { from, to, reasons: decision.reasons, sample });
+    return entry;
+  }
+
+  /**
+   * The least busy worker, the newest on a tie
+   */
+  pickWorkerToRetire(workers) {
+    return [...workers].sort((a, b) => ((this.rates.get(a.id) || 0) - (this.rates.get(b.id) || 0)) || b.id - a.id)[0];
+  }
+
+  /**
+   * State for the ops panel
+   */
+  getStatus(now = Date.now()) {
+    const cooldownMs = Math.max(this.settings.scaleUpCooldownMs, this.settings.scaleDownCooldownMs);
+    return {
+      enabled: this.settings.enabled,
+      settings: this.settings,
+      workers: this.liveWorkers().map(worker => worker.id),
+      retiring: Array.from(this.watchdog.retiringWorkers),
+      resizeTarget: this.resizeTarget,
+      sample: this.lastSample,
+      streak: this.streak,
+      lastScaledAt: this.lastScaledAt ? new Date(this.lastScaledAt).toISOString() : null,
+      cooldownRemainingMs: this.lastScaledAt ? Math.max(0, this.lastScaledAt + cooldownMs - now) : 0,
+      history: this.history,
+    };
+  }
+}
+
+// Status requests waiting for the master's answer, by request id
+const pendingStatus = new Map();
+let nextStatusId = 1;
+
+/**
+ * Ask the master for the autoscaler status (from a worker)
+ */
+export function requestAutoscaleStatus(timeoutMs = 3000) {
+  if (!process.send) return Promise.reject(new Error('Autoscaler runs in the cluster master'));
+
+  return new Promise((resolve, reject) => {
+    const requestId = nextStatusId++;
+    const timer = setTimeout(() => {
+      pendingStatus.delete(requestId);
+      reject(new Error('Timed out waiting for autoscaler status'));
+    }, timeoutMs);
+    pendingStatus.set(requestId, { resolve, timer });
+    process.send({ type: 'autoscale-status-request', requestId });
+  });
+}
+
+/**
+ * Deliver the master's answer to a pending status request
+ */
+export function resolveAutoscaleStatus({ requestId, result }) {
+  const pending = pendingStatus.get(requestId);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pendingStatus.delete(requestId);
+  pending.resolve(result);
+}
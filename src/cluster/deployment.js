@@ -0,0 +1,591 @@
+/**
+ * Blue/Green Deployments
+ *
+ * Runs in the master. Starts a second generation of workers ("green") next
+ * to the live one ("blue"). Fresh workers read the current config; they can
+ * also be pinned to site releases that are not live yet.
+ *
+ * 1. Green workers start in standby: they listen on a loopback port of their
+ *    own, where the master sends synthetic requests (/internal/health, then
+ *    the verify paths of every site). Any failure ends the deployment.
+ * 2. Promotion points the sites at the new releases, has green listen on the
+ *    shared port and then parks blue: blue stops taking connections but
+ *    stays up.
+ * 3. During the bake period, a 5xx rate above the threshold on green, or a
+ *    green worker exiting, shifts traffic back to blue. Otherwise blue is
+ *    drained and green carries on as the cluster.
+ *
+ * States: starting → verifying → verified → promoting → baking →
+ * completing → completed, or failed / aborted / rolled-back.
+ */
+
+import fetch from 'node-fetch';
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
+import { getSiteRegistry } from '../utils/sites.js';
+import { getReleaseManager } from '../utils/releases.js';
+import { getMaintenanceManager } from '../maintenance/manager.js';
+import { getComingSoonManager } from '../maintenance/coming-soon.js';
+import * as emailAlerts from '../email/alerts.js';
+
+const ACTIVE_STATES = ['starting', 'verifying', 'verified', 'promoting', 'baking', 'completing', 'rolling-back'];
+
+// Finished deployments kept for the ops panel
+const HISTORY_SIZE = 10;
+// Events kept per deployment
+const EVENTS_SIZE = 100;
+
+const CHECK_TIMEOUT_MS = 5000;
+const MAX_BAKE_SECONDS = 86400;
+
+/**
+ * Validate a deployment request from the ops panel
+ */
+export function validateDeploymentRequest(input = {}) {
+  const { releases = {}, reason = 'Blue/green deployment', autoPromote = false, bakeSeconds } = input;
+
+  if (!releases || typeof releases !== 'object' || Array.isArray(releases)) {
+    return { ok: false, error: 'releases must map site ids to release ids' };
+  }
+  for (const [siteId, releaseId] of Object.entries(releases)) {
+    if (!getSiteRegistry().getSite(siteId)) {
+      return { ok: false, error: `Unknown site: ${siteId}` };
+    }
+    if (typeof releaseId !== 'string' || !getReleaseManager(siteId).hasRelease(releaseId)) {
+      return { ok: false, error: `Release not found for site ${siteId}: ${releaseId}` };
+    }
+  }
+
+  let bakeMs = config.cluster.deploy.bakeMs;
+  if (bakeSeconds !== undefined) {
+    if (!Number.isInteger(bakeSeconds) || bakeSeconds < 0 || bakeSeconds > MAX_BAKE_SECONDS) {
+      return { ok: false, error: `bakeSeconds must be an integer between 0 and ${MAX_BAKE_SECONDS}` };
+    }
+    bakeMs = bakeSeconds * 1000;
+  }
+
+  return {
+    ok: true,
+    value: {
+      releases,
+      reason: String(reason).slice(0, 200),
+      autoPromote: autoPromote === true,
+      bakeMs,
+    },
+  };
+}
+
+/**
+ * Host header that reaches a site: its first plain host, a wildcard host
+ * filled in, or localhost for the default site
+ */
+function checkHost(site) {
+  const hosts = site.hosts || [];
+  const plain = hosts.find(host => !host.includes('*'));
+  if (plain) return plain;
+  return hosts.length ? hosts[0].replace('*', 'www') : 'localhost';
+}
+
+export class DeploymentManager {
+  constructor(clusterModule, watchdog, { spawnWorker }) {
+    this.cluster = clusterModule;
+    this.watchdog = watchdog;
+    this.spawnWorker = spawnWorker;
+    this.current = null;
+    this.history = [];
+    this.nextId = 1;
+    this.bakeTimer = null;
+  }
+
+  isActive() {
+    return !!this.current && ACTIVE_STATES.includes(this.current.status);
+  }
+
+  /**
+   * Connected workers that are not being retired
+   */
+  liveWorkers() {
+    return Object.values(this.cluster.workers || {})
+      .filter(worker => worker && worker.isConnected() && !this.watchdog.retiringWorkers.has(worker.id));
+  }
+
+  /**
+   * Workers of a generation that are still around
+   */
+  workers(ids) {
+    return ids.map(id => this.cluster.workers[id]).filter(worker => worker && !worker.isDead());
+  }
+
+  note(deployment, message, details = {}) {
+    deployment.events.push({ at: new Date().toISOString(), message });
+    if (deployment.events.length > EVENTS_SIZE) deployment.events.shift();
+    logger.info(`Deployment ${deployment.id}: ${message}`, details);
+  }
+
+  /**
+   * Start a new generation; returns { ok, deployment } or { ok: false, error }
+   */
+  start(input, startedBy = 'system') {
+    if (this.isActive()) {
+      return { ok: false, conflict: true, error: 'A deployment is already in progress' };
+    }
+    if (this.watchdog.isRollingRestart) {
+      return { ok: false, conflict: true, error: 'A rolling restart is in progress' };
+    }
+    const checked = validateDeploymentRequest(input);
+    if (!checked.ok) return checked;
+
+    const blue = this.liveWorkers();
+    if (blue.length === 0) {
+      return { ok: false, conflict: true, error: 'No live workers to replace' };
+    }
+
+    const deployment = {
+      id: this.nextId++,
+      status: 'starting',
+      ...checked.value,
+      startedBy,
+      size: blue.length,
+      blue: blue.map(worker => worker.id),
+      green: [],
+      checks: [],
+      bake: null,
+      parked: false,
+      savedPointers: null,
+      error: null,
+      events: [],
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+    };
+    this.current = deployment;
+    this.note(deployment, `Started by ${startedBy}: ${deployment.reason}`, { releases: deployment.releases, workers: deployment.size });
+
+    this.launch(deployment).catch(err => this.fail(deployment, err.message));
+    return { ok: true, deployment };
+  }
+
+  /**
+   * Fork the green generation in standby and run the synthetic checks
+   */
+  async launch(deployment) {
+    const env = { WORKER_STANDBY: '1', WORKER_RELEASES: JSON.stringify(deployment.releases) };
+    const green = [];
+    for (let i = 0; i < deployment.size; i++) {
+      const worker = this.cluster.fork(env);
+      this.watchdog.deploymentWorkers.add(worker.id);
+      green.push(worker);
+    }
+    deployment.green = green.map(worker => worker.id);
+
+    const ports = await Promise.all(green.map(worker => this.waitForStandby(worker)));
+    if (deployment.status !== 'starting') return;
+
+    deployment.status = 'verifying';
+    this.note(deployment, `Generation of ${green.length} workers standing by; running synthetic checks`);
+    for (let i = 0; i < green.length; i++) {
+      deployment.checks.push(...await this.verifyWorker(green[i], ports[i]));
+    }
+    if (deployment.status !== 'verifying') return;
+
+    const failed = deployment.checks.filter(check => !check.ok);
+    if (failed.length > 0) {
+      const summary = failed.slice(0, 3).map(check => `${check.host}${check.path} on worker ${check.workerId}: ${check.error || check.status}`);
+      await this.fail(deployment, `Synthetic checks failed: ${summary.join('; ')}`);
+      return;
+    }
+
+    deployment.status = 'verified';
+    this.note(deployment, `All ${deployment.checks.length} synthetic checks passed`);
+    if (deployment.autoPromote) {
+      this.promote(deployment.startedBy);
+    }
+  }
+
+  /**
+   * Resolves with the worker's standby port once it reports in
+   */
+  waitForStandby(worker) {
+    return new Promise((resolve, reject) => {
+      const finish = (error, port) => {
+        clearTimeout(timer);
+        worker.removeListener('message', onMessage);
+        worker.removeListener('exit', onExit);
+        if (error) reject(new Error(error));
+        else resolve(port);
+      };
+      const onMessage = (message) => {
+        if (message?.type === 'standby-ready') finish(null, message.port);
+      };
+      const onExit = (code, signal) => finish(`Worker ${worker.id} exited while starting (${signal ? `signal ${signal}` : `code ${code}`})`);
+      const timer = setTimeout(() => finish(`Worker ${worker.id} did not start in time`), config.cluster.readinessTimeoutMs);
+      worker.on('message', onMessage);
+      worker.once('exit', onExit);
+    });
+  }
+
+  /**
+   * Synthetic requests against one standby worker: /internal/health must
+   * answer 200, every verify path of every site anything but a 5xx.
+   * Sites in maintenance or coming-soon mode only answer 503 and are skipped.
+   */
+  async verifyWorker(worker, port) {
+    const targets = [{ site: null, host: 'localhost', path: '/internal/health', strict: true }];
+    for (const site of getSiteRegistry().listSites()) {
+      if (getMaintenanceManager(site.id).getState().enabled || getComingSoonManager(site.id).getState().enabled) continue;
+      for (const checkPath of config.cluster.deploy.verifyPaths) {
+        targets.push({ site: site.id, host: checkHost(site), path: checkPath, strict: false });
+      }
+    }
+
+    const checks = [];
+    for (const target of targets) {
+      const check = { workerId: worker.id, site: target.site, host: target.host, path: target.path, status: null, ok: false, error: null };
+      try {
+        const res = await fetch(`http://127.0.0.1:${port}${target.path}`, {
+          headers: { Host: target.host, Connection: 'close' },
+          redirect: 'manual',
+          timeout: CHECK_TIMEOUT_MS,
+        });
+        await res.arrayBuffer();
+        check.status = res.status;
+        check.ok = target.strict ? res.ok : res.status < 500;
+      } catch (err) {
+        check.error = err.message;
+      }
+      checks.push(check);
+    }
+    return checks;
+  }
+
+  /**
+   * Verified: switch traffic to green and start the bake period.
+   * Baking: end the bake early and retire blue.
+   */
+  promote(by = 'system') {
+    const deployment = this.current;
+    if (deployment?.status === 'baking') {
+      this.note(deployment, `Promoted by ${by} before the end of the bake period`);
+      this.complete(deployment).catch(err => logger.error('Deployment completion failed', { error: err.message }));
+      return { ok: true, deployment };
+    }
+    if (deployment?.status !== 'verified') {
+      return { ok: false, conflict: true, error: 'No verified deployment to promote' };
+    }
+
+    this.switchTraffic(deployment, by).catch(err => this.rollback(deployment, `Traffic switch failed: ${err.message}`));
+    return { ok: true, deployment };
+  }
+
+  async switchTraffic(deployment, by) {
+    deployment.status = 'promoting';
+    this.note(deployment, `Promoted by ${by}; switching traffic`);
+
+    // Pointers first, so any worker forked from now on serves the new releases
+    deployment.savedPointers = {};
+    for (const [siteId, releaseId] of Object.entries(deployment.releases)) {
+      const releases = getReleaseManager(siteId);
+      deployment.savedPointers[siteId] = releases.loadPointer();
+      const result = releases.activate(releaseId, `blue-green:${by}`);
+      if (!result.ok && result.error !== 'Release is already active') {
+        throw new Error(result.error);
+      }
+    }
+
+    // Whatever serves besides green is the old generation, including
+    // workers the watchdog replaced since the start
+    const green = new Set(deployment.green);
+    deployment.blue = this.liveWorkers().filter(worker => !green.has(worker.id)).map(worker => worker.id);
+    for (const id of deployment.blue) {
+      this.watchdog.deploymentWorkers.add(id);
+    }
+
+    // Green listens before blue stops, so no connection is refused
+    await this.serve(this.workers(deployment.green));
+    // An abort while green was starting to listen has already rolled back
+    // (blue was never parked); parking blue now would leave no one serving
+    if (deployment.status !== 'promoting') return;
+    for (const worker of this.workers(deployment.blue)) {
+      worker.send({ cmd: 'park' });
+    }
+    deployment.parked = true;
+
+    const healthMonitor = this.watchdog.getHealthMonitor();
+    const baseline = {};
+    for (const id of deployment.green) {
+      const health = healthMonitor.workers.get(id);
+      baseline[id] = { requestCount: health?.requestCount || 0, serverErrorCount: health?.serverErrorCount || 0 };
+    }
+    const now = Date.now();
+    deployment.bake = {
+      startedAt: new Date(now).toISOString(),
+      endsAt: new Date(now + deployment.bakeMs).toISOString(),
+      requests: 0,
+      serverErrors: 0,
+      errorRate: 0,
+      baseline,
+    };
+    deployment.status = 'baking';
+    this.note(deployment, `Traffic on the new generation; baking for ${Math.round(deployment.bakeMs / 1000)}s`);
+
+    // Heartbeats carry the request and 5xx counts
+    this.bakeTimer = setInterval(() => {
+      this.checkBake().catch(err => logger.error('Deployment bake check failed', { error: err.message }));
+    }, config.cluster.heartbeatIntervalMs);
+  }
+
+  /**
+   * Have workers listen on the shared port; resolves once they all do
+   */
+  serve(workers) {
+    return Promise.all(workers.map(worker => new Promise((resolve, reject) => {
+      const finish = (error) => {
+        clearTimeout(timer);
+        worker.removeListener('listening', onListening);
+        worker.removeListener('exit', onExit);
+        if (error) reject(new Error(error));
+        else resolve();
+      };
+      const onListening = (address) => {
+        if (address.port === config.port) finish(null);
+      };
+      const onExit = () => finish(`Worker ${worker.id} exited`);
+      const timer = setTimeout(() => finish(`Worker ${worker.id} did not start listening`), config.cluster.readinessTimeoutMs);
+      worker.on('listening', onListening);
+      worker.once('exit', onExit);
+      worker.send({ cmd: 'serve' });
+    })));
+  }
+
+  /**
+   * One bake round: roll back on a green exit or a high 5xx rate, complete
+   * once the bake period is over
+   */
+  async checkBake(now = Date.now()) {
+    const deployment = this.current;
+    if (deployment?.status !== 'baking') return null;
+
+    const healthMonitor = this.watchdog.getHealthMonitor();
+    let requests = 0;
+    let serverErrors = 0;
+    for (const id of deployment.green) {
+      const worker = this.cluster.workers[id];
+      if (!worker || worker.isDead()) {
+        return this.rollback(deployment, `Worker ${id} of the new generation exited`);
+      }
+      const health = healthMonitor.workers.get(id);
+      if (!health) continue;
+      const base = deployment.bake.baseline[id];
+      requests += Math.max(0, health.requestCount - base.requestCount);
+      serverErrors += Math.max(0, health.serverErrorCount - base.serverErrorCount);
+    }
+
+    const { errorRatePercent, minRequests } = config.cluster.deploy;
+    const errorRate = requests > 0 ? Math.round(serverErrors / requests * 10000) / 100 : 0;
+    Object.assign(deployment.bake, { requests, serverErrors, errorRate });
+
+    if (requests >= minRequests && errorRate > errorRatePercent) {
+      return this.rollback(deployment, `5xx rate ${errorRate}% above ${errorRatePercent}% (${serverErrors} of ${requests} requests)`);
+    }
+    if (now >= Date.parse(deployment.bake.endsAt)) {
+      return this.complete(deployment);
+    }
+    return deployment;
+  }
+
+  stopBake() {
+    if (this.bakeTimer) {
+      clearInterval(this.bakeTimer);
+      this.bakeTimer = null;
+    }
+  }
+
+  /**
+   * Bake passed: drain the old generation
+   */
+  async complete(deployment) {
+    if (deployment.status !== 'baking') return deployment;
+    this.stopBake();
+    deployment.status = 'completing';
+    this.note(deployment, 'Draining the old generation');
+
+    // Green follows the (now moved) pointers instead of its pins
+    for (const worker of this.workers(deployment.green)) {
+      for (const siteId of Object.keys(deployment.releases)) {
+        worker.send({ cmd: 'release-reload', site: siteId });
+      }
+    }
+    await Promise.all(this.workers(deployment.blue).map(worker => this.watchdog.retireWorker(worker)));
+
+    this.finish(deployment, 'completed');
+    await emailAlerts.alertDeployment(deployment);
+    return deployment;
+  }
+
+  /**
+   * Shift traffic back to blue and drain green
+   */
+  async rollback(deployment, reason) {
+    if (!['promoting', 'baking'].includes(deployment.status)) return deployment;
+    this.stopBake();
+    deployment.status = 'rolling-back';
+    deployment.error = reason;
+    this.note(deployment, `Rolling back: ${reason}`);
+
+    // Blue listens again before green stops
+    if (deployment.parked) {
+      try {
+        await this.serve(this.workers(deployment.blue));
+      } catch (err) {
+        this.note(deployment, `Old generation did not fully resume: ${err.message}`);
+      }
+    }
+    this.restorePointers(deployment);
+    await Promise.all(this.workers(deployment.green).map(worker => this.watchdog.retireWorker(worker)));
+
+    this.finish(deployment, 'rolled-back');
+    await emailAlerts.alertDeployment(deployment);
+    return deployment;
+  }
+
+  /**
+   * Before promotion: stop the green generation
+   */
+  async fail(deployment, reason, status = 'failed') {
+    if (!['starting', 'verifying', 'verified'].includes(deployment.status)) return deployment;
+    deployment.status = status;
+    deployment.error = reason;
+    this.note(deployment, status === 'aborted' ? reason : `Failed: ${reason}`);
+
+    // Standby workers never had real traffic; no need to drain them
+    await Promise.all(this.workers(deployment.green).map(worker => this.watchdog.retireWorker(worker, { immediate: true })));
+
+    this.finish(deployment, status);
+    if (status === 'failed') {
+      await emailAlerts.alertDeployment(deployment);
+    }
+    return deployment;
+  }
+
+  /**
+   * Stop the deployment: before promotion green is stopped, after it
+   * traffic goes back to blue
+   */
+  abort(by = 'system') {
+    const deployment = this.current;
+    if (['starting', 'verifying', 'verified'].includes(deployment?.status)) {
+      this.fail(deployment, `Aborted by ${by}`, 'aborted')
+        .catch(err => logger.error('Deployment abort failed', { error: err.message }));
+      return { ok: true, deployment };
+    }
+    if (['promoting', 'baking'].includes(deployment?.status)) {
+      this.rollback(deployment, `Aborted by ${by}`)
+        .catch(err => logger.error('Deployment rollback failed', { error: err.message }));
+      return { ok: true, deployment };
+    }
+    return { ok: false, conflict: true, error: 'No deployment to abort' };
+  }
+
+  restorePointers(deployment) {
+    for (const [siteId, pointer] of Object.entries(deployment.savedPointers || {})) {
+      try {
+        getReleaseManager(siteId).restorePointer(pointer);
+      } catch (err) {
+        this.note(deployment, `Could not restore the release pointer of ${siteId}: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Hand the surviving workers back to the watchdog and make up for any
+   * that died along the way
+   */
+  finish(deployment, status) {
+    deployment.status = status;
+    deployment.finishedAt = new Date().toISOString();
+    for (const id of [...deployment.blue, ...deployment.green]) {
+      this.watchdog.deploymentWorkers.delete(id);
+    }
+
+    const missing = deployment.size - this.liveWorkers().length;
+    for (let i = 0; i < missing; i++) {
+      this.spawnWorker();
+    }
+    if (missing > 0) {
+      this.note(deployment, `Spawned ${missing} worker(s) to restore the cluster size`);
+    }
+
+    this.note(deployment, `Finished: ${status}`);
+    this.history.unshift({
+      id: deployment.id,
+      status,
+      reason: deployment.reason,
+      releases: deployment.releases,
+      error: deployment.error,
+      startedAt: deployment.startedAt,
+      finishedAt: deployment.finishedAt,
+    });
+    this.history.length = Math.min(this.history.length, HISTORY_SIZE);
+  }
+
+  stop() {
+    this.stopBake();
+  }
+
+  getStatus() {
+    return {
+      deployment: this.current,
+      history: this.history,
+      settings: config.cluster.deploy,
+    };
+  }
+
+  /**
+   * Ops panel requests relayed by the workers
+   */
+  handle(action, payload = {}) {
+    switch (action) {
+      case 'status':
+        return { ok: true, ...this.getStatus() };
+      case 'start':
+        return this.start(payload.options, payload.user);
+      case 'promote':
+        return this.promote(payload.user);
+      case 'abort':
+        return this.abort(payload.user);
+      default:
+        return { ok: false, error: `Unknown deployment action: ${action}` };
+    }
+  }
+}
+
+// Requests waiting for the master's answer, by request id
+const pendingRequests = new Map();
+let nextRequestId = 1;
+
+/**
+ * Ask the master to run a deployment action (from a worker)
+ */
+export function requestDeployment(action, payload = {}, timeoutMs = 5000) {
+  if (!process.send) return Promise.reject(new Error('Deployments run in the cluster master'));
+
+  return new Promise((resolve, reject) => {
+    const requestId = nextRequestId++;
+    const timer = setTimeout(() => {
+      pendingRequests.delete(requestId);
+      reject(new Error('Timed out waiting for the deployment manager'));
+    }, timeoutMs);
+    pendingRequests.set(requestId, { resolve, timer });
+    process.send({ type: 'deployment-request', requestId, action, payload });
+  });
+}
+
+/**
+ * Deliver the master's answer to a pending request
+ */
+export function resolveDeployment({ requestId, result }) {
+  const pending = pendingRequests.get(requestId);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pendingRequests.delete(requestId);
+  pending.resolve(result);
+}
@@ -4,7 +4,7 @@
  * Responsible for:
  * - Managing worker processes
  * - Implementing the watchdog
- * - Coordinating graceful rolling restarts
+ * - Coordinating graceful rolling restarts and blue/green deployments
  * - Monitoring system health
  * - Handling file watcher callbacks
  * 
@@ -13,12 +13,30 @@
 
 import cluster from 'cluster';
 import os from 'os';
+import path from 'path';
 import tty from 'tty';
 import config from '../utils/config.js';
 import logger from '../utils/logger.js';
 import { Watchdog } from '../watchdog/coordinator.js';
 import { getMaintenanceManager } from '../maintenance/manager.js';
+import { getComingSoonManager } from '../maintenance/coming-soon.js';
+import { getMaintenanceWindows } from '../maintenance/windows.js';
+import { getSiteRegistry } from '../utils/sites.js';
+import { getClusterMetrics } from '../utils/metrics.js';
+import { getRateLimitStore, loadRateLimitBackends } from '../utils/rate-limit.js';
+import { getAuditJournal } from '../utils/audit.js';
+import { getScheduledTasks } from '../utils/scheduled-tasks.js';
+import { snapshotAllSites } from '../utils/snapshots.js';
+import { uploadScheduledBackups } from '../utils/backup-targets.js';
+import {
+  precompressFile,
+  precompressDirectory,
+  removePrecompressed,
+  isPrecompressedOutput,
+} from '../utils/precompress.js';
 import { createWorker } from './worker.js';
+import { Autoscaler } from './autoscaler.js';
+import { DeploymentManager } from './deployment.js';
 import { InteractiveCLI } from '../cli/interactive.js';
 import {
   watchStaticSite,
@@ -42,24 +60,126 @@ export async function createMaster() {
     enabled: maintenance.getState().enabled,
   });
 
+  // Cluster-wide request metrics (fed by workers over IPC)
+  getClusterMetrics();
+
+  // Cluster-wide rate limit counters (consulted by workers over IPC)
+  await loadRateLimitBackends();
+  getRateLimitStore();
+
   // Create watchdog
   const watchdog = new Watchdog(cluster, { cluster });
   watchdog.start();
 
   // Store for later reference
   const watchers = [];
+  let staticWatcher = null;
+
+  /**
+   * Spawn one worker and start tracking its health
+   */
+  function spawnWorker() {
+    const worker = cluster.fork();
+    watchdog.healthMonitor.registerWorker(worker.id);
+    logger.info('Worker spawned', { workerId: worker.id, pid: worker.process.pid });
+    return worker;
+  }
+
+  // Resizes the cluster with traffic (or to a worker count set from the panels)
+  const autoscaler = new Autoscaler(cluster, watchdog, { spawnWorker });
+
+  // Blue/green deployments started from the ops panel
+  const deployments = new DeploymentManager(cluster, watchdog, { spawnWorker });
 
   /**
    * Spawn initial workers
    */
   function spawnWorkers() {
-    const count = config.cluster.workerCount;
+    const count = autoscaler.initialWorkerCount();
     logger.info(`Spawning ${count} workers...`);
 
     for (let i = 0; i < count; i++) {
-      const worker = cluster.fork();
-      watchdog.healthMonitor.registerWorker(worker.id);
-      logger.info('Worker spawned', { workerId: worker.id, pid: worker.process.pid });
+      spawnWorker();
+    }
+  }
+
+  /**
+   * Send a command to every live worker
+   */
+  function broadcastToWorkers(message) {
+    for (const worker of Object.values(cluster.workers || {})) {
+      if (worker && worker.isConnected()) {
+        worker.send(message);
+      }
+    }
+  }
+
+  /**
+   * Have workers reload a site's maintenance/coming-soon state from disk
+   */
+  function broadcastSiteState(siteId) {
+    broadcastToWorkers({ cmd: 'site-state-reload', site: siteId });
+  }
+
+  /**
+   * Relay state changes made in the master (watchdog, CLI, auto-disable)
+   */
+  const followedSites = new Set();
+  function followSiteState(siteId) {
+    if (followedSites.has(siteId)) return;
+    followedSites.add(siteId);
+    for (const manager of [getMaintenanceManager(siteId), getComingSoonManager(siteId)]) {
+      manager.on('enabled', () => broadcastSiteState(siteId));
+      manager.on('disabled', () => broadcastSiteState(siteId));
+    }
+  }
+  getSiteRegistry().listSites().forEach(site => followSiteState(site.id));
+
+  /**
+   * Have workers switch a site to a newly activated release. Serving from
+   * the new directory needs no restart; only if a worker fails to confirm
+   * within the timeout do we fall back to a graceful rolling restart.
+   */
+  const pendingReleaseSwitches = new Map();
+  function switchRelease(siteId, releaseId) {
+    const existing = pendingReleaseSwitches.get(siteId);
+    if (existing) clearTimeout(existing.timer);
+
+    const waiting = new Set(
+      Object.values(cluster.workers || {})
+        .filter(w => w && w.isConnected())
+        .map(w => w.id)
+    );
+    const timer = setTimeout(() => {
+      pendingReleaseSwitches.delete(siteId);
+      if (waiting.size === 0) return;
+
+      logger.warn('Workers did not confirm release switch, restarting them', {
+        site: siteId,
+        release: releaseId,
+        workers: Array.from(waiting),
+      });
+      watchdog.gracefulRollingRestart(`Release ${releaseId} not confirmed by all workers`).catch(err => {
+        logger.error('Rolling restart after release switch failed', { error: err.message });
+      });
+    }, config.releases.ackTimeoutMs);
+
+    pendingReleaseSwitches.set(siteId, { release: releaseId, waiting, timer });
+    broadcastToWorkers({ cmd: 'release-reload', site: siteId, release: releaseId });
+  }
+
+  /**
+   * Record a worker's confirmation of a release switch
+   */
+  function confirmRelease(siteId, releaseId, workerId) {
+    const pending = pendingReleaseSwitches.get(siteId);
+    if (!pending || pending.release !== releaseId) return;
+
+    pending.waiting.delete(workerId);
+    if (pending.waiting.size === 0) {
+      clearTimeout(pending.timer);
+      pendingReleaseSwitches.delete(siteId);
+      logger.info('Release switch confirmed by all workers', { site: siteId, release: releaseId });
     }
   }
 
@@ -74,6 +194,85 @@ export async function createMaster() {
         workerId: worker.id,
         error: message.error,
       });
+    } else if (message.type === 'plugin-toggle') {
+      // A panel request toggled a plugin in one worker; apply it everywhere
+      logger.info('Broadcasting plugin toggle', {
+        plugin: message.name,
+        enabled: message.enabled,
+        fromWorker: worker.id,
+      });
+      broadcastToWorkers({ cmd: 'plugin-toggle', name: message.name, enabled: message.enabled });
+    } else if (message.type === 'sites-changed') {
+      // A panel request changed the site registry; reload it everywhere
+      getSiteRegistry().load();
+      getSiteRegistry().listSites().forEach(site => followSiteState(site.id));
+      staticWatcher?.refreshSites();
+      logger.info('Broadcasting sites reload', { fromWorker: worker.id });
+      broadcastToWorkers({ cmd: 'sites-reload' });
+    } else if (message.type === 'release-activated') {
+      logger.info('Switching workers to release', {
+        site: message.site,
+        release: message.release,
+        fromWorker: worker.id,
+      });
+      switchRelease(message.site, message.release);
+    } else if (message.type === 'release-ack') {
+      confirmRelease(message.site, message.release, worker.id);
+    } else if (message.type === 'metrics') {
+      getClusterMetrics().merge(worker.id, message.data);
+    } else if (message.type === 'metrics-request') {
+      // A worker is serving /metrics (or the admin metrics API) for the cluster
+      const metrics = getClusterMetrics();
+      metrics.merge(worker.id, message.delta);
+      worker.send({
+        cmd: 'metrics-result',
+        requestId: message.requestId,
+        result: metrics.report(message.format, message.site),
+      });
+    } else if (message.type === 'rate-limit') {
+      // Counters are kept here so limits hold across workers and restarts
+      Promise.resolve()
+        .then(() => getRateLimitStore().consume(message.key, message.policy))
+        .then(result => worker.send({ cmd: 'rate-limit-result', requestId: message.requestId, result }))
+        .catch(err => logger.error('Rate limit lookup failed', { key: message.key, error: err.message }));
+    } else if (message.type === 'audit') {
+      // The master is the journal's only writer, so the hash chain stays linear
+      try {
+        getAuditJournal().append(message.entry);
+      } catch (err) {
+        logger.error('Audit append failed', { action: message.entry?.action, error: err.message });
+      }
+    } else if (message.type === 'config-override-changed') {
+      logger.info('Broadcasting config override reload', { fromWorker: worker.id });
+      autoscaler.reload();
+      broadcastToWorkers({ cmd: 'config-override-reload' });
+    } else if (message.type === 'worker-health-request') {
+      worker.send({ cmd: 'worker-health-result', requestId: message.requestId, result: watchdog.healthMonitor.getAllWorkerSummaries() });
+    } else if (message.type === 'rolling-restart') {
+      // Started from a panel; the watchdog (and its workers) live here
+      logger.info('Rolling restart requested', { reason: message.reason, fromWorker: worker.id });
+      watchdog.gracefulRollingRestart(message.reason).catch(err => {
+        logger.error('Rolling restart error', { error: err.message });
+      });
+    } else if (message.type === 'rolling-restart-status-request') {
+      worker.send({ cmd: 'rolling-restart-status-result', requestId: message.requestId, result: watchdog.getRollingRestartStatus() });
+    } else if (message.type === 'deployment-request') {
+      worker.send({
+        cmd: 'deployment-result',
+        requestId: message.requestId,
+        result: deployments.handle(message.action, message.payload),
+      });
+    } else if (message.type === 'autoscale-status-request') {
+      worker.send({ cmd: 'autoscale-status-result', requestId: message.requestId, result: autoscaler.getStatus() });
+    } else if (message.type === 'cache-purge') {
+      logger.info('Broadcasting file cache purge', { fromWorker: worker.id });
+      broadcastToWorkers({ cmd: 'cache-purge' });
+    } else if (message.type === 'site-state-changed') {
+      // A panel request toggled maintenance/coming soon; keep the master's
+      // copy current (watchdog, auto-disable) and tell the other workers
+      getMaintenanceManager(message.site).loadState();
+      getComingSoonManager(message.site).loadState();
+      broadcastSiteState(message.site);
     }
   });
 
@@ -82,6 +281,12 @@ export async function createMaster() {
    */
   cluster.on('exit', (worker, code, signal) => {
     watchdog.healthMonitor.removeWorker(worker.id);
+    getClusterMetrics().removeWorker(worker.id);
+
+    // A replacement worker reads the current release pointer on startup
+    for (const [siteId, pending] of pendingReleaseSwitches) {
+      confirmRelease(siteId, pending.release, worker.id);
+    }
   });
 
   /**
@@ -90,14 +295,26 @@ export async function createMaster() {
   function setupWatchers() {
     logger.info('Setting up file watchers...');
 
-    // Watch static files
-    const staticWatcher = watchStaticSite((action, filepath) => {
-      logger.info('Static content changed, updating cache', {
+    // Watch static files of every site
+    staticWatcher = watchStaticSite((action, filepath) => {
+      // Our own .br/.gz writes don't need another round
+      if (isPrecompressedOutput(filepath)) return;
+
+      logger.info('Static content changed, invalidating worker caches', {
         action,
         file: filepath,
       });
-      // In production, notify workers about cache invalidation
-      // For now, files are served fresh on each request
+      broadcastToWorkers({ cmd: 'cache-invalidate', path: path.resolve(filepath) });
+
+      let update = null;
+      if (action === 'unlink') {
+        update = removePrecompressed(filepath);
+      } else if (action === 'add' || action === 'change') {
+        update = precompressFile(filepath);
+      }
+      update?.catch(err => {
+        logger.warn('Failed to update precompressed files', { file: filepath, error: err.message });
+      });
     });
     watchers.push(staticWatcher);
 
@@ -117,6 +334,25 @@ export async function createMaster() {
     logger.info('File watchers ready');
   }
 
+  /**
+   * Generate missing or stale .br/.gz siblings for every site root
+   * Runs in the background; files stay servable while it works
+   */
+  async function precompressSites() {
+    if (!config.precompression.enabled) return;
+
+    const started = Date.now();
+    let compressed = 0;
+    for (const site of getSiteRegistry().listSites()) {
+      try {
+        compressed += (await precompressDirectory(site.root)).compressed;
+      } catch (err) {
+        logger.warn('Failed to precompress site', { site: site.id, error: err.message });
+      }
+    }
+    logger.info('Static files precompressed', { files: compressed, durationMs: Date.now() - started });
+  }
+
   /**
    * Setup interactive CLI
    * Runs in master process alongside HTTP server
@@ -150,8 +386,11 @@ export async function createMaster() {
   async function gracefulShutdown(signal) {
     logger.info(`Master received ${signal}, shutting down gracefully...`);
 
-    // Stop watchdog
+    // Stop watchdog, autoscaler, deployments and scheduled jobs
     watchdog.stop();
+    autoscaler.stop();
+    deployments.stop();
+    getScheduledTasks().stopAll();
 
     // Close all watchers
     for (const watcher of watchers) {
@@ -215,7 +454,22 @@ export async function createMaster() {
   // Initialize interactive CLI before spawning workers so logs are redirected
   await setupInteractiveCLI();
   spawnWorkers();
+  autoscaler.start();
   setupWatchers();
+  precompressSites();
+  getScheduledTasks().scheduleSnapshots(config.snapshots.schedule, snapshotAllSites);
+  getScheduledTasks().scheduleBackupUploads(config.backupTargets.schedule, uploadScheduledBackups);
+
+  // Planned maintenance windows; the first check catches one already in progress
+  const checkMaintenanceWindows = () => {
+    try {
+      getMaintenanceWindows().tick();
+    } catch (err) {
+      logger.error('Maintenance window check failed', { error: err.message });
+    }
+  };
+  getScheduledTasks().scheduleMaintenanceWindows(checkMaintenanceWindows);
+  checkMaintenanceWindows();
 
   logger.info('SiteManager+ started successfully', {
     timestamp: new Date().toISOString(),
@@ -224,6 +478,8 @@ export async function createMaster() {
 
   return {
     watchdog,
+    autoscaler,
+    deployments,
     cluster,
     shutdown: gracefulShutdown,
   };
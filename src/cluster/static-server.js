@@ -5,8 +5,18 @@
  * - Intelligent caching headers
  * - Compression support
  * - Path traversal protection
- * - Graceful 404 handling without crashes
+ * - Graceful 404 handling without crashes (site error pages, JSON for API clients)
  * - Content type detection
+ * - Per-site document roots and cache rules (virtual hosts)
+ * - Serving the active versioned release when one is set, or a canary
+ *   release to a share of visitors
+ * - In-memory LRU cache with precompressed variants and content-hash ETags
+ * - Build-time .br/.gz siblings chosen by Accept-Encoding (on-the-fly
+ *   compression remains the fallback)
+ * - Conditional GET (304) and Range requests (206, multipart/byteranges)
+ * - Declarative redirects, rewrites and headers (_redirects, _headers, _rules.json)
+ * - Single-page application fallback to an entry HTML file
+ * - Advance notice banner on HTML pages before planned maintenance
  */
 
 import express from 'express';
@@ -15,6 +25,15 @@ import fs from 'fs';
 import path from 'path';
 import logger from '../utils/logger.js';
 import config from '../utils/config.js';
+import { getSiteRegistry } from '../utils/sites.js';
+import { resolveReleaseRoot } from '../utils/canary.js';
+import { getFileCache } from '../utils/file-cache.js';
+import { sendRepresentation } from '../utils/ranges.js';
+import { findPrecompressed, isCompressibleFile } from '../utils/precompress.js';
+import { getSiteRules, isRuleFile } from '../utils/site-rules.js';
+import { sendError } from '../utils/error-pages.js';
+import { getSpaSettings, shouldFallback } from '../utils/spa.js';
+import { getMaintenanceWindows } from '../maintenance/windows.js';
 
 // Read the auto-reload script once at startup
 let autoReloadScript = '';
@@ -26,10 +45,13 @@ try {
 
 /**
  * Create static file server middleware
+ * Serves from req.site (resolved from the Host header by the worker),
+ * falling back to the default site. A site's active release, if any,
+ * replaces its root directory; during a canary, the visitor's variant does.
  */
 export function createStaticServer() {
   const router = express.Router();
-  const staticDir = config.staticSiteDir;
+  const fileCache = getFileCache();
 
   // Enable compression for all responses
   router.use(compression({
@@ -41,135 +63,159 @@ export function createStaticServer() {
       if (type.includes('image') || type.includes('video') || type.includes('font')) {
         return false;
       }
+      // Partial content must be sent byte-exact
+      if (res.statusCode === 206) {
+        return false;
+      }
       return compression.filter(req, res);
     }
   }));
 
   /**
    * Serve static files with proper headers
+   * _headers rules apply first; _redirects rules apply when no file exists
+   * at the path, or always when forced; the SPA fallback comes last
    */
   router.use((req, res, next) => {
-    // Resolve the file path safely (prevent directory traversal)
-    try {
-      const filePath = path.join(staticDir, decodeURIComponent(req.path));
-      const normalizedPath = path.normalize(filePath);
-      
-      // Ensure the path is within staticDir
-      if (!normalizedPath.startsWith(path.normalize(staticDir))) {
-        logger.warn('Path traversal attempt blocked', {
-          originalPath: req.path,
-          attemptedPath: filePath,
-          ip: req.ip,
-        });
-        return res.status(403).json({ error: 'Forbidden' });
-      }
-
-      // Try to serve the file
-      fs.stat(normalizedPath, (err, stats) => {
-        if (err) {
-          // File not found, try index.html in directory
-          if (err.code === 'ENOENT' && req.path.endsWith('/')) {
-            const indexPath = path.join(normalizedPath, 'index.html');
-            return fs.stat(indexPath, (indexErr, indexStats) => {
-              if (!indexErr && indexStats.isFile()) {
-                return serveFile(indexPath, req, res);
-              }
-              // Neither file nor index.html found
-              return res.status(404).json({ error: 'Not found' });
-            });
-          }
-
-          // Try appending .html
-          if (!normalizedPath.endsWith('.html')) {
-            const htmlPath = normalizedPath + '.html';
-            return fs.stat(htmlPath, (htmlErr, htmlStats) => {
-              if (!htmlErr && htmlStats.isFile()) {
-                return serveFile(htmlPath, req, res);
-              }
-              return res.status(404).json({ error: 'Not found' });
-            });
-          }
-
-          logger.debug('File not found', { path: req.path });
-          return res.status(404).json({ error: 'Not found' });
-        }
+    const site = req.site || getSiteRegistry().getDefaultSite();
+    const staticDir = resolveReleaseRoot(req, res, site);
+    const rules = getSiteRules(staticDir);
 
-        // If it's a directory, try index.html
-        if (stats.isDirectory()) {
-          const indexPath = path.join(normalizedPath, 'index.html');
-          return fs.stat(indexPath, (indexErr, indexStats) => {
-            if (!indexErr && indexStats.isFile()) {
-              return serveFile(indexPath, req, res);
-            }
-            return res.status(404).json({ error: 'Not found' });
-          });
-        }
+    // Custom headers go first so the defaults below don't override them
+    for (const [name, value] of Object.entries(rules.matchHeaders(req.path))) {
+      res.setHeader(name, value);
+    }
 
-        // Serve the file
-        serveFile(normalizedPath, req, res);
-      });
-    } catch (err) {
+    handleRequest(req, res, site, staticDir, rules).catch(err => {
       logger.error('Error in static file server', {
         path: req.path,
         error: err.message,
       });
-      res.status(500).json({ error: 'Internal server error' });
-    }
+      sendError(req, res, 500, 'Internal server error');
+    });
   });
 
+  /**
+   * Helper: Resolve the request (applying redirect rules) and serve it
+   */
+  async function handleRequest(req, res, site, staticDir, rules) {
+    let resolved = await resolveStaticFile(staticDir, req.path);
+    if (resolved?.forbidden) {
+      logger.warn('Path traversal attempt blocked', {
+        originalPath: req.path,
+        attemptedPath: resolved.attemptedPath,
+        ip: req.ip,
+      });
+      return sendError(req, res, 403, 'Forbidden');
+    }
+
+    const redirect = rules.matchRedirect(req.path);
+    if (redirect && (redirect.force || !resolved)) {
+      if (redirect.status !== 200 && redirect.status !== 404) {
+        // Keep the query string unless the target sets its own
+        const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+        return res.redirect(redirect.status, redirect.target.includes('?') ? redirect.target : redirect.target + query);
+      }
+
+      // Rewrite: serve another file of the site under the requested URL
+      resolved = await resolveStaticFile(staticDir, redirect.target.split('?')[0]);
+      if (resolved && !resolved.forbidden) {
+        res.status(redirect.status);
+        return serveFile(resolved.filePath, req, res, site);
+      }
+      resolved = null;
+    }
+
+    // SPA mode: unknown app routes get the entry file
+    if (!resolved) {
+      const spa = getSpaSettings(site.id);
+      if (shouldFallback(spa, req)) {
+        resolved = await resolveStaticFile(staticDir, `/${spa.entry}`);
+      }
+    }
+
+    if (!resolved) {
+      logger.debug('File not found', { path: req.path });
+      return sendError(req, res, 404, 'Not found');
+    }
+
+    serveFile(resolved.filePath, req, res, site);
+  }
+
   /**
    * Helper: Serve a file with appropriate headers
    */
-  function serveFile(filePath, req, res) {
+  function serveFile(filePath, req, res, site) {
     try {
       fs.stat(filePath, (err, stats) => {
         if (err) {
-          return res.status(404).json({ error: 'Not found' });
+          return sendError(req, res, 404, 'Not found');
         }
 
-        // Set caching headers based on file type
+        // Set caching headers based on file type and the site's cache rules
+        // (headers from _headers rules were set earlier and take precedence)
         const ext = path.extname(filePath).toLowerCase();
+        const cache = site.cache;
         
-        // Static assets: cache for 1 year
+        // Static assets: cache for 1 year by default
         if (['.js', '.css', '.woff', '.woff2', '.ttf', '.eot', '.png', '.jpg', '.jpeg', '.gif', '.svg'].includes(ext)) {
-          res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+          setDefaultHeader(res, 'Cache-Control', `public, max-age=${cache.assetMaxAgeSeconds}, immutable`);
         }
         // HTML files: don't cache (or use ETags)
         else if (ext === '.html') {
-          res.setHeader('Cache-Control', 'public, max-age=3600, must-revalidate');
-          // Send ETag so browser can validate
-          res.setHeader('ETag', `"${stats.mtime.getTime()}"`);
+          setDefaultHeader(res, 'Cache-Control', `public, max-age=${cache.htmlMaxAgeSeconds}, must-revalidate`);
         }
         // Default: 1 day
         else {
-          res.setHeader('Cache-Control', 'public, max-age=86400');
+          setDefaultHeader(res, 'Cache-Control', `public, max-age=${cache.defaultMaxAgeSeconds}`);
         }
 
         // Set content type
-        const contentType = getContentType(ext);
-        res.setHeader('Content-Type', contentType);
-        
+        setDefaultHeader(res, 'Content-Type', getContentType(ext));
+        const contentType = res.getHeader('Content-Type');
+
         // Security headers
-        res.setHeader('X-Content-Type-Options', 'nosniff');
-        res.setHeader('X-Frame-Options', 'SAMEORIGIN');
-        res.setHeader('X-XSS-Protection', '1; mode=block');
+        setDefaultHeader(res, 'X-Content-Type-Options', 'nosniff');
+        setDefaultHeader(res, 'X-Frame-Options', 'SAMEORIGIN');
+        setDefaultHeader(res, 'X-XSS-Protection', '1; mode=block');
+
+        const injectScript = ext === '.html' && autoReloadScript ? injectAutoReload : null;
 
-        // Inject auto-reload script into HTML files
-        if (ext === '.html' && autoReloadScript) {
+        // A maintenance notice only shows for a while, so those pages bypass the cache
+        const notice = ext === '.html' ? getMaintenanceWindows().noticeFor(site.id) : null;
+        const transform = notice
+          ? html => injectNotice(injectScript ? injectScript(html) : html, notice.html)
+          : injectScript;
+
+        // Small files come from the in-memory cache
+        if (fileCache.accepts(stats.size) && !notice) {
+          return fileCache.load(filePath, stats, { contentType, transform })
+            .then(({ entry, hit }) => sendCached(entry, hit, stats, req, res))
+            .catch(sendErr => handleSendError(sendErr, filePath, req, res));
+        }
+
+        // Validators for files served from disk
+        // (a page with a notice is a different representation)
+        const noticeTag = notice ? `-${notice.windowId}-${Date.parse(notice.start).toString(16)}` : '';
+        const validators = {
+          etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}${noticeTag}"`,
+          lastModified: stats.mtime,
+        };
+
+        // Inject the auto-reload script and maintenance notice into HTML files
+        if (transform) {
           fs.readFile(filePath, 'utf8', (err, data) => {
             if (err) {
-              return res.status(500).json({ error: 'Internal server error' });
+              return sendError(req, res, 500, 'Internal server error');
             }
-            // Inject script before closing body tag
-            const injected = data.replace(
-              '</body>',
-              `<script>${autoReloadScript}</script>\n</body>`
-            );
-            res.send(injected);
+            const body = Buffer.from(transform(data), 'utf8');
+            sendRepresentation(req, res, body, { size: body.length, ...validators })
+              .catch(sendErr => handleSendError(sendErr, filePath, req, res));
           });
         } else {
-          // Send file normally
-          res.sendFile(filePath);
+          // Stream the file, or its precompressed sibling (supports ranges for media seeking)
+          sendFromDisk(filePath, stats, validators, req, res)
+            .catch(sendErr => handleSendError(sendErr, filePath, req, res));
         }
       });
     } catch (err) {
@@ -177,13 +223,146 @@ export function createStaticServer() {
         path: filePath,
         error: err.message,
       });
-      res.status(500).json({ error: 'Internal server error' });
+      sendError(req, res, 500, 'Internal server error');
+    }
+  }
+
+  /**
+   * Helper: Send a cached entry, choosing the best encoding the client accepts
+   * Range requests always get the identity encoding
+   */
+  function sendCached(entry, hit, stats, req, res) {
+    let body = entry.body;
+    let etag = entry.etag;
+
+    if (entry.br || entry.gzip) {
+      res.vary('Accept-Encoding');
+      const encoding = req.headers.range ? 'identity' : req.acceptsEncodings('br', 'gzip', 'identity');
+      if (encoding === 'br' && entry.br) {
+        body = entry.br;
+      } else if (encoding === 'gzip' && entry.gzip) {
+        body = entry.gzip;
+      }
+      if (body !== entry.body) {
+        res.setHeader('Content-Encoding', encoding);
+        // Each encoding is a different representation, so it gets its own strong ETag
+        etag = `${entry.etag.slice(0, -1)}-${encoding}"`;
+      }
+    }
+
+    res.setHeader('X-Cache', hit ? 'HIT' : 'MISS');
+    return sendRepresentation(req, res, body, { size: body.length, etag, lastModified: stats.mtime });
+  }
+
+  /**
+   * Helper: Stream a file from disk, preferring a fresh .br/.gz sibling the
+   * client accepts. Range requests always get the identity encoding.
+   */
+  async function sendFromDisk(filePath, stats, validators, req, res) {
+    if (isCompressibleFile(filePath)) {
+      res.vary('Accept-Encoding');
+    }
+
+    const siblings = req.headers.range ? {} : await findPrecompressed(filePath, stats);
+    const available = Object.keys(siblings);
+    const encoding = available.length ? req.acceptsEncodings(...available, 'identity') : null;
+
+    if (encoding && siblings[encoding]) {
+      const sibling = siblings[encoding];
+      res.setHeader('Content-Encoding', encoding);
+      return sendRepresentation(req, res, sibling.path, {
+        size: sibling.size,
+        etag: `${validators.etag.slice(0, -1)}-${encoding}"`,
+        lastModified: validators.lastModified,
+      });
     }
+    return sendRepresentation(req, res, filePath, { size: stats.size, ...validators });
+  }
+
+  /**
+   * Helper: Fail a response that errored before or while sending
+   */
+  function handleSendError(err, filePath, req, res) {
+    logger.error('Error sending file', { path: filePath, error: err.message });
+    sendError(req, res, 500, 'Internal server error');
   }
 
   return router;
 }
 
+/**
+ * Map a URL path to a file below staticDir
+ * Resolves to { filePath }, { forbidden } for traversal attempts, or null
+ * Directories and extensionless paths fall back to index.html / .html
+ */
+async function resolveStaticFile(staticDir, urlPath) {
+  const filePath = path.join(staticDir, decodeURIComponent(urlPath));
+  const normalizedPath = path.normalize(filePath);
+
+  // Ensure the path is within staticDir
+  if (!normalizedPath.startsWith(path.normalize(staticDir))) {
+    return { forbidden: true, attemptedPath: filePath };
+  }
+
+  const isFile = async p => {
+    try {
+      return (await fs.promises.stat(p)).isFile() && !isRuleFile(p);
+    } catch {
+      return false;
+    }
+  };
+
+  let stats = null;
+  try {
+    stats = await fs.promises.stat(normalizedPath);
+  } catch (err) {
+    if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') throw err;
+  }
+
+  if (stats?.isDirectory() || (!stats && urlPath.endsWith('/'))) {
+    const indexPath = path.join(normalizedPath, 'index.html');
+    return await isFile(indexPath) ? { filePath: indexPath } : null;
+  }
+  if (stats) {
+    return await isFile(normalizedPath) ? { filePath: normalizedPath } : null;
+  }
+
+  // Try appending .html
+  if (!normalizedPath.endsWith('.html') && await isFile(normalizedPath + '.html')) {
+    return { filePath: normalizedPath + '.html' };
+  }
+  return null;
+}
+
+/**
+ * Set a response header unless a _headers rule already set it
+ */
+function setDefaultHeader(res, name, value) {
+  if (!res.hasHeader(name)) {
+    res.setHeader(name, value);
+  }
+}
+
+/**
+ * Inject the auto-reload script before the closing body tag
+ */
+function injectAutoReload(html) {
+  return html.replace(
+    '</body>',
+    `<script>${autoReloadScript}</script>\n</body>`
+  );
+}
+
+/**
+ * Insert a notice banner right after the opening body tag
+ */
+function injectNotice(html, banner) {
+  const bodyTag = /<body\b[^>]*>/i.exec(html);
+  if (!bodyTag) return banner + html;
+  const at = bodyTag.index + bodyTag[0].length;
+  return `${html.slice(0, at)}\n${banner}${html.slice(at)}`;
+}
+
 /**
  * Determine content type from file extension
  */
@@ -3,9 +3,11 @@
  * 
  * Runs the actual HTTP server.
  * Communicates with master for:
- * - Heartbeats (every 5 seconds)
+ * - Heartbeats (every 5 seconds) with event-loop lag, CPU, GC and connection figures
  * - Drain signals (graceful shutdown)
+ * - Blue/green generations (standby, serve, park)
  * - Crash monitoring
+ * - Plugin toggles (applied in every worker)
  * 
  * Key behaviors:
  * - Sends health metrics to master periodically
@@ -14,6 +16,7 @@
  */
 
 import cluster from 'cluster';
+import http from 'http';
 import os from 'os';
 import express from 'express';
 import { createStaticServer } from './static-server.js';
@@ -24,6 +27,30 @@ import config from '../utils/config.js';
 import logger from '../utils/logger.js';
 import { getMaintenanceManager } from '../maintenance/manager.js';
 import { getComingSoonManager } from '../maintenance/coming-soon.js';
+import { getPluginManager } from '../utils/plugin-system.js';
+import { getSiteRegistry } from '../utils/sites.js';
+import { getReleaseManager } from '../utils/releases.js';
+import { getFileCache } from '../utils/file-cache.js';
+import { invalidateSiteRules } from '../utils/site-rules.js';
+import { sendError } from '../utils/error-pages.js';
+import { reloadSpaSettings } from '../utils/spa.js';
+import {
+  checkScrapeAccess,
+  getMetricsCollector,
+  getRequestMetrics,
+  requestClusterMetrics,
+  resolveClusterMetrics,
+} from '../utils/metrics.js';
+import { routeRateLimits, resolveRateLimit } from '../utils/rate-limit.js';
+import { auditTrail } from '../utils/audit.js';
+import { resolveAutoscaleStatus } from './autoscaler.js';
+import { resolveDeployment } from './deployment.js';
+import { RuntimeSampler } from '../health/sampler.js';
+import { resolveWorkerHealth } from '../health/monitor.js';
+import { resolveRollingRestartStatus } from '../watchdog/coordinator.js';
+
+// How long /internal/health reuses the plugin health check results
+const HEALTH_CHECK_CACHE_MS = 2000;
 
 /**
  * Create and run worker HTTP server
@@ -39,22 +66,24 @@ export function createWorker(watchdog) {
   let lastHeartbeat = Date.now();
   let requestCount = 0;
   let errorCount = 0;
+  let serverErrorCount = 0;
+  let server = null;
+  let openConnections = 0;
+
+  // Blue/green: a new generation starts in standby, answering only the
+  // master's synthetic checks on a loopback port until it is promoted
+  const standby = process.env.WORKER_STANDBY === '1';
+  let standbyServer = null;
+
+  const pluginManager = getPluginManager();
 
   logger.info(`Worker ${workerId} starting`, {
     pid: process.pid,
     staticDir: config.staticSiteDir,
   });
 
-  /**
-   * Calculate event loop lag for health reporting
-   */
-  function measureEventLoopLag() {
-    const start = Date.now();
-    setImmediate(() => {
-      const lag = Date.now() - start;
-      return lag;
-    });
-  }
+  // Event-loop delay, CPU and GC figures for heartbeats
+  const runtimeSampler = new RuntimeSampler();
 
   /**
    * Send heartbeat to master with health metrics
@@ -62,11 +91,22 @@ export function createWorker(watchdog) {
   function sendHeartbeat() {
     try {
       const memUsage = process.memoryUsage();
+      const runtime = runtimeSampler.take();
       const health = {
         workerId,
+        pid: process.pid,
         memoryUsageMB: Math.round(memUsage.heapUsed / 1024 / 1024),
-        eventLoopLagMs: 0, // Simplified for this implementation
+        eventLoopLagMs: runtime.eventLoopLag.p99,
+        eventLoopLag: runtime.eventLoopLag,
+        cpuPercent: runtime.cpu.percent,
+        cpu: runtime.cpu,
+        gc: runtime.gc,
+        activeHandles: runtime.activeHandles,
+        openConnections,
+        activeRequests: activeConnections.size,
+        intervalMs: runtime.intervalMs,
         errorCount,
+        serverErrorCount,
         requestCount,
         uptime: process.uptime(),
       };
@@ -124,15 +164,57 @@ export function createWorker(watchdog) {
     next();
   });
 
+  /**
+   * Send this worker's request metrics to the master
+   */
+  function flushMetrics() {
+    const delta = getRequestMetrics().takeDelta();
+    if (delta.series.length || delta.cache.hits || delta.cache.misses) {
+      process.send({ type: 'metrics', data: delta });
+    }
+  }
+
+  /**
+   * Metrics route label: the matched Express route, or "static"
+   * (kept coarse so label cardinality stays bounded)
+   */
+  function routeLabel(req) {
+    if (req.route) {
+      return `${req.baseUrl || ''}${req.route.path}`;
+    }
+    if (req.originalUrl.startsWith('/admin') || req.originalUrl.startsWith('/maintenance')) {
+      return `/${req.originalUrl.split(/[/?]/)[1]}/*`;
+    }
+    return 'static';
+  }
+
   /**
    * Middleware: Track requests
    */
   app.use((req, res, next) => {
     requestCount++;
-    const startTime = Date.now();
+    const startTime = process.hrtime.bigint();
 
     const originalJson = res.json;
     const originalSend = res.send;
+    const originalWrite = res.write;
+    const originalEnd = res.end;
+    let bytesSent = 0;
+
+    // Count body bytes as written to the socket (after compression)
+    const countChunk = (chunk, encoding) => {
+      if (chunk && typeof chunk !== 'function') {
+        bytesSent += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+      }
+    };
+    res.write = function (chunk, encoding, ...rest) {
+      countChunk(chunk, encoding);
+      return originalWrite.call(this, chunk, encoding, ...rest);
+    };
+    res.end = function (chunk, encoding, ...rest) {
+      countChunk(chunk, encoding);
+      return originalEnd.call(this, chunk, encoding, ...rest);
+    };
 
     // Wrap json response
     res.json = function (data) {
@@ -151,7 +233,21 @@ export function createWorker(watchdog) {
     };
 
     res.on('finish', () => {
-      const duration = Date.now() - startTime;
+      if (res.statusCode >= 500) {
+        serverErrorCount++;
+      }
+      const duration = Number(process.hrtime.bigint() - startTime) / 1e6;
+      getRequestMetrics().record({
+        route: routeLabel(req),
+        method: req.method,
+        status: res.statusCode,
+        durationMs: duration,
+        bytes: bytesSent,
+      });
+      getMetricsCollector().recordRequest(req.method, res.statusCode, duration, res.statusCode >= 500);
+      if (req.releaseVariant) {
+        getMetricsCollector().recordVariant(req.releaseVariant, res.statusCode, duration);
+      }
       logger.debug('HTTP request completed', {
         method: req.method,
         path: req.path,
@@ -164,11 +260,74 @@ export function createWorker(watchdog) {
   });
 
   /**
-   * Middleware: Maintenance mode check
+   * Middleware: Resolve the virtual host site for this request
+   */
+  app.use((req, res, next) => {
+    req.site = getSiteRegistry().resolveHost(req.hostname);
+    next();
+  });
+
+  /**
+   * Middleware: Per-prefix rate limits, counted cluster-wide by the master
+   */
+  app.use(routeRateLimits());
+
+  /**
+   * Prometheus scrape endpoint: cluster-wide metrics aggregated by the master
+   * Registered before the maintenance check so scrapes never get a 503 page
+   */
+  app.get('/metrics', async (req, res) => {
+    // The socket address, not req.ip: a forwarded header must not pass as loopback
+    const denied = checkScrapeAccess(req.get('authorization'), req.socket.remoteAddress, config.metrics.token);
+    if (denied) {
+      return res.status(denied).json({ error: denied === 401 ? 'Unauthorized' : 'Forbidden' });
+    }
+    try {
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+      res.send(await requestClusterMetrics('prometheus'));
+    } catch (err) {
+      logger.error('Error collecting cluster metrics', { error: err.message });
+      res.status(503).json({ error: 'Metrics unavailable' });
+    }
+  });
+
+  /**
+   * Internal health endpoints (not public)
+   * Readiness probe of rolling restarts and blue/green checks, both sent by
+   * the master on this host, so only same-host clients are answered; it
+   * answers in maintenance mode too. Plugin checks are shared by the probes
+   * of a short interval so they can't be run in a loop.
+   */
+  let pluginHealth = null; // { at, results: Promise }
+  app.get('/internal/health', async (req, res) => {
+    const { remoteAddress, localAddress } = req.socket;
+    if (remoteAddress !== localAddress && !['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(remoteAddress)) {
+      return sendError(req, res, 404, 'Not found');
+    }
+
+    if (!pluginHealth || Date.now() - pluginHealth.at > HEALTH_CHECK_CACHE_MS) {
+      pluginHealth = { at: Date.now(), results: pluginManager.runHealthChecks() };
+    }
+    const plugins = await pluginHealth.results;
+    const healthy = plugins.every(check => check.healthy);
+
+    res.status(healthy ? 200 : 503).json({
+      status: healthy ? 'healthy' : 'unhealthy',
+      workerId,
+      uptime: process.uptime(),
+      memory: process.memoryUsage(),
+      requests: requestCount,
+      errors: errorCount,
+      plugins,
+    });
+  });
+
+  /**
+   * Middleware: Maintenance mode check (per site)
    */
   app.use((req, res, next) => {
-    const maintenance = getMaintenanceManager();
-    const comingSoon = getComingSoonManager();
+    const maintenance = getMaintenanceManager(req.site.id);
+    const comingSoon = getComingSoonManager(req.site.id);
 
     // Check if route should bypass maintenance/coming-soon
     if (maintenance.shouldBypassMaintenance(req.path)) {
@@ -193,24 +352,10 @@ export function createWorker(watchdog) {
     next();
   });
 
-  /**
-   * Internal health endpoints (not public)
-   * Accessible via admin/maintenance panels
-   */
-  app.get('/internal/health', (req, res) => {
-    res.json({
-      status: 'healthy',
-      workerId,
-      uptime: process.uptime(),
-      memory: process.memoryUsage(),
-      requests: requestCount,
-      errors: errorCount,
-    });
-  });
-
   /**
    * Admin panel routes
    */
+  app.use(['/admin', '/maintenance'], auditTrail());
   app.use('/admin', createAdminPanel(watchdog));
   app.use('/admin', createExtendedAdminPanel(watchdog));
 
@@ -219,6 +364,13 @@ export function createWorker(watchdog) {
    */
   app.use('/maintenance', createMaintenancePanel(cluster, watchdog));
 
+  /**
+   * Plugin middleware, then plugin routes, wrapped around the static site.
+   * Mounted after the panels so plugins never alter admin/ops responses.
+   */
+  app.use(pluginManager.middlewareHandler());
+  app.use(pluginManager.routesHandler());
+
   /**
    * Static file server
    */
@@ -228,10 +380,7 @@ export function createWorker(watchdog) {
    * 404 handler
    */
   app.use((req, res) => {
-    res.status(404).json({
-      error: 'Not found',
-      path: req.path,
-    });
+    sendError(req, res, 404, 'Not found', { path: req.path });
   });
 
   /**
@@ -246,9 +395,9 @@ export function createWorker(watchdog) {
       stack: err.stack,
     });
 
-    res.status(500).json({
-      error: 'Internal server error',
-    });
+    // Client errors raised by middleware (e.g. malformed JSON) keep their status
+    const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+    sendError(req, res, status, status === 500 ? 'Internal server error' : err.message);
   });
 
   /**
@@ -272,7 +421,7 @@ export function createWorker(watchdog) {
         if (activeConnections.size === 0) {
           clearInterval(drainCheckInterval);
           logger.info('All connections drained, exiting', { workerId });
-          process.exit(0);
+          exitAfterPluginCleanup(0);
         }
 
         const elapsed = Date.now() - drainStart;
@@ -283,9 +432,22 @@ export function createWorker(watchdog) {
             elapsedMs: elapsed,
             activeConnections: activeConnections.size,
           });
-          process.exit(0);
+          exitAfterPluginCleanup(0);
         }
       }, 100);
+    } else if (msg.cmd === 'serve') {
+      // Blue/green: take (or take back) traffic on the shared port
+      serve();
+      if (standbyServer) {
+        standbyServer.close();
+        standbyServer = null;
+      }
+    } else if (msg.cmd === 'park') {
+      // Blue/green: stop taking connections but stay up for a rollback
+      if (server?.listening) {
+        server.close();
+        logger.info('Worker parked', { workerId });
+      }
     } else if (msg.cmd === 'throttle') {
       const delay = Number(msg.delayMs) || 0;
       throttleDelayMs = Math.max(0, delay);
@@ -294,9 +456,55 @@ export function createWorker(watchdog) {
       const code = Number(msg.code) || 0;
       logger.warn('Forced exit requested', { workerId, code });
       setTimeout(() => process.exit(code), 50);
+    } else if (msg.cmd === 'plugin-toggle') {
+      pluginManager.setEnabled(msg.name, !!msg.enabled);
+    } else if (msg.cmd === 'sites-reload') {
+      getSiteRegistry().load();
+      logger.info('Sites reloaded', { workerId });
+    } else if (msg.cmd === 'release-reload') {
+      // Pick up the new release pointer and confirm to the master
+      // (a release pinned by a blue/green deployment gives way to it)
+      const releases = getReleaseManager(msg.site);
+      releases.unpin();
+      const release = releases.loadPointer()?.release || null;
+      logger.info('Release pointer reloaded', { workerId, site: msg.site, release });
+      process.send({ type: 'release-ack', site: msg.site, release });
+    } else if (msg.cmd === 'cache-invalidate') {
+      getFileCache().invalidate(msg.path);
+      invalidateSiteRules(msg.path);
+    } else if (msg.cmd === 'cache-purge') {
+      getFileCache().clear();
+    } else if (msg.cmd === 'metrics-result') {
+      resolveClusterMetrics(msg);
+    } else if (msg.cmd === 'rate-limit-result') {
+      resolveRateLimit(msg);
+    } else if (msg.cmd === 'autoscale-status-result') {
+      resolveAutoscaleStatus(msg);
+    } else if (msg.cmd === 'worker-health-result') {
+      resolveWorkerHealth(msg);
+    } else if (msg.cmd === 'rolling-restart-status-result') {
+      resolveRollingRestartStatus(msg);
+    } else if (msg.cmd === 'deployment-result') {
+      resolveDeployment(msg);
+    } else if (msg.cmd === 'config-override-reload') {
+      reloadSpaSettings();
+    } else if (msg.cmd === 'site-state-reload') {
+      getMaintenanceManager(msg.site).loadState();
+      getComingSoonManager(msg.site).loadState();
     }
   });
 
+  /**
+   * Run plugin cleanup() before exiting; never blocks exit on failure
+   */
+  function exitAfterPluginCleanup(code) {
+    pluginManager.cleanup()
+      .catch(err => {
+        logger.error('Plugin cleanup failed', { workerId, error: err.message });
+      })
+      .finally(() => process.exit(code));
+  }
+
   /**
    * Handle process shutdown signals
    */
@@ -307,29 +515,84 @@ export function createWorker(watchdog) {
     if (server) {
       server.close(() => {
         logger.info('Server closed, exiting gracefully', { workerId });
-        process.exit(0);
+        exitAfterPluginCleanup(0);
       });
     }
   });
 
   /**
-   * Start the server
+   * Listen on the shared port (again, after being parked)
+   */
+  function serve() {
+    if (!server) {
+      server = http.createServer(app);
+
+      server.on('connection', (socket) => {
+        openConnections++;
+        socket.once('close', () => { openConnections--; });
+      });
+
+      server.on('error', (err) => {
+        errorCount++;
+        logger.error('Server error', {
+          workerId,
+          error: err.message,
+        });
+      });
+    }
+    if (server.listening) return;
+
+    server.listen(config.port, config.host, () => {
+      logger.info(`Worker ${workerId} listening`, {
+        port: config.port,
+        host: config.host,
+        address: `http://${config.host}:${config.port}`,
+        plugins: pluginManager.listPlugins().length,
+      });
+    });
+  }
+
+  /**
+   * Standby: listen on a loopback port of this worker's own (not shared
+   * with the cluster) and tell the master where to send its checks
    */
-  const server = app.listen(config.port, config.host, () => {
-    logger.info(`Worker ${workerId} listening`, {
-      port: config.port,
-      host: config.host,
-      address: `http://${config.host}:${config.port}`,
+  function listenStandby() {
+    standbyServer = http.createServer(app);
+    standbyServer.listen({ port: 0, host: '127.0.0.1', exclusive: true }, () => {
+      const { port } = standbyServer.address();
+      logger.info(`Worker ${workerId} standing by`, { port });
+      process.send({ type: 'standby-ready', port });
     });
-  });
+  }
 
-  server.on('error', (err) => {
-    errorCount++;
-    logger.error('Server error', {
-      workerId,
-      error: err.message,
+  // Releases a blue/green deployment is about to make live
+  try {
+    const pinned = JSON.parse(process.env.WORKER_RELEASES || '{}');
+    for (const [siteId, releaseId] of Object.entries(pinned)) {
+      getReleaseManager(siteId).pin(releaseId);
+    }
+  } catch (err) {
+    logger.error('Invalid pinned releases', { workerId, error: err.message });
+  }
+
+  /**
+   * Start the server once plugins are loaded, so the first request
+   * already passes through their middleware
+   */
+  pluginManager.loadPlugins()
+    .catch(err => {
+      logger.error('Plugin loading failed, continuing without plugins', {
+        workerId,
+        error: err.message,
+      });
+    })
+    .finally(() => {
+      if (standby) {
+        listenStandby();
+      } else {
+        serve();
+      }
     });
-  });
 
   /**
    * Start sending heartbeats to master
@@ -338,6 +601,17 @@ export function createWorker(watchdog) {
     sendHeartbeat();
   }, config.cluster.heartbeatIntervalMs);
 
+  /**
+   * Ship request metrics to the master
+   */
+  const metricsInterval = setInterval(() => {
+    try {
+      flushMetrics();
+    } catch (err) {
+      logger.error('Error sending metrics', { error: err.message, workerId });
+    }
+  }, config.metrics.flushIntervalMs);
+
   /**
    * Graceful shutdown on worker error
    */
@@ -365,9 +639,13 @@ export function createWorker(watchdog) {
   });
 
   return {
-    server,
+    get server() {
+      return server;
+    },
     cleanup: () => {
       clearInterval(heartbeatInterval);
+      clearInterval(metricsInterval);
+      return pluginManager.cleanup();
     },
   };
 }
@@ -180,6 +180,47 @@ export async function alertRollingRestartCompleted(workerCount, durationSeconds)
   await sendEmail(subject, html);
 }
 
+/**
+ * Alert: Rolling restart aborted (a replacement worker failed its readiness probe)
+ */
+export async function alertRollingRestartAborted(step, restartedCount, remainingCount, reason) {
+  const subject = `[SiteManager+] CRITICAL: Rolling Restart Aborted`;
+  const html = `
+    <h2 style="color: red;">Rolling Restart Aborted</h2>
+    <p><strong>Reason for restart:</strong> ${reason}</p>
+    <p><strong>Failed replacement:</strong> worker ${step?.replacementId ?? '?'} (replacing worker ${step?.workerId ?? '?'})</p>
+    <p><strong>Readiness error:</strong> ${step?.error || 'unknown'}</p>
+    <p><strong>Workers Restarted:</strong> ${restartedCount}</p>
+    <p><strong>Old Workers Still Running:</strong> ${remainingCount}</p>
+    <p><strong>Time:</strong> ${new Date().toISOString()}</p>
+    <p>The failed replacement was retired. Fix the problem (check the worker logs) and start a new rolling restart.</p>
+  `;
+  await sendEmail(subject, html);
+}
+
+/**
+ * Alert: Blue/green deployment finished (completed, failed or rolled back)
+ */
+export async function alertDeployment(deployment) {
+  const titles = { completed: 'Completed', failed: 'Failed', 'rolled-back': 'Rolled Back' };
+  const title = titles[deployment.status] || deployment.status;
+  const critical = deployment.status !== 'completed';
+  const subject = `[SiteManager+] ${critical ? 'CRITICAL: ' : ''}Blue/Green Deployment ${title}`;
+  const releases = Object.entries(deployment.releases).map(([site, release]) => `${site}: ${release}`).join(', ');
+  const html = `
+    <h2${critical ? ' style="color: red;"' : ''}>Blue/Green Deployment ${title}</h2>
+    <p><strong>Reason:</strong> ${deployment.reason}</p>
+    <p><strong>Started By:</strong> ${deployment.startedBy}</p>
+    ${releases ? `<p><strong>Releases:</strong> ${releases}</p>` : ''}
+    <p><strong>Workers:</strong> ${deployment.size}</p>
+    ${deployment.error ? `<p><strong>Error:</strong> ${deployment.error}</p>` : ''}
+    ${deployment.bake ? `<p><strong>Bake:</strong> ${deployment.bake.requests} requests, ${deployment.bake.errorRate}% 5xx</p>` : ''}
+    <p><strong>Time:</strong> ${new Date().toISOString()}</p>
+    <p>${critical ? 'The previous generation keeps serving.' : 'The new generation now serves all traffic.'}</p>
+  `;
+  await sendEmail(subject, html);
+}
+
 /**
  * Alert: Maintenance mode toggled
  */
@@ -196,6 +237,23 @@ export async function alertMaintenanceModeToggled(enabled, reason, duration) {
   await sendEmail(subject, html);
 }
 
+/**
+ * Alert: Scheduled maintenance window started or ended
+ */
+export async function alertMaintenanceWindow({ event, site, reason, start, end, cancelled = false }) {
+  const action = event === 'started' ? 'Started' : cancelled ? 'Cancelled' : 'Ended';
+  const subject = `[SiteManager+] Scheduled Maintenance ${action} (${site})`;
+  const html = `
+    <h2>Scheduled Maintenance ${action}</h2>
+    <p><strong>Site:</strong> ${site}</p>
+    ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
+    <p><strong>Window:</strong> ${start} to ${end}</p>
+    <p><strong>Time:</strong> ${new Date().toISOString()}</p>
+    <p>${event === 'started' ? 'Maintenance mode was turned on for the window.' : 'Maintenance mode was turned off unless it was on before the window or extended.'}</p>
+  `;
+  await sendEmail(subject, html);
+}
+
 /**
  * Alert: System health degraded
  */
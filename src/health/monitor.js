@@ -6,11 +6,15 @@
  * - Memory usage
  * - Request handling
  * - Error tracking
+ * - Event-loop lag, CPU and GC pauses (measured in the worker)
  * 
  * Workers are considered unhealthy if:
  * - They miss 2+ consecutive heartbeats
  * - Memory usage exceeds threshold
- * - High error rate detected
+ * - Event-loop lag (p99) exceeds the unhealthy threshold
+ *
+ * and degraded on a high error rate, event-loop lag, CPU or GC share.
+ * The watchdog replaces unhealthy workers; degraded ones keep serving.
  */
 
 import config from '../utils/config.js';
@@ -38,9 +42,19 @@ export class WorkerHealth {
     this.restartCount = 0;
     this.lastRestartTime = null;
     this.errorCount = 0;
+    this.serverErrorCount = 0; // 5xx only
     this.requestCount = 0;
     this.memoryUsageMB = 0;
     this.eventLoopLagMs = 0;
+    this.eventLoopLag = null;
+    this.cpuPercent = 0;
+    this.cpu = null;
+    this.gc = null;
+    this.activeHandles = 0;
+    this.openConnections = 0;
+    this.activeRequests = 0;
+    this.pid = null;
+    this.intervalMs = config.cluster.heartbeatIntervalMs;
   }
 
   /**
@@ -54,7 +68,17 @@ export class WorkerHealth {
       this.memoryUsageMB = healthData.memoryUsageMB || 0;
       this.eventLoopLagMs = healthData.eventLoopLagMs || 0;
       this.errorCount = healthData.errorCount || 0;
+      this.serverErrorCount = healthData.serverErrorCount || 0;
       this.requestCount = healthData.requestCount || 0;
+      this.eventLoopLag = healthData.eventLoopLag || null;
+      this.cpuPercent = healthData.cpuPercent || 0;
+      this.cpu = healthData.cpu || null;
+      this.gc = healthData.gc || null;
+      this.activeHandles = healthData.activeHandles || 0;
+      this.openConnections = healthData.openConnections || 0;
+      this.activeRequests = healthData.activeRequests || 0;
+      this.pid = healthData.pid || this.pid;
+      this.intervalMs = healthData.intervalMs || this.intervalMs;
     }
 
     this.updateStatus();
@@ -81,7 +105,8 @@ export class WorkerHealth {
       }
     }
 
-    return this.updateStatus();
+    this.updateStatus();
+    return this.status !== HEALTH_STATUS.UNHEALTHY;
   }
 
   /**
@@ -90,16 +115,27 @@ export class WorkerHealth {
   updateStatus() {
     const previousStatus = this.status;
 
+    const { cluster } = config;
+    const gcPercent = this.gc ? this.gc.pauseMs / this.intervalMs * 100 : 0;
+
     // Check memory threshold
-    if (this.memoryUsageMB > config.cluster.memoryThresholdMB) {
+    if (this.memoryUsageMB > cluster.memoryThresholdMB) {
+      this.status = HEALTH_STATUS.UNHEALTHY;
+    }
+    // A loop blocked for seconds at a time is as good as hung
+    else if (this.eventLoopLagMs > cluster.eventLoopLagUnhealthyMs) {
       this.status = HEALTH_STATUS.UNHEALTHY;
     }
     // Check error rate (more than 10% errors is degraded)
     else if (this.requestCount > 0 && (this.errorCount / this.requestCount) > 0.1) {
       this.status = HEALTH_STATUS.DEGRADED;
     }
-    // Check event loop lag (>100ms is degraded)
-    else if (this.eventLoopLagMs > 100) {
+    // Check event loop lag, CPU and time lost to GC
+    else if (
+      this.eventLoopLagMs > cluster.eventLoopLagDegradedMs
+      || this.cpuPercent > cluster.cpuDegradedPercent
+      || gcPercent > cluster.gcDegradedPercent
+    ) {
       this.status = HEALTH_STATUS.DEGRADED;
     } else {
       this.status = HEALTH_STATUS.HEALTHY;
@@ -110,6 +146,9 @@ export class WorkerHealth {
         from: previousStatus,
         to: this.status,
         memory: `${this.memoryUsageMB}MB`,
+        eventLoopLagMs: this.eventLoopLagMs,
+        cpuPercent: this.cpuPercent,
+        gcPauseMs: this.gc?.pauseMs ?? 0,
         errorRate: this.requestCount > 0 ? `${((this.errorCount / this.requestCount) * 100).toFixed(2)}%` : 'N/A',
       });
     }
@@ -142,8 +181,17 @@ export class WorkerHealth {
       uptime: this.getUptime(),
       restarts: this.restartCount,
       memoryMB: this.memoryUsageMB,
+      pid: this.pid,
       eventLoopLagMs: this.eventLoopLagMs,
+      eventLoopLag: this.eventLoopLag,
+      cpuPercent: this.cpuPercent,
+      cpu: this.cpu,
+      gc: this.gc,
+      activeHandles: this.activeHandles,
+      openConnections: this.openConnections,
+      activeRequests: this.activeRequests,
       errorCount: this.errorCount,
+      serverErrorCount: this.serverErrorCount,
       requestCount: this.requestCount,
       errorRate: this.requestCount > 0 ? (this.errorCount / this.requestCount * 100).toFixed(2) + '%' : 'N/A',
       lastHeartbeat: new Date(this.lastHeartbeat).toISOString(),
@@ -234,3 +282,35 @@ export class HealthMonitor {
     this.workers.delete(workerId);
   }
 }
+
+// Health requests waiting for the master's answer, by request id
+const pendingHealth = new Map();
+let nextHealthId = 1;
+
+/**
+ * Ask the master for every worker's latest heartbeat summary (from a worker)
+ */
+export function requestWorkerHealth(timeoutMs = 3000) {
+  if (!process.send) return Promise.resolve([]);
+
+  return new Promise((resolve, reject) => {
+    const requestId = nextHealthId++;
+    const timer = setTimeout(() => {
+      pendingHealth.delete(requestId);
+      reject(new Error('Timed out waiting for worker health'));
+    }, timeoutMs);
+    pendingHealth.set(requestId, { resolve, timer });
+    process.send({ type: 'worker-health-request', requestId });
+  });
+}
+
+/**
+ * Deliver the master's answer to a pending health request
+ */
+export function resolveWorkerHealth({ requestId, result }) {
+  const pending = pendingHealth.get(requestId);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pendingHealth.delete(requestId);
+  pending.resolve(result);
+}
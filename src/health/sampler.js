@@ -0,0 +1,84 @@
+/**
+ * Worker Runtime Sampler
+ *
+ * Measures, inside a worker, the runtime figures its heartbeats report:
+ * - Event-loop delay percentiles (perf_hooks.monitorEventLoopDelay)
+ * - CPU time, as a percentage of one core
+ * - Garbage collection pauses
+ * - Active handles (sockets, timers, servers...)
+ *
+ * Each take() covers the time since the previous one, so a heartbeat
+ * reports its own interval rather than an all-time average.
+ */
+
+import { monitorEventLoopDelay, performance, PerformanceObserver } from 'perf_hooks';
+
+// The delay histogram samples on a timer of this resolution; its readings
+// include the resolution itself, which is subtracted
+const RESOLUTION_MS = 10;
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits;
+  return Number.isFinite(value) ? Math.round(value * factor) / factor : 0;
+};
+
+export class RuntimeSampler {
+  constructor() {
+    this.histogram = monitorEventLoopDelay({ resolution: RESOLUTION_MS });
+    this.histogram.enable();
+
+    this.gc = { count: 0, pauseMs: 0, maxPauseMs: 0 };
+    this.gcObserver = new PerformanceObserver((list) => {
+      for (const entry of list.getEntries()) {
+        this.gc.count++;
+        this.gc.pauseMs += entry.duration;
+        this.gc.maxPauseMs = Math.max(this.gc.maxPauseMs, entry.duration);
+      }
+    });
+    this.gcObserver.observe({ entryTypes: ['gc'] });
+
+    this.lastCpu = process.cpuUsage();
+    this.lastSampleAt = performance.now();
+  }
+
+  /**
+   * Figures for the interval since the previous call
+   */
+  take() {
+    const lag = (nanoseconds) => round(Math.max(0, nanoseconds / 1e6 - RESOLUTION_MS));
+    const eventLoopLag = {
+      p50: lag(this.histogram.percentile(50)),
+      p99: lag(this.histogram.percentile(99)),
+      max: lag(this.histogram.max),
+      mean: lag(this.histogram.mean),
+    };
+    this.histogram.reset();
+
+    const now = performance.now();
+    const elapsedMs = now - this.lastSampleAt;
+    const cpu = process.cpuUsage(this.lastCpu);
+    this.lastCpu = process.cpuUsage();
+    this.lastSampleAt = now;
+    const cpuMs = (cpu.user + cpu.system) / 1000;
+
+    const gc = { count: this.gc.count, pauseMs: round(this.gc.pauseMs), maxPauseMs: round(this.gc.maxPauseMs) };
+    this.gc = { count: 0, pauseMs: 0, maxPauseMs: 0 };
+
+    return {
+      eventLoopLag,
+      cpu: {
+        percent: elapsedMs > 0 ? round(cpuMs / elapsedMs * 100) : 0,
+        userMs: round(cpu.user / 1000),
+        systemMs: round(cpu.system / 1000),
+      },
+      gc,
+      activeHandles: process.getActiveResourcesInfo().length,
+      intervalMs: Math.round(elapsedMs),
+    };
+  }
+
+  stop() {
+    this.histogram.disable();
+    this.gcObserver.disconnect();
+  }
+}
@@ -3,12 +3,14 @@
  * 
  * Similar to maintenance but shows "coming soon" instead of "under maintenance"
  * Used while site is still being built but accessible internally
+ * Each virtual-host site has its own state (see src/utils/sites.js)
  */
 
 import fs from 'fs';
 import path from 'path';
 import config from '../utils/config.js';
 import logger from '../utils/logger.js';
+import { DEFAULT_SITE_ID, getSiteDataDir } from '../utils/sites.js';
 import { EventEmitter } from 'events';
 
 const DEFAULT_COMING_SOON_STATE = {
@@ -18,9 +20,10 @@ const DEFAULT_COMING_SOON_STATE = {
 };
 
 export class ComingSoonManager extends EventEmitter {
-  constructor() {
+  constructor(siteId = DEFAULT_SITE_ID) {
     super();
-    this.stateFile = path.join(config.paths.data, 'coming-soon-state.json');
+    this.siteId = siteId;
+    this.stateFile = path.join(getSiteDataDir(siteId), 'coming-soon-state.json');
     this.state = { ...DEFAULT_COMING_SOON_STATE };
     this.pageCache = null;
     this.loadState();
@@ -33,7 +36,7 @@ export class ComingSoonManager extends EventEmitter {
         const data = fs.readFileSync(this.stateFile, 'utf8');
         const loaded = JSON.parse(data);
         this.state = { ...DEFAULT_COMING_SOON_STATE, ...loaded };
-        logger.info('Coming soon state loaded', { enabled: this.state.enabled });
+        logger.info('Coming soon state loaded', { site: this.siteId, enabled: this.state.enabled });
       } else {
         this.state = { ...DEFAULT_COMING_SOON_STATE };
       }
@@ -57,7 +60,10 @@ export class ComingSoonManager extends EventEmitter {
 
   loadPage() {
     try {
-      const pagePath = path.join(config.paths.data, 'coming-soon.html');
+      const sitePagePath = path.join(getSiteDataDir(this.siteId), 'coming-soon.html');
+      const pagePath = fs.existsSync(sitePagePath)
+        ? sitePagePath
+        : path.join(config.paths.data, 'coming-soon.html');
       if (fs.existsSync(pagePath)) {
         this.pageCache = fs.readFileSync(pagePath, 'utf8');
       } else {
@@ -107,14 +113,14 @@ export class ComingSoonManager extends EventEmitter {
     this.state.startedAt = new Date().toISOString();
     this.saveState();
     this.emit('enabled');
-    logger.info('Coming soon mode enabled');
+    logger.info('Coming soon mode enabled', { site: this.siteId });
   }
 
   disable() {
     this.state.enabled = false;
     this.saveState();
     this.emit('disabled');
-    logger.info('Coming soon mode disabled');
+    logger.info('Coming soon mode disabled', { site: this.siteId });
   }
 
   getPage() {
@@ -127,11 +133,12 @@ export class ComingSoonManager extends EventEmitter {
   }
 }
 
-let comingSoonManager = null;
+// One instance per site
+const comingSoonManagers = new Map();
 
-export function getComingSoonManager() {
-  if (!comingSoonManager) {
-    comingSoonManager = new ComingSoonManager();
+export function getComingSoonManager(siteId = DEFAULT_SITE_ID) {
+  if (!comingSoonManagers.has(siteId)) {
+    comingSoonManagers.set(siteId, new ComingSoonManager(siteId));
   }
-  return comingSoonManager;
+  return comingSoonManagers.get(siteId);
 }
@@ -9,14 +9,18 @@
  * - /admin and /maintenance routes always bypass maintenance
  * - Can be triggered automatically or manually
  * - Instant on/off without restart
+ * - Independent state per virtual-host site
  * 
  * Maintenance state stored as JSON file for persistence across restarts.
+ * The default site uses config.maintenance.stateFile; other sites keep
+ * theirs in data/sites/<id>/maintenance-state.json.
  */
 
 import fs from 'fs';
 import path from 'path';
 import config from '../utils/config.js';
 import logger from '../utils/logger.js';
+import { DEFAULT_SITE_ID, getSiteDataDir } from '../utils/sites.js';
 import { EventEmitter } from 'events';
 
 /**
@@ -35,9 +39,12 @@ const DEFAULT_MAINTENANCE_STATE = {
  * MaintenanceManager handles all maintenance mode operations
  */
 export class MaintenanceManager extends EventEmitter {
-  constructor() {
+  constructor(siteId = DEFAULT_SITE_ID) {
     super();
-    this.stateFile = config.maintenance.stateFile;
+    this.siteId = siteId;
+    this.stateFile = siteId === DEFAULT_SITE_ID
+      ? config.maintenance.stateFile
+      : path.join(getSiteDataDir(siteId), 'maintenance-state.json');
     this.state = { ...DEFAULT_MAINTENANCE_STATE };
     this.maintenancePageCache = null;
     this.loadState();
@@ -56,6 +63,7 @@ export class MaintenanceManager extends EventEmitter {
         // Merge with defaults to handle schema changes
         this.state = { ...DEFAULT_MAINTENANCE_STATE, ...loaded };
         logger.info('Maintenance state loaded from disk', {
+          site: this.siteId,
           enabled: this.state.enabled,
           reason: this.state.reason,
         });
@@ -92,11 +100,15 @@ export class MaintenanceManager extends EventEmitter {
 
   /**
    * Load maintenance page from disk or use fallback
+   * Sites may provide their own maintenance.html in their data directory
    */
   loadMaintenancePage() {
     try {
       const pageDir = config.maintenance.pageDir;
-      const pagePath = path.join(pageDir, 'maintenance.html');
+      const sitePagePath = path.join(getSiteDataDir(this.siteId), 'maintenance.html');
+      const pagePath = this.siteId !== DEFAULT_SITE_ID && fs.existsSync(sitePagePath)
+        ? sitePagePath
+        : path.join(pageDir, 'maintenance.html');
       
       if (fs.existsSync(pagePath)) {
         this.maintenancePageCache = fs.readFileSync(pagePath, 'utf8');
@@ -173,6 +185,7 @@ export class MaintenanceManager extends EventEmitter {
     this.saveState();
 
     logger.warn('Maintenance mode enabled', {
+      site: this.siteId,
       reason,
       duration: durationMinutes ? `${durationMinutes} minutes` : 'indefinite',
       triggeredBy,
@@ -197,7 +210,7 @@ export class MaintenanceManager extends EventEmitter {
 
     this.saveState();
 
-    logger.info('Maintenance mode disabled');
+    logger.info('Maintenance mode disabled', { site: this.siteId });
 
     if (wasEnabled) {
       this.emit('disabled', this.state);
@@ -221,7 +234,7 @@ export class MaintenanceManager extends EventEmitter {
   checkAutoDisable() {
     if (this.state.enabled && this.state.autoDisableAt) {
       if (new Date() >= new Date(this.state.autoDisableAt)) {
-        logger.info('Auto-disabling maintenance mode (duration expired)');
+        logger.info('Auto-disabling maintenance mode (duration expired)', { site: this.siteId });
         this.disable();
       }
     }
@@ -266,15 +279,15 @@ export class MaintenanceManager extends EventEmitter {
   }
 }
 
-// Singleton instance
-let maintenanceManager = null;
+// One instance per site
+const maintenanceManagers = new Map();
 
 /**
- * Get or create the maintenance manager singleton
+ * Get or create the maintenance manager for a site (default site if omitted)
  */
-export function getMaintenanceManager() {
-  if (!maintenanceManager) {
-    maintenanceManager = new MaintenanceManager();
+export function getMaintenanceManager(siteId = DEFAULT_SITE_ID) {
+  if (!maintenanceManagers.has(siteId)) {
+    maintenanceManagers.set(siteId, new MaintenanceManager(siteId));
   }
-  return maintenanceManager;
+  return maintenanceManagers.get(siteId);
 }
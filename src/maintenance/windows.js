@@ -0,0 +1,407 @@
+/**
+ * Scheduled Maintenance Windows
+ *
+ * Planned maintenance for a site: start and end time, reason, and an
+ * optional daily/weekly/monthly recurrence (times are UTC). The master
+ * checks the calendar every minute and turns maintenance mode on when an
+ * occurrence starts (with autoDisableAt at its end) and off when it ends,
+ * alerting by email and webhooks both times. Before an occurrence, workers
+ * can show a notice banner on HTML pages.
+ *
+ * Definitions live in data/maintenance-windows.json, edited from the panels
+ * by any worker. Which occurrence is running is kept apart in
+ * data/maintenance-windows-state.json, written only by the master, so the
+ * two writers never overwrite each other.
+ *
+ * Maintenance that was already on when a window opens (or that ops
+ * extended) is left alone when the window closes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
+import { getMaintenanceManager } from './manager.js';
+import { getSiteRegistry } from '../utils/sites.js';
+import { alertMaintenanceWindow } from '../email/alerts.js';
+import { broadcastAlert, ALERT_SEVERITY } from '../email/webhooks.js';
+
+const WINDOWS_FILE = path.join(config.paths.data, 'maintenance-windows.json');
+const STATE_FILE = path.join(config.paths.data, 'maintenance-windows-state.json');
+
+export const RECURRENCES = ['none', 'daily', 'weekly', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECURRENCE_STEP_MS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+
+// Workers serving pages re-check the definitions at most this often
+const NOTICE_REFRESH_MS = 5000;
+
+// Occurrences listed per window in a calendar range (a year of daily ones)
+const CALENDAR_MAX_PER_WINDOW = 366;
+
+// Maintenance enabled by a window is marked with this trigger
+const TRIGGER = 'schedule';
+
+/**
+ * Start and end of a window's k-th occurrence, in ms
+ */
+function occurrence(window, k) {
+  const start = Date.parse(window.startAt);
+  const end = Date.parse(window.endAt);
+  if (window.recurrence === 'monthly') {
+    const shift = (time) => {
+      const date = new Date(time);
+      date.setUTCMonth(date.getUTCMonth() + k);
+      return date.getTime();
+    };
+    return { start: shift(start), end: shift(end) };
+  }
+  const step = k * (RECURRENCE_STEP_MS[window.recurrence] || 0);
+  return { start: start + step, end: end + step };
+}
+
+/**
+ * The running or next occurrence of a window ({ start, end } ISO strings),
+ * or null once it is over
+ */
+export function nextOccurrence(window, now = Date.now()) {
+  let k = 0;
+  if (window.recurrence === 'monthly') {
+    const first = new Date(window.startAt);
+    const current = new Date(now);
+    k = Math.max(0, (current.getUTCFullYear() - first.getUTCFullYear()) * 12 + current.getUTCMonth() - first.getUTCMonth() - 1);
+  } else if (RECURRENCE_STEP_MS[window.recurrence]) {
+    k = Math.max(0, Math.floor((now - Date.parse(window.startAt)) / RECURRENCE_STEP_MS[window.recurrence]));
+  }
+
+  let next = occurrence(window, k);
+  if (next.end <= now) {
+    if (window.recurrence === 'none') return null;
+    next = occurrence(window, ++k);
+    if (next.end <= now) next = occurrence(window, ++k); // Month lengths vary
+  }
+  if (window.until && next.start > Date.parse(window.until)) return null;
+  return { start: new Date(next.start).toISOString(), end: new Date(next.end).toISOString() };
+}
+
+function readJson(file, fallback) {
+  try {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+  } catch (err) {
+    logger.warn('Failed to read maintenance windows file', { file, error: err.message });
+    return fallback;
+  }
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function formatTime(iso) {
+  return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+}
+
+/**
+ * Check and normalize window settings: { ok, window } or { ok: false, error }
+ */
+function validateWindow(settings, { isNew = false, now = Date.now() } = {}) {
+  const start = Date.parse(settings.startAt);
+  const end = Date.parse(settings.endAt);
+  if (Number.isNaN(start) || Number.isNaN(end)) return { ok: false, error: 'startAt and endAt must be ISO times' };
+  if (end <= start) return { ok: false, error: 'endAt must be after startAt' };
+
+  const recurrence = settings.recurrence || 'none';
+  if (!RECURRENCES.includes(recurrence)) return { ok: false, error: `recurrence must be one of ${RECURRENCES.join(', ')}` };
+  const period = recurrence === 'monthly' ? 28 * DAY_MS : RECURRENCE_STEP_MS[recurrence];
+  if (period && end - start >= period) return { ok: false, error: `A ${recurrence} window must be shorter than its period` };
+
+  const until = settings.until ? Date.parse(settings.until) : null;
+  if (until !== null && (Number.isNaN(until) || until < start)) return { ok: false, error: 'until must be an ISO time after startAt' };
+
+  const noticeMinutes = parseInt(settings.noticeMinutes ?? 0, 10);
+  if (!Number.isInteger(noticeMinutes) || noticeMinutes < 0) return { ok: false, error: 'noticeMinutes must be 0 or more' };
+
+  if (!getSiteRegistry().getSite(settings.site)) return { ok: false, error: `Unknown site: ${settings.site}` };
+
+  const window = {
+    site: settings.site,
+    reason: String(settings.reason || '').slice(0, 500),
+    startAt: new Date(start).toISOString(),
+    endAt: new Date(end).toISOString(),
+    recurrence,
+    until: until === null ? null : new Date(until).toISOString(),
+    noticeMinutes,
+    noticeMessage: String(settings.noticeMessage || '').slice(0, 500),
+  };
+  if (isNew && !nextOccurrence(window, now)) return { ok: false, error: 'Window is already over' };
+  return { ok: true, window };
+}
+
+/**
+ * Maintenance window calendar
+ */
+export class MaintenanceWindowManager {
+  constructor({ file = WINDOWS_FILE, stateFile = STATE_FILE } = {}) {
+    this.file = file;
+    this.stateFile = stateFile;
+    this.windows = new Map();
+    this.loadedMtimeMs = 0;
+    this.checkedAt = 0;
+    this.loadWindows();
+  }
+
+  loadWindows() {
+    this.windows = new Map(Object.entries(readJson(this.file, {})));
+    try {
+      this.loadedMtimeMs = fs.statSync(this.file).mtimeMs;
+    } catch {
+      this.loadedMtimeMs = 0;
+    }
+  }
+
+  /**
+   * Reload windows changed by another worker
+   */
+  refreshWindows() {
+    this.checkedAt = Date.now();
+    let mtimeMs = 0;
+    try {
+      mtimeMs = fs.statSync(this.file).mtimeMs;
+    } catch {
+      // No windows file yet
+    }
+    if (mtimeMs !== this.loadedMtimeMs) this.loadWindows();
+  }
+
+  saveWindows() {
+    writeJson(this.file, Object.fromEntries(this.windows));
+    this.loadedMtimeMs = fs.statSync(this.file).mtimeMs;
+  }
+
+  /**
+   * Runtime state by window id: { active: { start, end } | null, lastStart }
+   */
+  readState() {
+    return readJson(this.stateFile, {});
+  }
+
+  /**
+   * Windows (optionally of one site) with their running or next occurrence,
+   * soonest first
+   */
+  listWindows(siteId = null, now = Date.now()) {
+    this.refreshWindows();
+    const state = this.readState();
+    return Array.from(this.windows, ([id, window]) => ({
+      id,
+      ...window,
+      next: nextOccurrence(window, now),
+      active: state[id]?.active || null,
+    }))
+      .filter(window => !siteId || window.site === siteId)
+      .sort((a, b) => (a.next?.start || '\uffff').localeCompare(b.next?.start || '\uffff'));
+  }
+
+  /**
+   * Occurrences overlapping [from, to), soonest first:
+   * [{ id, site, reason, recurrence, start, end }]
+   */
+  calendar(siteId = null, from = Date.now(), to = from + 30 * DAY_MS) {
+    this.refreshWindows();
+    const entries = [];
+    for (const [id, window] of this.windows) {
+      if (siteId && window.site !== siteId) continue;
+      let cursor = from;
+      for (let count = 0; count < CALENDAR_MAX_PER_WINDOW; count++) {
+        const next = nextOccurrence(window, cursor);
+        if (!next || Date.parse(next.start) >= to) break;
+        entries.push({ id, site: window.site, reason: window.reason, recurrence: window.recurrence, ...next });
+        cursor = Date.parse(next.end);
+      }
+    }
+    return entries.sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  getWindow(id) {
+    this.refreshWindows();
+    const window = this.windows.get(id);
+    return window ? { id, ...window } : null;
+  }
+
+  /**
+   * Plan a window: { site, reason, startAt, endAt, recurrence, until,
+   * noticeMinutes, noticeMessage }
+   * Returns { ok, window } or { ok: false, error }
+   */
+  createWindow(settings, createdBy = 'system') {
+    const result = validateWindow(settings, { isNew: true });
+    if (!result.ok) return result;
+
+    this.refreshWindows();
+    const id = crypto.randomBytes(6).toString('hex');
+    const now = new Date().toISOString();
+    this.windows.set(id, { ...result.window, createdBy, createdAt: now, updatedAt: now });
+    this.saveWindows();
+    logger.info('Maintenance window planned', { id, site: result.window.site, startAt: result.window.startAt, recurrence: result.window.recurrence, createdBy });
+    return { ok: true, window: this.getWindow(id) };
+  }
+
+  /**
+   * Change some fields of a window (a running occurrence picks up a new end)
+   */
+  updateWindow(id, changes, updatedBy = 'system') {
+    this.refreshWindows();
+    const existing = this.windows.get(id);
+    if (!existing) return { ok: false, error: 'Maintenance window not found' };
+
+    const result = validateWindow({ ...existing, ...changes, site: existing.site });
+    if (!result.ok) return result;
+
+    this.windows.set(id, { ...existing, ...result.window, updatedAt: new Date().toISOString() });
+    this.saveWindows();
+    logger.info('Maintenance window updated', { id, updatedBy });
+    return { ok: true, window: this.getWindow(id) };
+  }
+
+  /**
+   * Cancel a window; a running occurrence ends at the master's next check
+   */
+  cancelWindow(id, cancelledBy = 'system') {
+    this.refreshWindows();
+    if (!this.windows.delete(id)) return false;
+    this.saveWindows();
+    logger.warn('Maintenance window cancelled', { id, cancelledBy });
+    return true;
+  }
+
+  /**
+   * Banner to show on a site's pages before a window opens, or null
+   * Returns { windowId, start, end, html }
+   */
+  noticeFor(siteId, now = Date.now()) {
+    if (now - this.checkedAt > NOTICE_REFRESH_MS) this.refreshWindows();
+
+    for (const [id, window] of this.windows) {
+      if (window.site !== siteId || !window.noticeMinutes) continue;
+      const next = nextOccurrence(window, now);
+      if (!next) continue;
+      const start = Date.parse(next.start);
+      if (now < start && now >= start - window.noticeMinutes * 60 * 1000) {
+        const message = window.noticeMessage
+          || `Scheduled maintenance${window.reason ? ` (${window.reason})` : ''} from ${formatTime(next.start)} to ${formatTime(next.end)}. The site will be unavailable during this time.`;
+        return {
+          windowId: id,
+          ...next,
+          html: `<div id="smplus-maintenance-notice" role="status" style="position:fixed;top:0;left:0;right:0;z-index:2147483647;padding:10px 16px;background:#fff3cd;color:#664d03;border-bottom:1px solid #ffecb5;font:14px/1.4 -apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;text-align:center">${escapeHtml(message)}</div>`,
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Start and end occurrences due at `now` (run by the master)
+   * Returns the transitions made: [{ event: 'started'|'ended', id, site, start, end }]
+   */
+  tick(now = Date.now()) {
+    this.refreshWindows();
+    const state = this.readState();
+    const events = [];
+    let changed = false;
+
+    // End running occurrences that are over, cancelled or moved
+    for (const [id, entry] of Object.entries(state)) {
+      if (!entry.active) continue;
+      const window = this.windows.get(id);
+      const current = window ? nextOccurrence(window, now) : null;
+      const running = current && current.start === entry.active.start && Date.parse(current.start) <= now;
+
+      if (running) {
+        // The end was edited: move the automatic disable with it
+        if (current.end !== entry.active.end) {
+          const maintenance = getMaintenanceManager(window.site);
+          const st = maintenance.getState();
+          if (st.enabled && st.triggeredBy === TRIGGER) {
+            maintenance.enable(st.reason, Math.ceil((Date.parse(current.end) - now) / 60000), TRIGGER);
+          }
+          entry.active.end = current.end;
+          changed = true;
+        }
+        continue;
+      }
+
+      const site = window?.site || entry.active.site;
+      const maintenance = getMaintenanceManager(site);
+      const st = maintenance.getState();
+      // Only undo what the window did, and not past an extension
+      if (st.enabled && st.triggeredBy === TRIGGER && (!st.autoDisableAt || Date.parse(st.autoDisableAt) <= Date.parse(entry.active.end) + 60000)) {
+        maintenance.disable();
+      }
+      events.push({ event: 'ended', id, site, reason: window?.reason || entry.active.reason || '', cancelled: !window, ...entry.active });
+      entry.active = null;
+    }
+
+    // Start occurrences that are due
+    for (const [id, window] of this.windows) {
+      const current = nextOccurrence(window, now);
+      if (!current || Date.parse(current.start) > now) continue;
+      const entry = state[id] || (state[id] = { active: null, lastStart: null });
+      if (entry.active || entry.lastStart === current.start) continue;
+
+      const maintenance = getMaintenanceManager(window.site);
+      if (!maintenance.getState().enabled) {
+        maintenance.enable(window.reason || 'Scheduled maintenance', Math.ceil((Date.parse(current.end) - now) / 60000), TRIGGER);
+      }
+      entry.active = { ...current, site: window.site, reason: window.reason };
+      entry.lastStart = current.start;
+      events.push({ event: 'started', id, site: window.site, reason: window.reason, ...current });
+    }
+
+    // Forget state of cancelled windows that are no longer running
+    for (const id of Object.keys(state)) {
+      if (!this.windows.has(id) && !state[id].active) {
+        delete state[id];
+        changed = true;
+      }
+    }
+    if (events.length || changed) writeJson(this.stateFile, state);
+
+    for (const event of events) {
+      logger.warn(`Maintenance window ${event.event}`, event);
+      notifyWindowEvent(event);
+    }
+    return events;
+  }
+}
+
+/**
+ * Email and webhook alerts for a window starting or ending
+ */
+function notifyWindowEvent(event) {
+  const title = `Scheduled maintenance ${event.event === 'started' ? 'started' : event.cancelled ? 'cancelled' : 'ended'} (${event.site})`;
+  const message = `${event.reason || 'Scheduled maintenance'}: ${formatTime(event.start)} - ${formatTime(event.end)}`;
+  alertMaintenanceWindow(event).catch(() => {});
+  broadcastAlert(title, message, ALERT_SEVERITY.INFO).catch(() => {});
+}
+
+// Singleton instance
+let windowManager = null;
+
+/**
+ * Get or create the maintenance window calendar
+ */
+export function getMaintenanceWindows() {
+  if (!windowManager) {
+    windowManager = new MaintenanceWindowManager();
+  }
+  return windowManager;
+}
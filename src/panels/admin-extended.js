@@ -11,8 +11,10 @@
 
 import express from 'express';
 import { sessionAuth } from '../utils/auth.js';
-import { getMetricsCollector } from '../utils/metrics.js';
+import { requestClusterMetrics } from '../utils/metrics.js';
 import { getAPIKeyManager } from '../utils/api-keys.js';
+import { API_SCOPES, isValidScope } from '../utils/api-scopes.js';
+import { getRoleManager } from '../utils/roles.js';
 import { getPluginManager } from '../utils/plugin-system.js';
 import config from '../utils/config.js';
 import logger from '../utils/logger.js';
@@ -25,13 +27,13 @@ export function createExtendedAdminPanel(watchdog) {
   router.use(sessionAuth('admin', '/admin'));
 
   /**
-   * GET /admin/metrics - Prometheus metrics format
+   * GET /admin/metrics - Prometheus metrics format (all workers, same as /metrics)
    */
-  router.get('/metrics', (req, res) => {
+  router.get('/metrics', async (req, res) => {
     try {
-      const metrics = getMetricsCollector();
+      const text = await requestClusterMetrics('prometheus');
       res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-      res.send(metrics.getPrometheusMetrics());
+      res.send(text);
     } catch (err) {
       logger.error('Error getting metrics', { error: err.message });
       res.status(500).json({ error: 'Internal server error' });
@@ -39,14 +41,13 @@ export function createExtendedAdminPanel(watchdog) {
   });
 
   /**
-   * GET /admin/metrics/summary - Metrics summary
+   * GET /admin/metrics/summary - Metrics summary (all workers)
    */
-  router.get('/metrics/summary', (req, res) => {
+  router.get('/metrics/summary', async (req, res) => {
     try {
-      const metrics = getMetricsCollector();
       res.json({
         status: 'success',
-        metrics: metrics.getSummary(),
+        metrics: await requestClusterMetrics('summary'),
       });
     } catch (err) {
       logger.error('Error getting metrics summary', { error: err.message });
@@ -70,15 +71,34 @@ export function createExtendedAdminPanel(watchdog) {
     }
   });
 
+  /**
+   * GET /admin/api-keys/scopes - Scopes that can be granted to keys
+   */
+  router.get('/api-keys/scopes', (req, res) => {
+    res.json({ status: 'success', scopes: API_SCOPES });
+  });
+
   /**
    * POST /admin/api-keys/generate - Generate new API key
    */
   router.post('/api-keys/generate', express.json(), (req, res) => {
     try {
-      const { name = 'api-key', scopes = ['read', 'write'], expiresInDays } = req.body || {};
+      const { name = 'api-key', roles = [], expiresInDays } = req.body || {};
+      const scopes = req.body?.scopes ?? (roles.length ? [] : ['read', 'write']);
+      if (!Array.isArray(scopes) || !Array.isArray(roles) || (!scopes.length && !roles.length)) {
+        return res.status(400).json({ error: 'At least one scope or role is required' });
+      }
+      const unknown = scopes.filter(scope => !isValidScope(scope));
+      if (unknown.length) {
+        return res.status(400).json({ error: `Unknown scopes: ${unknown.join(', ')}` });
+      }
+      const unknownRoles = roles.filter(role => !getRoleManager().getRole(role));
+      if (unknownRoles.length) {
+        return res.status(400).json({ error: `Unknown roles: ${unknownRoles.join(', ')}` });
+      }
       const manager = getAPIKeyManager();
       
-      const newKey = manager.generateKey(name, scopes, expiresInDays);
+      const newKey = manager.generateKey(name, scopes, expiresInDays, roles);
 
       logger.info('API key generated via admin', {
         name,
@@ -155,6 +175,12 @@ export function createExtendedAdminPanel(watchdog) {
 
       const newState = !plugin.enabled;
       manager.setEnabled(name, newState);
+      manager.saveState();
+
+      // Ask the master to apply the toggle in every other worker
+      if (process.send) {
+        process.send({ type: 'plugin-toggle', name, enabled: newState });
+      }
 
       logger.info('Plugin toggled via admin', {
         plugin: name,
@@ -14,12 +14,48 @@
 import express from 'express';
 import fs from 'fs';
 import path from 'path';
-import { sessionAuth, loginHandlers, hardwareRoutes } from '../utils/auth.js';
+import { sessionAuth, loginHandlers, hardwareRoutes, parseCookies } from '../utils/auth.js';
 import config from '../utils/config.js';
 import logger from '../utils/logger.js';
 import { getMaintenanceManager } from '../maintenance/manager.js';
 import { getComingSoonManager } from '../maintenance/coming-soon.js';
-import { listUsers, addUser, removeUser } from '../utils/users.js';
+import { getMaintenanceWindows } from '../maintenance/windows.js';
+import {
+  listUsers,
+  addUser,
+  removeUser,
+  userExists,
+  getTotpStatus,
+  beginTotpEnrollment,
+  confirmTotpEnrollment,
+  regenerateRecoveryCodes,
+  disableTotp,
+  getUserRoles,
+  setUserRoles,
+} from '../utils/users.js';
+import { getSiteRegistry, getSiteBackupDir, getSiteDataDir, notifySiteStateChanged } from '../utils/sites.js';
+import { getReleaseManager } from '../utils/releases.js';
+import { getSnapshotStore } from '../utils/snapshots.js';
+import { purgeFileCache } from '../utils/file-cache.js';
+import { ERROR_PAGE_STATUSES, getDefaultErrorPage } from '../utils/error-pages.js';
+import { writeConfigOverride, updateConfigOverride } from '../utils/config-override.js';
+import { getSpaSettings, setSpaSettings } from '../utils/spa.js';
+import { getSessionStore } from '../utils/sessions.js';
+import { getRoleManager } from '../utils/roles.js';
+import { getAuditJournal, noteAudit, summarizeFile, diffObjects, toCsv } from '../utils/audit.js';
+import { exportSmp, respondSmpImport, parseImportOptions } from '../utils/smp.js';
+import {
+  getBackupTargetManager,
+  TARGET_TYPES,
+  listRemoteBackups,
+  uploadBackup,
+  downloadBackup,
+  deleteRemoteBackup,
+  testTarget,
+} from '../utils/backup-targets.js';
+import { API_SCOPES } from '../utils/api-scopes.js';
+import { requestClusterMetrics } from '../utils/metrics.js';
+import { requestRollingRestart } from '../watchdog/coordinator.js';
 import fetch from 'node-fetch';
 import archiver from 'archiver';
 import multer from 'multer';
@@ -42,11 +78,34 @@ export function createAdminPanel(watchdog) {
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
     return res.send(fs.readFileSync(filePath, 'utf8'));
   };
+  /**
+   * Site being managed: ?site=, X-Site-Id header or the smplus_site cookie
+   * set by the site switcher; defaults to the site of the request's Host
+   */
+  const managedSite = (req) => {
+    const registry = getSiteRegistry();
+    const id = req.query.site || req.headers['x-site-id'] || parseCookies(req).smplus_site;
+    return (id && registry.getSite(id)) || req.site || registry.getDefaultSite();
+  };
+
+  /**
+   * File manager note while a release is served: edits land in the working
+   * copy, which visitors only see once it is released
+   */
+  const workingCopyNotice = (site) => {
+    const activeRelease = getReleaseManager(site.id).getActiveRelease();
+    if (!activeRelease) return {};
+    return {
+      activeRelease,
+      warning: `Release ${activeRelease} is being served; changes to the working copy go live once it is released (POST /admin/releases/snapshot)`,
+    };
+  };
 
   // Login routes (HTML form)
-  const { getLogin, postLogin, postLogout } = loginHandlers('admin', '/admin');
+  const { getLogin, postLogin, postTotp, postLogout } = loginHandlers('admin', '/admin');
   router.get('/login', getLogin);
   router.post('/login', express.urlencoded({ extended: false }), postLogin);
+  router.post('/login/totp', express.urlencoded({ extended: false }), postTotp);
   router.post('/logout', postLogout);
   router.get('/logout', postLogout);
 
@@ -67,6 +126,7 @@ export function createAdminPanel(watchdog) {
   router.get('/api-keys-ui', (req, res) => sendPage(res, 'api-keys.html'));
   router.get('/plugins-ui', (req, res) => sendPage(res, 'plugins.html'));
   router.get('/logs-ui', (req, res) => sendPage(res, 'logs.html'));
+  router.get('/audit-ui', (req, res) => sendPage(res, 'audit.html'));
   router.get('/manual', (req, res) => sendPage(res, 'manual.html'));
 
   // Serve static assets for the Admin UI
@@ -83,7 +143,7 @@ export function createAdminPanel(watchdog) {
         return res.send(fs.readFileSync(path.join(uiDir, 'index.html'), 'utf8'));
       }
 
-      const maintenance = getMaintenanceManager();
+      const maintenance = getMaintenanceManager(managedSite(req).id);
       const healthMonitor = watchdog.getHealthMonitor();
       const systemHealth = healthMonitor.getSystemHealth();
 
@@ -95,6 +155,7 @@ export function createAdminPanel(watchdog) {
           memory: process.memoryUsage(),
           timestamp: new Date().toISOString(),
         },
+        site: managedSite(req),
         maintenance: maintenance.getState(),
         workers: healthMonitor.getAllWorkerSummaries(),
         config: {
@@ -115,11 +176,14 @@ export function createAdminPanel(watchdog) {
   router.post('/maintenance/toggle', express.json(), (req, res) => {
     try {
       const { reason, durationMinutes } = req.body || {};
-      const maintenance = getMaintenanceManager();
+      const maintenance = getMaintenanceManager(managedSite(req).id);
+      const wasEnabled = maintenance.getState().enabled;
       
       maintenance.toggle(reason || '', durationMinutes);
+      notifySiteStateChanged(maintenance.siteId);
 
       const state = maintenance.getState();
+      noteAudit(res, { target: maintenance.siteId, before: { enabled: wasEnabled }, after: { enabled: state.enabled, reason: state.reason } });
       logger.info('Maintenance mode toggled via admin', {
         enabled: state.enabled,
         reason,
@@ -142,9 +206,12 @@ export function createAdminPanel(watchdog) {
   router.post('/maintenance/enable', express.json(), (req, res) => {
     try {
       const { reason, durationMinutes } = req.body || {};
-      const maintenance = getMaintenanceManager();
+      const maintenance = getMaintenanceManager(managedSite(req).id);
+      const wasEnabled = maintenance.getState().enabled;
       
       maintenance.enable(reason || '', durationMinutes, 'admin');
+      notifySiteStateChanged(maintenance.siteId);
+      noteAudit(res, { target: maintenance.siteId, before: { enabled: wasEnabled }, after: { enabled: true, reason } });
 
       logger.info('Maintenance mode enabled via admin', {
         reason,
@@ -167,8 +234,11 @@ export function createAdminPanel(watchdog) {
    */
   router.post('/maintenance/disable', (req, res) => {
     try {
-      const maintenance = getMaintenanceManager();
+      const maintenance = getMaintenanceManager(managedSite(req).id);
+      const wasEnabled = maintenance.getState().enabled;
       maintenance.disable();
+      notifySiteStateChanged(maintenance.siteId);
+      noteAudit(res, { target: maintenance.siteId, before: { enabled: wasEnabled }, after: { enabled: false } });
 
       logger.info('Maintenance mode disabled via admin', {
         user: req.user.username,
@@ -184,13 +254,87 @@ export function createAdminPanel(watchdog) {
     }
   });
 
+  /**
+   * GET /admin/maintenance/windows - Planned maintenance windows of the site
+   * with their next occurrence, and the calendar for the coming ?days= (30)
+   */
+  router.get('/maintenance/windows', (req, res) => {
+    try {
+      const siteId = managedSite(req).id;
+      const days = Math.min(Math.max(parseInt(req.query.days || '30', 10) || 30, 1), 366);
+      const windows = getMaintenanceWindows();
+      res.json({
+        status: 'success',
+        windows: windows.listWindows(siteId),
+        calendar: windows.calendar(siteId, Date.now(), Date.now() + days * 24 * 60 * 60 * 1000),
+      });
+    } catch (err) {
+      logger.error('Error listing maintenance windows', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * POST /admin/maintenance/windows - Plan a window
+   * ({ startAt, endAt, reason, recurrence, until, noticeMinutes, noticeMessage })
+   */
+  router.post('/maintenance/windows', express.json(), (req, res) => {
+    try {
+      const result = getMaintenanceWindows().createWindow({ ...req.body, site: managedSite(req).id }, req.user.username);
+      if (!result.ok) return res.status(400).json({ error: result.error });
+      noteAudit(res, { target: result.window.id, after: result.window });
+      res.json({ status: 'success', window: result.window });
+    } catch (err) {
+      logger.error('Error planning maintenance window', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * POST /admin/maintenance/windows/:id - Edit a window
+   */
+  router.post('/maintenance/windows/:id', express.json(), (req, res) => {
+    try {
+      const windows = getMaintenanceWindows();
+      const before = windows.getWindow(req.params.id);
+      if (!before) return res.status(404).json({ error: 'Maintenance window not found' });
+      const result = windows.updateWindow(req.params.id, req.body || {}, req.user.username);
+      if (!result.ok) return res.status(400).json({ error: result.error });
+      noteAudit(res, { target: req.params.id, ...diffObjects(before, result.window) });
+      res.json({ status: 'success', window: result.window });
+    } catch (err) {
+      logger.error('Error updating maintenance window', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * DELETE /admin/maintenance/windows/:id - Cancel a window (a running
+   * occurrence ends within a minute)
+   */
+  router.delete('/maintenance/windows/:id', (req, res) => {
+    try {
+      const windows = getMaintenanceWindows();
+      const before = windows.getWindow(req.params.id);
+      if (!before || !windows.cancelWindow(req.params.id, req.user.username)) {
+        return res.status(404).json({ error: 'Maintenance window not found' });
+      }
+      noteAudit(res, { target: req.params.id, before });
+      res.json({ status: 'success' });
+    } catch (err) {
+      logger.error('Error cancelling maintenance window', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
   /**
    * POST /admin/coming-soon/enable - Enable coming soon mode
    */
   router.post('/coming-soon/enable', (req, res) => {
     try {
-      const cs = getComingSoonManager();
+      const cs = getComingSoonManager(managedSite(req).id);
       cs.enable();
+      notifySiteStateChanged(cs.siteId);
 
       logger.info('Coming soon mode enabled via admin', {
         user: req.user.username,
@@ -211,8 +355,9 @@ export function createAdminPanel(watchdog) {
    */
   router.post('/coming-soon/disable', (req, res) => {
     try {
-      const cs = getComingSoonManager();
+      const cs = getComingSoonManager(managedSite(req).id);
       cs.disable();
+      notifySiteStateChanged(cs.siteId);
 
       logger.info('Coming soon mode disabled via admin', {
         user: req.user.username,
@@ -233,8 +378,8 @@ export function createAdminPanel(watchdog) {
    * Used by client-side auto-reload script
    */
   router.get('/page-status', (req, res) => {
-    const maintenance = getMaintenanceManager();
-    const comingSoon = getComingSoonManager();
+    const maintenance = getMaintenanceManager(req.site?.id);
+    const comingSoon = getComingSoonManager(req.site?.id);
     res.json({
       maintenance: maintenance.getState().enabled,
       comingSoon: comingSoon.getState().enabled,
@@ -245,13 +390,307 @@ export function createAdminPanel(watchdog) {
    * GET /admin/coming-soon/status - Get coming soon status
    */
   router.get('/coming-soon/status', (req, res) => {
-    const cs = getComingSoonManager();
+    const cs = getComingSoonManager(managedSite(req).id);
     res.json({
       status: 'success',
       comingSoon: cs.getState(),
     });
   });
 
+  /**
+   * GET /admin/sites - List virtual host sites
+   */
+  router.get('/sites', (req, res) => {
+    try {
+      res.json({
+        status: 'success',
+        sites: getSiteRegistry().listSites(),
+        current: managedSite(req).id,
+      });
+    } catch (err) {
+      logger.error('Error listing sites', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * POST /admin/sites/add - Add a site ({ id, hosts, root?, cache? })
+   */
+  router.post('/sites/add', express.json(), (req, res) => {
+    try {
+      const result = getSiteRegistry().addSite(req.body || {});
+      if (!result.ok) return res.status(400).json({ error: result.error });
+
+      if (process.send) process.send({ type: 'sites-changed' });
+      logger.info('Site added via admin', { id: result.site.id, user: req.user.username });
+      res.json({ status: 'success', site: result.site });
+    } catch (err) {
+      logger.error('Error adding site', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * POST /admin/sites/:id/update - Update a site's hosts and cache rules
+   */
+  router.post('/sites/:id/update', express.json(), (req, res) => {
+    try {
+      const { hosts, cache } = req.body || {};
+      const result = getSiteRegistry().updateSite(req.params.id, { hosts, cache });
+      if (!result.ok) return res.status(400).json({ error: result.error });
+
+      if (process.send) process.send({ type: 'sites-changed' });
+      logger.info('Site updated via admin', { id: req.params.id, user: req.user.username });
+      res.json({ status: 'success', site: result.site });
+    } catch (err) {
+      logger.error('Error updating site', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * POST /admin/sites/:id/remove - Remove a site (files stay on disk)
+   */
+  router.post('/sites/:id/remove', (req, res) => {
+    try {
+      const result = getSiteRegistry().removeSite(req.params.id);
+      if (!result.ok) return res.status(400).json({ error: result.error });
+
+      if (process.send) process.send({ type: 'sites-changed' });
+      logger.info('Site removed via admin', { id: req.params.id, user: req.user.username });
+      res.json({ status: 'success' });
+    } catch (err) {
+      logger.error('Error removing site', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * Ask the master to switch every worker to the site's active release
+   */
+  const announceRelease = (site, releaseId) => {
+    if (process.send) process.send({ type: 'release-activated', site: site.id, release: releaseId });
+  };
+
+  /**
+   * GET /admin/releases - List releases of the managed site
+   */
+  router.get('/releases', (req, res) => {
+    try {
+      const site = managedSite(req);
+      const releases = getReleaseManager(site.id);
+      res.json({
+        status: 'success',
+        site: site.id,
+        pointer: releases.loadPointer(),
+        releases: releases.listReleases(),
+      });
+    } catch (err) {
+      logger.error('Error listing releases', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * POST /admin/releases - Upload a zip archive as a new release
+   * Body is the raw archive; ?activate=1 makes it live right away
+   */
+  router.post('/releases', express.raw({
+    type: ['application/zip', 'application/octet-stream'],
+    limit: config.releases.maxUploadBytes,
+  }), async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'zip archive body required' });
+      }
+      const site = managedSite(req);
+      const releases = getReleaseManager(site.id);
+
+      let release;
+      try {
+        release = await releases.createFromZip(req.body, { createdBy: req.user.username });
+      } catch (err) {
+        logger.warn('Release upload rejected', { site: site.id, error: err.message });
+        return res.status(400).json({ error: err.message });
+      }
+
+      if (req.query.activate === '1' || req.query.activate === 'true') {
+        releases.activate(release.id, req.user.username);
+        announceRelease(site, release.id);
+      }
+
+      res.json({ status: 'success', release, pointer: releases.pointer });
+    } catch (err) {
+      logger.error('Error creating release', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * POST /admin/releases/snapshot - Create a release from the site's working directory
+   */
+  router.post('/releases/snapshot', async (req, res) => {
+    try {
+      const site = managedSite(req);
+      const release = await getReleaseManager(site.id).createFromDirectory(site.root, {
+        createdBy: req.user.username,
+      });
+      res.json({ status: 'success', release });
+    } catch (err) {
+      logger.error('Error creating release snapshot', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * POST /admin/releases/rollback - Activate the previous (or given) release
+   */
+  router.post('/releases/rollback', express.json(), (req, res) => {
+    try {
+      const site = managedSite(req);
+      const releases = getReleaseManager(site.id);
+
+      const result = releases.rollback(req.user.username, (req.body || {}).release);
+      if (!result.ok) return res.status(400).json({ error: result.error });
+
+      announceRelease(site, result.pointer.release);
+      res.json({ status: 'success', pointer: result.pointer });
+    } catch (err) {
+      logger.error('Error rolling back release', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * GET /admin/releases/canary - The running canary and per-variant traffic figures
+   */
+  router.get('/releases/canary', async (req, res) => {
+    try {
+      const site = managedSite(req);
+      const releases = getReleaseManager(site.id);
+      const pointer = releases.loadPointer();
+      res.json({
+        status: 'success',
+        site: site.id,
+        stable: pointer?.release || null,
+        canary: pointer?.canary || null,
+        variants: await requestClusterMetrics('variants', 3000, site.id),
+      });
+    } catch (err) {
+      logger.error('Error getting canary status', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * Answer a canary change and have the workers pick it up
+   */
+  const canaryChanged = (res, site, before, result) => {
+    if (!result.ok) return res.status(400).json({ error: result.error });
+
+    announceRelease(site, result.pointer?.release || null);
+    noteAudit(res, { target: `${site.id}:canary`, before: { canary: before }, after: { canary: result.pointer?.canary || null, release: result.pointer?.release || null } });
+    res.json({ status: 'success', pointer: result.pointer });
+  };
+
+  /**
+   * POST /admin/releases/canary - Serve a release to a share of visitors ({ release, weight })
+   */
+  router.post('/releases/canary', express.json(), (req, res) => {
+    try {
+      const site = managedSite(req);
+      const releases = getReleaseManager(site.id);
+      const { release, weight } = req.body || {};
+      const before = releases.loadPointer()?.canary || null;
+
+      canaryChanged(res, site, before, releases.startCanary(release, weight, req.user.username));
+    } catch (err) {
+      logger.error('Error starting canary', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * POST /admin/releases/canary/weight - Change the canary's share of visitors ({ weight })
+   */
+  router.post('/releases/canary/weight', express.json(), (req, res) => {
+    try {
+      const site = managedSite(req);
+      const releases = getReleaseManager(site.id);
+      const before = releases.loadPointer()?.canary || null;
+
+      canaryChanged(res, site, before, releases.setCanaryWeight((req.body || {}).weight, req.user.username));
+    } catch (err) {
+      logger.error('Error changing canary weight', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * POST /admin/releases/canary/promote - Make the canary live for everyone
+   */
+  router.post('/releases/canary/promote', (req, res) => {
+    try {
+      const site = managedSite(req);
+      const releases = getReleaseManager(site.id);
+      const before = releases.loadPointer()?.canary || null;
+
+      canaryChanged(res, site, before, releases.promoteCanary(req.user.username));
+    } catch (err) {
+      logger.error('Error promoting canary', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * POST /admin/releases/canary/stop - Send every visitor back to the active release
+   */
+  router.post('/releases/canary/stop', (req, res) => {
+    try {
+      const site = managedSite(req);
+      const releases = getReleaseManager(site.id);
+      const before = releases.loadPointer()?.canary || null;
+
+      canaryChanged(res, site, before, releases.stopCanary(req.user.username));
+    } catch (err) {
+      logger.error('Error stopping canary', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * POST /admin/releases/:id/activate - Make a release live
+   */
+  router.post('/releases/:id/activate', (req, res) => {
+    try {
+      const site = managedSite(req);
+      const releases = getReleaseManager(site.id);
+
+      const result = releases.activate(req.params.id, req.user.username);
+      if (!result.ok) return res.status(400).json({ error: result.error });
+
+      announceRelease(site, req.params.id);
+      res.json({ status: 'success', pointer: result.pointer });
+    } catch (err) {
+      logger.error('Error activating release', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * DELETE /admin/releases/:id - Delete an inactive release
+   */
+  router.delete('/releases/:id', (req, res) => {
+    try {
+      const result = getReleaseManager(managedSite(req).id).deleteRelease(req.params.id);
+      if (!result.ok) return res.status(400).json({ error: result.error });
+      res.json({ status: 'success' });
+    } catch (err) {
+      logger.error('Error deleting release', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
   /**
    * GET /admin/status - System health status
    */
@@ -354,20 +793,80 @@ export function createAdminPanel(watchdog) {
   /**
    * ADMIN: Additional feature endpoints (20+)
    */
-  // Backups
-  router.post('/backups/create', async (req, res) => {
+  // Backups: incremental snapshots (see src/utils/snapshots.js)
+  router.post('/backups/create', (req, res) => {
     try {
-      const ts = new Date().toISOString().replace(/[:.]/g, '-');
-      const dest = path.join(config.paths.data, 'backups', `backup-${ts}`);
-      fs.mkdirSync(dest, { recursive: true });
-      const src = config.staticSiteDir;
-      fs.cpSync(src, path.join(dest, 'static-site'), { recursive: true });
-      res.json({ status: 'success', path: dest });
+      const store = getSnapshotStore(managedSite(req).id);
+      const snapshot = store.createSnapshot({ createdBy: req.user.username });
+      const retention = store.applyRetention();
+      noteAudit(res, { target: `${snapshot.site}:${snapshot.id}`, after: snapshot.changes });
+      res.json({ status: 'success', snapshot, pruned: retention.removed });
     } catch (err) { logger.error('Backup create error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
+  router.get('/backups/snapshots', (req, res) => {
+    try {
+      const store = getSnapshotStore(managedSite(req).id);
+      res.json({ status: 'success', snapshots: store.listSnapshots(), usage: store.usage(), retention: config.snapshots.retention });
+    } catch (err) { logger.error('Snapshot list error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+  // Check every stored object against its hash (?id= for one snapshot)
+  router.get('/backups/snapshots/verify', (req, res) => {
+    try {
+      const { ok, error, ...result } = getSnapshotStore(managedSite(req).id).verify(req.query.id || null);
+      if (!ok) return res.status(404).json({ error });
+      res.json({ status: 'success', ...result });
+    } catch (err) { logger.error('Snapshot verify error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+  router.post('/backups/snapshots/retention', express.json(), (req, res) => {
+    try {
+      const site = managedSite(req);
+      const dryRun = !!(req.body || {}).dryRun;
+      const result = getSnapshotStore(site.id).applyRetention({ dryRun });
+      if (!dryRun) noteAudit(res, { target: site.id, after: { removed: result.removed } });
+      res.json({ status: 'success', dryRun, ...result });
+    } catch (err) { logger.error('Snapshot retention error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+  router.get('/backups/snapshots/:id', (req, res) => {
+    try {
+      const manifest = getSnapshotStore(managedSite(req).id).readManifest(req.params.id);
+      if (!manifest) return res.status(404).json({ error: 'Snapshot not found' });
+      res.json({ status: 'success', snapshot: manifest });
+    } catch (err) { logger.error('Snapshot read error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+  // Changes since the parent snapshot, or ?against=<id>|working
+  router.get('/backups/snapshots/:id/diff', (req, res) => {
+    try {
+      const result = getSnapshotStore(managedSite(req).id).diff(req.params.id, req.query.against || null);
+      if (!result.ok) return res.status(404).json({ error: result.error });
+      const { ok, ...diff } = result;
+      res.json({ status: 'success', ...diff });
+    } catch (err) { logger.error('Snapshot diff error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+  // Restore the whole snapshot, or only { paths: [file or directory, ...] }
+  router.post('/backups/snapshots/:id/restore', express.json(), (req, res) => {
+    try {
+      const site = managedSite(req);
+      const { paths = [] } = req.body || {};
+      if (!Array.isArray(paths)) return res.status(400).json({ error: 'paths must be an array' });
+      const result = getSnapshotStore(site.id).restore(req.params.id, { paths, restoredBy: req.user.username });
+      if (!result.ok) return res.status(result.error === 'Snapshot not found' ? 404 : 400).json({ error: result.error });
+      noteAudit(res, { target: `${site.id}:${req.params.id}`, after: { restored: result.restored.length, paths } });
+      res.json({ status: 'success', restored: result.restored });
+    } catch (err) { logger.error('Snapshot restore error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+  router.delete('/backups/snapshots/:id', (req, res) => {
+    try {
+      const site = managedSite(req);
+      const result = getSnapshotStore(site.id).deleteSnapshot(req.params.id);
+      if (!result.ok) return res.status(404).json({ error: result.error });
+      noteAudit(res, { target: `${site.id}:${req.params.id}` });
+      res.json({ status: 'success', objectsDeleted: result.objectsDeleted, bytesFreed: result.bytesFreed });
+    } catch (err) { logger.error('Snapshot delete error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+  // Full copies made before snapshots existed (backup-<time> directories)
   router.get('/backups/list', (req, res) => {
     try {
-      const dir = path.join(config.paths.data, 'backups');
+      const dir = getSiteBackupDir(managedSite(req).id);
       if (!fs.existsSync(dir)) return res.json({ status: 'success', backups: [] });
       const items = fs.readdirSync(dir).filter(f => f.startsWith('backup-'));
       res.json({ status: 'success', backups: items });
@@ -376,14 +875,20 @@ export function createAdminPanel(watchdog) {
   router.post('/backups/restore', express.json(), (req, res) => {
     try {
       const { name } = req.body || {};
-      const src = path.join(config.paths.data, 'backups', name, 'static-site');
+      const site = managedSite(req);
+      const src = path.join(getSiteBackupDir(site.id), name, 'static-site');
       if (!fs.existsSync(src)) return res.status(404).json({ error: 'Backup not found' });
-      fs.cpSync(src, config.staticSiteDir, { recursive: true });
+      fs.cpSync(src, site.root, { recursive: true });
+      noteAudit(res, { target: `${site.id}:${name}`, after: { restoredFrom: name } });
       res.json({ status: 'success' });
     } catch (err) { logger.error('Backup restore error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
-  // Cache purge (no-op placeholder)
-  router.post('/cache/purge', (req, res) => { res.json({ status: 'success', message: 'Cache purged' }); });
+  // Cache purge: clears the file cache in every worker
+  router.post('/cache/purge', (req, res) => {
+    try {
+      res.json({ status: 'success', message: 'Cache purged', ...purgeFileCache() });
+    } catch (err) { logger.error('Cache purge error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
 
   // SSL
   router.post('/ssl/generate', async (req, res) => {
@@ -400,17 +905,15 @@ export function createAdminPanel(watchdog) {
     } catch (err) { logger.error('SSL status error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
 
-  // Worker count update (simple write to data/config-override.json)
+  // Worker count update (data/config-override.json); with autoscaling off the
+  // master resizes the live cluster to it
   router.post('/config/worker-count/update', express.json(), (req, res) => {
     try {
       const { workerCount } = req.body || {};
       if (!Number.isInteger(workerCount) || workerCount < 1 || workerCount > 32) {
         return res.status(400).json({ error: 'Invalid workerCount' });
       }
-      const overrideFile = path.join(config.paths.data, 'config-override.json');
-      const cfg = fs.existsSync(overrideFile) ? JSON.parse(fs.readFileSync(overrideFile, 'utf8')) : {};
-      cfg.cluster = cfg.cluster || {}; cfg.cluster.workerCount = workerCount;
-      fs.writeFileSync(overrideFile, JSON.stringify(cfg, null, 2), 'utf8');
+      updateConfigOverride((cfg) => { cfg.cluster = cfg.cluster || {}; cfg.cluster.workerCount = workerCount; });
       res.json({ status: 'success', workerCount });
     } catch (err) { logger.error('Worker count update error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
@@ -440,9 +943,41 @@ export function createAdminPanel(watchdog) {
     } catch (err) { logger.error('Audit logs error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
 
+  // Audit journal: query with filters; ?format=csv|json downloads the matches
+  router.get('/audit/journal', (req, res) => {
+    try {
+      const { format, ...filters } = req.query;
+      if (format) filters.limit = filters.limit || Number.MAX_SAFE_INTEGER;
+      const { total, entries } = getAuditJournal().query(filters);
+      if (format === 'csv' || format === 'json') {
+        const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        if (format === 'csv') {
+          res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+          return res.send(toCsv(entries));
+        }
+        return res.json(entries);
+      }
+      res.json({ status: 'success', total, entries });
+    } catch (err) { logger.error('Audit journal error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+
+  // Audit journal: check the hash chain
+  router.get('/audit/journal/verify', (req, res) => {
+    try {
+      const result = getAuditJournal().verify();
+      if (!result.valid) logger.error('Audit journal chain broken', result);
+      res.json({ status: 'success', ...result });
+    } catch (err) { logger.error('Audit verify error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+
   // Sessions
   router.post('/sessions/revoke-all', (req, res) => {
-    try { res.json({ status: 'success', message: 'Stateless sessions; advise logout' }); } catch (err) { res.status(500).json({ error: 'Internal server error' }); }
+    try {
+      // Everyone but the caller is signed out, on both panels
+      const revoked = getSessionStore().revokeAll(null, { keepId: req.user.sessionId, by: req.user.username });
+      res.json({ status: 'success', revoked });
+    } catch (err) { logger.error('Session revoke error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
 
   // Alerts test (placeholder)
@@ -462,7 +997,7 @@ export function createAdminPanel(watchdog) {
   router.get('/static/size', (req, res) => {
     try {
       let total = 0; const walk = dir => { for (const f of fs.readdirSync(dir)) { const p = path.join(dir, f); const st = fs.statSync(p); if (st.isDirectory()) walk(p); else total += st.size; } };
-      walk(config.staticSiteDir);
+      walk(managedSite(req).root);
       res.json({ status: 'success', bytes: total });
     } catch (err) { logger.error('Static size error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
@@ -494,14 +1029,15 @@ export function createAdminPanel(watchdog) {
   router.get('/files/list', (req, res) => {
     try {
       const dir = req.query.dir || '';
-      const root = config.staticSiteDir;
+      const site = managedSite(req);
+      const root = site.root;
       const target = safeJoin(root, dir);
       if (!fs.existsSync(target) || !fs.statSync(target).isDirectory()) return res.status(404).json({ error: 'Directory not found' });
       const entries = fs.readdirSync(target).map(name => {
         const stat = fs.statSync(path.join(target, name));
         return { name, isDir: stat.isDirectory(), size: stat.size, mtime: stat.mtime };
       });
-      res.json({ status: 'success', entries, dir: path.relative(root, target) });
+      res.json({ status: 'success', entries, dir: path.relative(root, target), ...workingCopyNotice(site) });
     } catch (err) { logger.error('Files list error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
 
@@ -510,10 +1046,11 @@ export function createAdminPanel(watchdog) {
     try {
       const { file } = req.body || {};
       if (!file) return res.status(400).json({ error: 'file required' });
-      const target = safeJoin(config.staticSiteDir, file);
+      const site = managedSite(req);
+      const target = safeJoin(site.root, file);
       if (!fs.existsSync(target) || !fs.statSync(target).isFile()) return res.status(404).json({ error: 'File not found' });
       const content = fs.readFileSync(target, 'utf8');
-      res.json({ status: 'success', content });
+      res.json({ status: 'success', content, ...workingCopyNotice(site) });
     } catch (err) { logger.error('Files read error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
 
@@ -522,24 +1059,36 @@ export function createAdminPanel(watchdog) {
     try {
       const { file, content } = req.body || {};
       if (!file || typeof content !== 'string') return res.status(400).json({ error: 'file and content required' });
-      const target = safeJoin(config.staticSiteDir, file);
+      const site = managedSite(req);
+      const target = safeJoin(site.root, file);
+      const before = summarizeFile(target);
       fs.mkdirSync(path.dirname(target), { recursive: true });
       fs.writeFileSync(target, content, 'utf8');
-      res.json({ status: 'success' });
+      noteAudit(res, { target: file, before, after: summarizeFile(target) });
+      res.json({ status: 'success', ...workingCopyNotice(site) });
     } catch (err) { logger.error('Files write error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
 
+  // Error pages: built-in page as a starting point for a site's <status>.html
+  router.get('/error-pages/:status/default', (req, res) => {
+    const status = Number(req.params.status);
+    if (!ERROR_PAGE_STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of ${ERROR_PAGE_STATUSES.join(', ')}` });
+    res.json({ status: 'success', file: `${status}.html`, content: getDefaultErrorPage(status) });
+  });
+
   // File manager: delete file within website
   router.post('/files/delete', express.json(), (req, res) => {
     try {
       const { file } = req.body || {};
       if (!file) return res.status(400).json({ error: 'file required' });
-      const target = safeJoin(config.staticSiteDir, file);
+      const site = managedSite(req);
+      const target = safeJoin(site.root, file);
       if (!fs.existsSync(target)) return res.status(404).json({ error: 'File not found' });
       const stat = fs.statSync(target);
+      noteAudit(res, { target: file, before: summarizeFile(target) });
       if (stat.isDirectory()) fs.rmSync(target, { recursive: true, force: true });
       else fs.unlinkSync(target);
-      res.json({ status: 'success' });
+      res.json({ status: 'success', ...workingCopyNotice(site) });
     } catch (err) { logger.error('Files delete error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
 
@@ -572,7 +1121,8 @@ export function createAdminPanel(watchdog) {
   // Backup: create zip archive of site and data
   router.post('/backups/create-zip', async (req, res) => {
     try {
-      const dir = path.join(config.paths.data, 'backups');
+      const site = managedSite(req);
+      const dir = getSiteBackupDir(site.id);
       fs.mkdirSync(dir, { recursive: true });
       const ts = new Date().toISOString().replace(/[:.]/g, '-');
       const filename = `backup-${ts}.zip`;
@@ -581,8 +1131,8 @@ export function createAdminPanel(watchdog) {
       const archive = archiver('zip', { zlib: { level: 9 } });
       archive.on('error', (err) => { throw err; });
       archive.pipe(output);
-      archive.directory(config.staticSiteDir, 'website');
-      archive.directory(config.paths.data, 'data');
+      archive.directory(site.root, 'website');
+      archive.directory(getSiteDataDir(site.id), 'data');
       archive.directory(config.maintenance.pageDir, 'maintenance');
       await archive.finalize();
       res.json({ status: 'success', file: filename });
@@ -593,7 +1143,7 @@ export function createAdminPanel(watchdog) {
   router.post('/backups/prune', express.json(), (req, res) => {
     try {
       const { keep = 5 } = req.body || {};
-      const dir = path.join(config.paths.data, 'backups');
+      const dir = getSiteBackupDir(managedSite(req).id);
       if (!fs.existsSync(dir)) return res.json({ status: 'success', deleted: 0 });
       const items = fs.readdirSync(dir).filter(f => f.startsWith('backup-')).sort().reverse();
       const toDelete = items.slice(keep);
@@ -617,11 +1167,31 @@ export function createAdminPanel(watchdog) {
       const { config: cfg } = req.body || {};
       if (typeof cfg !== 'object' || cfg === null) return res.status(400).json({ error: 'config must be object' });
       const overrideFile = path.join(config.paths.data, 'config-override.json');
-      fs.writeFileSync(overrideFile, JSON.stringify(cfg, null, 2), 'utf8');
+      const previous = fs.existsSync(overrideFile) ? JSON.parse(fs.readFileSync(overrideFile, 'utf8')) : {};
+      writeConfigOverride(cfg);
+      noteAudit(res, { target: 'config-override', ...diffObjects(previous, cfg) });
       res.json({ status: 'success' });
     } catch (err) { logger.error('Config override set error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
 
+  // SPA mode: current settings of the managed site
+  router.get('/spa', (req, res) => {
+    try {
+      const site = managedSite(req);
+      res.json({ status: 'success', site: site.id, spa: getSpaSettings(site.id) });
+    } catch (err) { logger.error('SPA settings error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+
+  // SPA mode: toggle and configure (persisted in data/config-override.json)
+  router.post('/spa', express.json(), (req, res) => {
+    try {
+      const site = managedSite(req);
+      const result = setSpaSettings(site.id, req.body || {});
+      if (!result.ok) return res.status(400).json({ error: result.error });
+      res.json({ status: 'success', site: site.id, spa: result.settings });
+    } catch (err) { logger.error('SPA settings update error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+
   // Security: set CSP header policy stored on disk
   router.post('/security/csp/set', express.json(), (req, res) => {
     try {
@@ -730,7 +1300,7 @@ export function createAdminPanel(watchdog) {
   // 8. Backup size calculation
   router.get('/backups/size', (req, res) => {
     try {
-      const dir = path.join(config.paths.data, 'backups');
+      const dir = getSiteBackupDir(managedSite(req).id);
       if (!fs.existsSync(dir)) return res.json({ status: 'success', totalBytes: 0 });
       let total = 0;
       const walk = d => { for (const f of fs.readdirSync(d)) { const p = path.join(d, f); const st = fs.statSync(p); if (st.isDirectory()) walk(p); else total += st.size; } };
@@ -743,9 +1313,11 @@ export function createAdminPanel(watchdog) {
   router.delete('/backups/:name', (req, res) => {
     try {
       const { name } = req.params;
-      const backupPath = path.join(config.paths.data, 'backups', name);
+      const backupDir = getSiteBackupDir(managedSite(req).id);
+      const backupPath = path.join(backupDir, name);
       const normalizedPath = path.normalize(backupPath);
-      if (!normalizedPath.startsWith(path.normalize(path.join(config.paths.data, 'backups')))) return res.status(400).json({ error: 'Invalid backup name' });
+      // Only backup-<time> copies; snapshots are deleted through /backups/snapshots/:id
+      if (!name.startsWith('backup-') || !normalizedPath.startsWith(path.normalize(backupDir))) return res.status(400).json({ error: 'Invalid backup name' });
       if (fs.existsSync(backupPath)) fs.rmSync(backupPath, { recursive: true, force: true });
       res.json({ status: 'success', message: `Backup ${name} deleted` });
     } catch (err) { logger.error('Backup delete error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
@@ -756,7 +1328,7 @@ export function createAdminPanel(watchdog) {
     try {
       let fileCount = 0, totalSize = 0;
       const walk = d => { for (const f of fs.readdirSync(d)) { const p = path.join(d, f); const st = fs.statSync(p); if (st.isDirectory()) walk(p); else { fileCount++; totalSize += st.size; } } };
-      walk(config.staticSiteDir);
+      walk(managedSite(req).root);
       res.json({ status: 'success', fileCount, totalBytes: totalSize, totalMB: Math.round(totalSize / 1024 / 1024 * 100) / 100 });
     } catch (err) { logger.error('Static stats error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
@@ -821,7 +1393,7 @@ export function createAdminPanel(watchdog) {
   router.post('/backups/cleanup', express.json(), (req, res) => {
     try {
       const { olderThanDays = 7 } = req.body || {};
-      const dir = path.join(config.paths.data, 'backups');
+      const dir = getSiteBackupDir(managedSite(req).id);
       if (!fs.existsSync(dir)) return res.json({ status: 'success', deleted: 0 });
       const cutoff = Date.now() - (olderThanDays * 24 * 60 * 60 * 1000);
       const items = fs.readdirSync(dir).filter(f => f.startsWith('backup-'));
@@ -847,16 +1419,17 @@ export function createAdminPanel(watchdog) {
     try {
       const { query } = req.query;
       if (!query) return res.status(400).json({ error: 'Query parameter required' });
+      const root = managedSite(req).root;
       const results = [];
       const search = (dir) => {
         for (const f of fs.readdirSync(dir)) {
           const p = path.join(dir, f);
           const st = fs.statSync(p);
           if (st.isDirectory()) search(p);
-          else if (f.toLowerCase().includes(query.toLowerCase())) results.push(p.replace(config.staticSiteDir, ''));
+          else if (f.toLowerCase().includes(query.toLowerCase())) results.push(p.replace(root, ''));
         }
       };
-      search(config.staticSiteDir);
+      search(root);
       res.json({ status: 'success', results: results.slice(0, 50) });
     } catch (err) { logger.error('Static search error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
@@ -888,153 +1461,324 @@ export function createAdminPanel(watchdog) {
       const { delaySeconds = 5 } = req.body || {};
       res.json({ status: 'success', message: `Restart scheduled in ${delaySeconds}s` });
       setTimeout(() => {
-        watchdog.gracefulRollingRestart('Delayed restart from admin panel').catch(err => {
-          logger.error('Delayed restart error', { error: err.message });
-        });
+        requestRollingRestart('Delayed restart from admin panel');
       }, delaySeconds * 1000);
     } catch (err) { logger.error('Delayed restart error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
 
-  // 22. Session info (stateless JWT but can show recent activity)
+  // 22. Session registry: active sessions of both panels
   router.get('/sessions/info', (req, res) => {
-      // 23. User accounts: list
-      router.get('/accounts/:role/list', (req, res) => {
-        try {
-          const role = req.params.role === 'maintenance' ? 'maintenance' : 'admin';
-          res.json({ status: 'success', users: listUsers(role) });
-        } catch (err) { logger.error('Accounts list error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+    try {
+      res.json({
+        status: 'success',
+        current: req.user?.sessionId || null,
+        idleTimeoutMinutes: config.sessions.idleTimeoutMs / 60000,
+        absoluteTimeoutHours: config.sessions.absoluteTimeoutMs / 3600000,
+        sessions: getSessionStore().list(),
       });
+    } catch (err) { logger.error('Session info error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
 
-      // 24. User accounts: add
-      router.post('/accounts/:role/add', express.json(), (req, res) => {
-        try {
-          const role = req.params.role === 'maintenance' ? 'maintenance' : 'admin';
-          const { username, password } = req.body || {};
-          if (!username || !password) return res.status(400).json({ error: 'username and password required' });
-          const result = addUser(role, username, password);
-          if (!result.ok) return res.status(400).json({ error: result.error });
-          res.json({ status: 'success' });
-        } catch (err) { logger.error('Accounts add error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
-      });
+  // Revoke one session
+  router.post('/sessions/:id/revoke', (req, res) => {
+    try {
+      if (!getSessionStore().revoke(req.params.id, req.user.username)) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      res.json({ status: 'success' });
+    } catch (err) { logger.error('Session revoke error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
 
-      // 25. User accounts: remove
-      router.post('/accounts/:role/remove', express.json(), (req, res) => {
-        try {
-          const role = req.params.role === 'maintenance' ? 'maintenance' : 'admin';
-          const { username } = req.body || {};
-          if (!username) return res.status(400).json({ error: 'username required' });
-          const result = removeUser(role, username);
-          if (!result.ok) return res.status(400).json({ error: result.error });
-          res.json({ status: 'success' });
-        } catch (err) { logger.error('Accounts remove error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
-      });
+  // Revoke all sessions of one user
+  router.post('/sessions/revoke-user', express.json(), (req, res) => {
+    try {
+      const { role, username } = req.body || {};
+      if (!['admin', 'maintenance'].includes(role) || !username) {
+        return res.status(400).json({ error: 'role (admin or maintenance) and username required' });
+      }
+      const revoked = getSessionStore().revokeUser(role, username, { keepId: req.user.sessionId, by: req.user.username });
+      res.json({ status: 'success', revoked });
+    } catch (err) { logger.error('Session revoke error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
 
-      // 26. Export .smp backup (zip with website + settings + data)
-      router.get('/backups/export-smp', async (req, res) => {
-        try {
-          const projectName = process.env.PROJECT_NAME || 'project';
-          const ts = new Date().toISOString().replace(/[-:T]/g, '').slice(0,8) + '-' + new Date().toISOString().replace(/[:.T]/g, '').slice(9,15);
-          const filename = `${projectName}-backup-${ts}.smp`;
-          res.setHeader('Content-Type', 'application/octet-stream');
-          res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-
-          const archive = archiver('zip', { zlib: { level: 9 } });
-          archive.on('error', (err) => { throw err; });
-          archive.pipe(res);
-
-          // Include website directory
-          archive.directory(config.staticSiteDir, 'website');
-          // Include data directory (settings, users, webauthn, etc.)
-          archive.directory(config.paths.data, 'data');
-          // Include config overrides
-          archive.file(path.join(config.paths.data, 'config-override.json'), { name: 'config-override.json' });
-          // Include maintenance page
-          archive.directory(config.maintenance.pageDir, 'maintenance');
-
-          await archive.finalize();
-        } catch (err) {
-          logger.error('Export SMP error', { error: err.message });
-          res.status(500).json({ error: 'Internal server error' });
-        }
-      });
+  // 23. User accounts: list
+  router.get('/accounts/:role/list', (req, res) => {
+    try {
+      const role = req.params.role === 'maintenance' ? 'maintenance' : 'admin';
+      res.json({ status: 'success', users: listUsers(role) });
+    } catch (err) { logger.error('Accounts list error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
 
-      // 27. Import .smp from URL
-      router.post('/backups/import-smp-from-url', express.json(), async (req, res) => {
-        try {
-          const { url } = req.body || {};
-          if (!url) return res.status(400).json({ error: 'url required' });
-
-          const r = await fetch(url);
-          if (!r.ok) return res.status(400).json({ error: 'Failed to fetch smp file' });
-          const buf = await r.buffer();
-
-          // Save temp zip
-          const tmpZip = path.join(config.paths.data, 'tmp-import.zip');
-          fs.writeFileSync(tmpZip, buf);
-
-          // Extract zip
-          const unzip = await import('adm-zip');
-          const AdmZip = unzip.default;
-          const zip = new AdmZip(tmpZip);
-          const extractDir = path.join(config.paths.data, 'import-extract');
-          if (fs.existsSync(extractDir)) fs.rmSync(extractDir, { recursive: true, force: true });
-          fs.mkdirSync(extractDir, { recursive: true });
-          zip.extractAllTo(extractDir, true);
-
-          // Restore website
-          const websiteSrc = path.join(extractDir, 'website');
-          if (fs.existsSync(websiteSrc)) fs.cpSync(websiteSrc, config.staticSiteDir, { recursive: true });
-          // Restore data
-          const dataSrc = path.join(extractDir, 'data');
-          if (fs.existsSync(dataSrc)) fs.cpSync(dataSrc, config.paths.data, { recursive: true });
-          // Restore maintenance
-          const maintSrc = path.join(extractDir, 'maintenance');
-          if (fs.existsSync(maintSrc)) fs.cpSync(maintSrc, config.maintenance.pageDir, { recursive: true });
-
-          res.json({ status: 'success', message: 'Import completed' });
-        } catch (err) {
-          logger.error('Import SMP error', { error: err.message });
-          res.status(500).json({ error: 'Internal server error' });
-        }
-      });
+  // 24. User accounts: add
+  router.post('/accounts/:role/add', express.json(), (req, res) => {
     try {
-      res.json({
-        status: 'success',
-        type: 'jwt-stateless',
-        currentUser: req.user?.username || 'unknown',
-        loginTime: req.user?.iat ? new Date(req.user.iat * 1000).toISOString() : null
-      });
-    } catch (err) { logger.error('Session info error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+      const role = req.params.role === 'maintenance' ? 'maintenance' : 'admin';
+      const { username, password } = req.body || {};
+      if (!username || !password) return res.status(400).json({ error: 'username and password required' });
+      const result = addUser(role, username, password);
+      if (!result.ok) return res.status(400).json({ error: result.error });
+      res.json({ status: 'success' });
+    } catch (err) { logger.error('Accounts add error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+
+  // 25. User accounts: remove
+  router.post('/accounts/:role/remove', express.json(), (req, res) => {
+    try {
+      const role = req.params.role === 'maintenance' ? 'maintenance' : 'admin';
+      const { username } = req.body || {};
+      if (!username) return res.status(400).json({ error: 'username required' });
+      const result = removeUser(role, username);
+      if (!result.ok) return res.status(400).json({ error: result.error });
+      getSessionStore().revokeUser(role, username, { by: req.user.username });
+      res.json({ status: 'success' });
+    } catch (err) { logger.error('Accounts remove error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+
+  // Two-factor policy per role
+  router.get('/accounts/two-factor', (req, res) => {
+    res.json({ status: 'success', policy: { admin: config.twoFactor.admin, maintenance: config.twoFactor.maintenance } });
+  });
+
+  /**
+   * Account addressed by a per-account route, or null after answering 400/404
+   */
+  function routeAccount(req, res) {
+    const { role, username } = req.params;
+    if (!['admin', 'maintenance'].includes(role)) {
+      res.status(400).json({ error: 'role must be admin or maintenance' });
+      return null;
+    }
+    if (!userExists(role, username)) {
+      res.status(404).json({ error: 'User not found' });
+      return null;
+    }
+    return { role, username };
+  }
+
+  // TOTP status of an account
+  router.get('/accounts/:role/:username/totp', (req, res) => {
+    try {
+      const account = routeAccount(req, res);
+      if (!account) return;
+      res.json({ status: 'success', policy: config.twoFactor[account.role], totp: getTotpStatus(account.role, account.username) });
+    } catch (err) { logger.error('TOTP status error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
 
-  // 28. Import .smp via file upload (multipart/form-data)
-  const upload = multer({ dest: path.join(config.paths.data, 'uploads') });
-  router.post('/backups/import-smp-upload', upload.single('file'), async (req, res) => {
+  // Start TOTP enrollment: returns the secret and otpauth:// URI to scan
+  router.post('/accounts/:role/:username/totp/enroll', (req, res) => {
+    try {
+      const account = routeAccount(req, res);
+      if (!account) return;
+      const { secret, uri } = beginTotpEnrollment(account.role, account.username);
+      res.json({ status: 'success', secret, uri, message: 'Scan the URI, then confirm with a code from the app' });
+    } catch (err) { logger.error('TOTP enroll error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+
+  // Confirm enrollment with a code; returns single-use recovery codes (shown once)
+  router.post('/accounts/:role/:username/totp/confirm', express.json(), (req, res) => {
+    try {
+      const account = routeAccount(req, res);
+      if (!account) return;
+      const recoveryCodes = confirmTotpEnrollment(account.role, account.username, String(req.body?.code || ''));
+      if (!recoveryCodes) return res.status(400).json({ error: 'Invalid code or no enrollment in progress' });
+      logger.info('TOTP enrolled via admin', { role: account.role, username: account.username, user: req.user.username });
+      res.json({ status: 'success', recoveryCodes, warning: 'Save these recovery codes - they cannot be shown again!' });
+    } catch (err) { logger.error('TOTP confirm error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+
+  // Replace recovery codes
+  router.post('/accounts/:role/:username/totp/recovery-codes', (req, res) => {
+    try {
+      const account = routeAccount(req, res);
+      if (!account) return;
+      const recoveryCodes = regenerateRecoveryCodes(account.role, account.username);
+      if (!recoveryCodes) return res.status(400).json({ error: 'TOTP is not enrolled for this user' });
+      res.json({ status: 'success', recoveryCodes, warning: 'Save these recovery codes - they cannot be shown again!' });
+    } catch (err) { logger.error('TOTP recovery codes error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+
+  // Remove TOTP from an account
+  router.post('/accounts/:role/:username/totp/disable', (req, res) => {
+    try {
+      const account = routeAccount(req, res);
+      if (!account) return;
+      if (!disableTotp(account.role, account.username)) return res.status(404).json({ error: 'TOTP is not enrolled for this user' });
+      logger.warn('TOTP disabled via admin', { role: account.role, username: account.username, user: req.user.username });
+      res.json({ status: 'success' });
+    } catch (err) { logger.error('TOTP disable error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+
+  // Roles: built-in and custom, with the permissions they can use
+  router.get('/roles', (req, res) => {
+    try {
+      res.json({ status: 'success', roles: getRoleManager().listRoles(), permissions: API_SCOPES });
+    } catch (err) { logger.error('Roles list error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+
+  // Roles: create or update a custom role
+  router.post('/roles', express.json(), (req, res) => {
+    try {
+      const { name, description, permissions } = req.body || {};
+      const result = getRoleManager().saveRole(name, { description, permissions });
+      if (!result.ok) return res.status(400).json({ error: result.error });
+      logger.info('Role saved via admin', { name, user: req.user.username });
+      res.json({ status: 'success', role: result.role });
+    } catch (err) { logger.error('Role save error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+
+  // Roles: delete a custom role
+  router.delete('/roles/:name', (req, res) => {
+    try {
+      if (!getRoleManager().deleteRole(req.params.name)) return res.status(404).json({ error: 'Custom role not found' });
+      logger.warn('Role deleted via admin', { name: req.params.name, user: req.user.username });
+      res.json({ status: 'success' });
+    } catch (err) { logger.error('Role delete error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+
+  // Roles of an account (none: full access to its panel)
+  router.get('/accounts/:role/:username/roles', (req, res) => {
+    try {
+      const account = routeAccount(req, res);
+      if (!account) return;
+      const roles = getUserRoles(account.role, account.username);
+      res.json({ status: 'success', roles, permissions: roles.length ? getRoleManager().permissionsFor(roles) : ['*'] });
+    } catch (err) { logger.error('Account roles error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+
+  // Assign roles to an account ({ roles: [] } restores full access)
+  router.post('/accounts/:role/:username/roles', express.json(), (req, res) => {
+    try {
+      const account = routeAccount(req, res);
+      if (!account) return;
+      const { roles } = req.body || {};
+      if (!Array.isArray(roles)) return res.status(400).json({ error: 'roles must be an array' });
+      const unknown = roles.filter(name => !getRoleManager().getRole(name));
+      if (unknown.length) return res.status(400).json({ error: `Unknown roles: ${unknown.join(', ')}` });
+      const result = setUserRoles(account.role, account.username, [...new Set(roles)]);
+      if (!result.ok) return res.status(400).json({ error: result.error });
+      logger.warn('Account roles changed', { role: account.role, username: account.username, roles, user: req.user.username });
+      res.json({ status: 'success', roles });
+    } catch (err) { logger.error('Account roles error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+
+  // 26. Export .smp backup (zip with website + settings + data)
+  router.get('/backups/export-smp', async (req, res) => {
+    try {
+      const projectName = process.env.PROJECT_NAME || 'project';
+      const ts = new Date().toISOString().replace(/[-:T]/g, '').slice(0,8) + '-' + new Date().toISOString().replace(/[:.T]/g, '').slice(9,15);
+      const filename = `${projectName}-backup-${ts}.smp`;
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      // website/, data/, maintenance/ and config-override.json, with a manifest of checksums
+      await exportSmp(res);
+    } catch (err) {
+      logger.error('Export SMP error', { error: err.message });
+      if (!res.headersSent) res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // 27. Import .smp from URL ({ url, sections, dryRun, allowLegacy })
+  router.post('/backups/import-smp-from-url', express.json(), async (req, res) => {
+    try {
+      const { url } = req.body || {};
+      if (!url) return res.status(400).json({ error: 'url required' });
+
+      let buf;
+      try {
+        const r = await fetch(url, { size: config.smp.maxArchiveBytes });
+        if (!r.ok) return res.status(400).json({ error: 'Failed to fetch smp file' });
+        buf = await r.buffer();
+      } catch (err) {
+        return res.status(400).json({ error: err.type === 'max-size' ? 'Archive is too large' : 'Failed to fetch smp file' });
+      }
+      await respondSmpImport(req, res, buf, parseImportOptions(req.body));
+    } catch (err) {
+      logger.error('Import SMP error', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // 28. Import .smp via file upload (multipart/form-data; options as fields or query)
+  const upload = multer({ dest: path.join(config.paths.data, 'uploads'), limits: { fileSize: config.smp.maxArchiveBytes, files: 1 } });
+  router.post('/backups/import-smp-upload', (req, res, next) => {
+    upload.single('file')(req, res, err => {
+      if (err) return res.status(400).json({ error: err.code === 'LIMIT_FILE_SIZE' ? 'Archive is too large' : err.message });
+      next();
+    });
+  }, async (req, res) => {
     try {
       if (!req.file) return res.status(400).json({ error: 'file required' });
-      const tmpZip = req.file.path;
-
-      const unzip = await import('adm-zip');
-      const AdmZip = unzip.default;
-      const zip = new AdmZip(tmpZip);
-      const extractDir = path.join(config.paths.data, 'import-extract');
-      if (fs.existsSync(extractDir)) fs.rmSync(extractDir, { recursive: true, force: true });
-      fs.mkdirSync(extractDir, { recursive: true });
-      zip.extractAllTo(extractDir, true);
-
-      const websiteSrc = path.join(extractDir, 'website');
-      if (fs.existsSync(websiteSrc)) fs.cpSync(websiteSrc, config.staticSiteDir, { recursive: true });
-      const dataSrc = path.join(extractDir, 'data');
-      if (fs.existsSync(dataSrc)) fs.cpSync(dataSrc, config.paths.data, { recursive: true });
-      const maintSrc = path.join(extractDir, 'maintenance');
-      if (fs.existsSync(maintSrc)) fs.cpSync(maintSrc, config.maintenance.pageDir, { recursive: true });
-
-      res.json({ status: 'success', message: 'Upload import completed' });
+      const buf = fs.readFileSync(req.file.path);
+      fs.rmSync(req.file.path, { force: true });
+      await respondSmpImport(req, res, buf, parseImportOptions({ ...req.query, ...req.body }));
     } catch (err) {
       logger.error('Upload Import SMP error', { error: err.message });
       res.status(500).json({ error: 'Internal server error' });
     }
   });
 
+  // Off-box backup targets (see src/utils/backup-targets.js)
+  router.get('/backups/targets', (req, res) => {
+    try {
+      res.json({ status: 'success', targets: getBackupTargetManager().listTargets(), types: TARGET_TYPES, encryptionAvailable: !!config.backupTargets.passphrase });
+    } catch (err) { logger.error('Backup targets list error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+  // Create or update a target ({ name, type, encrypt, scheduled, keep, ...adapter settings })
+  router.post('/backups/targets', express.json(), (req, res) => {
+    try {
+      const { name, ...settings } = req.body || {};
+      const manager = getBackupTargetManager();
+      const before = manager.listTargets().find(target => target.name === name) || null;
+      const result = manager.saveTarget(name, settings);
+      if (!result.ok) return res.status(400).json({ error: result.error });
+      noteAudit(res, { target: name, ...diffObjects(before || {}, result.target) });
+      res.json({ status: 'success', target: result.target });
+    } catch (err) { logger.error('Backup target save error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+  router.delete('/backups/targets/:name', (req, res) => {
+    try {
+      if (!getBackupTargetManager().deleteTarget(req.params.name)) return res.status(404).json({ error: 'Backup target not found' });
+      noteAudit(res, { target: req.params.name });
+      res.json({ status: 'success' });
+    } catch (err) { logger.error('Backup target delete error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
+
+  // Calls that reach the target report its failures as 400 with the reason
+  const withTarget = (handler) => async (req, res) => {
+    if (!getBackupTargetManager().getTarget(req.params.name)) return res.status(404).json({ error: 'Backup target not found' });
+    try {
+      await handler(req, res);
+    } catch (err) {
+      logger.warn('Backup target request failed', { target: req.params.name, error: err.message });
+      if (!res.headersSent) res.status(400).json({ error: `Backup target error: ${err.message}` });
+    }
+  };
+  router.post('/backups/targets/:name/test', withTarget(async (req, res) => {
+    await testTarget(req.params.name);
+    res.json({ status: 'success', message: 'Target is reachable and writable' });
+  }));
+  router.get('/backups/targets/:name/files', withTarget(async (req, res) => {
+    res.json({ status: 'success', backups: await listRemoteBackups(req.params.name) });
+  }));
+  // Export an .smp straight to the target
+  router.post('/backups/targets/:name/export', withTarget(async (req, res) => {
+    const result = await uploadBackup(req.params.name, { uploadedBy: req.user.username });
+    noteAudit(res, { target: `${req.params.name}:${result.key}`, after: { bytes: result.bytes, encrypted: result.encrypted, pruned: result.pruned } });
+    res.json({ status: 'success', ...result });
+  }));
+  // Import an .smp from the target ({ key, sections, dryRun, allowLegacy })
+  router.post('/backups/targets/:name/import', express.json(), withTarget(async (req, res) => {
+    const { key } = req.body || {};
+    if (!key) return res.status(400).json({ error: 'key required' });
+    const buffer = await downloadBackup(req.params.name, key);
+    if (buffer.length > config.smp.maxArchiveBytes) return res.status(400).json({ error: 'Archive is too large' });
+    await respondSmpImport(req, res, buffer, parseImportOptions(req.body));
+  }));
+  router.delete('/backups/targets/:name/files/:key', withTarget(async (req, res) => {
+    await deleteRemoteBackup(req.params.name, req.params.key);
+    noteAudit(res, { target: `${req.params.name}:${req.params.key}` });
+    res.json({ status: 'success' });
+  }));
+
   return router;
 }
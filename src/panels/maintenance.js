@@ -15,11 +15,20 @@
 import express from 'express';
 import fs from 'fs';
 import path from 'path';
-import { sessionAuth, loginHandlers, rateLimit, hardwareRoutes } from '../utils/auth.js';
+import { sessionAuth, loginHandlers, hardwareRoutes } from '../utils/auth.js';
+import { noteAudit } from '../utils/audit.js';
+import { exportSmp, respondSmpImport, parseImportOptions } from '../utils/smp.js';
 import config from '../utils/config.js';
 import logger from '../utils/logger.js';
 import { getMaintenanceManager } from '../maintenance/manager.js';
-import archiver from 'archiver';
+import { notifySiteStateChanged } from '../utils/sites.js';
+import { purgeFileCache } from '../utils/file-cache.js';
+import { getSessionStore } from '../utils/sessions.js';
+import { readConfigOverride, updateConfigOverride } from '../utils/config-override.js';
+import { requestAutoscaleStatus, validateAutoscaleSettings } from '../cluster/autoscaler.js';
+import { requestDeployment } from '../cluster/deployment.js';
+import { requestWorkerHealth } from '../health/monitor.js';
+import { requestRollingRestart, requestRollingRestartStatus } from '../watchdog/coordinator.js';
 import fetch from 'node-fetch';
 
 export function createMaintenancePanel(cluster, watchdog) {
@@ -27,9 +36,10 @@ export function createMaintenancePanel(cluster, watchdog) {
   const uiDir = path.join(config.paths.src, 'panels', 'public', 'maintenance');
 
   // Login routes (HTML form)
-  const { getLogin, postLogin, postLogout } = loginHandlers('maintenance', '/maintenance');
+  const { getLogin, postLogin, postTotp, postLogout } = loginHandlers('maintenance', '/maintenance');
   router.get('/login', getLogin);
   router.post('/login', express.urlencoded({ extended: false }), postLogin);
+  router.post('/login/totp', express.urlencoded({ extended: false }), postTotp);
   router.post('/logout', postLogout);
   router.get('/logout', postLogout);
 
@@ -45,9 +55,6 @@ export function createMaintenancePanel(cluster, watchdog) {
   // All maintenance routes require session or valid basic credentials
   router.use(sessionAuth('maintenance', '/maintenance'));
 
-  // Rate limit sensitive operations
-  router.use(rateLimit(60000, 50)); // 50 requests per minute
-
   // Serve static assets for the Maintenance UI
   router.use('/assets', express.static(uiDir, { fallthrough: true }));
 
@@ -91,20 +98,24 @@ export function createMaintenancePanel(cluster, watchdog) {
 
   /**
    * POST /maintenance/restart/rolling - Start graceful rolling restart
+   * (run by the master's watchdog; progress at /restart/rolling/status)
    */
   router.post('/restart/rolling', express.json(), async (req, res) => {
     try {
       const { reason = 'Operator requested' } = req.body || {};
 
+      const current = await requestRollingRestartStatus();
+      if (current?.status === 'running') {
+        return res.status(409).json({ error: 'Rolling restart already in progress' });
+      }
+
       logger.info('Rolling restart initiated via maintenance panel', {
         reason,
         user: req.user.username,
       });
 
-      // Start rolling restart asynchronously
-      watchdog.gracefulRollingRestart(reason).catch(err => {
-        logger.error('Rolling restart error', { error: err.message });
-      });
+      noteAudit(res, { target: 'cluster', after: { reason } });
+      requestRollingRestart(reason);
 
       res.json({
         status: 'success',
@@ -117,6 +128,19 @@ export function createMaintenancePanel(cluster, watchdog) {
     }
   });
 
+  /**
+   * GET /maintenance/restart/rolling/status - Per-step progress of the
+   * current (or last) rolling restart
+   */
+  router.get('/restart/rolling/status', async (req, res) => {
+    try {
+      res.json({ status: 'success', rollingRestart: await requestRollingRestartStatus() });
+    } catch (err) {
+      logger.error('Error reading rolling restart status', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
   /**
    * POST /maintenance/restart/worker/:workerId - Restart specific worker
    */
@@ -130,6 +154,7 @@ export function createMaintenancePanel(cluster, watchdog) {
         return res.status(404).json({ error: 'Worker not found' });
       }
 
+      noteAudit(res, { target: `worker:${id}`, before: { pid: worker.process.pid } });
       logger.info('Worker restart initiated via maintenance panel', {
         workerId: id,
         user: req.user.username,
@@ -161,6 +186,7 @@ export function createMaintenancePanel(cluster, watchdog) {
         return res.status(404).json({ error: 'Worker not found' });
       }
 
+      noteAudit(res, { target: `worker:${id}`, before: { pid: worker.process.pid } });
       logger.warn('Worker force killed via maintenance panel', {
         workerId: id,
         user: req.user.username,
@@ -203,6 +229,107 @@ export function createMaintenancePanel(cluster, watchdog) {
     }
   });
 
+  /**
+   * GET /maintenance/workers/autoscale - Autoscaler settings, latest
+   * sample and recent scaling decisions (from the master)
+   */
+  router.get('/workers/autoscale', async (req, res) => {
+    try {
+      res.json({
+        status: 'success',
+        autoscale: await requestAutoscaleStatus(),
+      });
+    } catch (err) {
+      logger.error('Error getting autoscaler status', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * POST /maintenance/workers/autoscale - Change autoscale settings
+   * ({ enabled, minWorkers, maxWorkers, sustainChecks, scaleUpCooldownMs,
+   * scaleDownCooldownMs, scaleUp: {...}, scaleDown: {...} }); saved in
+   * data/config-override.json and applied by the master right away
+   */
+  router.post('/workers/autoscale', express.json(), (req, res) => {
+    try {
+      const input = req.body || {};
+      const saved = readConfigOverride().cluster?.autoscale || {};
+      const result = validateAutoscaleSettings({
+        ...saved,
+        ...input,
+        scaleUp: { ...saved.scaleUp, ...input.scaleUp },
+        scaleDown: { ...saved.scaleDown, ...input.scaleDown },
+      });
+      if (!result.ok) return res.status(400).json({ error: result.error });
+
+      updateConfigOverride((cfg) => {
+        cfg.cluster = cfg.cluster || {};
+        cfg.cluster.autoscale = result.settings;
+      });
+      noteAudit(res, { target: 'autoscale', before: saved, after: result.settings });
+      logger.info('Autoscale settings updated via ops panel', { user: req.user.username, ...result.settings });
+
+      res.json({ status: 'success', autoscale: result.settings });
+    } catch (err) {
+      logger.error('Error updating autoscale settings', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * GET /maintenance/deployments - Current blue/green deployment (steps,
+   * synthetic checks, bake figures) and recent ones (from the master)
+   */
+  router.get('/deployments', async (req, res) => {
+    try {
+      const { deployment, history, settings } = await requestDeployment('status');
+      res.json({ status: 'success', deployment, history, settings });
+    } catch (err) {
+      logger.error('Error getting deployment status', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * Run a deployment action in the master and answer with its result
+   */
+  async function deploymentAction(req, res, action, payload) {
+    try {
+      const result = await requestDeployment(action, { ...payload, user: req.user.username });
+      if (!result.ok) {
+        return res.status(result.conflict ? 409 : 400).json({ error: result.error });
+      }
+      noteAudit(res, { target: `deployment:${result.deployment.id}`, after: { action, status: result.deployment.status, releases: result.deployment.releases } });
+      logger.info(`Deployment ${action} via ops panel`, { user: req.user.username, deployment: result.deployment.id });
+      res.json({ status: 'success', deployment: result.deployment });
+    } catch (err) {
+      logger.error(`Error in deployment ${action}`, { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * POST /maintenance/deployments - Start a blue/green deployment
+   * ({ releases: { siteId: releaseId }, reason, autoPromote, bakeSeconds })
+   */
+  router.post('/deployments', express.json(), (req, res) => {
+    const { releases, reason, autoPromote, bakeSeconds } = req.body || {};
+    return deploymentAction(req, res, 'start', { options: { releases, reason, autoPromote, bakeSeconds } });
+  });
+
+  /**
+   * POST /maintenance/deployments/promote - Switch traffic to the verified
+   * generation (while baking: finish the bake early)
+   */
+  router.post('/deployments/promote', (req, res) => deploymentAction(req, res, 'promote'));
+
+  /**
+   * POST /maintenance/deployments/abort - Stop the new generation, or shift
+   * traffic back once promoted
+   */
+  router.post('/deployments/abort', (req, res) => deploymentAction(req, res, 'abort'));
+
   /**
    * GET /maintenance/logs - Get logs with filtering
    */
@@ -277,8 +404,11 @@ export function createMaintenancePanel(cluster, watchdog) {
     try {
       const { reason, durationMinutes } = req.body || {};
       const maintenance = getMaintenanceManager();
+      const wasEnabled = maintenance.getState().enabled;
 
       maintenance.enable(reason || 'Operator initiated', durationMinutes, 'ops');
+      notifySiteStateChanged(maintenance.siteId);
+      noteAudit(res, { target: maintenance.siteId, before: { enabled: wasEnabled }, after: { enabled: true, reason: reason || 'Operator initiated' } });
 
       logger.warn('Maintenance mode force-enabled via ops panel', {
         reason,
@@ -346,8 +476,8 @@ export function createMaintenancePanel(cluster, watchdog) {
     try { const { getScheduledTasks } = await import('../utils/scheduled-tasks.js'); getScheduledTasks().rotateLog('app.log'); res.json({ status: 'success' }); } catch (err) { logger.error('Rotate logs error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
 
-  // Cache clear (placeholder)
-  router.post('/cache/clear', (req, res) => { res.json({ status: 'success', message: 'Cache cleared' }); });
+  // Cache clear: clears the file cache in every worker
+  router.post('/cache/clear', (req, res) => { try { res.json({ status: 'success', message: 'Cache cleared', ...purgeFileCache() }); } catch (err) { logger.error('Cache clear error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); } });
 
   // Plugins reload
   router.post('/plugins/reload', (req, res) => { res.json({ status: 'success', message: 'Plugins reloaded' }); });
@@ -388,7 +518,7 @@ export function createMaintenancePanel(cluster, watchdog) {
     try { const ts = new Date().toISOString().replace(/[:.]/g, '-'); const dest = path.join(config.paths.data, 'ops-backups', `backup-${ts}`); fs.mkdirSync(dest, { recursive: true }); fs.cpSync(config.staticSiteDir, path.join(dest, 'static-site'), { recursive: true }); res.json({ status: 'success', path: dest }); } catch (err) { logger.error('Ops backup error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
   router.post('/static/restore', express.json(), (req, res) => {
-    try { const { name } = req.body || {}; const src = path.join(config.paths.data, 'ops-backups', name, 'static-site'); if (!fs.existsSync(src)) return res.status(404).json({ error: 'Backup not found' }); fs.cpSync(src, config.staticSiteDir, { recursive: true }); res.json({ status: 'success' }); } catch (err) { logger.error('Ops restore error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+    try { const { name } = req.body || {}; const src = path.join(config.paths.data, 'ops-backups', name, 'static-site'); if (!fs.existsSync(src)) return res.status(404).json({ error: 'Backup not found' }); fs.cpSync(src, config.staticSiteDir, { recursive: true }); noteAudit(res, { target: name, after: { restoredFrom: name } }); res.json({ status: 'success' }); } catch (err) { logger.error('Ops restore error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
 
   // SSL validate (presence)
@@ -411,13 +541,18 @@ export function createMaintenancePanel(cluster, watchdog) {
   router.get('/scheduled/jobs', async (req, res) => { try { const { getScheduledTasks } = await import('../utils/scheduled-tasks.js'); res.json({ status: 'success', jobs: getScheduledTasks().getActiveJobs() }); } catch (err) { logger.error('Ops scheduled jobs error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); } });
 
   // Sessions revoke
-  router.post('/sessions/revoke-all', (req, res) => { res.json({ status: 'success', message: 'Stateless sessions; advise logout' }); });
+  router.post('/sessions/revoke-all', (req, res) => {
+    try {
+      const revoked = getSessionStore().revokeAll(null, { keepId: req.user.sessionId, by: req.user.username });
+      res.json({ status: 'success', revoked });
+    } catch (err) { logger.error('Session revoke error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+  });
 
   // Config reload (placeholder)
   router.post('/config/reload', (req, res) => { res.json({ status: 'success', message: 'Config reload signalled' }); });
 
   // Maintenance extend duration
-  router.post('/maintenance/extend', express.json(), (req, res) => { try { const { extraMinutes = 10 } = req.body || {}; const maintenance = getMaintenanceManager(); const st = maintenance.getState(); if (!st.enabled) return res.status(400).json({ error: 'Maintenance not enabled' }); maintenance.enable(st.reason || '', (st.durationMinutes || 0) + extraMinutes, 'ops'); res.json({ status: 'success', maintenance: maintenance.getState() }); } catch (err) { logger.error('Extend maintenance error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); } });
+  router.post('/maintenance/extend', express.json(), (req, res) => { try { const { extraMinutes = 10 } = req.body || {}; const maintenance = getMaintenanceManager(); const st = maintenance.getState(); if (!st.enabled) return res.status(400).json({ error: 'Maintenance not enabled' }); maintenance.enable(st.reason || '', (st.durationMinutes || 0) + extraMinutes, 'ops'); notifySiteStateChanged(maintenance.siteId); res.json({ status: 'success', maintenance: maintenance.getState() }); } catch (err) { logger.error('Extend maintenance error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); } });
 
   // Additional 15+ useful ops features
 
@@ -437,6 +572,7 @@ export function createMaintenancePanel(cluster, watchdog) {
   router.post('/workers/kill-all', (req, res) => {
     try {
       const workers = Object.values(cluster.workers || {}).filter(w => w);
+      noteAudit(res, { target: 'workers', before: { workers: workers.map(w => w.id) } });
       workers.forEach(w => w.kill('SIGKILL'));
       logger.warn('All workers killed via ops panel', { user: req.user.username });
       res.json({ status: 'success', message: `${workers.length} workers killed` });
@@ -489,11 +625,22 @@ export function createMaintenancePanel(cluster, watchdog) {
     } catch (err) { logger.error('GC error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
 
-  // 7. CPU usage per worker
-  router.get('/workers/cpu-usage', (req, res) => {
-    try {
-      const workers = Object.values(cluster.workers || {}).filter(w => w && w.process);
-      const usage = workers.map(w => ({ workerId: w.id, pid: w.process.pid, cpuUsage: w.process.cpuUsage ? w.process.cpuUsage() : null }));
+  // 7. CPU, event-loop lag and GC per worker, from their latest heartbeats
+  router.get('/workers/cpu-usage', async (req, res) => {
+    try {
+      const usage = (await requestWorkerHealth()).map(w => ({
+        workerId: w.workerId,
+        pid: w.pid,
+        status: w.status,
+        cpuPercent: w.cpuPercent,
+        cpu: w.cpu,
+        eventLoopLag: w.eventLoopLag,
+        gc: w.gc,
+        activeHandles: w.activeHandles,
+        openConnections: w.openConnections,
+        activeRequests: w.activeRequests,
+        lastHeartbeat: w.lastHeartbeat,
+      }));
       res.json({ status: 'success', workers: usage });
     } catch (err) { logger.error('CPU usage error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
@@ -676,6 +823,7 @@ export function createMaintenancePanel(cluster, watchdog) {
       const id = parseInt(workerId, 10);
       const worker = cluster.workers[id];
       if (!worker) return res.status(404).json({ error: 'Worker not found' });
+      noteAudit(res, { target: `worker:${id}`, after: { signal } });
       worker.process.kill(signal);
       logger.info('Signal sent to worker', { workerId: id, signal, user: req.user.username });
       res.json({ status: 'success', message: `Signal ${signal} sent to worker ${id}` });
@@ -728,6 +876,7 @@ export function createMaintenancePanel(cluster, watchdog) {
       const exitCode = parseInt(code, 10);
       const worker = cluster.workers[id];
       if (!worker) return res.status(404).json({ error: 'Worker not found' });
+      noteAudit(res, { target: `worker:${id}`, after: { exitCode } });
       worker.send({ cmd: 'exit', code: exitCode });
       logger.warn('Worker forced to exit', { workerId: id, exitCode, user: req.user.username });
       res.json({ status: 'success', message: `Worker ${id} will exit with code ${exitCode}` });
@@ -759,42 +908,26 @@ export function createMaintenancePanel(cluster, watchdog) {
       const filename = `${projectName}-backup-${ts}.smp`;
       res.setHeader('Content-Type', 'application/octet-stream');
       res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-
-      const archive = archiver('zip', { zlib: { level: 9 } });
-      archive.on('error', (err) => { throw err; });
-      archive.pipe(res);
-      archive.directory(config.staticSiteDir, 'website');
-      archive.directory(config.paths.data, 'data');
-      archive.file(path.join(config.paths.data, 'config-override.json'), { name: 'config-override.json' });
-      archive.directory(config.maintenance.pageDir, 'maintenance');
-      await archive.finalize();
-    } catch (err) { logger.error('Ops Export SMP error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
+      await exportSmp(res);
+    } catch (err) { logger.error('Ops Export SMP error', { error: err.message }); if (!res.headersSent) res.status(500).json({ error: 'Internal server error' }); }
   });
 
-  // 27. Import .smp from URL (ops)
+  // 27. Import .smp from URL (ops; { url, sections, dryRun, allowLegacy })
   router.post('/backups/import-smp-from-url', express.json(), async (req, res) => {
     try {
       const { url } = req.body || {};
       if (!url) return res.status(400).json({ error: 'url required' });
-      const r = await fetch(url);
-      if (!r.ok) return res.status(400).json({ error: 'Failed to fetch smp file' });
-      const buf = await r.buffer();
-      const tmpZip = path.join(config.paths.data, 'tmp-import.zip');
-      fs.writeFileSync(tmpZip, buf);
-      const unzip = await import('adm-zip');
-      const AdmZip = unzip.default;
-      const zip = new AdmZip(tmpZip);
-      const extractDir = path.join(config.paths.data, 'import-extract');
-      if (fs.existsSync(extractDir)) fs.rmSync(extractDir, { recursive: true, force: true });
-      fs.mkdirSync(extractDir, { recursive: true });
-      zip.extractAllTo(extractDir, true);
-      const websiteSrc = path.join(extractDir, 'website'); if (fs.existsSync(websiteSrc)) fs.cpSync(websiteSrc, config.staticSiteDir, { recursive: true });
-      const dataSrc = path.join(extractDir, 'data'); if (fs.existsSync(dataSrc)) fs.cpSync(dataSrc, config.paths.data, { recursive: true });
-      const maintSrc = path.join(extractDir, 'maintenance'); if (fs.existsSync(maintSrc)) fs.cpSync(maintSrc, config.maintenance.pageDir, { recursive: true });
-      res.json({ status: 'success', message: 'Import completed' });
+      let buf;
+      try {
+        const r = await fetch(url, { size: config.smp.maxArchiveBytes });
+        if (!r.ok) return res.status(400).json({ error: 'Failed to fetch smp file' });
+        buf = await r.buffer();
+      } catch (err) {
+        return res.status(400).json({ error: err.type === 'max-size' ? 'Archive is too large' : 'Failed to fetch smp file' });
+      }
+      await respondSmpImport(req, res, buf, parseImportOptions(req.body));
     } catch (err) { logger.error('Ops Import SMP error', { error: err.message }); res.status(500).json({ error: 'Internal server error' }); }
   });
 
-
   return router;
 }
@@ -39,12 +39,15 @@ function renderKeys(keys = []) {
     const status = key.active ? '<span class="badge success">active</span>' : '<span class="badge warn">revoked</span>';
     const expires = key.expiresAt ? fmt(key.expiresAt) : 'none';
     const lastUsed = key.lastUsed ? fmt(key.lastUsed) : 'never';
+    const usage = key.usage
+      ? `<br/><small class="note">${key.usage.requests} requests, ${key.usage.denied} denied</small>`
+      : '';
     tr.innerHTML = `
       <td class="mono">${key.id}</td>
       <td>${key.name || '—'}</td>
       <td>${scopesText(key.scopes)}</td>
       <td>${status}<br/><small class="note">Expires: ${expires}</small></td>
-      <td>${lastUsed}</td>
+      <td>${lastUsed}${usage}</td>
       <td>
         ${key.active ? `<button class="btn small outline" data-revoke="${key.id}">Revoke</button>` : ''}
       </td>
@@ -66,6 +69,19 @@ async function loadKeys() {
   }
 }
 
+async function loadScopes() {
+  const el = document.getElementById('scopeList');
+  if (!el) return;
+  try {
+    const res = await fetch('/admin/api-keys/scopes');
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to load scopes');
+    el.textContent = (data.scopes || []).join(', ');
+  } catch (err) {
+    el.textContent = 'read, write';
+  }
+}
+
 async function generateKey() {
   try {
     setStatus('Generating key…');
@@ -125,5 +141,6 @@ window.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  loadScopes();
   loadKeys();
 });
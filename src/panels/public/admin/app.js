@@ -79,6 +79,20 @@ async function listFiles() {
   const res = await fetch(`/admin/files/list?dir=${encodeURIComponent(dir)}`);
   const data = await res.json();
   document.getElementById('fmList').textContent = res.ok ? JSON.stringify(data.entries || [], null, 2) : data.error || 'Failed';
+  showWorkingCopyNotice(data);
+}
+
+// The file manager edits the working copy; say so while a release is served
+function showWorkingCopyNotice(data) {
+  document.getElementById('fmNotice').textContent = data.warning || '';
+}
+
+// After an edit, offer to release the working copy so visitors see it
+async function offerWorkingCopyRelease(data) {
+  showWorkingCopyNotice(data);
+  if (data.warning && confirm(`${data.warning}\n\nRelease the working copy now?`)) {
+    await releaseAction('/admin/releases/snapshot');
+  }
 }
 
 async function readFile() {
@@ -86,7 +100,7 @@ async function readFile() {
   if (!file) { alert('File required'); return; }
   const res = await fetch('/admin/files/read', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ file }) });
   const data = await res.json();
-  if (res.ok) document.getElementById('fmContent').value = data.content || '';
+  if (res.ok) { document.getElementById('fmContent').value = data.content || ''; showWorkingCopyNotice(data); }
   else alert(data.error || 'Read failed');
 }
 
@@ -95,14 +109,32 @@ async function writeFile() {
   if (!file) { alert('File required'); return; }
   const content = document.getElementById('fmContent').value;
   const res = await fetch('/admin/files/write', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ file, content }) });
-  alert(res.ok ? 'Saved' : 'Save failed');
+  const data = await res.json();
+  if (!res.ok) { alert(data.error || 'Save failed'); return; }
+  if (data.warning) await offerWorkingCopyRelease(data);
+  else alert('Saved');
+}
+
+async function editErrorPage() {
+  const status = document.getElementById('errorPageStatus').value;
+  const file = `${status}.html`;
+  document.getElementById('fmFile').value = file;
+  let res = await fetch('/admin/files/read', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ file }) });
+  // The site has no page yet: start from the built-in one
+  if (res.status === 404) res = await fetch(`/admin/error-pages/${status}/default`);
+  const data = await res.json();
+  if (res.ok) document.getElementById('fmContent').value = data.content || '';
+  else alert(data.error || 'Load failed');
 }
 
 async function deleteFile() {
   const file = document.getElementById('fmFile').value.trim();
   if (!file) { alert('File required'); return; }
   const res = await fetch('/admin/files/delete', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ file }) });
-  alert(res.ok ? 'Deleted' : 'Delete failed');
+  const data = await res.json();
+  if (!res.ok) { alert(data.error || 'Delete failed'); return; }
+  if (data.warning) await offerWorkingCopyRelease(data);
+  else alert('Deleted');
 }
 
 async function setCsp() {
@@ -147,6 +179,297 @@ async function snapshot() {
   document.getElementById('snapshot').textContent = res.ok ? JSON.stringify(data, null, 2) : data.error || 'Failed';
 }
 
+async function loadSites() {
+  const data = await getJSON('/admin/sites');
+  const select = document.getElementById('siteSelect');
+  select.innerHTML = '';
+  (data.sites || []).forEach(site => {
+    const opt = document.createElement('option');
+    opt.value = site.id;
+    opt.textContent = site.id;
+    opt.selected = site.id === data.current;
+    select.appendChild(opt);
+  });
+  document.getElementById('sitesList').textContent = (data.sites || [])
+    .map(site => `${site.id}: ${site.hosts.join(', ') || '(any other host)'}\n  ${site.root}`)
+    .join('\n');
+}
+
+async function switchSite() {
+  const id = document.getElementById('siteSelect').value;
+  document.cookie = `smplus_site=${encodeURIComponent(id)}; Path=/admin; SameSite=Lax`;
+  await loadSites();
+  await loadWindows();
+  await loadReleases();
+  await loadSpa();
+  await refresh();
+}
+
+function siteHosts() {
+  return document.getElementById('siteHosts').value.split(',').map(h => h.trim()).filter(Boolean);
+}
+
+async function addSite() {
+  const id = document.getElementById('siteId').value.trim();
+  const res = await fetch('/admin/sites/add', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ id, hosts: siteHosts() }) });
+  const data = await res.json();
+  if (!res.ok) alert(data.error || 'Failed to add site');
+  await loadSites();
+}
+
+async function updateSite() {
+  const id = document.getElementById('siteId').value.trim();
+  const res = await fetch(`/admin/sites/${encodeURIComponent(id)}/update`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ hosts: siteHosts() }) });
+  const data = await res.json();
+  if (!res.ok) alert(data.error || 'Failed to update site');
+  await loadSites();
+}
+
+async function removeSite() {
+  const id = document.getElementById('siteId').value.trim();
+  if (!confirm(`Remove site ${id}? Its files stay on disk.`)) return;
+  const res = await fetch(`/admin/sites/${encodeURIComponent(id)}/remove`, { method: 'POST' });
+  const data = await res.json();
+  if (!res.ok) alert(data.error || 'Failed to remove site');
+  await loadSites();
+}
+
+async function loadWindows() {
+  const data = await getJSON('/admin/maintenance/windows');
+  const when = (o) => `${new Date(o.start).toLocaleString()} - ${new Date(o.end).toLocaleString()}`;
+  const windows = (data.windows || [])
+    .map(w => `${w.active ? '* ' : '  '}${w.id}  ${w.recurrence}  ${w.next ? when(w.next) : 'over'}  ${w.reason}`);
+  const calendar = (data.calendar || []).map(o => `  ${when(o)}  ${o.reason}`);
+  document.getElementById('windowsList').textContent = windows.length
+    ? `${windows.join('\n')}\n\nNext 30 days:\n${calendar.join('\n') || '  nothing planned'}`
+    : 'No maintenance windows planned.';
+}
+
+function windowSettings() {
+  const time = (id) => {
+    const value = document.getElementById(id).value;
+    return value ? new Date(value).toISOString() : undefined;
+  };
+  return {
+    startAt: time('windowStart'),
+    endAt: time('windowEnd'),
+    reason: document.getElementById('windowReason').value.trim(),
+    recurrence: document.getElementById('windowRecurrence').value,
+    noticeMinutes: parseInt(document.getElementById('windowNotice').value || '0', 10) || 0,
+  };
+}
+
+async function windowAction(url, options) {
+  const res = await fetch(url, options);
+  const data = await res.json();
+  if (!res.ok) alert(data.error || 'Maintenance window action failed');
+  await loadWindows();
+}
+
+async function planWindow() {
+  await windowAction('/admin/maintenance/windows', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(windowSettings()) });
+}
+
+async function updateWindow() {
+  const id = document.getElementById('windowId').value.trim();
+  if (!id) { alert('Enter a window id'); return; }
+  const changes = Object.fromEntries(Object.entries(windowSettings()).filter(([, value]) => value !== undefined && value !== ''));
+  await windowAction(`/admin/maintenance/windows/${encodeURIComponent(id)}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(changes) });
+}
+
+async function cancelWindow() {
+  const id = document.getElementById('windowId').value.trim();
+  if (!id) { alert('Enter a window id'); return; }
+  if (!confirm(`Cancel maintenance window ${id}?`)) return;
+  await windowAction(`/admin/maintenance/windows/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+async function loadReleases() {
+  const data = await getJSON('/admin/releases');
+  document.getElementById('releasesList').textContent = (data.releases || [])
+    .map(r => `${r.active ? '* ' : r.canary ? '~ ' : '  '}${r.id}  ${r.fileCount} files  ${r.source} by ${r.createdBy}`)
+    .join('\n') || 'No releases yet — the working copy is live.';
+  await loadCanary();
+}
+
+async function loadCanary() {
+  const data = await getJSON('/admin/releases/canary');
+  const lines = [data.canary
+    ? `Canary ${data.canary.release} at ${data.canary.weight}% (stable: ${data.stable || 'working copy'})`
+    : 'No canary running.'];
+  for (const v of data.variants || []) {
+    lines.push(`${v.variant.padEnd(7)} ${v.release || 'working copy'}  ${v.requests} req  ${v.errorRate} errors  avg ${v.avgResponseTime}  p95 ${v.p95ResponseTime}`);
+  }
+  document.getElementById('canaryStatus').textContent = lines.join('\n');
+}
+
+async function startCanary() {
+  const release = document.getElementById('releaseId').value.trim();
+  if (!release) { alert('Enter a release id'); return; }
+  const weight = Number(document.getElementById('canaryWeight').value);
+  await releaseAction('/admin/releases/canary', { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ release, weight }) });
+}
+
+async function setCanaryWeight() {
+  const weight = Number(document.getElementById('canaryWeight').value);
+  await releaseAction('/admin/releases/canary/weight', { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ weight }) });
+}
+
+async function releaseAction(url, options) {
+  const res = await fetch(url, { method: 'POST', ...options });
+  const data = await res.json();
+  if (!res.ok) alert(data.error || 'Release action failed');
+  await loadReleases();
+}
+
+async function uploadRelease() {
+  const input = document.getElementById('releaseFile');
+  if (!input.files || !input.files[0]) { alert('Choose a .zip file'); return; }
+  await releaseAction('/admin/releases?activate=1', { headers: { 'Content-Type': 'application/zip' }, body: input.files[0] });
+}
+
+async function activateRelease() {
+  const id = document.getElementById('releaseId').value.trim();
+  if (!id) { alert('Enter a release id'); return; }
+  await releaseAction(`/admin/releases/${encodeURIComponent(id)}/activate`);
+}
+
+async function totpAction(action, body) {
+  const role = document.getElementById('accountRole').value;
+  const username = document.getElementById('accountUser').value.trim();
+  if (!username) { alert('Username required'); return; }
+  const url = `/admin/accounts/${role}/${encodeURIComponent(username)}/totp${action ? `/${action}` : ''}`;
+  const options = action ? { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body || {}) } : {};
+  const res = await fetch(url, options);
+  const data = await res.json();
+  const out = document.getElementById('accountsList');
+  if (!res.ok) { out.textContent = data.error || 'TOTP action failed'; return; }
+  if (data.uri) {
+    out.textContent = `Add this account to an authenticator app (scan the URI as a QR code or type the secret), then confirm with a code.\n\nSecret: ${data.secret}\nURI: ${data.uri}`;
+  } else if (data.recoveryCodes) {
+    out.textContent = `Recovery codes (each works once, shown only now):\n\n${data.recoveryCodes.join('\n')}`;
+  } else {
+    out.textContent = JSON.stringify(data.totp || data, null, 2);
+  }
+}
+
+function importSections() {
+  return [...document.querySelectorAll('#importSections input:checked')].map(input => input.value);
+}
+
+function showImportResult(res, data) {
+  const out = document.getElementById('importResult');
+  if (!res.ok) {
+    out.textContent = `${data.error || 'Import failed'}${data.problems ? `\n\n${data.problems.join('\n')}` : ''}`;
+    return;
+  }
+  const lines = [data.message];
+  if (data.backup) lines.push(`Previous state saved to ${data.backup}`);
+  for (const [section, diff] of Object.entries(data.sections)) {
+    lines.push(`\n${section}: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.unchanged} unchanged`);
+    diff.added.forEach(name => lines.push(`  + ${name}`));
+    diff.changed.forEach(name => lines.push(`  ~ ${name}`));
+  }
+  if (data.skipped.length) lines.push(`\nSkipped (host-specific): ${data.skipped.length} files`);
+  out.textContent = lines.join('\n');
+}
+
+async function importSmpFromUrl(dryRun) {
+  const url = document.getElementById('importUrl').value.trim();
+  if (!url) { alert('Enter a URL to import.'); return; }
+  if (!dryRun && !confirm('Import this backup over the current state?')) return;
+  const res = await fetch('/admin/backups/import-smp-from-url', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url, dryRun, sections: importSections() }),
+  });
+  showImportResult(res, await res.json());
+}
+
+async function importSmpUpload(dryRun) {
+  const fileInput = document.getElementById('importFile');
+  if (!fileInput.files || !fileInput.files[0]) { alert('Choose a .smp/.zip file'); return; }
+  if (!dryRun && !confirm('Import this backup over the current state?')) return;
+  const form = new FormData();
+  form.append('dryRun', String(dryRun));
+  form.append('sections', importSections().join(','));
+  form.append('file', fileInput.files[0]);
+  const res = await fetch('/admin/backups/import-smp-upload', { method: 'POST', body: form });
+  showImportResult(res, await res.json());
+}
+
+async function accountRoles(assign) {
+  const role = document.getElementById('accountRole').value;
+  const username = document.getElementById('accountUser').value.trim();
+  if (!username) { alert('Username required'); return; }
+  const input = document.getElementById('accountRoles');
+  const options = assign ? {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ roles: input.value.split(',').map(r => r.trim()).filter(Boolean) }),
+  } : {};
+  const res = await fetch(`/admin/accounts/${role}/${encodeURIComponent(username)}/roles`, options);
+  const data = await res.json();
+  const out = document.getElementById('accountsList');
+  if (!res.ok) { out.textContent = data.error || 'Roles action failed'; return; }
+  input.value = data.roles.join(', ');
+  out.textContent = data.roles.length ? JSON.stringify(data, null, 2) : `${username} has full access to the ${role} panel`;
+}
+
+async function listRoles() {
+  const data = await getJSON('/admin/roles');
+  document.getElementById('accountsList').textContent = data.roles
+    .map(r => `${r.name}${r.builtin ? ' (built-in)' : ''}: ${r.permissions.join(', ')}${r.description ? `\n  ${r.description}` : ''}`)
+    .join('\n');
+}
+
+async function loadSessions() {
+  const data = await getJSON('/admin/sessions/info');
+  document.getElementById('sessionsList').textContent = (data.sessions || [])
+    .map(s => `${s.id === data.current ? '* ' : '  '}${s.id}  ${s.role}/${s.username}  ${s.hw ? 'hw' : 'no-hw'}  ${s.ip || '?'}  last seen ${new Date(s.lastSeenAt).toLocaleString()}\n    ${s.userAgent || ''}`)
+    .join('\n') || 'No active sessions.';
+}
+
+async function sessionAction(url, body) {
+  const res = await fetch(url, body ? { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) } : { method: 'POST' });
+  const data = await res.json();
+  if (!res.ok) alert(data.error || 'Session action failed');
+  else if (data.revoked !== undefined) alert(`Revoked ${data.revoked} session(s)`);
+  await loadSessions();
+}
+
+async function revokeSession() {
+  const id = document.getElementById('sessionId').value.trim();
+  if (!id) { alert('Enter a session id'); return; }
+  await sessionAction(`/admin/sessions/${encodeURIComponent(id)}/revoke`);
+}
+
+async function revokeUserSessions() {
+  const role = document.getElementById('sessionRole').value;
+  const username = document.getElementById('sessionUser').value.trim();
+  if (!username) { alert('Username required'); return; }
+  await sessionAction('/admin/sessions/revoke-user', { role, username });
+}
+
+async function loadSpa() {
+  const data = await getJSON('/admin/spa');
+  if (!data.spa) return;
+  document.getElementById('spaEnabled').checked = data.spa.enabled;
+  document.getElementById('spaEntry').value = data.spa.entry;
+  document.getElementById('spaExclude').value = data.spa.exclude.join(', ');
+}
+
+async function saveSpa() {
+  const body = {
+    enabled: document.getElementById('spaEnabled').checked,
+    entry: document.getElementById('spaEntry').value.trim() || 'index.html',
+    exclude: document.getElementById('spaExclude').value.split(',').map(p => p.trim()).filter(Boolean),
+  };
+  const res = await fetch('/admin/spa', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const data = await res.json();
+  if (!res.ok) alert(data.error || 'Failed to save SPA settings');
+  await loadSpa();
+}
 
 window.addEventListener('DOMContentLoaded', () => {
   document.getElementById('btnEnable').addEventListener('click', () => toggleMaintenance(true));
@@ -210,22 +533,13 @@ window.addEventListener('DOMContentLoaded', () => {
   const btnExport = document.getElementById('btnExportSmp');
   if (btnExport) btnExport.addEventListener('click', () => { window.location.href = '/admin/backups/export-smp'; });
   const btnImport = document.getElementById('btnImportSmp');
-  if (btnImport) btnImport.addEventListener('click', async () => {
-    const url = document.getElementById('importUrl').value.trim();
-    if (!url) { alert('Enter a URL to import.'); return; }
-    const res = await fetch('/admin/backups/import-smp-from-url', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ url }) });
-    const ok = res.ok;
-    alert(ok ? 'Import started/completed. Check logs for details.' : 'Import failed');
-  });
+  if (btnImport) btnImport.addEventListener('click', () => importSmpFromUrl(false));
+  const btnPreview = document.getElementById('btnPreviewSmp');
+  if (btnPreview) btnPreview.addEventListener('click', () => importSmpFromUrl(true));
   const btnImportUpload = document.getElementById('btnImportUpload');
-  if (btnImportUpload) btnImportUpload.addEventListener('click', async () => {
-    const fileInput = document.getElementById('importFile');
-    if (!fileInput.files || !fileInput.files[0]) { alert('Choose a .smp/.zip file'); return; }
-    const form = new FormData();
-    form.append('file', fileInput.files[0]);
-    const res = await fetch('/admin/backups/import-smp-upload', { method: 'POST', body: form });
-    alert(res.ok ? 'Upload import completed' : 'Upload import failed');
-  });
+  if (btnImportUpload) btnImportUpload.addEventListener('click', () => importSmpUpload(false));
+  const btnPreviewUpload = document.getElementById('btnPreviewUpload');
+  if (btnPreviewUpload) btnPreviewUpload.addEventListener('click', () => importSmpUpload(true));
   const btnLoadAdmin = document.getElementById('btnLoadAdmin');
   if (btnLoadAdmin) btnLoadAdmin.addEventListener('click', async () => {
     try { const data = await getJSON('/admin/accounts/admin/list'); document.getElementById('accountsList').textContent = JSON.stringify(data.users || [], null, 2); }
@@ -253,6 +567,16 @@ window.addEventListener('DOMContentLoaded', () => {
     const res = await fetch(`/admin/accounts/${role}/remove`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username }) });
     alert(res.ok ? 'Account removed' : 'Failed to remove');
   });
+  document.getElementById('btnRolesShow').addEventListener('click', () => accountRoles(false));
+  document.getElementById('btnRolesAssign').addEventListener('click', () => accountRoles(true));
+  document.getElementById('btnRolesList').addEventListener('click', listRoles);
+  document.getElementById('btnTotpStatus').addEventListener('click', () => totpAction(''));
+  document.getElementById('btnTotpEnroll').addEventListener('click', () => totpAction('enroll'));
+  document.getElementById('btnTotpConfirm').addEventListener('click', () => totpAction('confirm', { code: document.getElementById('totpCode').value.trim() }));
+  document.getElementById('btnTotpRecovery').addEventListener('click', () => totpAction('recovery-codes'));
+  document.getElementById('btnTotpDisable').addEventListener('click', () => {
+    if (confirm('Remove the authenticator app from this account?')) totpAction('disable');
+  });
   const btnListFiles = document.getElementById('btnListFiles');
   if (btnListFiles) btnListFiles.addEventListener('click', listFiles);
   const btnReadFile = document.getElementById('btnReadFile');
@@ -261,6 +585,8 @@ window.addEventListener('DOMContentLoaded', () => {
   if (btnWriteFile) btnWriteFile.addEventListener('click', writeFile);
   const btnDeleteFile = document.getElementById('btnDeleteFile');
   if (btnDeleteFile) btnDeleteFile.addEventListener('click', deleteFile);
+  const btnEditErrorPage = document.getElementById('btnEditErrorPage');
+  if (btnEditErrorPage) btnEditErrorPage.addEventListener('click', editErrorPage);
   const btnSetCsp = document.getElementById('btnSetCsp');
   if (btnSetCsp) btnSetCsp.addEventListener('click', setCsp);
   const btnLoadCfg = document.getElementById('btnLoadCfg');
@@ -273,6 +599,34 @@ window.addEventListener('DOMContentLoaded', () => {
   if (btnPruneZip) btnPruneZip.addEventListener('click', pruneZip);
   const btnSnapshot = document.getElementById('btnSnapshot');
   if (btnSnapshot) btnSnapshot.addEventListener('click', snapshot);
+  document.getElementById('siteSelect').addEventListener('change', switchSite);
+  document.getElementById('btnAddSite').addEventListener('click', addSite);
+  document.getElementById('btnUpdateSite').addEventListener('click', updateSite);
+  document.getElementById('btnRemoveSite').addEventListener('click', removeSite);
+  document.getElementById('btnPlanWindow').addEventListener('click', planWindow);
+  document.getElementById('btnUpdateWindow').addEventListener('click', updateWindow);
+  document.getElementById('btnCancelWindow').addEventListener('click', cancelWindow);
+  document.getElementById('btnLoadReleases').addEventListener('click', loadReleases);
+  document.getElementById('btnSnapshotRelease').addEventListener('click', () => releaseAction('/admin/releases/snapshot'));
+  document.getElementById('btnRollbackRelease').addEventListener('click', () => releaseAction('/admin/releases/rollback'));
+  document.getElementById('btnUploadRelease').addEventListener('click', uploadRelease);
+  document.getElementById('btnActivateRelease').addEventListener('click', activateRelease);
+  document.getElementById('btnStartCanary').addEventListener('click', startCanary);
+  document.getElementById('btnCanaryWeight').addEventListener('click', setCanaryWeight);
+  document.getElementById('btnPromoteCanary').addEventListener('click', () => releaseAction('/admin/releases/canary/promote'));
+  document.getElementById('btnStopCanary').addEventListener('click', () => releaseAction('/admin/releases/canary/stop'));
+  document.getElementById('btnLoadSessions').addEventListener('click', loadSessions);
+  document.getElementById('btnRevokeSession').addEventListener('click', revokeSession);
+  document.getElementById('btnRevokeUserSessions').addEventListener('click', revokeUserSessions);
+  document.getElementById('btnRevokeAllSessions').addEventListener('click', () => {
+    if (confirm('Sign out every other session?')) sessionAction('/admin/sessions/revoke-all');
+  });
+  loadSites().catch(() => {});
+  document.getElementById('btnSaveSpa').addEventListener('click', saveSpa);
+  loadWindows().catch(() => {});
+  loadReleases().catch(() => {});
+  loadSpa().catch(() => {});
+  loadSessions().catch(() => {});
   refresh();
   setInterval(refresh, 8000);
 });
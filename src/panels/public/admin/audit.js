@@ -0,0 +1,97 @@
+const statusEl = document.getElementById('status');
+const auditBody = document.getElementById('auditBody');
+
+function setStatus(text) {
+  if (statusEl) statusEl.textContent = text;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function filterQuery() {
+  const params = new URLSearchParams();
+  const fields = { actor: 'fActor', role: 'fRole', action: 'fAction', target: 'fTarget', status: 'fStatus' };
+  for (const [name, id] of Object.entries(fields)) {
+    const value = document.getElementById(id).value.trim();
+    if (value) params.set(name, value);
+  }
+  for (const [name, id] of [['from', 'fFrom'], ['to', 'fTo']]) {
+    const value = document.getElementById(id).value;
+    if (value) params.set(name, new Date(value).toISOString());
+  }
+  return params;
+}
+
+function updateExportLinks(params) {
+  for (const [id, format] of [['btnCsv', 'csv'], ['btnJson', 'json']]) {
+    const exportParams = new URLSearchParams(params);
+    exportParams.set('format', format);
+    document.getElementById(id).href = `/admin/audit/journal?${exportParams}`;
+  }
+}
+
+function changeText(entry) {
+  const part = value => (value === null || value === undefined ? '—' : JSON.stringify(value));
+  if (!entry.before && !entry.after) return entry.params ? JSON.stringify(entry.params) : '—';
+  return `${part(entry.before)} → ${part(entry.after)}`;
+}
+
+function renderEntries(entries = []) {
+  auditBody.innerHTML = '';
+  if (!entries.length) {
+    auditBody.innerHTML = '<tr><td colspan="9">No entries.</td></tr>';
+    return;
+  }
+  for (const entry of entries) {
+    const tr = document.createElement('tr');
+    const status = entry.status < 400 ? `<span class="badge success">${entry.status}</span>` : `<span class="badge danger">${escapeHtml(entry.status)}</span>`;
+    tr.innerHTML = `
+      <td class="mono">${entry.seq}</td>
+      <td>${escapeHtml(new Date(entry.ts).toLocaleString())}</td>
+      <td>${escapeHtml(entry.actor)} <small>(${escapeHtml(entry.role)})</small></td>
+      <td>${escapeHtml(entry.authMethod)}</td>
+      <td class="mono">${escapeHtml(entry.ip)}</td>
+      <td class="mono">${escapeHtml(entry.action)}</td>
+      <td class="mono">${escapeHtml(entry.target ?? '—')}</td>
+      <td>${status}</td>
+      <td class="mono">${escapeHtml(changeText(entry))}</td>`;
+    auditBody.appendChild(tr);
+  }
+}
+
+async function search() {
+  try {
+    const params = filterQuery();
+    updateExportLinks(params);
+    params.set('limit', '200');
+    setStatus('Loading…');
+    const res = await fetch(`/admin/audit/journal?${params}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to load the journal');
+    renderEntries(data.entries);
+    setStatus(`Showing ${data.entries.length} of ${data.total} matching entries.`);
+  } catch (err) {
+    setStatus(err.message || 'Failed to load the journal');
+  }
+}
+
+async function verify() {
+  try {
+    setStatus('Verifying…');
+    const res = await fetch('/admin/audit/journal/verify');
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Verification failed');
+    setStatus(data.valid
+      ? `Chain intact: ${data.entries} entries verified${data.keyed ? '' : ' (unkeyed: set AUDIT_HMAC_SECRET)'}.${data.head ? ` Head #${data.head.seq} ${data.head.hash.slice(0, 16)}…` : ''}`
+      : `Chain broken at line ${data.brokenAt}: ${data.reason}.`);
+  } catch (err) {
+    setStatus(err.message || 'Verification failed');
+  }
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('btnSearch')?.addEventListener('click', search);
+  document.getElementById('btnVerify')?.addEventListener('click', verify);
+  search();
+});
@@ -24,14 +24,129 @@ async function refresh() {
 
     const m = data?.maintenance || {};
     document.getElementById('mEnabled').textContent = m?.enabled ? 'Yes' : 'No';
+
+    await loadRollingRestart();
+    await loadAutoscale();
+    await loadDeployment();
   } catch (err) {
     console.error('Refresh error:', err);
   }
 }
 
+async function loadAutoscale() {
+  const { autoscale } = await getJSON('/maintenance/workers/autoscale');
+  const { settings, sample } = autoscale;
+  document.getElementById('asEnabled').textContent = autoscale.enabled ? 'Yes' : 'No';
+  document.getElementById('asWorkers').textContent = `${autoscale.workers.length}${autoscale.retiring.length ? ` (+${autoscale.retiring.length} draining)` : ''} (${settings.minWorkers}–${settings.maxWorkers})`;
+  document.getElementById('asSample').textContent = sample
+    ? `${sample.requestsPerSecond} req/s, ${sample.cpuPercent}% CPU, ${sample.eventLoopLagMs}ms lag`
+    : '—';
+  document.getElementById('asHistory').textContent = autoscale.history
+    .map(h => `${new Date(h.at).toLocaleTimeString()}  ${h.direction === 'up' ? '+' : '-'} ${h.from} → ${h.to}  ${h.reasons.join(', ')}`)
+    .join('\n') || 'No scaling decisions yet.';
+  if (document.activeElement?.tagName !== 'INPUT') {
+    document.getElementById('asEnabledInput').checked = autoscale.enabled;
+    document.getElementById('asMin').value = settings.minWorkers;
+    document.getElementById('asMax').value = settings.maxWorkers;
+  }
+}
+
+async function saveAutoscale() {
+  const body = {
+    enabled: document.getElementById('asEnabledInput').checked,
+    minWorkers: parseInt(document.getElementById('asMin').value, 10),
+    maxWorkers: parseInt(document.getElementById('asMax').value, 10),
+  };
+  const res = await fetch('/maintenance/workers/autoscale', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const data = await res.json();
+  if (!res.ok) alert(data.error || 'Failed to save autoscale settings');
+  await loadAutoscale();
+}
+
+const ROLLING_STEP_LABELS = {
+  starting: 'starting',
+  probing: 'readiness probe',
+  draining: 'draining old worker',
+  done: 'done',
+  failed: 'failed',
+};
+
+let rollingPoll = null;
+
+async function loadRollingRestart() {
+  const { rollingRestart: rr } = await getJSON('/maintenance/restart/rolling/status');
+  if (!rr) {
+    document.getElementById('rrStatus').textContent = 'None yet';
+    document.getElementById('rrSteps').textContent = '';
+    return;
+  }
+  const done = rr.steps.filter(s => s.status === 'done').length;
+  document.getElementById('rrStatus').textContent = `${rr.status} (${done}/${rr.total})`;
+  document.getElementById('rrSteps').textContent = [
+    `${new Date(rr.startedAt).toLocaleTimeString()}  ${rr.reason}`,
+    ...rr.steps.map(s => `#${s.workerId} → #${s.replacementId ?? '…'}  ${ROLLING_STEP_LABELS[s.status] || s.status}${s.error ? `: ${s.error}` : ''}`),
+  ].join('\n');
+
+  // Follow a running restart closely, then fall back to the normal refresh
+  if (rr.status === 'running' && !rollingPoll) {
+    rollingPoll = setInterval(() => loadRollingRestart().catch(err => console.error('Rolling restart status error:', err)), 1000);
+  } else if (rr.status !== 'running' && rollingPoll) {
+    clearInterval(rollingPoll);
+    rollingPoll = null;
+    await refresh();
+  }
+}
+
 async function rollingRestart() {
-  await fetch('/maintenance/restart/rolling', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ reason: 'Operator initiated via UI' }) });
-  await refresh();
+  const res = await fetch('/maintenance/restart/rolling', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ reason: 'Operator initiated via UI' }) });
+  if (!res.ok) alert((await res.json()).error || 'Failed to start rolling restart');
+  // The master picks the request up asynchronously
+  setTimeout(() => refresh(), 500);
+}
+
+let deploymentPoll = null;
+
+async function loadDeployment() {
+  const { deployment: d, history } = await getJSON('/maintenance/deployments');
+  const last = history[0];
+  document.getElementById('bgStatus').textContent = d
+    ? `#${d.id} ${d.status}${d.error ? ` — ${d.error}` : ''}`
+    : 'None yet';
+  document.getElementById('bgBake').textContent = d?.bake
+    ? `${d.bake.requests} req, ${d.bake.errorRate}% 5xx, until ${new Date(d.bake.endsAt).toLocaleTimeString()}`
+    : '—';
+  document.getElementById('bgEvents').textContent = d
+    ? d.events.map(e => `${new Date(e.at).toLocaleTimeString()}  ${e.message}`).join('\n')
+    : (last ? `Last: #${last.id} ${last.status}` : '');
+
+  // Follow a running deployment closely
+  const active = d && !['completed', 'failed', 'aborted', 'rolled-back'].includes(d.status);
+  if (active && !deploymentPoll) {
+    deploymentPoll = setInterval(() => loadDeployment().catch(err => console.error('Deployment status error:', err)), 2000);
+  } else if (!active && deploymentPoll) {
+    clearInterval(deploymentPoll);
+    deploymentPoll = null;
+  }
+}
+
+async function deploymentAction(path, body) {
+  const res = await fetch(`/maintenance/deployments${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body || {}) });
+  const data = await res.json();
+  if (!res.ok) alert(data.error || 'Deployment request failed');
+  await loadDeployment();
+}
+
+function startDeployment() {
+  const releases = {};
+  for (const pair of document.getElementById('bgReleases').value.split(',').map(p => p.trim()).filter(Boolean)) {
+    const [site, release] = pair.split('=').map(p => p.trim());
+    releases[site] = release;
+  }
+  return deploymentAction('', {
+    releases,
+    reason: 'Operator initiated via UI',
+    autoPromote: document.getElementById('bgAutoPromote').checked,
+  });
 }
 
 async function workerAction(id, action) {
@@ -57,11 +172,18 @@ async function importSmpUrl() {
   const url = document.getElementById('importUrl').value.trim();
   if (!url) { alert('Enter a URL to import.'); return; }
   const res = await fetch('/maintenance/backups/import-smp-from-url', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ url }) });
-  alert(res.ok ? 'Import completed' : 'Import failed');
+  const data = await res.json();
+  alert(res.ok
+    ? `Import completed. Previous state saved to ${data.backup}`
+    : `${data.error || 'Import failed'}${data.problems ? `\n${data.problems.slice(0, 10).join('\n')}` : ''}`);
 }
 
 window.addEventListener('DOMContentLoaded', () => {
   document.getElementById('btnRolling').addEventListener('click', rollingRestart);
+  document.getElementById('btnSaveAutoscale').addEventListener('click', saveAutoscale);
+  document.getElementById('btnDeployStart').addEventListener('click', startDeployment);
+  document.getElementById('btnDeployPromote').addEventListener('click', () => deploymentAction('/promote'));
+  document.getElementById('btnDeployAbort').addEventListener('click', () => deploymentAction('/abort'));
   document.getElementById('workers').addEventListener('click', (e) => {
     const btn = e.target.closest('button[data-id]');
     if (!btn) return;
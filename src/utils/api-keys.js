@@ -13,6 +13,8 @@ import path from 'path';
 import crypto from 'crypto';
 import config from './config.js';
 import logger from './logger.js';
+import { getRoleManager, checkRouteAccess } from './roles.js';
+import { enforceRateLimit } from './rate-limit.js';
 
 const API_KEYS_FILE = path.join(config.paths.data, 'api-keys.json');
 
@@ -22,7 +24,7 @@ const API_KEYS_FILE = path.join(config.paths.data, 'api-keys.json');
 export class APIKeyManager {
   constructor() {
     this.keys = new Map();
-    this.rateLimitTrackers = new Map();
+    this.loadedMtimeMs = 0;
     this.loadKeys();
   }
 
@@ -34,7 +36,9 @@ export class APIKeyManager {
       if (fs.existsSync(API_KEYS_FILE)) {
         const data = fs.readFileSync(API_KEYS_FILE, 'utf8');
         const keys = JSON.parse(data);
-        
+        this.loadedMtimeMs = fs.statSync(API_KEYS_FILE).mtimeMs;
+
+        this.keys.clear();
         for (const key of keys) {
           this.keys.set(key.id, key);
         }
@@ -46,6 +50,19 @@ export class APIKeyManager {
     }
   }
 
+  /**
+   * Reload keys changed by another worker (generated, revoked)
+   */
+  refreshKeys() {
+    try {
+      if (fs.statSync(API_KEYS_FILE).mtimeMs !== this.loadedMtimeMs) {
+        this.loadKeys();
+      }
+    } catch {
+      // No keys file yet
+    }
+  }
+
   /**
    * Save API keys to disk
    */
@@ -53,6 +70,7 @@ export class APIKeyManager {
     try {
       const keys = Array.from(this.keys.values());
       fs.writeFileSync(API_KEYS_FILE, JSON.stringify(keys, null, 2), 'utf8');
+      this.loadedMtimeMs = fs.statSync(API_KEYS_FILE).mtimeMs;
     } catch (err) {
       logger.error('Failed to save API keys', { error: err.message });
     }
@@ -61,7 +79,8 @@ export class APIKeyManager {
   /**
    * Generate new API key
    */
-  generateKey(name, scopes = ['read', 'write'], expiresInDays = null) {
+  generateKey(name, scopes = ['read', 'write'], expiresInDays = null, roles = []) {
+    this.refreshKeys();
     const id = crypto.randomBytes(16).toString('hex');
     const secret = crypto.randomBytes(32).toString('hex');
     const key = `sm_${id}.${secret}`;
@@ -71,12 +90,13 @@ export class APIKeyManager {
       name,
       secret,
       scopes,
+      roles,
       createdAt: new Date().toISOString(),
       expiresAt: expiresInDays 
         ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
         : null,
       lastUsed: null,
-      rateLimit: 1000, // requests per minute
+      rateLimit: 1000, // requests per minute, counted cluster-wide
       active: true,
     };
 
@@ -91,8 +111,9 @@ export class APIKeyManager {
 
   /**
    * Validate API key
+   * With touch=false the caller records the use itself (see recordUse)
    */
-  validateKey(keyString) {
+  validateKey(keyString, touch = true) {
     if (!keyString || !keyString.startsWith('sm_')) {
       return null;
     }
@@ -103,6 +124,7 @@ export class APIKeyManager {
     }
 
     const [id, secret] = parts;
+    this.refreshKeys();
     const apiKey = this.keys.get(id);
 
     if (!apiKey) {
@@ -122,52 +144,47 @@ export class APIKeyManager {
     }
 
     // Validate secret (constant-time comparison)
-    if (!crypto.timingSafeEqual(Buffer.from(apiKey.secret), Buffer.from(secret))) {
+    const expected = Buffer.from(apiKey.secret);
+    const given = Buffer.from(secret);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
       logger.warn('API key validation failed', { id });
       return null;
     }
 
-    // Check rate limit
-    if (!this.checkRateLimit(id, apiKey.rateLimit)) {
-      logger.warn('API key rate limit exceeded', { id });
-      return null;
+    if (touch) {
+      apiKey.lastUsed = new Date().toISOString();
+      this.saveKeys();
     }
 
-    // Update last used
-    apiKey.lastUsed = new Date().toISOString();
-    this.saveKeys();
-
     return apiKey;
   }
 
   /**
-   * Check rate limit for key
+   * Record a panel request made with a key, allowed or denied
    */
-  checkRateLimit(keyId, limit) {
-    const now = Date.now();
-    const windowStart = now - 60000; // 1 minute window
-
-    if (!this.rateLimitTrackers.has(keyId)) {
-      this.rateLimitTrackers.set(keyId, []);
-    }
-
-    const tracker = this.rateLimitTrackers.get(keyId);
-    const recentRequests = tracker.filter(timestamp => timestamp > windowStart);
-
-    if (recentRequests.length >= limit) {
-      return false;
+  recordUse(id, { allowed, scope, method, path: routePath }) {
+    // Another worker may have revoked or changed the key since it was validated
+    this.refreshKeys();
+    const apiKey = this.keys.get(id);
+    if (!apiKey) return;
+
+    const now = new Date().toISOString();
+    const usage = apiKey.usage || { requests: 0, denied: 0, lastDenied: null };
+    apiKey.lastUsed = now;
+    usage.requests++;
+    if (!allowed) {
+      usage.denied++;
+      usage.lastDenied = { at: now, method, path: routePath, scope };
     }
-
-    recentRequests.push(now);
-    this.rateLimitTrackers.set(keyId, recentRequests);
-
-    return true;
+    apiKey.usage = usage;
+    this.saveKeys();
   }
 
   /**
    * Revoke API key
    */
   revokeKey(id) {
+    this.refreshKeys();
     const apiKey = this.keys.get(id);
     if (!apiKey) {
       return false;
@@ -184,16 +201,19 @@ export class APIKeyManager {
    * List all API keys (public info only)
    */
   listKeys() {
+    this.refreshKeys();
     const keys = [];
     for (const key of this.keys.values()) {
       keys.push({
         id: key.id,
         name: key.name,
         scopes: key.scopes,
+        roles: key.roles || [],
         active: key.active,
         createdAt: key.createdAt,
         expiresAt: key.expiresAt,
         lastUsed: key.lastUsed,
+        usage: key.usage || null,
       });
     }
     return keys;
@@ -210,10 +230,12 @@ export class APIKeyManager {
       id: key.id,
       name: key.name,
       scopes: key.scopes,
+      roles: key.roles || [],
       active: key.active,
       createdAt: key.createdAt,
       expiresAt: key.expiresAt,
       lastUsed: key.lastUsed,
+      usage: key.usage || null,
     };
   }
 }
@@ -231,10 +253,22 @@ export function getAPIKeyManager() {
   return apiKeyManager;
 }
 
+/**
+ * Count a request against the key's own limit (requests per minute)
+ * Returns true when the request may continue
+ */
+function limitAPIKey(req, res, apiKey) {
+  return enforceRateLimit(req, res, `api-key:${apiKey.id}`, {
+    algorithm: config.rateLimit.apiKeyAlgorithm,
+    limit: apiKey.rateLimit || 1000,
+    windowMs: 60000,
+  });
+}
+
 /**
  * Middleware: Validate API key from Authorization header
  */
-export function validateAPIKey(req, res, next) {
+export async function validateAPIKey(req, res, next) {
   const authHeader = req.headers.authorization;
   
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -242,10 +276,24 @@ export function validateAPIKey(req, res, next) {
   }
 
   const keyString = authHeader.slice(7);
+  const keyId = keyString.slice(3).split('.')[0];
   const manager = getAPIKeyManager();
-  const apiKey = manager.validateKey(keyString);
+  let apiKey = manager.validateKey(keyString);
+
+  if (!apiKey) {
+    return res.status(401).json({ error: 'Invalid or expired API key' });
+  }
+  try {
+    if (!await limitAPIKey(req, res, apiKey)) return;
+  } catch (err) {
+    return next(err);
+  }
 
+  // The limiter is a round trip to the master: pick up a revoke or scope
+  // change made meanwhile
+  apiKey = manager.validateKey(keyString, false);
   if (!apiKey) {
+    logger.warn('API key rejected', { keyId, method: req.method, path: req.path });
     return res.status(401).json({ error: 'Invalid or expired API key' });
   }
 
@@ -271,3 +319,66 @@ export function requireScope(scope) {
     next();
   };
 }
+
+/**
+ * Whether a request carries an API key (Bearer sm_...)
+ */
+export function hasAPIKey(req) {
+  return (req.headers.authorization || '').startsWith('Bearer sm_');
+}
+
+/**
+ * Authenticate a panel request made with an API key: the key must be valid
+ * and hold the scope declared for the route. Used by sessionAuth.
+ */
+export async function authorizeAPIKey(req, res, next, panel) {
+  const keyString = req.headers.authorization.slice(7);
+  const keyId = keyString.slice(3).split('.')[0];
+  const manager = getAPIKeyManager();
+  const route = { panel, method: req.method, path: req.baseUrl + req.path };
+
+  let apiKey = manager.validateKey(keyString, false);
+  if (!apiKey) {
+    logger.warn('API key rejected', { keyId, ...route });
+    return res.status(401).json({ error: 'Invalid or expired API key' });
+  }
+  try {
+    if (!await limitAPIKey(req, res, apiKey)) return;
+  } catch (err) {
+    return next(err);
+  }
+
+  // The limiter is a round trip to the master: pick up a revoke or scope
+  // change made meanwhile
+  apiKey = manager.validateKey(keyString, false);
+  if (!apiKey) {
+    logger.warn('API key rejected', { keyId, ...route });
+    return res.status(401).json({ error: 'Invalid or expired API key' });
+  }
+
+  // A key's roles add their permissions to its own scopes
+  const scopes = [...apiKey.scopes, ...getRoleManager().permissionsFor(apiKey.roles)];
+  const { allowed, scope } = checkRouteAccess(scopes, req.method, req.path);
+  if (!allowed) {
+    manager.recordUse(apiKey.id, { allowed: false, scope, ...route });
+    logger.warn('API key denied', { keyId: apiKey.id, name: apiKey.name, scope, ...route });
+    return res.status(403).json({
+      error: scope ? `API key lacks the '${scope}' scope` : 'This route is not available to API keys',
+      scope: scope || null,
+    });
+  }
+
+  manager.recordUse(apiKey.id, { allowed: true, scope, ...route });
+  logger.info('API key request', { keyId: apiKey.id, name: apiKey.name, scope, ...route });
+
+  req.apiKey = apiKey;
+  req.apiKeyScope = scope;
+  req.user = {
+    type: 'api_key',
+    username: `api-key:${apiKey.name}`,
+    role: panel,
+    apiKeyId: apiKey.id,
+    scopes,
+  };
+  next();
+}
@@ -0,0 +1,99 @@
+/**
+ * API Key Scopes
+ *
+ * Maps every admin and ops panel route to the scope an API key needs to
+ * call it. Scopes are "<area>:read" for GET/HEAD and "<area>:write" for
+ * other methods, plus a few dedicated ones (e.g. "workers:restart").
+ *
+ * A key's scopes may use wildcards ("*", "releases:*"); the legacy "read"
+ * and "write" scopes grant every <area>:read / <area>:write scope except
+ * the privileged ones, which must be granted explicitly.
+ *
+ * Account roles (roles.js) grant the same scopes as permissions.
+ *
+ * Routes without a scope (credential, account and role management) are
+ * only reachable with a session of an account without roles; unmapped
+ * routes are denied to keys and to accounts with roles.
+ */
+
+export const API_SCOPE_AREAS = [
+  'maintenance', 'sites', 'releases', 'files', 'backups', 'cache', 'logs',
+  'config', 'metrics', 'plugins', 'alerts', 'workers', 'system', 'debug',
+];
+
+// Never granted by the legacy "write" scope. backups:write can import an
+// .smp over accounts and keys, config:write and sites:write can expose
+// data/ to the public
+export const PRIVILEGED_SCOPES = ['workers:restart', 'debug:write', 'backups:write', 'config:write', 'sites:write'];
+
+/**
+ * Every grantable scope, for validation and the API keys page
+ */
+export const API_SCOPES = [
+  ...API_SCOPE_AREAS.flatMap(area => [`${area}:read`, `${area}:write`]),
+  'workers:restart',
+];
+
+/**
+ * Route table, first match wins. Paths are relative to the panel mount
+ * (/admin or /maintenance). An entry has either a fixed scope (null for
+ * session-only) or an area resolved by method.
+ */
+const ROUTE_SCOPES = [
+  // Session only: keys must not manage keys, accounts, roles or sessions
+  { path: /^\/(api-keys|accounts|roles|sessions|webauthn|reset-hw)(\/|$)/, scope: null },
+
+  { method: 'POST', path: /^\/(restart\/|workers\/(kill-all|spawn)$|workers\/[^/]+\/(signal|exit\/[^/]+)$|workers\/restart-delayed$|process\/restart-master$|watchdog\/restart$|deployments(\/promote|\/abort)?$)/, scope: 'workers:restart' },
+  { path: /^\/(maintenance|coming-soon)(\/|$)|^\/page-status$/, area: 'maintenance' },
+  { path: /^\/(sites|spa)(\/|$)/, area: 'sites' },
+  { path: /^\/releases(\/|$)/, area: 'releases' },
+  { path: /^\/(backups(\/|$)|static\/(backup|restore)$)/, area: 'backups' },
+  { method: 'POST', path: /^\/files\/read$/, scope: 'files:read' },
+  { path: /^\/(files|static|error-pages)(\/|$)/, area: 'files' },
+  { path: /^\/cache(\/|$)/, area: 'cache' },
+  { path: /^\/(logs\/level|debug|tracing|simulate|load-test)(\/|$)|^\/system\/gc$/, area: 'debug' },
+  { method: 'POST', path: /^\/scheduled\/log-rotation\/run$/, scope: 'logs:write' },
+  { path: /^\/(logs|audit)(\/|$)/, area: 'logs' },
+  { path: /^\/(config|security|ssl|env|thresholds|watchdog\/config)(\/|$)/, area: 'config' },
+  { path: /^\/(metrics|stats)(\/|$)/, area: 'metrics' },
+  { path: /^\/plugins(\/|$)/, area: 'plugins' },
+  { path: /^\/(alerts|webhooks)(\/|$)/, area: 'alerts' },
+  { path: /^\/(workers|restart|deployments)(\/|$)/, area: 'workers' },
+  { path: /^\/(|status|health|manual|[a-z-]+-ui)$|^\/(assets|health|system|network|process|disk|db|dependencies|scheduled|watchdog|watchers)\//, area: 'system' },
+];
+
+/**
+ * Scope required for a panel route: a scope string, null when the route
+ * is session-only, undefined when it is not mapped
+ */
+export function resolveScope(method, routePath) {
+  const verb = method === 'GET' || method === 'HEAD' ? 'read' : 'write';
+  for (const entry of ROUTE_SCOPES) {
+    if (entry.method && entry.method !== method) continue;
+    if (!entry.path.test(routePath)) continue;
+    return entry.area ? `${entry.area}:${verb}` : entry.scope;
+  }
+  return undefined;
+}
+
+/**
+ * Whether a key's scopes include a required scope
+ */
+export function hasScope(grantedScopes = [], scope) {
+  const [area, action] = scope.split(':');
+  return grantedScopes.some(granted =>
+    granted === '*'
+    || granted === scope
+    || granted === `${area}:*`
+    || (granted === 'read' && action === 'read')
+    || (granted === 'write' && action === 'write' && !PRIVILEGED_SCOPES.includes(scope)));
+}
+
+/**
+ * Whether a scope can be granted to a key
+ */
+export function isValidScope(scope) {
+  return scope === '*' || scope === 'read' || scope === 'write'
+    || API_SCOPES.includes(scope)
+    || API_SCOPE_AREAS.some(area => scope === `${area}:*`);
+}
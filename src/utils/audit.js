@@ -0,0 +1,299 @@
+/**
+ * Audit Journal
+ *
+ * Append-only record of administrative actions in data/audit.jsonl, one
+ * JSON entry per line: who (actor, panel role, auth method, IP), what
+ * (action, target, request parameters, before/after summary) and the
+ * response status.
+ *
+ * Entries are hash-chained: each stores the hash of the previous entry
+ * and its own hash covers that link, so editing, reordering or removing a
+ * line is detected by verify(). With AUDIT_HMAC_SECRET set the hashes are
+ * HMACs, so rewriting the chain takes the secret and not only write access
+ * to data/; every append also logs the new chain head, anchoring it in the
+ * log stream. Workers send entries to the master, the only writer, so the
+ * chain stays linear across the cluster; a process that is not clustered
+ * appends itself.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import config from './config.js';
+import logger from './logger.js';
+import { resolveScope } from './api-scopes.js';
+
+const AUDIT_FILE = path.join(config.paths.data, 'audit.jsonl');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Request parameters that are never recorded (secrets and file contents)
+const REDACTED_PARAMS = /pass|secret|token|code|key|content|data/i;
+
+// Larger before/after summaries are replaced by their size and hash
+const MAX_SUMMARY_BYTES = 2048;
+
+export const AUDIT_CSV_COLUMNS = [
+  'seq', 'ts', 'actor', 'role', 'authMethod', 'ip', 'action', 'target',
+  'status', 'params', 'before', 'after', 'hash',
+];
+
+// Cells a spreadsheet would read as a formula
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * HMAC-SHA256 of an entry with the journal's secret, or SHA-256 without one
+ */
+function hashEntry(entry, secret) {
+  const hash = secret ? crypto.createHmac('sha256', secret) : crypto.createHash('sha256');
+  return hash.update(JSON.stringify(entry)).digest('hex');
+}
+
+/**
+ * Audit journal
+ */
+export class AuditJournal {
+  constructor(file = AUDIT_FILE, secret = config.audit.hmacSecret) {
+    this.file = file;
+    this.secret = secret;
+    this.tail = null; // { seq, hash } of the last entry, read on first append
+  }
+
+  /**
+   * Last entry's sequence number and hash (the chain head)
+   */
+  readTail() {
+    const entries = this.readAll();
+    const last = entries[entries.length - 1];
+    return last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+  }
+
+  /**
+   * Append an entry, linked to the previous one
+   */
+  append(details) {
+    if (!this.tail) this.tail = this.readTail();
+
+    const entry = {
+      seq: this.tail.seq + 1,
+      ts: details.ts || new Date().toISOString(),
+      actor: details.actor ?? null,
+      role: details.role ?? null,
+      authMethod: details.authMethod ?? null,
+      ip: details.ip ?? null,
+      action: details.action,
+      target: details.target ?? null,
+      status: details.status ?? null,
+      params: details.params ?? null,
+      before: details.before ?? null,
+      after: details.after ?? null,
+      prevHash: this.tail.hash,
+    };
+    entry.hash = hashEntry(entry, this.secret);
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`, 'utf8');
+    this.tail = { seq: entry.seq, hash: entry.hash };
+    logger.info('Audit chain head', { seq: entry.seq, hash: entry.hash });
+    return entry;
+  }
+
+  /**
+   * All entries, oldest first (unparsable lines are kept as { invalid })
+   */
+  readAll() {
+    if (!fs.existsSync(this.file)) return [];
+    return fs.readFileSync(this.file, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return { invalid: true, line: index + 1 };
+        }
+      });
+  }
+
+  /**
+   * Entries matching filters, newest first
+   * Filters: actor, role, authMethod, ip (exact); action, target
+   * (substring); status; from, to (ISO times); limit, offset
+   */
+  query(filters = {}) {
+    const { limit = 100, offset = 0 } = filters;
+    const contains = (value, text) => !text || String(value ?? '').toLowerCase().includes(String(text).toLowerCase());
+    const equals = (value, expected) => !expected || value === expected;
+
+    const matches = this.readAll()
+      .filter(entry => !entry.invalid)
+      .filter(entry => equals(entry.actor, filters.actor)
+        && equals(entry.role, filters.role)
+        && equals(entry.authMethod, filters.authMethod)
+        && equals(entry.ip, filters.ip)
+        && contains(entry.action, filters.action)
+        && contains(entry.target, filters.target)
+        && (!filters.status || String(entry.status) === String(filters.status))
+        && (!filters.from || entry.ts >= filters.from)
+        && (!filters.to || entry.ts <= filters.to))
+      .reverse();
+
+    return { total: matches.length, entries: matches.slice(Number(offset), Number(offset) + Number(limit)) };
+  }
+
+  /**
+   * Walk the chain: { valid, entries, brokenAt, reason, keyed, head }
+   * brokenAt is the line number of the first entry that does not verify;
+   * head is the last entry's { seq, hash }, to compare with the logged one
+   */
+  verify() {
+    const entries = this.readAll();
+    let prevHash = GENESIS_HASH;
+    let expectedSeq = 1;
+
+    for (const [index, entry] of entries.entries()) {
+      const line = index + 1;
+      if (entry.invalid) return { valid: false, entries: entries.length, brokenAt: line, reason: 'unparsable entry' };
+
+      const { hash, ...rest } = entry;
+      if (entry.seq !== expectedSeq) return { valid: false, entries: entries.length, brokenAt: line, reason: `expected seq ${expectedSeq}, found ${entry.seq}` };
+      if (entry.prevHash !== prevHash) return { valid: false, entries: entries.length, brokenAt: line, reason: 'previous hash mismatch (entry removed or reordered)' };
+      if (hashEntry(rest, this.secret) !== hash) return { valid: false, entries: entries.length, brokenAt: line, reason: 'hash mismatch (entry modified)' };
+
+      prevHash = hash;
+      expectedSeq++;
+    }
+    const head = entries.length ? { seq: expectedSeq - 1, hash: prevHash } : null;
+    return { valid: true, entries: entries.length, brokenAt: null, reason: null, keyed: !!this.secret, head };
+  }
+}
+
+// Singleton instance
+let auditJournal = null;
+
+/**
+ * Get or create the journal (written by the master when clustered)
+ */
+export function getAuditJournal() {
+  if (!auditJournal) {
+    auditJournal = new AuditJournal();
+  }
+  return auditJournal;
+}
+
+/**
+ * Record an action: handed to the master when clustered, appended otherwise
+ */
+export function recordAudit(details) {
+  try {
+    if (process.send) {
+      process.send({ type: 'audit', entry: { ...details, ts: new Date().toISOString() } });
+    } else {
+      getAuditJournal().append(details);
+    }
+  } catch (err) {
+    logger.error('Audit record failed', { action: details.action, error: err.message });
+  }
+}
+
+/**
+ * Attach a target and before/after summary to the audit entry of the
+ * current request (recorded once the response is sent)
+ */
+export function noteAudit(res, { target, before, after } = {}) {
+  res.locals.audit = { target, before: summarize(before), after: summarize(after) };
+}
+
+/**
+ * Size and hash of a file (null if it does not exist), for before/after
+ */
+export function summarizeFile(file) {
+  try {
+    const stat = fs.statSync(file);
+    if (stat.isDirectory()) return { directory: true };
+    const sha256 = crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+    return { bytes: stat.size, sha256 };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Top-level keys that differ between two objects, as { before, after }
+ */
+export function diffObjects(before = {}, after = {}) {
+  const changed = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+    .filter(key => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key]));
+  return {
+    before: Object.fromEntries(changed.map(key => [key, before?.[key] ?? null])),
+    after: Object.fromEntries(changed.map(key => [key, after?.[key] ?? null])),
+  };
+}
+
+function summarize(value) {
+  if (value === undefined || value === null) return null;
+  const json = JSON.stringify(value);
+  if (json.length <= MAX_SUMMARY_BYTES) return value;
+  return { truncated: true, bytes: json.length, sha256: crypto.createHash('sha256').update(json).digest('hex') };
+}
+
+/**
+ * Scalar request parameters, minus secrets and contents
+ */
+function requestParams(req) {
+  const source = { ...req.query, ...(req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {}) };
+  const params = Object.entries(source)
+    .filter(([key, value]) => !REDACTED_PARAMS.test(key) && value !== null && typeof value !== 'object')
+    .map(([key, value]) => [key, typeof value === 'string' ? value.slice(0, 200) : value]);
+  return params.length ? Object.fromEntries(params) : null;
+}
+
+/**
+ * How the request was authenticated: api-key, basic or password[+factor]
+ */
+function authMethod(user) {
+  if (user.type === 'api_key') return 'api-key';
+  if (!user.sessionId) return 'basic';
+  return user.mfa ? `password+${user.mfa}` : 'password';
+}
+
+/**
+ * Middleware for the panel mounts: records every authenticated request
+ * that changes something (reads, including POST reads, are skipped)
+ */
+export function auditTrail() {
+  return (req, res, next) => {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+    const routePath = req.path;
+    if (resolveScope(req.method, routePath)?.endsWith(':read')) return next();
+
+    const action = `${req.method} ${req.baseUrl}${routePath}`;
+    res.on('finish', () => {
+      if (!req.user) return; // Not signed in: nothing was done
+      recordAudit({
+        actor: req.user.username,
+        role: req.user.role,
+        authMethod: authMethod(req.user),
+        ip: req.ip,
+        action,
+        status: res.statusCode,
+        params: requestParams(req),
+        ...res.locals.audit,
+      });
+    });
+    next();
+  };
+}
+
+/**
+ * Entries as CSV (objects are JSON encoded; text that a spreadsheet would
+ * run as a formula is prefixed with "'")
+ */
+export function toCsv(entries) {
+  const cell = value => {
+    let text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [AUDIT_CSV_COLUMNS.join(','), ...entries.map(entry => AUDIT_CSV_COLUMNS.map(column => cell(entry[column])).join(','))].join('\n') + '\n';
+}
@@ -10,9 +10,12 @@
 
 import config from '../utils/config.js';
 import logger from '../utils/logger.js';
-import { v4 as uuidv4 } from 'uuid';
 import crypto from 'crypto';
-import { verifyUser } from './users.js';
+import { verifyUser, getTotpStatus, verifyTotpLogin, getUserRoles } from './users.js';
+import { hasAPIKey, authorizeAPIKey } from './api-keys.js';
+import { createRateLimiter, consumeRateLimit } from './rate-limit.js';
+import { getSessionStore } from './sessions.js';
+import { getRoleManager, checkRouteAccess, isUIRoute } from './roles.js';
 import { getWebAuthnStore, getRegistrationOptions, verifyRegistration, getAuthenticationOptions, verifyAuthentication, clearCredentialsForRole, hasRegisteredCredential } from './webauthn.js';
 
 const RATE_LIMIT_WINDOW = 15 * 60 * 1000; // 15 minutes
@@ -21,10 +24,13 @@ const RATE_LIMIT_MAX_ATTEMPTS = 10; // Max failed attempts
 // Track failed login attempts by IP
 const loginAttempts = new Map();
 
-// Default session lifetime: 2 hours
-const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+// Second-factor codes, counted cluster-wide so neither more workers nor more
+// IPs buy more guesses: attempts per account, failures per pending session
+// (which is revoked once they run out, so the password is needed again)
+const TOTP_ACCOUNT_POLICY = { algorithm: 'sliding-window', limit: 10, windowMs: RATE_LIMIT_WINDOW };
+const TOTP_SESSION_FAILURE_POLICY = { algorithm: 'sliding-window', limit: 5, windowMs: RATE_LIMIT_WINDOW };
 
-function parseCookies(req) {
+export function parseCookies(req) {
   const header = req.headers.cookie || '';
   const pairs = header.split(';').map(c => c.trim()).filter(Boolean);
   const cookies = {};
@@ -40,7 +46,7 @@ function parseCookies(req) {
 }
 
 function setSessionCookie(res, token, path = '/') {
-  const expires = new Date(Date.now() + SESSION_TTL_MS).toUTCString();
+  const expires = new Date(Date.now() + config.sessions.absoluteTimeoutMs).toUTCString();
   res.setHeader('Set-Cookie', `smplus_sid=${encodeURIComponent(token)}; Path=${path}; HttpOnly; SameSite=Lax; Expires=${expires}`);
 }
 
@@ -58,21 +64,31 @@ function sign(data) {
   return b64url(crypto.createHmac('sha256', config.auth.sessionSecret).update(data).digest());
 }
 
-function createToken(username, role, hwVerified = false) {
+/**
+ * Register a session and return its signed cookie token
+ */
+function createSession(req, username, role, hwVerified = false, mfa = null) {
+  const session = getSessionStore().create({
+    username,
+    role,
+    hw: hwVerified,
+    mfa,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
   const payload = {
-    u: username,
-    r: role,
-    iat: Math.floor(Date.now() / 1000),
-    exp: Math.floor((Date.now() + SESSION_TTL_MS) / 1000),
-    jti: uuidv4(),
-    hw: !!hwVerified,
+    sid: session.id,
+    iat: Math.floor(Date.parse(session.createdAt) / 1000),
   };
   const data = b64url(JSON.stringify(payload));
   const mac = sign(data);
   return `${data}.${mac}`;
 }
 
-function verifyToken(token) {
+/**
+ * Session id of a signed token, or null if the signature is wrong
+ */
+function tokenSessionId(token) {
   if (!token) return null;
   const parts = token.split('.');
   if (parts.length !== 2) return null;
@@ -84,15 +100,47 @@ function verifyToken(token) {
   if (!crypto.timingSafeEqual(bMac, bExp)) return null;
   try {
     const json = JSON.parse(Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
-    if (json.exp && Date.now() / 1000 > json.exp) return null;
-    return { username: json.u, role: json.r, hw: !!json.hw };
+    return typeof json.sid === 'string' ? json.sid : null;
   } catch {
     return null;
   }
 }
 
-function destroySession(_sid) {
-  // Stateless: nothing to do server-side
+/**
+ * Resolve a cookie token to its live session (revoked and expired ones fail)
+ */
+function verifyToken(token) {
+  const sid = tokenSessionId(token);
+  const session = sid && getSessionStore().validate(sid);
+  if (!session) return null;
+  return { username: session.username, role: session.role, hw: session.hw, mfa: session.mfa, sessionId: session.id };
+}
+
+function destroySession(token) {
+  const sid = tokenSessionId(token);
+  if (sid) getSessionStore().remove(sid);
+}
+
+/**
+ * Second factors a user can complete after the password, per the role's policy
+ */
+export function secondFactors(role, username) {
+  const policy = config.twoFactor[role] || 'hardware-key';
+  if (policy === 'none') return { webauthn: false, totp: false };
+  return {
+    webauthn: hasRegisteredCredential(role),
+    totp: policy === 'totp-or-key' && getTotpStatus(role, username).enrolled,
+  };
+}
+
+/**
+ * Page asking for the pending second factor: the code form when TOTP is
+ * available, otherwise the hardware key page
+ */
+function renderSecondFactorPage(panelPath, roleLabel, factors, errorMsg = '') {
+  return factors.totp
+    ? renderLoginPage(panelPath, roleLabel, errorMsg, { step: 'totp', webauthn: factors.webauthn })
+    : renderHWRequiredPage(panelPath, roleLabel);
 }
 
 /**
@@ -221,39 +269,33 @@ export function hasRole(req, role) {
 
 /**
  * Rate limiting middleware for sensitive endpoints
+ * Counts per client IP in the cluster-wide store; `name` separates limiters
  */
-export function rateLimit(windowMs = 60000, maxRequests = 100) {
-  const requestCounts = new Map();
-
-  return (req, res, next) => {
-    const key = req.ip;
-    const now = Date.now();
-
-    let requests = requestCounts.get(key) || [];
-    requests = requests.filter(timestamp => (now - timestamp) < windowMs);
-
-    if (requests.length >= maxRequests) {
-      logger.warn('Rate limit exceeded', {
-        ip: key,
-        windowMs,
-        maxRequests,
-      });
-      return res.status(429).json({
-        error: 'Too many requests. Please try again later.',
-      });
-    }
-
-    requests.push(now);
-    requestCounts.set(key, requests);
-
-    next();
-  };
+export function rateLimit(windowMs = 60000, maxRequests = 100, name = 'auth') {
+  return createRateLimiter(name, { algorithm: 'sliding-window', limit: maxRequests, windowMs });
 }
 
 /**
  * HTML login page generator
  */
-function renderLoginPage(panelPath = '/', roleLabel = 'Admin', errorMsg = '') {
+function renderLoginPage(panelPath = '/', roleLabel = 'Admin', errorMsg = '', { step = 'password', webauthn = false } = {}) {
+  const form = step === 'totp'
+    ? `<form method="post" action="${panelPath}/login/totp">
+      <label for="code">Authenticator code</label>
+      <input id="code" name="code" type="text" inputmode="numeric" autocomplete="one-time-code" autofocus required>
+      <button class="btn" type="submit">Verify</button>
+    </form>
+    <div class="hint">Enter the 6-digit code from your authenticator app, or one of your recovery codes.</div>
+    ${webauthn ? `<div class="hint"><a href="${panelPath}/hw">Use a hardware key instead</a></div>` : ''}`
+    : `<form method="post" action="${panelPath}/login">
+      <label for="username">Username</label>
+      <input id="username" name="username" type="text" autocomplete="username" required>
+      <label for="password">Password</label>
+      <input id="password" name="password" type="password" autocomplete="current-password" required>
+      <button class="btn" type="submit">Sign In</button>
+    </form>
+    <div class="hint">Access is restricted to authorized ${roleLabel.toLowerCase()}s.</div>`;
+
   return `<!doctype html>
 <html lang="en">
 <head>
@@ -272,20 +314,14 @@ function renderLoginPage(panelPath = '/', roleLabel = 'Admin', errorMsg = '') {
     .btn:hover{background:#4e68e0}
     .hint{margin-top:12px;font-size:12px;color:#8fa0c9}
     .error{background:#2a1a1a;color:#ffd6d6;border:1px solid #5a2a2a;padding:8px;border-radius:8px;margin-bottom:12px}
+    .hint a{color:#a9b5d9}
   </style>
 </head>
 <body>
   <div class="card">
-    <h1>${roleLabel} Sign In</h1>
+    <h1>${step === 'totp' ? 'Two-Factor Verification' : `${roleLabel} Sign In`}</h1>
     ${errorMsg ? `<div class="error">${errorMsg}</div>` : ''}
-    <form method="post" action="${panelPath}/login">
-      <label for="username">Username</label>
-      <input id="username" name="username" type="text" autocomplete="username" required>
-      <label for="password">Password</label>
-      <input id="password" name="password" type="password" autocomplete="current-password" required>
-      <button class="btn" type="submit">Sign In</button>
-    </form>
-    <div class="hint">Access is restricted to authorized ${roleLabel.toLowerCase()}s.</div>
+    ${form}
   </div>
   <script>window.history.replaceState(null,'',window.location.pathname)</script>
   </body>
@@ -297,22 +333,39 @@ function renderLoginPage(panelPath = '/', roleLabel = 'Admin', errorMsg = '') {
  */
 export function sessionAuth(requiredRole = 'admin', panelPath = '/') {
   return (req, res, next) => {
+    // API keys are checked against the scope declared for the route
+    // (already done when an earlier panel router on the same mount let it through)
+    if (req.apiKeyScope) return next();
+    if (hasAPIKey(req)) return authorizeAPIKey(req, res, next, requiredRole);
+
     const cookies = parseCookies(req);
     const sid = cookies.smplus_sid;
     const payload = verifyToken(sid);
 
     // Prefer a valid token
     if (payload && payload.role === requiredRole) {
-      // Enforce hardware key if registered for this role
-      const requireHW = hasRegisteredCredential(requiredRole);
-      if (requireHW && !payload.hw) {
-        // Serve hardware verification page
+      // Enforce the role's second factor until the session has passed it
+      const factors = secondFactors(requiredRole, payload.username);
+      if ((factors.webauthn || factors.totp) && !payload.hw) {
         res.status(401);
         res.setHeader('Content-Type', 'text/html; charset=utf-8');
         const roleLabel = requiredRole === 'maintenance' ? 'Ops' : 'Admin';
-        return res.send(renderHWRequiredPage(panelPath, roleLabel));
+        return res.send(renderSecondFactorPage(panelPath, roleLabel, factors));
       }
-      req.user = { username: payload.username, role: payload.role };
+      // Accounts with roles are limited to their permissions
+      const roles = getUserRoles(requiredRole, payload.username);
+      const permissions = roles.length ? getRoleManager().permissionsFor(roles) : null;
+      if (permissions && !isUIRoute(req.method, req.path)) {
+        const { allowed, scope } = checkRouteAccess(permissions, req.method, req.path);
+        if (!allowed) {
+          logger.warn('Route denied by role', { username: payload.username, role: requiredRole, roles, scope, method: req.method, path: req.baseUrl + req.path });
+          return res.status(403).json({
+            error: scope ? `Your roles lack the '${scope}' permission` : 'This route is not available to restricted accounts',
+            scope: scope || null,
+          });
+        }
+      }
+      req.user = { username: payload.username, role: payload.role, sessionId: payload.sessionId, mfa: payload.mfa, roles, permissions };
       return next();
     }
 
@@ -334,13 +387,13 @@ export function sessionAuth(requiredRole = 'admin', panelPath = '/') {
         }
 
         if (username === allowedUsername && password === allowedPassword) {
-          // If credential is registered, require hardware key via page
-          const requireHW = hasRegisteredCredential(requiredRole);
-          if (requireHW) {
+          // Basic auth cannot carry a second factor: sign in through the page instead
+          const factors = secondFactors(requiredRole, username);
+          if (factors.webauthn || factors.totp) {
             res.status(401);
             res.setHeader('Content-Type', 'text/html; charset=utf-8');
             const roleLabel = requiredRole === 'maintenance' ? 'Ops' : 'Admin';
-            return res.send(renderHWRequiredPage(panelPath, roleLabel));
+            return res.send(renderSecondFactorPage(panelPath, roleLabel, factors));
           }
           req.user = { username, role: requiredRole };
           return next();
@@ -372,8 +425,14 @@ export function loginHandlers(requiredRole = 'admin', panelPath = '/') {
   const getLogin = (req, res) => {
     res.status(200);
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
-    const err = typeof req.query?.e === 'string' && req.query.e ? 'Invalid username or password' : '';
-    res.send(renderLoginPage(panelPath, roleLabel, err));
+    const e = typeof req.query?.e === 'string' ? req.query.e : '';
+    if (req.query?.step === 'totp') {
+      const payload = verifyToken(parseCookies(req).smplus_sid);
+      const webauthn = !!payload && secondFactors(requiredRole, payload.username).webauthn;
+      const err = e === '2' ? 'Too many attempts. Please try again later.' : e ? 'Invalid code' : '';
+      return res.send(renderLoginPage(panelPath, roleLabel, err, { step: 'totp', webauthn }));
+    }
+    res.send(renderLoginPage(panelPath, roleLabel, e ? 'Invalid username or password' : ''));
   };
 
   const postLogin = (req, res) => {
@@ -402,13 +461,15 @@ export function loginHandlers(requiredRole = 'admin', panelPath = '/') {
         return res.end();
       }
 
-      // Success: decide if HW required
-      const requireHW = hasRegisteredCredential(requiredRole);
-      const token = createToken(username, requiredRole, !requireHW);
+      // Success: the session stays pending until a second factor is passed
+      const factors = secondFactors(requiredRole, username);
+      const pending = factors.webauthn || factors.totp;
+      const token = createSession(req, username, requiredRole, !pending);
       setSessionCookie(res, token, panelPath);
       clearRateLimit(req.ip);
       res.status(302);
-      res.setHeader('Location', requireHW ? `${panelPath}/hw` : panelPath + '/');
+      if (!pending) res.setHeader('Location', panelPath + '/');
+      else res.setHeader('Location', factors.totp ? `${panelPath}/login?step=totp` : `${panelPath}/hw`);
       return res.end();
     } catch (err) {
       logger.error('Login error', { error: err.message });
@@ -416,6 +477,55 @@ export function loginHandlers(requiredRole = 'admin', panelPath = '/') {
     }
   };
 
+  const postTotp = async (req, res) => {
+    try {
+      const payload = verifyToken(parseCookies(req).smplus_sid);
+      if (!payload || payload.role !== requiredRole) {
+        res.status(302);
+        res.setHeader('Location', `${panelPath}/login`);
+        return res.end();
+      }
+      const account = await consumeRateLimit(`totp:${requiredRole}:${payload.username}`, TOTP_ACCOUNT_POLICY);
+      if (!checkRateLimit(req.ip) || !account.allowed) {
+        logger.warn('TOTP attempts rate limited', { panelPath, role: requiredRole, ip: req.ip, username: payload.username });
+        res.status(302);
+        res.setHeader('Location', `${panelPath}/login?step=totp&e=2`);
+        return res.end();
+      }
+
+      // An authenticator code, or one of the user's recovery codes
+      const method = verifyTotpLogin(requiredRole, payload.username, req.body?.code);
+      if (!method) {
+        recordFailedAttempt(req.ip);
+        logger.warn('TOTP verification failed', { panelPath, role: requiredRole, ip: req.ip, username: payload.username });
+        const failures = await consumeRateLimit(`totp-session:${payload.sessionId}`, TOTP_SESSION_FAILURE_POLICY);
+        if (failures.remaining <= 0) {
+          getSessionStore().remove(payload.sessionId);
+          clearSessionCookie(res, panelPath);
+          logger.warn('Pending session locked after failed TOTP codes', { panelPath, role: requiredRole, ip: req.ip, username: payload.username });
+          res.status(302);
+          res.setHeader('Location', `${panelPath}/login?e=1`);
+          return res.end();
+        }
+        res.status(302);
+        res.setHeader('Location', `${panelPath}/login?step=totp&e=1`);
+        return res.end();
+      }
+
+      clearRateLimit(req.ip);
+      // Replace the session so the pre-verification cookie stops working
+      const token = createSession(req, payload.username, payload.role, true, method);
+      getSessionStore().remove(payload.sessionId);
+      setSessionCookie(res, token, panelPath);
+      res.status(302);
+      res.setHeader('Location', panelPath + '/');
+      return res.end();
+    } catch (err) {
+      logger.error('TOTP login error', { error: err.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+
   const postLogout = (req, res) => {
     const cookies = parseCookies(req);
     const sid = cookies.smplus_sid;
@@ -426,13 +536,13 @@ export function loginHandlers(requiredRole = 'admin', panelPath = '/') {
     return res.end();
   };
 
-  return { getLogin, postLogin, postLogout };
+  return { getLogin, postLogin, postTotp, postLogout };
 }
 
 /**
  * Hardware key required page
  */
-function renderHWRequiredPage(panelPath = '/', roleLabel = 'Admin') {
+function renderHWRequiredPage(panelPath = '/', roleLabel = 'Admin', { totp = false } = {}) {
   return `<!doctype html>
 <html lang="en">
 <head>
@@ -479,6 +589,7 @@ function renderHWRequiredPage(panelPath = '/', roleLabel = 'Admin') {
     <div id="err" class="error">Verification failed. Try again.</div>
     <p>Touch your security key to continue.</p>
     <button class="btn" onclick="startAuth()">Verify Hardware Key</button>
+    ${totp ? `<div class="hint"><a href="${panelPath}/login?step=totp">Use an authenticator code instead</a></div>` : ''}
     <div class="hint">If you lost access, contact support to reset with OTP.</div>
   </div>
 </body>
@@ -491,7 +602,9 @@ export function hardwareRoutes(requiredRole = 'admin', panelPath = '/') {
   const getHW = (req, res) => {
     res.status(200);
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
-    res.send(renderHWRequiredPage(panelPath, roleLabel));
+    const payload = verifyToken(parseCookies(req).smplus_sid);
+    const totp = !!payload && secondFactors(requiredRole, payload.username).totp;
+    res.send(renderHWRequiredPage(panelPath, roleLabel, { totp }));
   };
 
   const startAuth = (req, res) => {
@@ -513,7 +626,9 @@ export function hardwareRoutes(requiredRole = 'admin', panelPath = '/') {
       const sid = cookies.smplus_sid;
       const payload = verifyToken(sid);
       if (!payload) return res.status(401).json({ error: 'Session missing' });
-      const token = createToken(payload.username, payload.role, true);
+      // Replace the session so the pre-verification cookie stops working
+      const token = createSession(req, payload.username, payload.role, true, 'webauthn');
+      getSessionStore().remove(payload.sessionId);
       setSessionCookie(res, token, panelPath);
       res.json({ status: 'success' });
     } catch (err) {
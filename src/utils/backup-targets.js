@@ -0,0 +1,506 @@
+/**
+ * Off-box Backup Targets
+ *
+ * Storage adapters that hold .smp backups somewhere other than the site's
+ * disk. An adapter has four async methods, keyed by file name:
+ *
+ *   put(key, buffer)   get(key) -> Buffer   list() -> [{ key, size, modifiedAt }]   remove(key)
+ *
+ * Two adapters ship: `local` (a directory, e.g. an NFS mount) and `s3`
+ * (any S3-compatible service: AWS, MinIO, R2... requests are signed with
+ * AWS Signature V4, path-style). Targets are configured in
+ * data/backup-targets.json; secrets never leave the server.
+ *
+ * Targets with `encrypt` store backups encrypted with AES-256-GCM under a
+ * key derived (scrypt) from BACKUP_ENCRYPTION_PASSPHRASE; downloads are
+ * decrypted transparently. Targets with `scheduled` receive an upload on
+ * config.backupTargets.schedule, after which their oldest backups beyond
+ * `keep` are deleted.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Writable } from 'stream';
+import fetch from 'node-fetch';
+import config from './config.js';
+import logger from './logger.js';
+import { exportSmp } from './smp.js';
+
+const TARGET_NAME = /^[a-z][a-z0-9-]{1,31}$/;
+
+// Names of the backups we upload (and are willing to download or prune)
+const BACKUP_KEY = /^[A-Za-z0-9._-]+-backup-\d{8}-\d{6}\.smp(\.enc)?$/;
+
+const ENCRYPTION_MAGIC = Buffer.from('SMPENC1\0');
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+export const TARGET_TYPES = ['local', 's3'];
+
+// Settings that are write-only: kept on update when omitted, never listed
+const SECRET_SETTINGS = ['secretAccessKey'];
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Encrypt a backup: magic, salt (16), IV (12), GCM tag (16), ciphertext
+ */
+export function encryptBackup(buffer, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(passphrase, salt, 32, SCRYPT_OPTIONS);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+  return Buffer.concat([ENCRYPTION_MAGIC, salt, iv, cipher.getAuthTag(), ciphertext]);
+}
+
+export function isEncryptedBackup(buffer) {
+  return buffer.length > ENCRYPTION_MAGIC.length && buffer.subarray(0, ENCRYPTION_MAGIC.length).equals(ENCRYPTION_MAGIC);
+}
+
+/**
+ * Decrypt a backup made by encryptBackup(); throws on a wrong passphrase
+ * or a modified file (the GCM tag covers every byte)
+ */
+export function decryptBackup(buffer, passphrase) {
+  if (!isEncryptedBackup(buffer)) throw new Error('Not an encrypted backup');
+  let offset = ENCRYPTION_MAGIC.length;
+  const take = (length) => buffer.subarray(offset, (offset += length));
+  const salt = take(16);
+  const iv = take(12);
+  const tag = take(16);
+  const key = crypto.scryptSync(passphrase, salt, 32, SCRYPT_OPTIONS);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  try {
+    return Buffer.concat([decipher.update(buffer.subarray(offset)), decipher.final()]);
+  } catch {
+    throw new Error('Backup could not be decrypted (wrong passphrase or corrupted file)');
+  }
+}
+
+function checkKey(key) {
+  if (!/^[A-Za-z0-9._-]+$/.test(key || '') || key.startsWith('.')) {
+    throw new Error(`Invalid backup name: ${key}`);
+  }
+}
+
+/**
+ * Directory adapter (local disk or a network mount)
+ */
+export class LocalDirectoryAdapter {
+  constructor({ path: dir }) {
+    this.dir = dir;
+  }
+
+  async put(key, buffer) {
+    checkKey(key);
+    fs.mkdirSync(this.dir, { recursive: true });
+    const target = path.join(this.dir, key);
+    const tmp = path.join(this.dir, `.${key}.${process.pid}.tmp`);
+    fs.writeFileSync(tmp, buffer);
+    fs.renameSync(tmp, target);
+  }
+
+  async get(key) {
+    checkKey(key);
+    return fs.readFileSync(path.join(this.dir, key));
+  }
+
+  async list() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(name => !name.startsWith('.'))
+      .map(name => ({ name, stats: fs.statSync(path.join(this.dir, name)) }))
+      .filter(({ stats }) => stats.isFile())
+      .map(({ name, stats }) => ({ key: name, size: stats.size, modifiedAt: stats.mtime.toISOString() }));
+  }
+
+  async remove(key) {
+    checkKey(key);
+    fs.rmSync(path.join(this.dir, key), { force: true });
+  }
+}
+
+/**
+ * RFC 3986 encoding, as Signature V4 expects
+ */
+function encodeRfc3986(text) {
+  return encodeURIComponent(text).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function xmlValues(xml, tag) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  return [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g'))]
+    .map(match => match[1].replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => entities[name]));
+}
+
+/**
+ * S3-compatible adapter (path-style requests, Signature V4)
+ */
+export class S3Adapter {
+  constructor({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey, prefix = '' }) {
+    this.endpoint = new URL(endpoint);
+    this.bucket = bucket;
+    this.region = region;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.prefix = prefix ? `${prefix.replace(/^\/+|\/+$/g, '')}/` : '';
+  }
+
+  /**
+   * Signed request; throws with the service's error code on failure
+   */
+  async request(method, key = '', { query = {}, body = null } = {}) {
+    const basePath = this.endpoint.pathname.replace(/\/+$/, '');
+    const objectPath = `${basePath}/${this.bucket}${key ? `/${key}` : ''}`;
+    const canonicalUri = objectPath.split('/').map(encodeRfc3986).join('/');
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(String(query[name]))}`)
+      .join('&');
+
+    const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const date = amzDate.slice(0, 8);
+    const payloadHash = sha256(body || '');
+    const headers = {
+      host: this.endpoint.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+    };
+    const signedHeaders = Object.keys(headers).sort().join(';');
+    const canonicalRequest = [
+      method,
+      canonicalUri,
+      canonicalQuery,
+      Object.keys(headers).sort().map(name => `${name}:${headers[name]}\n`).join(''),
+      signedHeaders,
+      payloadHash,
+    ].join('\n');
+
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const hmac = (keyData, data) => crypto.createHmac('sha256', keyData).update(data).digest();
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const url = `${this.endpoint.protocol}//${this.endpoint.host}${canonicalUri}${canonicalQuery ? `?${canonicalQuery}` : ''}`;
+    const response = await fetch(url, {
+      method,
+      body: body || undefined,
+      timeout: config.backupTargets.requestTimeoutMs,
+      headers: {
+        ...headers,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+      },
+    });
+    if (!response.ok) {
+      const text = await response.text();
+      const code = xmlValues(text, 'Code')[0] || `HTTP ${response.status}`;
+      throw new Error(`S3 ${method} failed: ${code}`);
+    }
+    return response;
+  }
+
+  async put(key, buffer) {
+    checkKey(key);
+    await this.request('PUT', this.prefix + key, { body: buffer });
+  }
+
+  async get(key) {
+    checkKey(key);
+    return (await this.request('GET', this.prefix + key)).buffer();
+  }
+
+  async list() {
+    const objects = [];
+    let token = null;
+    do {
+      const query = { 'list-type': 2, prefix: this.prefix, ...(token ? { 'continuation-token': token } : {}) };
+      const xml = await (await this.request('GET', '', { query })).text();
+      for (const contents of xmlValues(xml, 'Contents')) {
+        const key = xmlValues(contents, 'Key')[0].slice(this.prefix.length);
+        if (key.includes('/')) continue; // Deeper "directories" are not ours
+        objects.push({ key, size: Number(xmlValues(contents, 'Size')[0]), modifiedAt: xmlValues(contents, 'LastModified')[0] });
+      }
+      token = xmlValues(xml, 'IsTruncated')[0] === 'true' ? xmlValues(xml, 'NextContinuationToken')[0] : null;
+    } while (token);
+    return objects;
+  }
+
+  async remove(key) {
+    checkKey(key);
+    await this.request('DELETE', this.prefix + key);
+  }
+}
+
+/**
+ * Adapter for a target's settings
+ */
+export function createAdapter(target) {
+  if (target.type === 'local') return new LocalDirectoryAdapter(target);
+  if (target.type === 's3') return new S3Adapter(target);
+  throw new Error(`Unknown target type: ${target.type}`);
+}
+
+/**
+ * Backup target registry
+ */
+export class BackupTargetManager {
+  constructor(file = config.backupTargets.file) {
+    this.file = file;
+    this.targets = new Map();
+    this.loadedMtimeMs = 0;
+    this.loadTargets();
+  }
+
+  loadTargets() {
+    try {
+      if (fs.existsSync(this.file)) {
+        this.targets = new Map(Object.entries(JSON.parse(fs.readFileSync(this.file, 'utf8'))));
+        this.loadedMtimeMs = fs.statSync(this.file).mtimeMs;
+      }
+    } catch (err) {
+      logger.warn('Failed to load backup targets', { error: err.message });
+    }
+  }
+
+  /**
+   * Reload targets changed by another worker
+   */
+  refreshTargets() {
+    try {
+      if (fs.statSync(this.file).mtimeMs !== this.loadedMtimeMs) {
+        this.loadTargets();
+      }
+    } catch {
+      // No targets file yet
+    }
+  }
+
+  saveTargets() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    // Holds credentials: owner only
+    fs.writeFileSync(this.file, JSON.stringify(Object.fromEntries(this.targets), null, 2), { encoding: 'utf8', mode: 0o600 });
+    this.loadedMtimeMs = fs.statSync(this.file).mtimeMs;
+  }
+
+  /**
+   * Targets without their secrets
+   */
+  listTargets() {
+    this.refreshTargets();
+    return Array.from(this.targets, ([name, target]) => redact(name, target));
+  }
+
+  getTarget(name) {
+    this.refreshTargets();
+    const target = this.targets.get(name);
+    return target ? { name, ...target } : null;
+  }
+
+  /**
+   * Create or update a target; omitted secrets keep their current value
+   * Returns { ok, target } (redacted) or { ok: false, error }
+   */
+  saveTarget(name, settings = {}) {
+    if (!TARGET_NAME.test(name || '')) {
+      return { ok: false, error: 'Target names are 2-32 lowercase letters, digits or dashes' };
+    }
+    this.refreshTargets();
+    const existing = this.targets.get(name) || {};
+    const merged = { ...settings };
+    for (const secret of SECRET_SETTINGS) {
+      if (!merged[secret] && existing[secret]) merged[secret] = existing[secret];
+    }
+
+    const result = validateTarget(merged);
+    if (!result.ok) return result;
+
+    this.targets.set(name, { ...result.target, updatedAt: new Date().toISOString() });
+    this.saveTargets();
+    logger.info('Backup target saved', { name, type: result.target.type });
+    return { ok: true, target: redact(name, this.targets.get(name)) };
+  }
+
+  deleteTarget(name) {
+    this.refreshTargets();
+    if (!this.targets.delete(name)) return false;
+    this.saveTargets();
+    logger.warn('Backup target deleted', { name });
+    return true;
+  }
+
+  adapterFor(name) {
+    const target = this.getTarget(name);
+    if (!target) throw new Error(`Unknown backup target: ${name}`);
+    return { target, adapter: createAdapter(target) };
+  }
+}
+
+function redact(name, target) {
+  const visible = Object.fromEntries(Object.entries(target).filter(([key]) => !SECRET_SETTINGS.includes(key)));
+  return { name, ...visible, ...(target.secretAccessKey ? { secretAccessKey: '********' } : {}) };
+}
+
+/**
+ * Check and normalize target settings: { ok, target } or { ok: false, error }
+ */
+function validateTarget(settings) {
+  const { type } = settings;
+  const common = {
+    type,
+    encrypt: !!settings.encrypt,
+    scheduled: !!settings.scheduled,
+    keep: parseInt(settings.keep ?? 14, 10),
+  };
+  if (!TARGET_TYPES.includes(type)) return { ok: false, error: `type must be one of ${TARGET_TYPES.join(', ')}` };
+  if (!Number.isInteger(common.keep) || common.keep < 1) return { ok: false, error: 'keep must be at least 1' };
+  if (common.encrypt && !config.backupTargets.passphrase) {
+    return { ok: false, error: 'Encryption needs BACKUP_ENCRYPTION_PASSPHRASE to be set' };
+  }
+
+  if (type === 'local') {
+    if (!settings.path || !path.isAbsolute(settings.path)) return { ok: false, error: 'path must be an absolute directory' };
+    const dir = path.resolve(settings.path);
+    if (dir === config.paths.data || dir.startsWith(config.paths.data + path.sep)) {
+      return { ok: false, error: 'path must be outside the data directory' };
+    }
+    return { ok: true, target: { ...common, path: dir } };
+  }
+
+  let endpoint;
+  try {
+    endpoint = new URL(settings.endpoint);
+  } catch {
+    return { ok: false, error: 'endpoint must be a URL' };
+  }
+  if (!['http:', 'https:'].includes(endpoint.protocol)) return { ok: false, error: 'endpoint must be http(s)' };
+  for (const field of ['bucket', 'accessKeyId', 'secretAccessKey']) {
+    if (!settings[field]) return { ok: false, error: `${field} is required` };
+  }
+  return {
+    ok: true,
+    target: {
+      ...common,
+      endpoint: endpoint.toString().replace(/\/$/, ''),
+      bucket: String(settings.bucket),
+      region: String(settings.region || 'us-east-1'),
+      prefix: String(settings.prefix || '').replace(/^\/+|\/+$/g, ''),
+      accessKeyId: String(settings.accessKeyId),
+      secretAccessKey: String(settings.secretAccessKey),
+    },
+  };
+}
+
+// Singleton instance
+let backupTargetManager = null;
+
+/**
+ * Get or create the backup target registry
+ */
+export function getBackupTargetManager() {
+  if (!backupTargetManager) {
+    backupTargetManager = new BackupTargetManager();
+  }
+  return backupTargetManager;
+}
+
+/**
+ * Current state as an .smp archive in memory
+ */
+async function exportSmpBuffer() {
+  const chunks = [];
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  await exportSmp(sink);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Backups on a target, newest first (other files are ignored)
+ */
+export async function listRemoteBackups(name) {
+  const { adapter } = getBackupTargetManager().adapterFor(name);
+  return (await adapter.list())
+    .filter(object => BACKUP_KEY.test(object.key))
+    .map(object => ({ ...object, encrypted: object.key.endsWith('.enc') }))
+    .sort((a, b) => b.key.localeCompare(a.key));
+}
+
+/**
+ * Export an .smp and store it on a target (encrypted if the target says
+ * so), then delete its backups beyond `keep`
+ * Returns { key, bytes, encrypted, pruned }
+ */
+export async function uploadBackup(name, { uploadedBy = 'system' } = {}) {
+  const { target, adapter } = getBackupTargetManager().adapterFor(name);
+  const ts = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const project = (process.env.PROJECT_NAME || 'project').replace(/[^A-Za-z0-9._-]/g, '-');
+
+  let data = await exportSmpBuffer();
+  if (target.encrypt) data = encryptBackup(data, config.backupTargets.passphrase);
+  const key = `${project}-backup-${ts}.smp${target.encrypt ? '.enc' : ''}`;
+  await adapter.put(key, data);
+
+  const pruned = (await listRemoteBackups(name)).slice(target.keep).map(object => object.key);
+  for (const old of pruned) await adapter.remove(old);
+
+  logger.info('Backup uploaded', { target: name, key, bytes: data.length, encrypted: target.encrypt, pruned: pruned.length, uploadedBy });
+  return { key, bytes: data.length, encrypted: target.encrypt, pruned };
+}
+
+/**
+ * Fetch a backup from a target, decrypted
+ */
+export async function downloadBackup(name, key) {
+  if (!BACKUP_KEY.test(key || '')) throw new Error('Invalid backup name');
+  const { adapter } = getBackupTargetManager().adapterFor(name);
+  const data = await adapter.get(key);
+  if (!isEncryptedBackup(data)) return data;
+  if (!config.backupTargets.passphrase) throw new Error('Backup is encrypted and BACKUP_ENCRYPTION_PASSPHRASE is not set');
+  return decryptBackup(data, config.backupTargets.passphrase);
+}
+
+/**
+ * Delete a backup from a target
+ */
+export async function deleteRemoteBackup(name, key) {
+  if (!BACKUP_KEY.test(key || '')) throw new Error('Invalid backup name');
+  const { adapter } = getBackupTargetManager().adapterFor(name);
+  await adapter.remove(key);
+  logger.warn('Remote backup deleted', { target: name, key });
+}
+
+/**
+ * Round trip a small probe file to check that a target is reachable and writable
+ */
+export async function testTarget(name) {
+  const { adapter } = getBackupTargetManager().adapterFor(name);
+  const key = `sitemanager-probe-${crypto.randomBytes(4).toString('hex')}.txt`;
+  const probe = Buffer.from(new Date().toISOString());
+  await adapter.put(key, probe);
+  try {
+    if (!(await adapter.get(key)).equals(probe)) throw new Error('Probe read back differently');
+  } finally {
+    await adapter.remove(key);
+  }
+}
+
+/**
+ * Scheduled run: upload to every target marked `scheduled`
+ */
+export async function uploadScheduledBackups() {
+  for (const target of getBackupTargetManager().listTargets().filter(t => t.scheduled)) {
+    try {
+      await uploadBackup(target.name, { uploadedBy: 'schedule' });
+    } catch (err) {
+      logger.error('Scheduled backup upload failed', { target: target.name, error: err.message });
+    }
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Canary Release Routing
+ *
+ * While a site runs a canary (see ReleaseManager.startCanary), each visitor
+ * is served either the candidate release ("canary") or the active one
+ * ("stable"):
+ * - An opt-in or opt-out in the canary header or cookie ("always"/"never")
+ *   decides first
+ * - Otherwise the visitor's bucket (0-99) does: buckets below the weight
+ *   get the canary. New visitors draw a bucket, kept in the cookie so the
+ *   choice is sticky; raising the weight only moves stable visitors over
+ *
+ * The chosen variant is noted on req.releaseVariant for error pages and
+ * per-variant metrics.
+ */
+
+import crypto from 'crypto';
+import config from './config.js';
+import { parseCookies } from './auth.js';
+import { getReleaseManager } from './releases.js';
+
+export const OPT_IN = 'always';
+export const OPT_OUT = 'never';
+
+/**
+ * Read a header or cookie value: "always", "never", a bucket number or null
+ */
+export function parseChoice(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (text === OPT_IN || text === OPT_OUT) return text;
+  if (/^\d{1,2}$/.test(text)) return Number(text);
+  return null;
+}
+
+/**
+ * Pick the variant for a visitor's choice; null means a bucket must be drawn
+ */
+export function chooseVariant(choice, weight) {
+  if (choice === OPT_IN) return 'canary';
+  if (choice === OPT_OUT) return 'stable';
+  if (typeof choice === 'number') return choice < weight ? 'canary' : 'stable';
+  return null;
+}
+
+/**
+ * Directory to serve for a request: the variant's release, the active
+ * release, or the site's working copy
+ */
+export function resolveReleaseRoot(req, res, site) {
+  const releases = getReleaseManager(site.id);
+  const canary = releases.getCanary();
+  if (!canary) {
+    return releases.getActiveRoot() || site.root;
+  }
+
+  const { cookie, header, stickyDays } = config.releases.canary;
+  let choice = parseChoice(req.headers[header.toLowerCase()]);
+  if (choice === null) {
+    choice = parseChoice(parseCookies(req)[cookie]);
+  }
+  if (choice === null) {
+    choice = crypto.randomInt(100);
+    res.append('Set-Cookie', `${cookie}=${choice}; Path=/; Max-Age=${stickyDays * 86400}; SameSite=Lax`);
+  }
+
+  const variant = chooseVariant(choice, canary.weight);
+  const release = variant === 'canary' ? canary.release : releases.getActiveRelease();
+  const root = variant === 'canary' ? releases.filesDir(canary.release) : releases.getActiveRoot() || site.root;
+
+  // Shared caches must not hand one visitor's variant to another
+  res.vary('Cookie');
+  res.vary(header);
+  res.setHeader('X-Release-Variant', variant);
+  req.releaseVariant = { site: site.id, variant, release, root };
+  return root;
+}
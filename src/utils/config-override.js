@@ -0,0 +1,42 @@
+/**
+ * Config Override File
+ *
+ * data/config-override.json holds settings changed from the panels at
+ * runtime. Writers notify the master, which tells every worker to drop
+ * values it derived from the file (see 'config-override-reload').
+ */
+
+import fs from 'fs';
+import path from 'path';
+import config from './config.js';
+
+export const OVERRIDE_FILE = path.join(config.paths.data, 'config-override.json');
+
+/**
+ * Read the override file ({} when missing)
+ */
+export function readConfigOverride() {
+  return fs.existsSync(OVERRIDE_FILE) ? JSON.parse(fs.readFileSync(OVERRIDE_FILE, 'utf8')) : {};
+}
+
+/**
+ * Replace the override file (temp file, then rename) and notify the master
+ */
+export function writeConfigOverride(cfg) {
+  const tmp = `${OVERRIDE_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(cfg, null, 2), 'utf8');
+  fs.renameSync(tmp, OVERRIDE_FILE);
+  if (process.send) {
+    process.send({ type: 'config-override-changed' });
+  }
+}
+
+/**
+ * Read, modify and write the override file
+ */
+export function updateConfigOverride(mutate) {
+  const cfg = readConfigOverride();
+  mutate(cfg);
+  writeConfigOverride(cfg);
+  return cfg;
+}
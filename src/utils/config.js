@@ -18,6 +18,22 @@ dotenv.config();
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT_DIR = path.join(__dirname, '../../');
 
+/**
+ * Parse per-prefix rate limits: "/maintenance=sliding-window:50/60s,/admin=token-bucket:300/60s"
+ * Malformed entries are skipped with a warning
+ */
+function parseRateLimitRoutes(value) {
+  return value.split(',').map(rule => rule.trim()).filter(Boolean).flatMap(rule => {
+    const match = rule.match(/^(\/\S*)=(token-bucket|sliding-window):(\d+)\/(\d+)s?$/);
+    if (!match) {
+      console.warn(`Ignoring invalid RATE_LIMIT_ROUTES entry: ${rule}`);
+      return [];
+    }
+    const [, prefix, algorithm, limit, seconds] = match;
+    return [{ prefix, algorithm, limit: Number(limit), windowMs: Number(seconds) * 1000 }];
+  });
+}
+
 /**
  * Configuration object with production defaults
  * All values are validated and sanitized
@@ -62,6 +78,13 @@ const config = {
     heartbeatIntervalMs: parseInt(process.env.HEARTBEAT_INTERVAL_MS || '5000', 10),
     heartbeatTimeoutMs: parseInt(process.env.HEARTBEAT_TIMEOUT_MS || '15000', 10),
     
+    // Heartbeat figures that mark a worker degraded (event-loop lag p99, CPU
+    // as % of one core, GC pauses as % of the interval) or unhealthy (lag)
+    eventLoopLagDegradedMs: parseInt(process.env.EVENT_LOOP_LAG_DEGRADED_MS || '100', 10),
+    eventLoopLagUnhealthyMs: parseInt(process.env.EVENT_LOOP_LAG_UNHEALTHY_MS || '2000', 10),
+    cpuDegradedPercent: parseInt(process.env.CPU_DEGRADED_PERCENT || '90', 10),
+    gcDegradedPercent: parseInt(process.env.GC_DEGRADED_PERCENT || '10', 10),
+    
     // Crash loop detection: if worker restarts more than threshold times in window, stop restarting
     restartThreshold: parseInt(process.env.RESTART_THRESHOLD || '5', 10),
     restartWindowMs: parseInt(process.env.RESTART_WINDOW_MS || '60000', 10),
@@ -71,6 +94,42 @@ const config = {
     
     // Drain timeout: maximum time to wait for existing connections before forcing shutdown
     drainTimeoutMs: 10000,
+
+    // Rolling restarts: how long a replacement has to listen and pass /internal/health
+    readinessTimeoutMs: parseInt(process.env.READINESS_TIMEOUT_MS || '30000', 10),
+
+    // Blue/green deployments: paths requested from every site on the new
+    // generation before promotion, then a bake period watched for 5xx responses
+    deploy: {
+      verifyPaths: (process.env.DEPLOY_VERIFY_PATHS || '/').split(',').map(p => p.trim()).filter(Boolean),
+      bakeMs: parseInt(process.env.DEPLOY_BAKE_MS || '300000', 10),
+      errorRatePercent: parseFloat(process.env.DEPLOY_ERROR_RATE_PERCENT || '5'),
+      // Fewer requests than this during the bake say nothing about the rate
+      minRequests: parseInt(process.env.DEPLOY_MIN_REQUESTS || '20', 10),
+    },
+
+    // Traffic-aware autoscaling between min and max workers (off by default);
+    // thresholds are per-worker averages from heartbeats
+    autoscale: {
+      enabled: process.env.AUTOSCALE_ENABLED === 'true',
+      minWorkers: parseInt(process.env.AUTOSCALE_MIN_WORKERS || '0', 10) || null,
+      maxWorkers: parseInt(process.env.AUTOSCALE_MAX_WORKERS || '0', 10) || null,
+      intervalMs: parseInt(process.env.AUTOSCALE_INTERVAL_MS || '15000', 10),
+      // A signal must hold for this many checks in a row before acting
+      sustainChecks: parseInt(process.env.AUTOSCALE_SUSTAIN_CHECKS || '2', 10),
+      scaleUpCooldownMs: parseInt(process.env.AUTOSCALE_UP_COOLDOWN_MS || '60000', 10),
+      scaleDownCooldownMs: parseInt(process.env.AUTOSCALE_DOWN_COOLDOWN_MS || '300000', 10),
+      scaleUp: {
+        requestsPerSecond: parseFloat(process.env.AUTOSCALE_UP_RPS || '50'),
+        eventLoopLagMs: parseFloat(process.env.AUTOSCALE_UP_LAG_MS || '80'),
+        cpuPercent: parseFloat(process.env.AUTOSCALE_UP_CPU_PERCENT || '75'),
+      },
+      scaleDown: {
+        requestsPerSecond: parseFloat(process.env.AUTOSCALE_DOWN_RPS || '10'),
+        eventLoopLagMs: parseFloat(process.env.AUTOSCALE_DOWN_LAG_MS || '20'),
+        cpuPercent: parseFloat(process.env.AUTOSCALE_DOWN_CPU_PERCENT || '25'),
+      },
+    },
   },
 
   // Maintenance & Persistence
@@ -79,6 +138,136 @@ const config = {
     stateFile: path.resolve(process.env.MAINTENANCE_FILE || path.join(ROOT_DIR, 'data', 'maintenance-state.json')),
   },
 
+  // Virtual host sites (see src/utils/sites.js)
+  sites: {
+    registryFile: path.resolve(process.env.SITES_FILE || path.join(ROOT_DIR, 'data', 'sites.json')),
+    // Default parent directory for new site roots
+    rootDir: path.resolve(process.env.SITES_DIR || path.join(ROOT_DIR, 'sites')),
+  },
+
+  // Versioned releases (see src/utils/releases.js)
+  releases: {
+    // Releases kept per site; the active, previous and canary release are never pruned
+    keep: parseInt(process.env.RELEASES_KEEP || '10', 10),
+    // Max upload size for a release archive
+    maxUploadBytes: parseInt(process.env.RELEASE_MAX_UPLOAD_MB || '200', 10) * 1024 * 1024,
+    // How long the master waits for every worker to confirm a switch
+    // before falling back to a rolling restart
+    ackTimeoutMs: parseInt(process.env.RELEASE_ACK_TIMEOUT_MS || '5000', 10),
+    // Canary routing (see src/utils/canary.js): the cookie holds a visitor's
+    // bucket (0-99) or an opt-in/opt-out ("always"/"never"), as may the header
+    canary: {
+      cookie: process.env.CANARY_COOKIE || 'smplus_canary',
+      header: process.env.CANARY_HEADER || 'X-Canary',
+      stickyDays: parseInt(process.env.CANARY_STICKY_DAYS || '30', 10),
+    },
+  },
+
+  // Incremental site snapshots (see src/utils/snapshots.js)
+  snapshots: {
+    // Cron expression for snapshots of every site, taken by the master ('' disables)
+    schedule: process.env.SNAPSHOT_SCHEDULE ?? '0 * * * *',
+    // Grandfather-father-son retention, applied after each snapshot
+    retention: {
+      last: parseInt(process.env.SNAPSHOT_KEEP_LAST || '3', 10),
+      hourly: parseInt(process.env.SNAPSHOT_KEEP_HOURLY || '24', 10),
+      daily: parseInt(process.env.SNAPSHOT_KEEP_DAILY || '7', 10),
+      weekly: parseInt(process.env.SNAPSHOT_KEEP_WEEKLY || '4', 10),
+      monthly: parseInt(process.env.SNAPSHOT_KEEP_MONTHLY || '0', 10),
+    },
+  },
+
+  // Off-box backup targets (see src/utils/backup-targets.js)
+  backupTargets: {
+    file: path.resolve(process.env.BACKUP_TARGETS_FILE || path.join(ROOT_DIR, 'data', 'backup-targets.json')),
+    // Cron expression for uploads to targets marked `scheduled` ('' disables)
+    schedule: process.env.BACKUP_UPLOAD_SCHEDULE ?? '30 3 * * *',
+    // Key derivation input for targets with `encrypt`; keep a copy off the server
+    passphrase: process.env.BACKUP_ENCRYPTION_PASSPHRASE || '',
+    requestTimeoutMs: parseInt(process.env.BACKUP_TARGET_TIMEOUT_MS || '300000', 10),
+  },
+
+  // .smp backup import limits (see src/utils/smp.js)
+  smp: {
+    maxArchiveBytes: parseInt(process.env.SMP_MAX_ARCHIVE_MB || '500', 10) * 1024 * 1024,
+    // Uncompressed, per file and for the whole archive
+    maxEntryBytes: parseInt(process.env.SMP_MAX_ENTRY_MB || '100', 10) * 1024 * 1024,
+    maxTotalBytes: parseInt(process.env.SMP_MAX_TOTAL_MB || '1024', 10) * 1024 * 1024,
+    maxEntries: parseInt(process.env.SMP_MAX_ENTRIES || '20000', 10),
+  },
+
+  // In-memory static file cache, per worker (see src/utils/file-cache.js)
+  fileCache: {
+    enabled: process.env.FILE_CACHE_ENABLED !== 'false',
+    maxBytes: parseInt(process.env.FILE_CACHE_MAX_MB || '64', 10) * 1024 * 1024,
+    // Larger files are streamed from disk instead
+    maxFileBytes: parseInt(process.env.FILE_CACHE_MAX_FILE_KB || '1024', 10) * 1024,
+  },
+
+  // Build-time .br/.gz siblings for static files (see src/utils/precompress.js)
+  precompression: {
+    enabled: process.env.PRECOMPRESS_ENABLED !== 'false',
+    brotliQuality: parseInt(process.env.PRECOMPRESS_BROTLI_QUALITY || '11', 10),
+    gzipLevel: parseInt(process.env.PRECOMPRESS_GZIP_LEVEL || '9', 10),
+    // Larger files are left uncompressed
+    maxFileBytes: parseInt(process.env.PRECOMPRESS_MAX_FILE_MB || '50', 10) * 1024 * 1024,
+  },
+
+  // Single-page application fallback defaults; sites toggle it from the
+  // admin panel (stored in data/config-override.json, see src/utils/spa.js)
+  spa: {
+    enabled: process.env.SPA_MODE === 'true',
+    entry: process.env.SPA_ENTRY || 'index.html',
+    exclude: (process.env.SPA_EXCLUDE || '/api,/admin,/maintenance').split(',').map(p => p.trim()).filter(Boolean),
+  },
+
+  // Audit journal (data/audit.jsonl)
+  audit: {
+    // Keys the entry hashes (HMAC-SHA256); keep it out of data/ so write
+    // access to the journal is not enough to rewrite its chain
+    hmacSecret: process.env.AUDIT_HMAC_SECRET || '',
+  },
+
+  // Cluster-wide Prometheus metrics (served on /metrics by every worker)
+  metrics: {
+    // When set, scrapers must send "Authorization: Bearer <token>";
+    // without one only loopback clients may scrape
+    token: process.env.METRICS_TOKEN || '',
+    // How often workers ship their request metrics to the master
+    flushIntervalMs: parseInt(process.env.METRICS_FLUSH_INTERVAL_MS || '5000', 10),
+  },
+
+  // Second factor per role after the password:
+  // 'hardware-key' (WebAuthn, once a key is registered for the role),
+  // 'totp-or-key' (the user's authenticator app or the role's key), 'none'
+  twoFactor: {
+    admin: process.env.ADMIN_2FA_POLICY || 'hardware-key',
+    maintenance: process.env.MAINTENANCE_2FA_POLICY || 'hardware-key',
+    // Shown in authenticator apps
+    issuer: process.env.TOTP_ISSUER || 'Site Manager',
+  },
+
+  // Panel sessions (registry in data/sessions, see src/utils/sessions.js)
+  sessions: {
+    // Signed out after this long without a request
+    idleTimeoutMs: parseInt(process.env.SESSION_IDLE_MINUTES || '30', 10) * 60 * 1000,
+    // Signed out this long after login, however active
+    absoluteTimeoutMs: parseInt(process.env.SESSION_MAX_HOURS || '2', 10) * 60 * 60 * 1000,
+  },
+
+  // Rate limits shared by all workers (counters kept in the master, see src/utils/rate-limit.js)
+  rateLimit: {
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    // Module the master imports to register a custom store backend
+    storeModule: process.env.RATE_LIMIT_STORE_MODULE ? path.resolve(process.env.RATE_LIMIT_STORE_MODULE) : null,
+    // Per client IP, by path prefix
+    routes: parseRateLimitRoutes(process.env.RATE_LIMIT_ROUTES || '/maintenance=sliding-window:50/60s'),
+    // Per API key; the limit is each key's own requests-per-minute
+    apiKeyAlgorithm: process.env.RATE_LIMIT_API_KEY_ALGORITHM || 'token-bucket',
+    // Requests are allowed if the master does not answer within this time
+    ipcTimeoutMs: parseInt(process.env.RATE_LIMIT_IPC_TIMEOUT_MS || '1000', 10),
+  },
+
   // Filesystem Watchers
   watchers: {
     // Debounce time for file changes to avoid redundant reloads during atomic writes
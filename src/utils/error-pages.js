@@ -0,0 +1,132 @@
+/**
+ * Error Pages
+ *
+ * Answers 403/404/500 (and other) errors with an HTML page for browsers and
+ * JSON for clients that ask for it. A site provides its own page as
+ * <status>.html in its root (editable from the admin file manager); the
+ * active release (or the visitor's canary variant) is checked first, then
+ * the site's working copy, then a built-in page.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+import { getSiteRegistry } from './sites.js';
+import { getReleaseManager } from './releases.js';
+
+export const ERROR_PAGE_STATUSES = [403, 404, 500];
+
+const TITLES = {
+  400: 'Bad Request',
+  403: 'Forbidden',
+  404: 'Page Not Found',
+  500: 'Something Went Wrong',
+};
+
+const MESSAGES = {
+  400: 'The request could not be understood.',
+  403: "You don't have permission to view this page.",
+  404: "The page you're looking for doesn't exist or has moved.",
+  500: "We hit an unexpected error. Please try again in a moment.",
+};
+
+/**
+ * Whether the client prefers JSON over HTML
+ */
+export function wantsJson(req) {
+  return req.accepts(['html', 'json']) === 'json';
+}
+
+/**
+ * Built-in error page, styled like the maintenance page
+ */
+export function getDefaultErrorPage(status) {
+  const title = TITLES[status] || 'Error';
+  const message = MESSAGES[status] || MESSAGES[500];
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${status} - ${title}</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            height: 100vh;
+            margin: 0;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        }
+        .container {
+            text-align: center;
+            background: white;
+            padding: 3rem;
+            border-radius: 10px;
+            box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+            max-width: 500px;
+        }
+        h1 { color: #333; margin: 0 0 1rem 0; }
+        p { color: #666; margin: 1rem 0; line-height: 1.6; }
+        a { color: #667eea; }
+        .code { font-size: 3rem; font-weight: 700; color: #764ba2; margin-bottom: 1rem; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="code">${status}</div>
+        <h1>${title}</h1>
+        <p>${message}</p>
+        <p><a href="/">Back to the homepage</a></p>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Read a site's page for a status, or null if it has none
+ */
+async function readSitePage(site, status, releaseRoot) {
+  const roots = [releaseRoot || getReleaseManager(site.id).getActiveRoot(), site.root].filter(Boolean);
+  for (const root of roots) {
+    try {
+      return await fs.promises.readFile(path.join(root, `${status}.html`), 'utf8');
+    } catch {
+      // Not provided by this root
+    }
+  }
+  return null;
+}
+
+/**
+ * Send an error response: JSON if the client accepts it over HTML,
+ * otherwise the site's page or the built-in one
+ */
+export async function sendError(req, res, status, message, extra = {}) {
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+
+  if (wantsJson(req)) {
+    res.status(status).json({ error: message, ...extra });
+    return;
+  }
+
+  let html = null;
+  try {
+    const site = req.site || getSiteRegistry().getDefaultSite();
+    html = await readSitePage(site, status, req.releaseVariant?.root);
+  } catch (err) {
+    logger.warn('Failed to load error page', { status, error: err.message });
+  }
+
+  // Headers set for the original response (e.g. Content-Encoding) must not leak
+  for (const name of ['Content-Encoding', 'Content-Range', 'ETag', 'Last-Modified', 'Accept-Ranges']) {
+    res.removeHeader(name);
+  }
+  res.status(status);
+  res.setHeader('Cache-Control', 'no-store');
+  res.type('html').send(html ?? getDefaultErrorPage(status));
+}
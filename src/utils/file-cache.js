@@ -0,0 +1,228 @@
+/**
+ * In-Memory File Cache
+ *
+ * Size-bounded LRU cache of static file contents, one per worker:
+ * - Keyed by absolute file path
+ * - Holds gzip and brotli variants of compressible files, taken from the
+ *   precompressed .br/.gz siblings when they are fresh
+ * - Strong ETags derived from a content hash
+ * - Invalidated by the master's file watcher over cluster IPC, and
+ *   defensively on mtime/size mismatch
+ *
+ * Hits and misses are reported to the MetricsCollector.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import config from './config.js';
+import logger from './logger.js';
+import { getMetricsCollector } from './metrics.js';
+import { findPrecompressed } from './precompress.js';
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+// Below this size compression rarely pays off (matches the compression middleware)
+const MIN_COMPRESS_BYTES = 1024;
+
+/**
+ * Whether a content type benefits from compression
+ */
+function isCompressible(contentType = '') {
+  return contentType.startsWith('text/')
+    || /javascript|json|xml|svg|wasm|vnd\.ms-fontobject/.test(contentType);
+}
+
+/**
+ * FileCache keeps recently served files in memory
+ */
+export class FileCache {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? config.fileCache.enabled;
+    this.maxBytes = options.maxBytes ?? config.fileCache.maxBytes;
+    this.maxFileBytes = options.maxFileBytes ?? config.fileCache.maxFileBytes;
+    this.entries = new Map(); // Map keeps insertion order: oldest first
+    this.loading = new Map(); // In-flight loads, so concurrent misses read once
+    this.totalBytes = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Whether a file of this size should go through the cache
+   */
+  accepts(size) {
+    return this.enabled && size <= this.maxFileBytes;
+  }
+
+  /**
+   * Get a fresh entry for a file, loading it on a miss
+   * transform(text) may rewrite the content (e.g. script injection) before hashing
+   */
+  async load(filePath, stats, { contentType, transform } = {}) {
+    const metrics = getMetricsCollector();
+    const cached = this.entries.get(filePath);
+
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      // Move to the most recently used position
+      this.entries.delete(filePath);
+      this.entries.set(filePath, cached);
+      metrics.recordCacheHit();
+      return { entry: cached, hit: true };
+    }
+
+    metrics.recordCacheMiss();
+    if (!this.loading.has(filePath)) {
+      const pending = this.read(filePath, stats, contentType, transform)
+        .then(entry => {
+          this.set(filePath, entry);
+          return entry;
+        })
+        .finally(() => this.loading.delete(filePath));
+      this.loading.set(filePath, pending);
+    }
+    return { entry: await this.loading.get(filePath), hit: false };
+  }
+
+  /**
+   * Read a file and build its cache entry
+   */
+  async read(filePath, stats, contentType, transform) {
+    let body = await fs.promises.readFile(filePath);
+    if (transform) {
+      body = Buffer.from(transform(body.toString('utf8')), 'utf8');
+    }
+
+    const entry = {
+      body,
+      gzip: null,
+      br: null,
+      etag: `"${crypto.createHash('sha256').update(body).digest('base64url').slice(0, 32)}"`,
+      mtimeMs: stats.mtimeMs,
+      size: stats.size,
+    };
+
+    // Precompressed siblings match the file on disk, so not after a transform
+    const siblings = transform ? {} : await findPrecompressed(filePath, stats);
+    if (siblings.br || siblings.gzip) {
+      [entry.br, entry.gzip] = await Promise.all([
+        siblings.br ? fs.promises.readFile(siblings.br.path) : null,
+        siblings.gzip ? fs.promises.readFile(siblings.gzip.path) : null,
+      ]);
+    } else if (isCompressible(contentType) && body.length >= MIN_COMPRESS_BYTES) {
+      [entry.gzip, entry.br] = await Promise.all([
+        gzip(body, { level: 9 }),
+        brotliCompress(body, {
+          params: {
+            [zlib.constants.BROTLI_PARAM_QUALITY]: 9,
+            [zlib.constants.BROTLI_PARAM_SIZE_HINT]: body.length,
+          },
+        }),
+      ]);
+    }
+
+    entry.bytes = body.length + (entry.gzip?.length || 0) + (entry.br?.length || 0);
+    return entry;
+  }
+
+  /**
+   * Store an entry, evicting least recently used entries to stay in budget
+   */
+  set(filePath, entry) {
+    this.delete(filePath);
+    if (entry.bytes > this.maxBytes) return;
+
+    this.entries.set(filePath, entry);
+    this.totalBytes += entry.bytes;
+
+    for (const [key, oldest] of this.entries) {
+      if (this.totalBytes <= this.maxBytes) break;
+      this.entries.delete(key);
+      this.totalBytes -= oldest.bytes;
+      this.evictions++;
+    }
+  }
+
+  delete(filePath) {
+    const entry = this.entries.get(filePath);
+    if (!entry) return false;
+    this.entries.delete(filePath);
+    this.totalBytes -= entry.bytes;
+    return true;
+  }
+
+  /**
+   * Drop a file, or every file below a directory
+   */
+  invalidate(targetPath) {
+    const prefix = targetPath.endsWith(path.sep) ? targetPath : targetPath + path.sep;
+    let removed = 0;
+    for (const key of Array.from(this.entries.keys())) {
+      if (key === targetPath || key.startsWith(prefix)) {
+        this.delete(key);
+        removed++;
+      }
+    }
+    if (removed) {
+      logger.debug('File cache invalidated', { path: targetPath, removed });
+    }
+    return removed;
+  }
+
+  /**
+   * Drop everything
+   */
+  clear() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    this.totalBytes = 0;
+    return removed;
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      evictions: this.evictions,
+    };
+  }
+}
+
+/**
+ * Clear this worker's cache, ask the master to clear every other worker's,
+ * and report this worker's cache metrics
+ */
+export function purgeFileCache() {
+  const cache = getFileCache();
+  const removed = cache.clear();
+  if (process.send) {
+    process.send({ type: 'cache-purge' });
+  }
+
+  const metrics = getMetricsCollector();
+  logger.info('File cache purged', { removed });
+  return {
+    removed,
+    cache: cache.getStats(),
+    hits: metrics.cacheHits,
+    misses: metrics.cacheMisses,
+    hitRate: metrics.getSummary().cacheHitRate,
+  };
+}
+
+// Singleton instance
+let fileCache = null;
+
+/**
+ * Get or create the file cache
+ */
+export function getFileCache() {
+  if (!fileCache) {
+    fileCache = new FileCache();
+  }
+  return fileCache;
+}
@@ -7,10 +7,23 @@
  * - Worker health and uptime
  * - Memory and CPU usage
  * - Cache hit/miss rates
+ * - Error rates and latency per release variant while a canary runs
  * 
  * Exports metrics in Prometheus format
+ *
+ * Each worker records its traffic in a RequestMetrics accumulator and ships
+ * the deltas to the master over IPC; the master's ClusterMetrics merges them
+ * into cluster-wide counters and histograms labelled by worker, route and
+ * status, served on /metrics.
  */
 
+import crypto from 'crypto';
+
+// Request duration histogram buckets, in seconds
+export const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const SERIES_SEPARATOR = '\u0000';
+
 /**
  * Metrics collector
  */
@@ -35,6 +48,10 @@ export class MetricsCollector {
     // Worker metrics
     this.workerMetrics = new Map();
 
+    // Per-variant metrics of canary routing, by site, variant and release
+    this.variantMetrics = new Map();
+    this.variantRequestCount = 0;
+
     // Startup time
     this.startTime = Date.now();
   }
@@ -72,6 +89,47 @@ export class MetricsCollector {
     this.statusCodeMetrics.set(code, this.statusCodeMetrics.get(code) + 1);
   }
 
+  /**
+   * Record a request served by a release variant ({ site, variant, release })
+   */
+  recordVariant({ site, variant, release }, statusCode, durationMs) {
+    const key = [site, variant, release || ''].join(SERIES_SEPARATOR);
+    let stats = this.variantMetrics.get(key);
+    if (!stats) {
+      stats = { count: 0, errors: 0, durationSum: 0, buckets: new Array(DURATION_BUCKETS.length).fill(0) };
+      this.variantMetrics.set(key, stats);
+    }
+
+    const seconds = durationMs / 1000;
+    stats.count++;
+    if (statusCode >= 500) stats.errors++;
+    stats.durationSum += seconds;
+    const bucket = DURATION_BUCKETS.findIndex(le => seconds <= le);
+    if (bucket !== -1) stats.buckets[bucket]++;
+    this.variantRequestCount++;
+  }
+
+  /**
+   * All variant series as { site, variant, release, count, errors, durationSum, buckets }
+   */
+  getVariantMetrics() {
+    return Array.from(this.variantMetrics.entries()).map(([key, stats]) => {
+      const [site, variant, release] = key.split(SERIES_SEPARATOR);
+      return { site, variant, release: release || null, ...stats, buckets: [...stats.buckets] };
+    });
+  }
+
+  /**
+   * Record file cache lookups
+   */
+  recordCacheHit() {
+    this.cacheHits++;
+  }
+
+  recordCacheMiss() {
+    this.cacheMisses++;
+  }
+
   /**
    * Record worker metrics
    */
@@ -168,6 +226,19 @@ export class MetricsCollector {
       lines.push(`worker_uptime_seconds{worker_id="${workerId}"} ${Math.round(metrics.uptime / 1000)}`);
     }
 
+    // Release variant metrics
+    lines.push('# HELP variant_request_count Number of requests by release variant');
+    lines.push('# TYPE variant_request_count counter');
+    for (const v of this.getVariantMetrics()) {
+      lines.push(`variant_request_count${labels({ site: v.site, variant: v.variant, release: v.release || '' })} ${v.count}`);
+    }
+
+    lines.push('# HELP variant_error_count Number of 5xx responses by release variant');
+    lines.push('# TYPE variant_error_count counter');
+    for (const v of this.getVariantMetrics()) {
+      lines.push(`variant_error_count${labels({ site: v.site, variant: v.variant, release: v.release || '' })} ${v.errors}`);
+    }
+
     // System uptime
     lines.push('# HELP uptime_seconds System uptime in seconds');
     lines.push('# TYPE uptime_seconds gauge');
@@ -201,6 +272,332 @@ export class MetricsCollector {
   }
 }
 
+/**
+ * Escape a Prometheus label value
+ */
+function labelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set: {a="1",b="2"}
+ */
+function labels(set) {
+  return '{' + Object.entries(set).map(([name, value]) => `${name}="${labelValue(value)}"`).join(',') + '}';
+}
+
+/**
+ * Estimate a percentile from non-cumulative duration buckets, as the upper
+ * bound of the bucket it falls in
+ */
+function estimatePercentile(buckets, count, p) {
+  let seen = 0;
+  for (let i = 0; i < buckets.length; i++) {
+    seen += buckets[i];
+    if (seen >= count * p) return `<=${DURATION_BUCKETS[i] * 1000}ms`;
+  }
+  return `>${DURATION_BUCKETS[DURATION_BUCKETS.length - 1] * 1000}ms`;
+}
+
+/**
+ * Per-worker request accumulator; its deltas are sent to the master
+ */
+export class RequestMetrics {
+  constructor() {
+    this.series = new Map();
+    this.cache = { hits: 0, misses: 0 };
+    this.variantRequestCount = 0;
+  }
+
+  /**
+   * Record one finished request
+   */
+  record({ route, method, status, durationMs, bytes }) {
+    const key = [route, method, status].join(SERIES_SEPARATOR);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { count: 0, durationSum: 0, bytes: 0, buckets: new Array(DURATION_BUCKETS.length).fill(0) };
+      this.series.set(key, series);
+    }
+
+    const seconds = durationMs / 1000;
+    series.count++;
+    series.durationSum += seconds;
+    series.bytes += bytes;
+    // Buckets are stored non-cumulative; exposition sums them up
+    const bucket = DURATION_BUCKETS.findIndex(le => seconds <= le);
+    if (bucket !== -1) series.buckets[bucket]++;
+  }
+
+  /**
+   * Return everything recorded since the last call and reset
+   * Variant figures are sent whole (they replace the previous ones), and
+   * only when they changed
+   */
+  takeDelta() {
+    const collector = getMetricsCollector();
+    const delta = {
+      series: Array.from(this.series.entries()),
+      cache: {
+        hits: collector.cacheHits - this.cache.hits,
+        misses: collector.cacheMisses - this.cache.misses,
+      },
+      variants: collector.variantRequestCount !== this.variantRequestCount ? collector.getVariantMetrics() : null,
+    };
+    this.series = new Map();
+    this.cache = { hits: collector.cacheHits, misses: collector.cacheMisses };
+    this.variantRequestCount = collector.variantRequestCount;
+    return delta;
+  }
+
+  /**
+   * Put back a delta the master never got, so the next one carries it
+   */
+  restoreDelta(delta) {
+    for (const [key, restored] of delta.series) {
+      const series = this.series.get(key);
+      if (!series) {
+        this.series.set(key, restored);
+        continue;
+      }
+      series.count += restored.count;
+      series.durationSum += restored.durationSum;
+      series.bytes += restored.bytes;
+      restored.buckets.forEach((n, i) => { series.buckets[i] += n; });
+    }
+    this.cache.hits -= delta.cache.hits;
+    this.cache.misses -= delta.cache.misses;
+    // Force the variant figures to be sent again
+    if (delta.variants) this.variantRequestCount = -1;
+  }
+}
+
+/**
+ * Cluster-wide request metrics, kept by the master
+ */
+export class ClusterMetrics {
+  constructor() {
+    this.workers = new Map(); // workerId -> { series: Map, cache: { hits, misses }, variants: [] }
+    this.startTime = Date.now();
+    this.scaling = { workers: 0, decisions: { up: 0, down: 0 } };
+  }
+
+  /**
+   * Note the live worker count and, when it changed, the scaling direction
+   */
+  recordScaling(workers, direction = null) {
+    this.scaling.workers = workers;
+    if (direction) this.scaling.decisions[direction]++;
+  }
+
+  /**
+   * Add a worker's delta
+   */
+  merge(workerId, delta) {
+    if (!this.workers.has(workerId)) {
+      this.workers.set(workerId, { series: new Map(), cache: { hits: 0, misses: 0 }, variants: [] });
+    }
+    const worker = this.workers.get(workerId);
+
+    for (const [key, incoming] of delta.series || []) {
+      const series = worker.series.get(key);
+      if (!series) {
+        worker.series.set(key, { ...incoming, buckets: [...incoming.buckets] });
+        continue;
+      }
+      series.count += incoming.count;
+      series.durationSum += incoming.durationSum;
+      series.bytes += incoming.bytes;
+      incoming.buckets.forEach((n, i) => { series.buckets[i] += n; });
+    }
+
+    worker.cache.hits += delta.cache?.hits || 0;
+    worker.cache.misses += delta.cache?.misses || 0;
+    if (delta.variants) worker.variants = delta.variants;
+  }
+
+  /**
+   * Forget an exited worker's series
+   */
+  removeWorker(workerId) {
+    this.workers.delete(workerId);
+  }
+
+  /**
+   * Iterate all series as { worker, route, method, status, ...values }
+   */
+  *eachSeries() {
+    for (const [workerId, worker] of this.workers) {
+      for (const [key, series] of worker.series) {
+        const [route, method, status] = key.split(SERIES_SEPARATOR);
+        yield { worker: workerId, route, method, status, ...series };
+      }
+    }
+  }
+
+  /**
+   * Variant series summed over the workers, keyed like the collector's
+   */
+  mergedVariants() {
+    const merged = new Map();
+    for (const worker of this.workers.values()) {
+      for (const v of worker.variants) {
+        const key = [v.site, v.variant, v.release || ''].join(SERIES_SEPARATOR);
+        const total = merged.get(key);
+        if (!total) {
+          merged.set(key, { ...v, buckets: [...v.buckets] });
+          continue;
+        }
+        total.count += v.count;
+        total.errors += v.errors;
+        total.durationSum += v.durationSum;
+        v.buckets.forEach((n, i) => { total.buckets[i] += n; });
+      }
+    }
+    return Array.from(merged.values());
+  }
+
+  /**
+   * Error rate and latency per release variant, optionally for one site
+   */
+  getVariantSummary(siteId = null) {
+    return this.mergedVariants()
+      .filter(v => !siteId || v.site === siteId)
+      .map(v => ({
+        site: v.site,
+        variant: v.variant,
+        release: v.release,
+        requests: v.count,
+        errors: v.errors,
+        errorRate: v.count > 0 ? (v.errors / v.count * 100).toFixed(2) + '%' : '0%',
+        avgResponseTime: v.count > 0 ? Math.round(v.durationSum / v.count * 1000) + 'ms' : '0ms',
+        p95ResponseTime: v.count > 0 ? estimatePercentile(v.buckets, v.count, 0.95) : '0ms',
+        p99ResponseTime: v.count > 0 ? estimatePercentile(v.buckets, v.count, 0.99) : '0ms',
+      }));
+  }
+
+  /**
+   * Answer a scrape: 'prometheus' text, 'summary' or 'variants' (of a site)
+   */
+  report(format, siteId = null) {
+    if (format === 'summary') return this.getSummary();
+    if (format === 'variants') return this.getVariantSummary(siteId);
+    return this.getPrometheusMetrics();
+  }
+
+  /**
+   * Prometheus text exposition of the cluster's traffic
+   */
+  getPrometheusMetrics() {
+    const lines = [];
+
+    lines.push('# HELP http_requests_total HTTP requests handled, by worker, route, method and status');
+    lines.push('# TYPE http_requests_total counter');
+    for (const s of this.eachSeries()) {
+      lines.push(`http_requests_total${labels({ worker: s.worker, route: s.route, method: s.method, status: s.status })} ${s.count}`);
+    }
+
+    lines.push('# HELP http_request_duration_seconds HTTP request duration in seconds');
+    lines.push('# TYPE http_request_duration_seconds histogram');
+    for (const s of this.eachSeries()) {
+      const base = { worker: s.worker, route: s.route, method: s.method, status: s.status };
+      let cumulative = 0;
+      DURATION_BUCKETS.forEach((le, i) => {
+        cumulative += s.buckets[i];
+        lines.push(`http_request_duration_seconds_bucket${labels({ ...base, le })} ${cumulative}`);
+      });
+      lines.push(`http_request_duration_seconds_bucket${labels({ ...base, le: '+Inf' })} ${s.count}`);
+      lines.push(`http_request_duration_seconds_sum${labels(base)} ${s.durationSum}`);
+      lines.push(`http_request_duration_seconds_count${labels(base)} ${s.count}`);
+    }
+
+    lines.push('# HELP http_response_bytes_total Response body bytes sent');
+    lines.push('# TYPE http_response_bytes_total counter');
+    for (const s of this.eachSeries()) {
+      lines.push(`http_response_bytes_total${labels({ worker: s.worker, route: s.route, method: s.method, status: s.status })} ${s.bytes}`);
+    }
+
+    lines.push('# HELP file_cache_lookups_total Static file cache lookups, by result');
+    lines.push('# TYPE file_cache_lookups_total counter');
+    for (const [workerId, worker] of this.workers) {
+      lines.push(`file_cache_lookups_total${labels({ worker: workerId, result: 'hit' })} ${worker.cache.hits}`);
+      lines.push(`file_cache_lookups_total${labels({ worker: workerId, result: 'miss' })} ${worker.cache.misses}`);
+    }
+
+    lines.push('# HELP release_variant_requests_total Requests served by a canary or stable release, by outcome');
+    lines.push('# TYPE release_variant_requests_total counter');
+    lines.push('# HELP release_variant_duration_seconds Request duration per release variant in seconds');
+    lines.push('# TYPE release_variant_duration_seconds histogram');
+    for (const v of this.mergedVariants()) {
+      const base = { site: v.site, variant: v.variant, release: v.release || '' };
+      lines.push(`release_variant_requests_total${labels({ ...base, outcome: 'ok' })} ${v.count - v.errors}`);
+      lines.push(`release_variant_requests_total${labels({ ...base, outcome: 'error' })} ${v.errors}`);
+      let cumulative = 0;
+      DURATION_BUCKETS.forEach((le, i) => {
+        cumulative += v.buckets[i];
+        lines.push(`release_variant_duration_seconds_bucket${labels({ ...base, le })} ${cumulative}`);
+      });
+      lines.push(`release_variant_duration_seconds_bucket${labels({ ...base, le: '+Inf' })} ${v.count}`);
+      lines.push(`release_variant_duration_seconds_sum${labels(base)} ${v.durationSum}`);
+      lines.push(`release_variant_duration_seconds_count${labels(base)} ${v.count}`);
+    }
+
+    lines.push('# HELP cluster_workers Live workers, as last counted by the autoscaler');
+    lines.push('# TYPE cluster_workers gauge');
+    lines.push(`cluster_workers ${this.scaling.workers}`);
+
+    lines.push('# HELP cluster_autoscale_decisions_total Workers added or retired by the autoscaler');
+    lines.push('# TYPE cluster_autoscale_decisions_total counter');
+    for (const [direction, count] of Object.entries(this.scaling.decisions)) {
+      lines.push(`cluster_autoscale_decisions_total${labels({ direction })} ${count}`);
+    }
+
+    lines.push('# HELP cluster_uptime_seconds Time since the master started');
+    lines.push('# TYPE cluster_uptime_seconds gauge');
+    lines.push(`cluster_uptime_seconds ${Math.round((Date.now() - this.startTime) / 1000)}`);
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Cluster-wide summary in the shape of MetricsCollector.getSummary()
+   */
+  getSummary() {
+    let requests = 0;
+    let errors = 0;
+    let durationSum = 0;
+    let bytes = 0;
+    const buckets = new Array(DURATION_BUCKETS.length).fill(0);
+    for (const s of this.eachSeries()) {
+      requests += s.count;
+      if (Number(s.status) >= 500) errors += s.count;
+      durationSum += s.durationSum;
+      bytes += s.bytes;
+      s.buckets.forEach((n, i) => { buckets[i] += n; });
+    }
+
+    let hits = 0;
+    let misses = 0;
+    for (const worker of this.workers.values()) {
+      hits += worker.cache.hits;
+      misses += worker.cache.misses;
+    }
+
+    return {
+      totalRequests: requests,
+      totalErrors: errors,
+      errorRate: requests > 0 ? (errors / requests * 100).toFixed(2) + '%' : '0%',
+      avgResponseTime: requests > 0 ? Math.round(durationSum / requests * 1000) + 'ms' : '0ms',
+      p95ResponseTime: requests > 0 ? estimatePercentile(buckets, requests, 0.95) : '0ms',
+      p99ResponseTime: requests > 0 ? estimatePercentile(buckets, requests, 0.99) : '0ms',
+      bytesSent: bytes,
+      cacheHitRate: (hits + misses) > 0 ? (hits / (hits + misses) * 100).toFixed(2) + '%' : '0%',
+      workers: this.workers.size,
+      uptime: Math.round((Date.now() - this.startTime) / 1000) + 's',
+    };
+  }
+}
+
 // Singleton instance
 let metricsCollector = null;
 
@@ -213,3 +610,86 @@ export function getMetricsCollector() {
   }
   return metricsCollector;
 }
+
+// Singleton instances
+let requestMetrics = null;
+let clusterMetrics = null;
+
+/**
+ * Get or create this worker's request accumulator
+ */
+export function getRequestMetrics() {
+  if (!requestMetrics) {
+    requestMetrics = new RequestMetrics();
+  }
+  return requestMetrics;
+}
+
+/**
+ * Get or create the master's cluster-wide metrics
+ */
+export function getClusterMetrics() {
+  if (!clusterMetrics) {
+    clusterMetrics = new ClusterMetrics();
+  }
+  return clusterMetrics;
+}
+
+// Addresses a scrape without a configured token may come from
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+/**
+ * Decide whether a scrape may read /metrics: with a token configured the
+ * request must carry it as a bearer token, otherwise only loopback clients
+ * are answered. Returns null when allowed, or the status to refuse with
+ */
+export function checkScrapeAccess(authorization, remoteAddress, token) {
+  if (!token) {
+    return LOOPBACK_ADDRESSES.has(remoteAddress) ? null : 403;
+  }
+  // Compare digests so neither the content nor the length of the token leaks
+  const digest = (value) => crypto.createHash('sha256').update(String(value ?? '')).digest();
+  return crypto.timingSafeEqual(digest(authorization), digest(`Bearer ${token}`)) ? null : 401;
+}
+
+// Scrapes waiting for the master's answer, by request id
+const pendingScrapes = new Map();
+let nextScrapeId = 1;
+
+/**
+ * Ask the master for the cluster-wide metrics ('prometheus' text, 'summary',
+ * or 'variants' of the given site)
+ * This worker's unsent delta is included so the answer is current
+ */
+export function requestClusterMetrics(format = 'prometheus', timeoutMs = 3000, siteId = null) {
+  if (!process.send) {
+    // Not clustered: report this process only
+    const local = getClusterMetrics();
+    local.merge('0', getRequestMetrics().takeDelta());
+    return Promise.resolve(local.report(format, siteId));
+  }
+
+  return new Promise((resolve, reject) => {
+    const requestId = nextScrapeId++;
+    const delta = getRequestMetrics().takeDelta();
+    const timer = setTimeout(() => {
+      pendingScrapes.delete(requestId);
+      // No answer: keep the counts for the next flush rather than lose them
+      getRequestMetrics().restoreDelta(delta);
+      reject(new Error('Timed out waiting for cluster metrics'));
+    }, timeoutMs);
+    pendingScrapes.set(requestId, { resolve, timer });
+    process.send({ type: 'metrics-request', requestId, format, site: siteId, delta });
+  });
+}
+
+/**
+ * Deliver the master's answer to a pending scrape
+ */
+export function resolveClusterMetrics({ requestId, result }) {
+  const pending = pendingScrapes.get(requestId);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pendingScrapes.delete(requestId);
+  pending.resolve(result);
+}
@@ -10,6 +10,7 @@
 
 import fs from 'fs';
 import path from 'path';
+import express from 'express';
 import config from '../utils/config.js';
 import logger from '../utils/logger.js';
 
@@ -46,6 +47,7 @@ export class Plugin {
 
   /**
    * Get health checks (optional)
+   * Each check is { name, check: async () => ({ healthy }) }
    */
   getHealthChecks() {
     return [];
@@ -65,7 +67,38 @@ export class Plugin {
 export class PluginManager {
   constructor() {
     this.plugins = new Map();
+    this.mounts = new Map(); // name -> { middleware, router }
     this.pluginDir = path.join(config.paths.root, 'plugins');
+    this.stateFile = path.join(config.paths.data, 'plugin-state.json');
+  }
+
+  /**
+   * Load persisted enabled/disabled flags
+   */
+  loadState() {
+    try {
+      if (fs.existsSync(this.stateFile)) {
+        return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      }
+    } catch (err) {
+      logger.warn('Failed to load plugin state', { error: err.message });
+    }
+    return {};
+  }
+
+  /**
+   * Persist enabled/disabled flags so new workers start with the same set
+   */
+  saveState() {
+    try {
+      const state = {};
+      for (const [name, plugin] of this.plugins.entries()) {
+        state[name] = plugin.enabled;
+      }
+      fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2), 'utf8');
+    } catch (err) {
+      logger.error('Failed to save plugin state', { error: err.message });
+    }
   }
 
   /**
@@ -78,7 +111,9 @@ export class PluginManager {
     }
 
     try {
-      const entries = fs.readdirSync(this.pluginDir);
+      // Sorted so middleware order is the same in every worker
+      const entries = fs.readdirSync(this.pluginDir).sort();
+      const state = this.loadState();
 
       for (const entry of entries) {
         const pluginPath = path.join(this.pluginDir, entry);
@@ -93,7 +128,7 @@ export class PluginManager {
         }
 
         try {
-          await this.loadPlugin(entry, indexFile);
+          await this.loadPlugin(entry, indexFile, state[entry]);
         } catch (err) {
           logger.error('Failed to load plugin', {
             plugin: entry,
@@ -111,7 +146,7 @@ export class PluginManager {
   /**
    * Load individual plugin
    */
-  async loadPlugin(name, filePath) {
+  async loadPlugin(name, filePath, enabled) {
     try {
       // Dynamic import
       const module = await import(`file://${filePath}`);
@@ -122,9 +157,13 @@ export class PluginManager {
       }
 
       const plugin = new PluginClass();
+      if (typeof enabled === 'boolean') {
+        plugin.enabled = enabled;
+      }
       await plugin.init();
 
       this.plugins.set(name, plugin);
+      this.mounts.set(name, this.buildMount(name, plugin));
 
       logger.info('Plugin loaded', {
         name,
@@ -140,9 +179,61 @@ export class PluginManager {
    */
   registerPlugin(name, plugin) {
     this.plugins.set(name, plugin);
+    this.mounts.set(name, this.buildMount(name, plugin));
     logger.info('Plugin registered', { name });
   }
 
+  /**
+   * Resolve a plugin's middleware and routes once so every request
+   * reuses the same handler instances
+   */
+  buildMount(name, plugin) {
+    const router = express.Router();
+
+    for (const route of plugin.getRoutes() || []) {
+      const method = (route.method || 'get').toLowerCase();
+      if (!route.path || typeof route.handler !== 'function' || typeof router[method] !== 'function') {
+        logger.warn('Skipping invalid plugin route', { plugin: name, path: route.path, method });
+        continue;
+      }
+      router[method](route.path, route.handler);
+    }
+
+    return {
+      middleware: plugin.getMiddleware() || [],
+      router,
+    };
+  }
+
+  /**
+   * Express middleware that runs enabled plugin middleware in load order.
+   * Plugins are looked up per request so toggles apply without remounting.
+   */
+  middlewareHandler() {
+    return (req, res, next) => {
+      const chain = [];
+      for (const [name, plugin] of this.plugins.entries()) {
+        if (!plugin.enabled) continue;
+        chain.push(...this.mounts.get(name).middleware);
+      }
+      runChain(chain, req, res, next);
+    };
+  }
+
+  /**
+   * Express middleware that dispatches to enabled plugin routes
+   */
+  routesHandler() {
+    return (req, res, next) => {
+      const chain = [];
+      for (const [name, plugin] of this.plugins.entries()) {
+        if (!plugin.enabled) continue;
+        chain.push(this.mounts.get(name).router);
+      }
+      runChain(chain, req, res, next);
+    };
+  }
+
   /**
    * Get all middleware from plugins
    */
@@ -179,6 +270,26 @@ export class PluginManager {
     return checks;
   }
 
+  /**
+   * Run health checks of enabled plugins
+   */
+  async runHealthChecks() {
+    const results = [];
+    for (const [name, plugin] of this.plugins.entries()) {
+      if (!plugin.enabled) continue;
+      for (const healthCheck of plugin.getHealthChecks() || []) {
+        try {
+          const result = await healthCheck.check();
+          const healthy = typeof result === 'boolean' ? result : result?.healthy !== false;
+          results.push({ plugin: name, name: healthCheck.name, healthy });
+        } catch (err) {
+          results.push({ plugin: name, name: healthCheck.name, healthy: false, error: err.message });
+        }
+      }
+    }
+    return results;
+  }
+
   /**
    * Enable/disable plugin
    */
@@ -229,6 +340,25 @@ export class PluginManager {
   }
 }
 
+/**
+ * Run handlers in sequence, handing control to done() once the chain
+ * is exhausted or a handler passes an error
+ */
+function runChain(handlers, req, res, done) {
+  let index = 0;
+  const step = (err) => {
+    if (err && err !== 'route' && err !== 'router') return done(err);
+    const handler = handlers[index++];
+    if (!handler) return done();
+    try {
+      handler(req, res, step);
+    } catch (e) {
+      done(e);
+    }
+  };
+  step();
+}
+
 // Singleton instance
 let pluginManager = null;
 
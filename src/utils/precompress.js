@@ -0,0 +1,182 @@
+/**
+ * Static File Precompression
+ *
+ * Writes brotli (.br) and gzip (.gz) siblings next to compressible static
+ * files so workers can send them as-is instead of compressing per request.
+ * Runs in the master: over every site root at startup, and per file when
+ * the static watcher reports a change.
+ *
+ * A sibling is only used while its mtime matches the source file's mtime
+ * (set explicitly after writing), so stale or half-written variants are
+ * never served.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import config from './config.js';
+import logger from './logger.js';
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+// Below this size compression rarely pays off (matches the compression middleware)
+const MIN_COMPRESS_BYTES = 1024;
+
+/**
+ * Sibling file extension per Content-Encoding, in order of preference
+ */
+export const PRECOMPRESSED_ENCODINGS = {
+  br: '.br',
+  gzip: '.gz',
+};
+
+const COMPRESSIBLE_EXTENSIONS = new Set([
+  '.html', '.htm', '.css', '.js', '.mjs', '.json', '.map', '.xml', '.svg',
+  '.txt', '.csv', '.md', '.wasm', '.ico', '.eot', '.ttf', '.webmanifest',
+]);
+
+/**
+ * Whether a file's type benefits from compression
+ */
+export function isCompressibleFile(filePath) {
+  return COMPRESSIBLE_EXTENSIONS.has(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Whether a path is a sibling (or in-progress temp file) written by this
+ * module, so watcher events for it can be ignored
+ */
+export function isPrecompressedOutput(filePath) {
+  const match = filePath.match(/^(.+)\.(br|gz)(\.\d+\.tmp)?$/);
+  return !!match && (!!match[3] || fs.existsSync(match[1]));
+}
+
+/**
+ * Whether a sibling was written for exactly this version of the source
+ */
+function isFresh(siblingStats, sourceStats) {
+  // utimes() may round sub-millisecond timestamps
+  return Math.abs(siblingStats.mtimeMs - sourceStats.mtimeMs) < 1;
+}
+
+/**
+ * Fresh precompressed siblings of a file: { br: { path, size }, gzip: ... }
+ */
+export async function findPrecompressed(filePath, stats) {
+  const found = {};
+  if (!config.precompression.enabled || !isCompressibleFile(filePath)) return found;
+
+  for (const [encoding, ext] of Object.entries(PRECOMPRESSED_ENCODINGS)) {
+    try {
+      const siblingPath = filePath + ext;
+      const siblingStats = await fs.promises.stat(siblingPath);
+      if (siblingStats.isFile() && isFresh(siblingStats, stats)) {
+        found[encoding] = { path: siblingPath, size: siblingStats.size };
+      }
+    } catch {
+      // No sibling for this encoding
+    }
+  }
+  return found;
+}
+
+/**
+ * Write one sibling atomically (temp file, rename), stamped with the source mtime
+ */
+async function writeSibling(siblingPath, data, sourceStats) {
+  const tmp = `${siblingPath}.${process.pid}.tmp`;
+  try {
+    await fs.promises.writeFile(tmp, data);
+    await fs.promises.utimes(tmp, sourceStats.atimeMs / 1000, sourceStats.mtimeMs / 1000);
+    await fs.promises.rename(tmp, siblingPath);
+  } catch (err) {
+    await fs.promises.rm(tmp, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Generate .br and .gz siblings for a file if they are missing or stale
+ * Returns true when new siblings were written
+ */
+export async function precompressFile(filePath) {
+  if (!config.precompression.enabled || !isCompressibleFile(filePath)) return false;
+
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch {
+    return false; // Removed before we got to it
+  }
+  if (!stats.isFile() || stats.size < MIN_COMPRESS_BYTES || stats.size > config.precompression.maxFileBytes) {
+    await removePrecompressed(filePath);
+    return false;
+  }
+
+  const existing = await findPrecompressed(filePath, stats);
+  if (Object.keys(existing).length === Object.keys(PRECOMPRESSED_ENCODINGS).length) {
+    return false;
+  }
+
+  const body = await fs.promises.readFile(filePath);
+  const [br, gz] = await Promise.all([
+    brotliCompress(body, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: config.precompression.brotliQuality,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: body.length,
+      },
+    }),
+    gzip(body, { level: config.precompression.gzipLevel }),
+  ]);
+
+  // Variants that don't shrink the file are not worth serving
+  for (const [encoding, data] of [['br', br], ['gzip', gz]]) {
+    const siblingPath = filePath + PRECOMPRESSED_ENCODINGS[encoding];
+    if (data.length < body.length) {
+      await writeSibling(siblingPath, data, stats);
+    } else {
+      await fs.promises.rm(siblingPath, { force: true });
+    }
+  }
+
+  logger.debug('File precompressed', { path: filePath, size: body.length, br: br.length, gzip: gz.length });
+  return true;
+}
+
+/**
+ * Delete the siblings of a removed file
+ */
+export async function removePrecompressed(filePath) {
+  for (const ext of Object.values(PRECOMPRESSED_ENCODINGS)) {
+    await fs.promises.rm(filePath + ext, { force: true });
+  }
+}
+
+/**
+ * Precompress every eligible file below a directory, one file at a time
+ */
+export async function precompressDirectory(dir) {
+  const result = { compressed: 0, failed: 0 };
+  if (!config.precompression.enabled || !fs.existsSync(dir)) return result;
+
+  const walk = async d => {
+    for (const entry of await fs.promises.readdir(d, { withFileTypes: true })) {
+      const p = path.join(d, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) await walk(p);
+      } else if (entry.isFile() && !isPrecompressedOutput(p)) {
+        try {
+          if (await precompressFile(p)) result.compressed++;
+        } catch (err) {
+          result.failed++;
+          logger.warn('Failed to precompress file', { path: p, error: err.message });
+        }
+      }
+    }
+  };
+
+  await walk(dir);
+  return result;
+}
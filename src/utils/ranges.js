@@ -0,0 +1,176 @@
+/**
+ * Conditional and Range Requests
+ *
+ * Sends a static representation (an in-memory buffer or a file on disk)
+ * honoring:
+ * - If-None-Match / If-Modified-Since (304 Not Modified)
+ * - Range with If-Range (206 Partial Content, 416 when unsatisfiable)
+ * - Multiple ranges as multipart/byteranges
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+// More ranges than this in one request is treated as abuse: send the full body
+const MAX_RANGES = 20;
+
+/**
+ * Split an entity-tag list header ("a", W/"b", *)
+ */
+function parseETagList(header) {
+  return header.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Compare HTTP dates at one-second precision
+ */
+function notNewerThan(lastModified, header) {
+  const since = Date.parse(header);
+  return !Number.isNaN(since) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+}
+
+/**
+ * Whether a GET/HEAD can be answered with 304 (RFC 7232 section 6)
+ * If-None-Match takes precedence over If-Modified-Since
+ */
+export function isNotModified(req, { etag, lastModified }) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    if (!etag) return false;
+    const weak = tag => tag.replace(/^W\//, '');
+    return parseETagList(ifNoneMatch).some(tag => tag === '*' || weak(tag) === weak(etag));
+  }
+
+  const ifModifiedSince = req.headers['if-modified-since'];
+  return !!(ifModifiedSince && lastModified && notNewerThan(lastModified, ifModifiedSince));
+}
+
+/**
+ * Ranges to send: null for the full body, -1 when unsatisfiable,
+ * otherwise an array of { start, end } (inclusive)
+ */
+export function selectRanges(req, size, { etag, lastModified }) {
+  if (req.method !== 'GET' || !req.headers.range) return null;
+
+  // If-Range: only honor the Range if the representation is unchanged
+  const ifRange = req.headers['if-range'];
+  if (ifRange) {
+    const isTag = ifRange.startsWith('"') || ifRange.startsWith('W/');
+    const matches = isTag
+      ? !ifRange.startsWith('W/') && ifRange === etag
+      : !!lastModified && Math.floor(lastModified.getTime() / 1000) === Math.floor(Date.parse(ifRange) / 1000);
+    if (!matches) return null;
+  }
+
+  const ranges = req.range(size, { combine: true });
+  if (ranges === -1) return -1;
+  if (ranges === -2 || !Array.isArray(ranges) || ranges.type !== 'bytes') return null;
+  if (ranges.length > MAX_RANGES) return null;
+  return ranges.map(({ start, end }) => ({ start, end }));
+}
+
+/**
+ * Write part of the source to the response
+ */
+function writePart(res, source, { start, end }) {
+  if (Buffer.isBuffer(source)) {
+    res.write(source.subarray(start, end + 1));
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(source, { start, end });
+    // Stop reading if the client goes away mid-transfer
+    const abort = () => {
+      stream.destroy();
+      resolve();
+    };
+    res.once('close', abort);
+    stream.on('error', err => {
+      res.off('close', abort);
+      reject(err);
+    });
+    stream.on('end', () => {
+      res.off('close', abort);
+      resolve();
+    });
+    stream.pipe(res, { end: false });
+  });
+}
+
+/**
+ * Send a buffer or file with conditional and range handling
+ * Caller sets Content-Type, Content-Encoding and caching headers beforehand
+ */
+export async function sendRepresentation(req, res, source, { size, etag, lastModified }) {
+  res.setHeader('Accept-Ranges', 'bytes');
+  if (etag) res.setHeader('ETag', etag);
+  if (lastModified) res.setHeader('Last-Modified', lastModified.toUTCString());
+
+  // Conditionals and ranges only apply to successful responses (not e.g. a 404 page)
+  const negotiable = res.statusCode === 200;
+
+  if (negotiable && isNotModified(req, { etag, lastModified })) {
+    res.removeHeader('Content-Encoding');
+    res.status(304).end();
+    return;
+  }
+
+  const ranges = negotiable ? selectRanges(req, size, { etag, lastModified }) : null;
+
+  if (ranges === -1) {
+    res.removeHeader('Content-Encoding');
+    res.setHeader('Content-Range', `bytes */${size}`);
+    res.status(416).end();
+    return;
+  }
+
+  // Full body
+  if (!ranges) {
+    res.setHeader('Content-Length', size);
+    if (req.method === 'HEAD') {
+      res.end();
+    } else if (Buffer.isBuffer(source)) {
+      res.end(source);
+    } else {
+      if (size > 0) await writePart(res, source, { start: 0, end: size - 1 });
+      if (!res.destroyed) res.end();
+    }
+    return;
+  }
+
+  res.status(206);
+
+  // Single range
+  if (ranges.length === 1) {
+    const [range] = ranges;
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+    await writePart(res, source, range);
+    if (!res.destroyed) res.end();
+    return;
+  }
+
+  // Multiple ranges: multipart/byteranges
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const contentType = res.getHeader('Content-Type') || 'application/octet-stream';
+  const heads = ranges.map((range, i) => Buffer.from(
+    `${i === 0 ? '' : '\r\n'}--${boundary}\r\n` +
+    `Content-Type: ${contentType}\r\n` +
+    `Content-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`
+  ));
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+  const length = heads.reduce((sum, head) => sum + head.length, 0)
+    + ranges.reduce((sum, range) => sum + range.end - range.start + 1, 0)
+    + tail.length;
+
+  res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  res.setHeader('Content-Length', length);
+  for (let i = 0; i < ranges.length; i++) {
+    if (res.destroyed) return;
+    res.write(heads[i]);
+    await writePart(res, source, ranges[i]);
+  }
+  if (!res.destroyed) res.end(tail);
+}
@@ -0,0 +1,240 @@
+/**
+ * Cluster-wide Rate Limiting
+ *
+ * Counters live in the master so limits hold across all workers and
+ * survive rolling restarts. Workers ask the master over IPC for every
+ * limited request; a process that is not clustered uses its own store.
+ *
+ * Policies: { algorithm: 'token-bucket' | 'sliding-window', limit, windowMs }
+ * - token-bucket: bursts up to `limit`, refilled at limit/windowMs
+ * - sliding-window: at most `limit` requests in any `windowMs`
+ *
+ * Stores are pluggable: a backend is a factory returning an object with
+ * consume(key, policy) (sync or async) and optionally prune(); choose one
+ * with RATE_LIMIT_STORE after registerRateLimitBackend(). Only the master's
+ * store is used, so the registration must run in the master: put it in the
+ * module named by RATE_LIMIT_STORE_MODULE, which the master imports before
+ * creating the store (plugins load in workers and cannot provide one).
+ */
+
+import { pathToFileURL } from 'url';
+import logger from './logger.js';
+import config from './config.js';
+
+export const RATE_LIMIT_ALGORITHMS = ['token-bucket', 'sliding-window'];
+
+// How often the master drops idle counters
+const PRUNE_INTERVAL_MS = 60000;
+
+/**
+ * In-memory store (the default backend)
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Count one request against a key
+   * Returns { allowed, limit, remaining, resetMs, retryAfterMs }
+   */
+  consume(key, policy, now = Date.now()) {
+    return policy.algorithm === 'token-bucket'
+      ? this.takeToken(key, policy, now)
+      : this.slideWindow(key, policy, now);
+  }
+
+  takeToken(key, { limit, windowMs }, now) {
+    const rate = limit / windowMs; // tokens per ms
+    const entry = this.entries.get(key) || { tokens: limit, updatedAt: now };
+    entry.tokens = Math.min(limit, entry.tokens + (now - entry.updatedAt) * rate);
+    entry.updatedAt = now;
+
+    const allowed = entry.tokens >= 1;
+    if (allowed) entry.tokens -= 1;
+    entry.expiresAt = now + Math.ceil((limit - entry.tokens) / rate);
+    this.entries.set(key, entry);
+
+    return {
+      allowed,
+      limit,
+      remaining: Math.floor(entry.tokens),
+      resetMs: entry.expiresAt - now,
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - entry.tokens) / rate),
+    };
+  }
+
+  slideWindow(key, { limit, windowMs }, now) {
+    const entry = this.entries.get(key) || { hits: [] };
+    entry.hits = entry.hits.filter(timestamp => now - timestamp < windowMs);
+
+    const allowed = entry.hits.length < limit;
+    if (allowed) entry.hits.push(now);
+    entry.expiresAt = (entry.hits[entry.hits.length - 1] ?? now) + windowMs;
+    this.entries.set(key, entry);
+
+    const oldest = entry.hits[0] ?? now;
+    return {
+      allowed,
+      limit,
+      remaining: limit - entry.hits.length,
+      resetMs: oldest + windowMs - now,
+      retryAfterMs: allowed ? 0 : oldest + windowMs - now,
+    };
+  }
+
+  /**
+   * Drop counters that are back to their initial state
+   */
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+const backends = new Map([
+  ['memory', () => new MemoryRateLimitStore()],
+]);
+
+/**
+ * Register a store backend before the store is created (in the master,
+ * see loadRateLimitBackends)
+ */
+export function registerRateLimitBackend(name, factory) {
+  backends.set(name, factory);
+}
+
+/**
+ * Import config.rateLimit.storeModule, which registers its backend
+ * Called by the master before getRateLimitStore()
+ */
+export async function loadRateLimitBackends() {
+  const file = config.rateLimit.storeModule;
+  if (!file) return;
+  try {
+    await import(pathToFileURL(file).href);
+    logger.info('Rate limit store module loaded', { module: file });
+  } catch (err) {
+    logger.error('Failed to load rate limit store module', { module: file, error: err.message });
+  }
+}
+
+// Singleton instance
+let rateLimitStore = null;
+
+/**
+ * Get or create the store of this process (the master's when clustered)
+ */
+export function getRateLimitStore() {
+  if (!rateLimitStore) {
+    const factory = backends.get(config.rateLimit.store);
+    if (!factory) {
+      logger.warn('Unknown rate limit store, using memory', { store: config.rateLimit.store });
+    }
+    rateLimitStore = (factory || backends.get('memory'))();
+    if (rateLimitStore.prune) {
+      setInterval(() => rateLimitStore.prune(), PRUNE_INTERVAL_MS).unref();
+    }
+  }
+  return rateLimitStore;
+}
+
+// Lookups waiting for the master's answer, by request id
+const pendingLookups = new Map();
+let nextLookupId = 1;
+
+/**
+ * Count a request against a key in the cluster-wide store
+ * Fails open (allowed) if the master does not answer in time
+ */
+export function consumeRateLimit(key, policy) {
+  if (!process.send) {
+    return Promise.resolve(getRateLimitStore().consume(key, policy));
+  }
+
+  return new Promise(resolve => {
+    const requestId = nextLookupId++;
+    const timer = setTimeout(() => {
+      pendingLookups.delete(requestId);
+      logger.warn('Rate limit lookup timed out, allowing request', { key });
+      resolve({ allowed: true, limit: policy.limit, remaining: policy.limit, resetMs: 0, retryAfterMs: 0 });
+    }, config.rateLimit.ipcTimeoutMs);
+    pendingLookups.set(requestId, { resolve, timer });
+    process.send({ type: 'rate-limit', requestId, key, policy });
+  });
+}
+
+/**
+ * Deliver the master's answer to a pending lookup
+ */
+export function resolveRateLimit({ requestId, result }) {
+  const pending = pendingLookups.get(requestId);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pendingLookups.delete(requestId);
+  pending.resolve(result);
+}
+
+/**
+ * Set RateLimit-* headers (IETF draft) and, when denied, Retry-After
+ */
+export function setRateLimitHeaders(res, policy, result) {
+  res.setHeader('RateLimit-Policy', `${policy.limit};w=${Math.ceil(policy.windowMs / 1000)}`);
+  res.setHeader('RateLimit-Limit', result.limit);
+  res.setHeader('RateLimit-Remaining', Math.max(0, result.remaining));
+  res.setHeader('RateLimit-Reset', Math.ceil(result.resetMs / 1000));
+  if (!result.allowed) {
+    res.setHeader('Retry-After', Math.max(1, Math.ceil(result.retryAfterMs / 1000)));
+  }
+}
+
+/**
+ * Count a request and answer 429 when over the limit
+ * Returns true when the request may continue
+ */
+export async function enforceRateLimit(req, res, key, policy) {
+  const result = await consumeRateLimit(key, policy);
+  setRateLimitHeaders(res, policy, result);
+  if (result.allowed) return true;
+
+  logger.warn('Rate limit exceeded', { key, ip: req.ip, path: req.originalUrl, ...policy });
+  res.status(429).json({
+    error: 'Too many requests. Please try again later.',
+    retryAfter: Math.max(1, Math.ceil(result.retryAfterMs / 1000)),
+  });
+  return false;
+}
+
+/**
+ * Middleware: limit each client IP with one policy; `name` keeps the
+ * counters of different limiters apart
+ */
+export function createRateLimiter(name, policy) {
+  return async (req, res, next) => {
+    try {
+      if (await enforceRateLimit(req, res, `${name}:${req.ip}`, policy)) next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * Middleware: apply the configured per-prefix policies (longest prefix wins)
+ */
+export function routeRateLimits() {
+  const rules = [...config.rateLimit.routes].sort((a, b) => b.prefix.length - a.prefix.length);
+
+  return async (req, res, next) => {
+    const rule = rules.find(({ prefix }) =>
+      req.path === prefix || req.path.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`));
+    if (!rule) return next();
+
+    try {
+      if (await enforceRateLimit(req, res, `route:${rule.prefix}:${req.ip}`, rule)) next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
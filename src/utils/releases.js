@@ -0,0 +1,489 @@
+/**
+ * Versioned Releases
+ *
+ * Deploys a site as an immutable release directory and makes it live by
+ * atomically replacing a pointer file, so visitors never see a half-written
+ * site. Layout per site:
+ *
+ *   <site data dir>/releases/
+ *     current.json              { release, previous, activatedAt, activatedBy, canary? }
+ *     <release-id>/release.json manifest
+ *     <release-id>/files/       served as the site root while active
+ *
+ * Sites without an active release keep serving their root directory, which
+ * stays the editable working copy (file manager, .smp imports).
+ *
+ * A worker of a blue/green deployment may be pinned to a release that is
+ * not live yet; the pin holds until the next pointer reload.
+ *
+ * A canary ({ release, weight, startedAt, startedBy } in the pointer) serves
+ * a candidate release to a share of visitors next to the stable one (see
+ * canary.js). Activating any release ends it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import config from './config.js';
+import logger from './logger.js';
+import { DEFAULT_SITE_ID, getSiteDataDir } from './sites.js';
+import { precompressDirectory, isPrecompressedOutput } from './precompress.js';
+
+const RELEASE_ID_PATTERN = /^\d{8}-\d{6}-[a-f0-9]{4}$/;
+
+// Zip compression methods (the only ones release archives may use)
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+/**
+ * Decompress one zip entry, refusing more than maxBytes of output
+ */
+function inflateEntry(entry, maxBytes) {
+  const { method } = entry.header;
+  const compressed = entry.getCompressedData();
+  if (method === ZIP_STORED) {
+    if (compressed.length > maxBytes) throw new Error(`Archive entry exceeds ${maxBytes} bytes: ${entry.entryName}`);
+    return compressed;
+  }
+  if (method !== ZIP_DEFLATED) throw new Error(`Unsupported compression method ${method}: ${entry.entryName}`);
+  try {
+    return zlib.inflateRawSync(compressed, { maxOutputLength: maxBytes });
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`Archive entry exceeds ${maxBytes} bytes: ${entry.entryName}`);
+    throw err;
+  }
+}
+
+/**
+ * Sortable, unique release id: YYYYMMDD-HHMMSS-xxxx
+ */
+function newReleaseId() {
+  const ts = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  return `${ts.slice(0, 8)}-${ts.slice(8)}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Count files and bytes below a directory
+ */
+function dirStats(dir) {
+  let fileCount = 0;
+  let bytes = 0;
+  const walk = d => {
+    for (const name of fs.readdirSync(d)) {
+      const p = path.join(d, name);
+      const st = fs.statSync(p);
+      if (st.isDirectory()) walk(p);
+      else { fileCount++; bytes += st.size; }
+    }
+  };
+  walk(dir);
+  return { fileCount, bytes };
+}
+
+/**
+ * Mark every file of a release read-only
+ */
+function makeReadOnly(dir) {
+  for (const name of fs.readdirSync(dir)) {
+    const p = path.join(dir, name);
+    if (fs.statSync(p).isDirectory()) makeReadOnly(p);
+    else fs.chmodSync(p, 0o444);
+  }
+}
+
+/**
+ * Archives often wrap everything in one folder (e.g. dist/); serve its contents
+ */
+function unwrapSingleDirectory(dir) {
+  const entries = fs.readdirSync(dir);
+  if (entries.length !== 1) return;
+  const inner = path.join(dir, entries[0]);
+  if (!fs.statSync(inner).isDirectory()) return;
+
+  const tmp = `${dir}.unwrap`;
+  fs.renameSync(inner, tmp);
+  fs.rmdirSync(dir);
+  fs.renameSync(tmp, dir);
+}
+
+/**
+ * Canary weight: a whole percentage of visitors, 0-100
+ */
+function validateWeight(weight) {
+  const value = Number(weight);
+  if (!Number.isInteger(value) || value < 0 || value > 100) {
+    return { ok: false, error: 'weight must be a whole number from 0 to 100' };
+  }
+  return { ok: true, weight: value };
+}
+
+/**
+ * ReleaseManager handles the releases of one site
+ */
+export class ReleaseManager {
+  constructor(siteId = DEFAULT_SITE_ID) {
+    this.siteId = siteId;
+    this.dir = path.join(getSiteDataDir(siteId), 'releases');
+    this.pointerFile = path.join(this.dir, 'current.json');
+    this.pointer = null;
+    this.pinned = null;
+    this.loadPointer();
+  }
+
+  /**
+   * Read the active release pointer from disk
+   * Keeps the last known pointer if the file is unreadable
+   */
+  loadPointer() {
+    try {
+      this.pointer = fs.existsSync(this.pointerFile)
+        ? JSON.parse(fs.readFileSync(this.pointerFile, 'utf8'))
+        : null;
+    } catch (err) {
+      logger.error('Failed to read release pointer', { site: this.siteId, error: err.message });
+    }
+    return this.pointer;
+  }
+
+  /**
+   * Replace the pointer atomically (write temp file, then rename over)
+   */
+  writePointer(pointer) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const tmp = `${this.pointerFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(pointer, null, 2), 'utf8');
+    fs.renameSync(tmp, this.pointerFile);
+    this.pointer = pointer;
+  }
+
+  getActiveRelease() {
+    return this.pinned || this.pointer?.release || null;
+  }
+
+  /**
+   * Serve a release without moving the pointer (blue/green generation)
+   */
+  pin(id) {
+    this.pinned = id;
+  }
+
+  /**
+   * Follow the pointer again
+   */
+  unpin() {
+    this.pinned = null;
+  }
+
+  /**
+   * The running canary, or null (a pinned worker serves its pin only)
+   */
+  getCanary() {
+    return this.pinned ? null : this.pointer?.canary || null;
+  }
+
+  /**
+   * Serve a release to weight% of visitors next to the active one
+   */
+  startCanary(id, weight, startedBy = 'system') {
+    this.loadPointer();
+    if (!this.hasRelease(id)) {
+      return { ok: false, error: 'Release not found' };
+    }
+    if (id === this.pointer?.release) {
+      return { ok: false, error: 'Release is already active' };
+    }
+    const checked = validateWeight(weight);
+    if (!checked.ok) return checked;
+
+    this.writePointer({
+      release: null,
+      previous: null,
+      ...this.pointer,
+      canary: { release: id, weight: checked.weight, startedAt: new Date().toISOString(), startedBy },
+    });
+    logger.warn('Canary started', { site: this.siteId, release: id, weight: checked.weight, startedBy });
+    return { ok: true, pointer: this.pointer };
+  }
+
+  /**
+   * Change the share of visitors the canary gets
+   */
+  setCanaryWeight(weight, changedBy = 'system') {
+    this.loadPointer();
+    const canary = this.pointer?.canary;
+    if (!canary) {
+      return { ok: false, error: 'No canary is running' };
+    }
+    const checked = validateWeight(weight);
+    if (!checked.ok) return checked;
+
+    this.writePointer({ ...this.pointer, canary: { ...canary, weight: checked.weight } });
+    logger.warn('Canary weight changed', { site: this.siteId, release: canary.release, weight: checked.weight, changedBy });
+    return { ok: true, pointer: this.pointer };
+  }
+
+  /**
+   * Make the canary the active release for everyone
+   */
+  promoteCanary(activatedBy = 'system') {
+    this.loadPointer();
+    const canary = this.pointer?.canary;
+    if (!canary) {
+      return { ok: false, error: 'No canary is running' };
+    }
+    return this.activate(canary.release, activatedBy);
+  }
+
+  /**
+   * Send every visitor back to the active release
+   */
+  stopCanary(stoppedBy = 'system') {
+    this.loadPointer();
+    const canary = this.pointer?.canary;
+    if (!canary) {
+      return { ok: false, error: 'No canary is running' };
+    }
+    const pointer = { ...this.pointer };
+    delete pointer.canary;
+    if (pointer.release) {
+      this.writePointer(pointer);
+    } else {
+      this.restorePointer(null);
+    }
+    logger.warn('Canary stopped', { site: this.siteId, release: canary.release, stoppedBy });
+    return { ok: true, pointer: this.pointer };
+  }
+
+  /**
+   * Put back a pointer saved earlier (null: no active release)
+   */
+  restorePointer(pointer) {
+    if (pointer) {
+      this.writePointer(pointer);
+      return;
+    }
+    fs.rmSync(this.pointerFile, { force: true });
+    this.pointer = null;
+  }
+
+  /**
+   * Directory to serve for the site, or null when no release is active
+   */
+  getActiveRoot() {
+    const id = this.getActiveRelease();
+    return id ? this.filesDir(id) : null;
+  }
+
+  releaseDir(id) {
+    return path.join(this.dir, id);
+  }
+
+  filesDir(id) {
+    return path.join(this.dir, id, 'files');
+  }
+
+  hasRelease(id) {
+    return RELEASE_ID_PATTERN.test(id || '') && fs.existsSync(path.join(this.releaseDir(id), 'release.json'));
+  }
+
+  readManifest(id) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.releaseDir(id), 'release.json'), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * List releases, newest first
+   */
+  listReleases() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(name => RELEASE_ID_PATTERN.test(name))
+      .map(name => this.readManifest(name))
+      .filter(Boolean)
+      .map(manifest => ({
+        ...manifest,
+        active: manifest.id === this.getActiveRelease(),
+        previous: manifest.id === this.pointer?.previous,
+        canary: manifest.id === this.pointer?.canary?.release,
+      }))
+      .sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  /**
+   * Build a new release. populate(dir) fills a staging directory which is
+   * renamed into place once complete, so a release is never half-written.
+   */
+  async createRelease(populate, { source = 'unknown', createdBy = 'system' } = {}) {
+    const id = newReleaseId();
+    const staging = path.join(this.dir, `.staging-${id}`);
+    const filesDir = path.join(staging, 'files');
+    fs.mkdirSync(filesDir, { recursive: true });
+
+    try {
+      await populate(filesDir);
+      const stats = dirStats(filesDir);
+      if (stats.fileCount === 0) {
+        throw new Error('Release contains no files');
+      }
+
+      const manifest = {
+        id,
+        site: this.siteId,
+        createdAt: new Date().toISOString(),
+        createdBy,
+        source,
+        ...stats,
+      };
+      fs.writeFileSync(path.join(staging, 'release.json'), JSON.stringify(manifest, null, 2), 'utf8');
+      await precompressDirectory(filesDir);
+      makeReadOnly(filesDir);
+      fs.renameSync(staging, this.releaseDir(id));
+
+      logger.info('Release created', { site: this.siteId, release: id, source, files: stats.fileCount });
+      this.prune();
+      return manifest;
+    } catch (err) {
+      fs.rmSync(staging, { recursive: true, force: true });
+      throw err;
+    }
+  }
+
+  /**
+   * Create a release from a copy of a directory (e.g. the site's working root)
+   */
+  createFromDirectory(srcDir, meta = {}) {
+    return this.createRelease(filesDir => {
+      // Siblings are regenerated for the copies, whose mtimes differ
+      fs.cpSync(srcDir, filesDir, { recursive: true, filter: src => !isPrecompressedOutput(src) });
+    }, { source: 'directory', ...meta });
+  }
+
+  /**
+   * Create a release from a zip archive buffer
+   * The .smp import limits apply (config.smp): entry count, and expanded
+   * size per entry and in total, counted while inflating since the sizes
+   * an archive declares can lie
+   */
+  createFromZip(buffer, meta = {}) {
+    return this.createRelease(async filesDir => {
+      const { default: AdmZip } = await import('adm-zip');
+      const entries = new AdmZip(buffer).getEntries();
+      const limits = config.smp;
+      if (entries.length > limits.maxEntries) {
+        throw new Error(`Archive has ${entries.length} entries, limit ${limits.maxEntries}`);
+      }
+
+      for (const entry of entries) {
+        const target = path.resolve(filesDir, entry.entryName);
+        if (!target.startsWith(filesDir + path.sep)) {
+          throw new Error(`Archive entry escapes release directory: ${entry.entryName}`);
+        }
+      }
+
+      let totalBytes = 0;
+      for (const entry of entries) {
+        const target = path.resolve(filesDir, entry.entryName);
+        if (entry.isDirectory) {
+          fs.mkdirSync(target, { recursive: true });
+          continue;
+        }
+        const data = inflateEntry(entry, limits.maxEntryBytes);
+        totalBytes += data.length;
+        if (totalBytes > limits.maxTotalBytes) {
+          throw new Error(`Archive expands beyond ${limits.maxTotalBytes} bytes`);
+        }
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, data);
+      }
+      unwrapSingleDirectory(filesDir);
+    }, { source: 'upload', ...meta });
+  }
+
+  /**
+   * Point the site at a release
+   * Every change re-reads the pointer first since other workers may have moved it
+   */
+  activate(id, activatedBy = 'system') {
+    this.loadPointer();
+    if (!this.hasRelease(id)) {
+      return { ok: false, error: 'Release not found' };
+    }
+    const current = this.pointer?.release || null;
+    if (current === id) {
+      return { ok: false, error: 'Release is already active' };
+    }
+
+    this.writePointer({
+      release: id,
+      previous: current,
+      activatedAt: new Date().toISOString(),
+      activatedBy,
+    });
+
+    logger.warn('Release activated', { site: this.siteId, release: id, previous: current, activatedBy });
+    return { ok: true, pointer: this.pointer };
+  }
+
+  /**
+   * Activate the given release, or the previously active one
+   */
+  rollback(activatedBy = 'system', targetId = null) {
+    this.loadPointer();
+    const target = targetId || this.pointer?.previous;
+    if (!target) {
+      return { ok: false, error: 'No previous release to roll back to' };
+    }
+    return this.activate(target, activatedBy);
+  }
+
+  /**
+   * Delete a release; the active, previous and canary releases are protected
+   */
+  deleteRelease(id) {
+    this.loadPointer();
+    if (!this.hasRelease(id)) {
+      return { ok: false, error: 'Release not found' };
+    }
+    if (id === this.getActiveRelease() || id === this.pointer?.previous || id === this.pointer?.canary?.release) {
+      return { ok: false, error: 'Active, previous and canary releases cannot be deleted' };
+    }
+    fs.rmSync(this.releaseDir(id), { recursive: true, force: true });
+    logger.info('Release deleted', { site: this.siteId, release: id });
+    return { ok: true };
+  }
+
+  /**
+   * Remove the oldest releases beyond config.releases.keep
+   */
+  prune() {
+    this.loadPointer();
+    const protectedIds = [this.getActiveRelease(), this.pointer?.previous, this.pointer?.canary?.release];
+    const old = this.listReleases()
+      .slice(config.releases.keep)
+      .filter(release => !protectedIds.includes(release.id));
+
+    for (const release of old) {
+      fs.rmSync(this.releaseDir(release.id), { recursive: true, force: true });
+    }
+    if (old.length) {
+      logger.info('Old releases pruned', { site: this.siteId, count: old.length });
+    }
+  }
+}
+
+// One instance per site
+const releaseManagers = new Map();
+
+/**
+ * Get or create the release manager for a site
+ */
+export function getReleaseManager(siteId = DEFAULT_SITE_ID) {
+  if (!releaseManagers.has(siteId)) {
+    releaseManagers.set(siteId, new ReleaseManager(siteId));
+  }
+  return releaseManagers.get(siteId);
+}
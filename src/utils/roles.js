@@ -0,0 +1,172 @@
+/**
+ * Panel Roles (RBAC)
+ *
+ * A role is a named permission set. Permissions use the API key scope
+ * vocabulary ("files:write", "releases:*", "read"...), so one route table
+ * (api-scopes.js) decides access for sessions and API keys alike.
+ *
+ * Accounts are assigned roles per panel (see users.js); an account without
+ * roles, and the panel's configured account, keep full access to their panel.
+ * API keys may carry roles in addition to their own scopes.
+ *
+ * Built-in roles can't be changed; custom roles live in data/roles.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import config from './config.js';
+import logger from './logger.js';
+import { isValidScope, resolveScope, hasScope } from './api-scopes.js';
+
+const ROLES_FILE = path.join(config.paths.data, 'roles.json');
+
+const ROLE_NAME = /^[a-z][a-z0-9-]{1,31}$/;
+
+// Pages and assets every signed-in account may load; the API calls they make are checked
+const UI_ROUTES = /^\/(|[a-z-]+-ui)$|^\/assets\//;
+
+export const BUILTIN_ROLES = {
+  'content-editor': {
+    description: 'Read and write site files',
+    permissions: ['files:read', 'files:write'],
+  },
+  viewer: {
+    description: 'Read-only status and metrics',
+    permissions: ['system:read', 'metrics:read'],
+  },
+  deployer: {
+    description: 'Manage releases and restart workers',
+    permissions: ['releases:read', 'releases:write', 'workers:read', 'workers:restart', 'system:read'],
+  },
+};
+
+/**
+ * Role manager
+ */
+export class RoleManager {
+  constructor() {
+    this.roles = new Map();
+    this.loadedMtimeMs = 0;
+    this.loadRoles();
+  }
+
+  /**
+   * Load custom roles from disk
+   */
+  loadRoles() {
+    try {
+      if (fs.existsSync(ROLES_FILE)) {
+        const roles = JSON.parse(fs.readFileSync(ROLES_FILE, 'utf8'));
+        this.loadedMtimeMs = fs.statSync(ROLES_FILE).mtimeMs;
+        this.roles = new Map(Object.entries(roles));
+      }
+    } catch (err) {
+      logger.warn('Failed to load roles', { error: err.message });
+    }
+  }
+
+  /**
+   * Reload roles changed by another worker
+   */
+  refreshRoles() {
+    try {
+      if (fs.statSync(ROLES_FILE).mtimeMs !== this.loadedMtimeMs) {
+        this.loadRoles();
+      }
+    } catch {
+      // No roles file yet
+    }
+  }
+
+  saveRoles() {
+    fs.writeFileSync(ROLES_FILE, JSON.stringify(Object.fromEntries(this.roles), null, 2), 'utf8');
+    this.loadedMtimeMs = fs.statSync(ROLES_FILE).mtimeMs;
+  }
+
+  /**
+   * Built-in and custom roles
+   */
+  listRoles() {
+    this.refreshRoles();
+    return [
+      ...Object.entries(BUILTIN_ROLES).map(([name, role]) => ({ name, builtin: true, ...role })),
+      ...Array.from(this.roles, ([name, role]) => ({ name, builtin: false, ...role })),
+    ];
+  }
+
+  getRole(name) {
+    this.refreshRoles();
+    return BUILTIN_ROLES[name] || this.roles.get(name) || null;
+  }
+
+  /**
+   * Create or update a custom role
+   * Returns { ok, role } or { ok: false, error }
+   */
+  saveRole(name, { description = '', permissions = [] } = {}) {
+    if (!ROLE_NAME.test(name || '')) {
+      return { ok: false, error: 'Role names are 2-32 lowercase letters, digits or dashes' };
+    }
+    if (BUILTIN_ROLES[name]) return { ok: false, error: 'Built-in roles cannot be changed' };
+    if (!Array.isArray(permissions) || !permissions.length) {
+      return { ok: false, error: 'At least one permission is required' };
+    }
+    const unknown = permissions.filter(permission => !isValidScope(permission));
+    if (unknown.length) return { ok: false, error: `Unknown permissions: ${unknown.join(', ')}` };
+
+    this.refreshRoles();
+    const role = { description: String(description).slice(0, 200), permissions, updatedAt: new Date().toISOString() };
+    this.roles.set(name, role);
+    this.saveRoles();
+    logger.info('Role saved', { name, permissions });
+    return { ok: true, role: { name, builtin: false, ...role } };
+  }
+
+  /**
+   * Delete a custom role; accounts that still list it lose its permissions
+   */
+  deleteRole(name) {
+    this.refreshRoles();
+    if (!this.roles.delete(name)) return false;
+    this.saveRoles();
+    logger.warn('Role deleted', { name });
+    return true;
+  }
+
+  /**
+   * Permissions granted by a list of roles (unknown roles grant nothing)
+   */
+  permissionsFor(roleNames = []) {
+    return [...new Set(roleNames.flatMap(name => this.getRole(name)?.permissions || []))];
+  }
+}
+
+// Singleton instance
+let roleManager = null;
+
+/**
+ * Get or create the role manager
+ */
+export function getRoleManager() {
+  if (!roleManager) {
+    roleManager = new RoleManager();
+  }
+  return roleManager;
+}
+
+/**
+ * Whether a route is a panel page or asset (open to any signed-in account)
+ */
+export function isUIRoute(method, routePath) {
+  return (method === 'GET' || method === 'HEAD') && UI_ROUTES.test(routePath);
+}
+
+/**
+ * Whether a permission set allows a panel route
+ * Returns { allowed, scope }; scope is null for session-only routes and
+ * undefined for unmapped ones, which no permission set allows
+ */
+export function checkRouteAccess(permissions, method, routePath) {
+  const scope = resolveScope(method, routePath);
+  return { allowed: !!scope && hasScope(permissions, scope), scope };
+}
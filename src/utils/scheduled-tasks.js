@@ -6,6 +6,9 @@
  * - Log rotation
  * - Cleanup operations
  * - Health reports
+ * - Site snapshots
+ * - Off-box backup uploads
+ * - Planned maintenance windows
  */
 
 import cron from 'node-cron';
@@ -129,6 +132,62 @@ export class ScheduledTasks {
     }
   }
 
+  /**
+   * Schedule periodic site snapshots
+   */
+  scheduleSnapshots(cronExpression, onSnapshot) {
+    if (!cronExpression) {
+      logger.debug('Snapshots not scheduled (no cron expression configured)');
+      return;
+    }
+
+    try {
+      const job = cron.schedule(cronExpression, () => {
+        logger.debug('Scheduled snapshot triggered');
+        onSnapshot?.();
+      });
+
+      this.jobs.set('snapshots', job);
+      logger.info('Snapshots scheduled', { expression: cronExpression });
+    } catch (err) {
+      logger.error('Invalid snapshot cron expression', { error: err.message });
+    }
+  }
+
+  /**
+   * Schedule periodic uploads to off-box backup targets
+   */
+  scheduleBackupUploads(cronExpression, onUpload) {
+    if (!cronExpression) {
+      logger.debug('Backup uploads not scheduled (no cron expression configured)');
+      return;
+    }
+
+    try {
+      const job = cron.schedule(cronExpression, () => {
+        logger.debug('Scheduled backup upload triggered');
+        onUpload?.();
+      });
+
+      this.jobs.set('backup-uploads', job);
+      logger.info('Backup uploads scheduled', { expression: cronExpression });
+    } catch (err) {
+      logger.error('Invalid backup upload cron expression', { error: err.message });
+    }
+  }
+
+  /**
+   * Check planned maintenance windows every minute
+   */
+  scheduleMaintenanceWindows(onTick) {
+    const job = cron.schedule('* * * * *', () => {
+      onTick?.();
+    });
+
+    this.jobs.set('maintenance-windows', job);
+    logger.debug('Maintenance window checks scheduled every minute');
+  }
+
   /**
    * Stop all scheduled tasks
    */
@@ -0,0 +1,195 @@
+/**
+ * Panel Session Registry
+ *
+ * Server-side record of every admin/ops login, shared by all workers
+ * through data/sessions/: one <id>.json file per session. The session
+ * cookie only carries a signed session id, so deleting the file revokes
+ * the session everywhere on the next request.
+ *
+ * A session file is written once; activity is recorded by bumping the
+ * file's mtime (which fails instead of recreating a revoked session), and
+ * sessions expire after an idle timeout and an absolute lifetime.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import config from './config.js';
+import logger from './logger.js';
+
+const SESSIONS_DIR = path.join(config.paths.data, 'sessions');
+
+// Activity is written at most this often per session
+const TOUCH_INTERVAL_MS = 30 * 1000;
+
+const SESSION_ID = /^[0-9a-f-]{36}$/;
+
+/**
+ * Session registry
+ */
+export class SessionStore {
+  constructor(dir = SESSIONS_DIR) {
+    this.dir = dir;
+    // Session files never change after creation, so their contents can be cached
+    this.cache = new Map();
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  sessionPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  /**
+   * Register a login and return its session
+   */
+  create({ username, role, hw = false, mfa = null, ip = null, userAgent = null }) {
+    const session = {
+      id: crypto.randomUUID(),
+      username,
+      role,
+      hw: !!hw,
+      // Second factor passed: 'webauthn', 'totp', 'recovery' (null if none)
+      mfa,
+      ip,
+      userAgent: userAgent ? String(userAgent).slice(0, 256) : null,
+      createdAt: new Date().toISOString(),
+    };
+    fs.writeFileSync(this.sessionPath(session.id), JSON.stringify(session, null, 2), { flag: 'wx' });
+    this.cache.set(session.id, session);
+    logger.info('Session created', { sessionId: session.id, username, role, ip, hw: session.hw });
+    return session;
+  }
+
+  /**
+   * Read a session with its activity, or null if it does not exist
+   */
+  read(id) {
+    if (!SESSION_ID.test(id || '')) return null;
+    try {
+      const stats = fs.statSync(this.sessionPath(id));
+      let session = this.cache.get(id);
+      if (!session) {
+        session = JSON.parse(fs.readFileSync(this.sessionPath(id), 'utf8'));
+        this.cache.set(id, session);
+      }
+      return { ...session, lastSeenAt: stats.mtime.toISOString() };
+    } catch {
+      this.cache.delete(id);
+      return null;
+    }
+  }
+
+  /**
+   * Why a session is no longer valid, or null if it is
+   */
+  expiryReason(session, now = Date.now()) {
+    if (now - Date.parse(session.createdAt) > config.sessions.absoluteTimeoutMs) return 'absolute timeout';
+    if (now - Date.parse(session.lastSeenAt) > config.sessions.idleTimeoutMs) return 'idle timeout';
+    return null;
+  }
+
+  /**
+   * Validate a session id for a request: expired sessions are removed,
+   * valid ones have their activity recorded
+   */
+  validate(id) {
+    const session = this.read(id);
+    if (!session) return null;
+
+    const now = Date.now();
+    const reason = this.expiryReason(session, now);
+    if (reason) {
+      this.remove(id);
+      logger.info('Session expired', { sessionId: id, username: session.username, role: session.role, reason });
+      return null;
+    }
+
+    if (now - Date.parse(session.lastSeenAt) > TOUCH_INTERVAL_MS) {
+      try {
+        const seconds = now / 1000;
+        fs.utimesSync(this.sessionPath(id), seconds, seconds);
+      } catch {
+        return null; // Revoked meanwhile
+      }
+    }
+    return session;
+  }
+
+  remove(id) {
+    this.cache.delete(id);
+    try {
+      fs.unlinkSync(this.sessionPath(id));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * All active sessions, newest first; expired ones are cleaned up
+   */
+  list() {
+    const sessions = [];
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      const session = this.read(file.slice(0, -5));
+      if (!session) continue;
+      if (this.expiryReason(session)) {
+        this.remove(session.id);
+        continue;
+      }
+      sessions.push(session);
+    }
+    return sessions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Revoke one session
+   */
+  revoke(id, by = null) {
+    const session = this.read(id);
+    if (!session || !this.remove(id)) return false;
+    logger.warn('Session revoked', { sessionId: id, username: session.username, role: session.role, by });
+    return true;
+  }
+
+  /**
+   * Revoke every session matching a filter, except `keepId`
+   * Returns the number of sessions revoked
+   */
+  revokeWhere(match, { keepId = null, by = null } = {}) {
+    let count = 0;
+    for (const session of this.list()) {
+      if (session.id !== keepId && match(session) && this.remove(session.id)) count++;
+    }
+    logger.warn('Sessions revoked', { count, by });
+    return count;
+  }
+
+  /**
+   * Revoke all sessions of one user
+   */
+  revokeUser(role, username, options) {
+    return this.revokeWhere(session => session.role === role && session.username === username, options);
+  }
+
+  /**
+   * Revoke all sessions (optionally of one role)
+   */
+  revokeAll(role = null, options) {
+    return this.revokeWhere(session => !role || session.role === role, options);
+  }
+}
+
+// Singleton instance
+let sessionStore = null;
+
+/**
+ * Get or create the session registry
+ */
+export function getSessionStore() {
+  if (!sessionStore) {
+    sessionStore = new SessionStore();
+  }
+  return sessionStore;
+}
@@ -0,0 +1,255 @@
+/**
+ * Declarative Redirects, Rewrites and Headers
+ *
+ * Reads per-site rules from files in the served root (working copy or
+ * active release), Netlify style:
+ *
+ *   _redirects    one rule per line: <from> <to> [status][!]
+ *                 /old            /new           301
+ *                 /blog/:year/*   /posts/:year/:splat
+ *                 /app/*          /app/index.html  200
+ *                 /docs/*         /docs/:splat   302!
+ *
+ *   _headers      a path pattern, then indented "Name: value" lines
+ *                 /assets/*
+ *                   Cache-Control: public, max-age=31536000, immutable
+ *
+ *   _rules.json   { "redirects": [{ "from", "to", "status", "force" }],
+ *                   "headers": [{ "for", "values": { name: value } }] }
+ *
+ * Status 200 rewrites to another file of the site (no proxying), 404 serves
+ * the target with a 404 status, 301/302/307/308 redirect. Rules only apply
+ * when no file exists at the requested path, unless forced with "!".
+ *
+ * Rules are parsed once per root and dropped when the file watcher reports
+ * a change to one of the files.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+export const RULE_FILES = ['_redirects', '_headers', '_rules.json'];
+
+const REDIRECT_STATUSES = [301, 302, 307, 308];
+const ALLOWED_STATUSES = [200, 404, ...REDIRECT_STATUSES];
+
+/**
+ * Whether a rule target is a path on the same site (not "//host" or a URL)
+ */
+function isLocalPath(target) {
+  return target.startsWith('/') && !/^\/[/\\]/.test(target);
+}
+
+/**
+ * Compile a path pattern into a regex: ":name" matches one path segment,
+ * "*" matches the rest of the path (captured as :splat)
+ */
+function compilePattern(pattern) {
+  const names = [];
+  const source = pattern
+    .split(/(\*|:[A-Za-z_][A-Za-z0-9_]*)/)
+    .map(part => {
+      if (part === '*') {
+        names.push('splat');
+        return '(.*)';
+      }
+      if (part.startsWith(':')) {
+        names.push(part.slice(1));
+        return '([^/]+)';
+      }
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  // A trailing slash is optional on both sides
+  return { regex: new RegExp(`^${source.replace(/\/$/, '')}/?$`), names };
+}
+
+/**
+ * Match a path against a compiled pattern, returning its parameters
+ */
+function matchPattern(compiled, urlPath) {
+  const match = compiled.regex.exec(urlPath);
+  if (!match) return null;
+  const params = {};
+  compiled.names.forEach((name, i) => {
+    params[name] = match[i + 1];
+  });
+  return params;
+}
+
+/**
+ * Validate and compile one redirect rule
+ */
+function compileRedirect({ from, to, status = 301, force = false }, source) {
+  status = Number(status);
+  if (!from?.startsWith('/') || !to) {
+    throw new Error(`invalid rule in ${source}: "from" must be a path and "to" is required`);
+  }
+  if (!ALLOWED_STATUSES.includes(status)) {
+    throw new Error(`unsupported status ${status} in ${source}`);
+  }
+  if (!REDIRECT_STATUSES.includes(status) && !to.startsWith('/')) {
+    throw new Error(`rewrites in ${source} must target a path of the site`);
+  }
+  return { from, to, status, force: !!force, compiled: compilePattern(from) };
+}
+
+/**
+ * Parse a _redirects file
+ */
+export function parseRedirects(text) {
+  const rules = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const [from, to, code = '301'] = trimmed.split(/\s+/);
+    const force = code.endsWith('!');
+    rules.push(compileRedirect({ from, to, status: code.replace(/!$/, ''), force }, `_redirects line ${i + 1}`));
+  });
+  return rules;
+}
+
+/**
+ * Parse a _headers file
+ */
+export function parseHeaders(text) {
+  const rules = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    if (!/^\s/.test(line)) {
+      current = { for: line.trim(), values: {}, compiled: compilePattern(line.trim()) };
+      rules.push(current);
+      return;
+    }
+
+    const separator = line.indexOf(':');
+    if (!current || separator === -1) {
+      throw new Error(`invalid header on _headers line ${i + 1}`);
+    }
+    const name = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).trim();
+    // Repeated headers are combined, as HTTP allows
+    current.values[name] = current.values[name] ? `${current.values[name]}, ${value}` : value;
+  });
+  return rules;
+}
+
+/**
+ * Parse a _rules.json file
+ */
+export function parseRulesJson(text) {
+  const data = JSON.parse(text);
+  return {
+    redirects: (data.redirects || []).map((rule, i) => compileRedirect(rule, `_rules.json redirect ${i + 1}`)),
+    headers: (data.headers || []).map(rule => ({
+      for: rule.for,
+      values: { ...rule.values },
+      compiled: compilePattern(rule.for),
+    })),
+  };
+}
+
+/**
+ * Rules of one served root
+ */
+export class SiteRules {
+  constructor(root) {
+    this.root = root;
+    this.redirects = [];
+    this.headers = [];
+    this.load();
+  }
+
+  /**
+   * Read whichever rule files exist; a broken file is logged and skipped
+   */
+  load() {
+    const read = (name, parse) => {
+      const file = path.join(this.root, name);
+      if (!fs.existsSync(file)) return null;
+      try {
+        return parse(fs.readFileSync(file, 'utf8'));
+      } catch (err) {
+        logger.error('Failed to load site rules', { file, error: err.message });
+        return null;
+      }
+    };
+
+    const json = read('_rules.json', parseRulesJson);
+    this.redirects = [...(read('_redirects', parseRedirects) || []), ...(json?.redirects || [])];
+    this.headers = [...(read('_headers', parseHeaders) || []), ...(json?.headers || [])];
+
+    if (this.redirects.length || this.headers.length) {
+      logger.debug('Site rules loaded', { root: this.root, redirects: this.redirects.length, headers: this.headers.length });
+    }
+  }
+
+  /**
+   * First redirect rule matching a path, with its target expanded
+   */
+  matchRedirect(urlPath) {
+    for (const rule of this.redirects) {
+      const params = matchPattern(rule.compiled, urlPath);
+      if (!params) continue;
+      let target = rule.to.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (placeholder, name) =>
+        name in params ? params[name] : placeholder);
+      // A local target must stay local: "/:splat" with "/evil.example" in the
+      // splat would otherwise become the protocol-relative "//evil.example"
+      if (isLocalPath(rule.to)) {
+        target = target.replace(/^[/\\]+/, '/');
+      }
+      return { ...rule, target };
+    }
+    return null;
+  }
+
+  /**
+   * Headers of every rule matching a path; later rules win
+   */
+  matchHeaders(urlPath) {
+    const values = {};
+    for (const rule of this.headers) {
+      if (matchPattern(rule.compiled, urlPath)) {
+        Object.assign(values, rule.values);
+      }
+    }
+    return values;
+  }
+}
+
+/**
+ * Whether a path is one of the rule files or a precompressed copy of one
+ * (which are never served)
+ */
+export function isRuleFile(filePath) {
+  return RULE_FILES.includes(path.basename(filePath).replace(/\.(br|gz)$/, ''));
+}
+
+// One instance per served root
+const siteRules = new Map();
+
+/**
+ * Get or load the rules of a served root
+ */
+export function getSiteRules(root) {
+  if (!siteRules.has(root)) {
+    siteRules.set(root, new SiteRules(root));
+  }
+  return siteRules.get(root);
+}
+
+/**
+ * Drop parsed rules after a rule file (or a directory holding one) changed
+ */
+export function invalidateSiteRules(changedPath) {
+  for (const root of siteRules.keys()) {
+    if (changedPath === root || (isRuleFile(changedPath) && path.dirname(changedPath) === root)) {
+      siteRules.delete(root);
+    }
+  }
+}
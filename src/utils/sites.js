@@ -0,0 +1,283 @@
+/**
+ * Virtual Host Sites
+ *
+ * Lets one cluster serve several sites by mapping Host headers to
+ * separate site roots. Each site has:
+ * - One or more host names (exact, or "*.example.com" wildcards)
+ * - Its own document root
+ * - Its own cache rules
+ * - Its own maintenance/coming-soon state and backups (under data/sites/<id>)
+ *
+ * The default site serves config.staticSiteDir and answers every Host
+ * that no other site claims. Sites are persisted in data/sites.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import config from './config.js';
+import logger from './logger.js';
+
+export const DEFAULT_SITE_ID = 'default';
+
+const SITE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+/**
+ * Cache-Control max-age values (seconds) used when a site sets none
+ */
+export const DEFAULT_CACHE_RULES = {
+  assetMaxAgeSeconds: 31536000, // js/css/fonts/images
+  htmlMaxAgeSeconds: 3600,
+  defaultMaxAgeSeconds: 86400,
+};
+
+/**
+ * Normalize a Host header value: lowercase, no port, no trailing dot
+ */
+function normalizeHost(host) {
+  return String(host || '')
+    .trim()
+    .toLowerCase()
+    .replace(/:\d+$/, '')
+    .replace(/\.$/, '');
+}
+
+/**
+ * Whether a site root lies below config.sites.rootDir (and is not the
+ * directory itself), so a site can never publish data/ or another tree
+ */
+function isInsideSitesDir(root) {
+  const relative = path.relative(config.sites.rootDir, root);
+  return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Site registry (one per process, reloaded when the master broadcasts changes)
+ */
+export class SiteRegistry {
+  constructor() {
+    this.file = config.sites.registryFile;
+    this.sites = new Map();
+    this.load();
+  }
+
+  /**
+   * Load sites from disk; the default site always exists
+   */
+  load() {
+    const sites = new Map();
+    sites.set(DEFAULT_SITE_ID, this.normalizeSite({
+      id: DEFAULT_SITE_ID,
+      hosts: [],
+      root: config.staticSiteDir,
+    }));
+
+    try {
+      if (fs.existsSync(this.file)) {
+        const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        for (const site of stored) {
+          if (site.id === DEFAULT_SITE_ID) {
+            // Only hosts and cache rules of the default site are configurable
+            const base = sites.get(DEFAULT_SITE_ID);
+            sites.set(DEFAULT_SITE_ID, this.normalizeSite({ ...site, root: base.root }));
+          } else if (SITE_ID_PATTERN.test(site.id)) {
+            const normalized = this.normalizeSite(site);
+            if (isInsideSitesDir(normalized.root)) {
+              sites.set(site.id, normalized);
+            } else {
+              logger.warn('Skipping site with a root outside the sites directory', { id: site.id, root: normalized.root });
+            }
+          }
+        }
+      }
+    } catch (err) {
+      logger.error('Failed to load sites, serving default site only', { error: err.message });
+    }
+
+    this.sites = sites;
+  }
+
+  /**
+   * Save non-default sites (and default site overrides) to disk
+   */
+  save() {
+    try {
+      const list = Array.from(this.sites.values()).map(site => ({
+        id: site.id,
+        hosts: site.hosts,
+        root: site.id === DEFAULT_SITE_ID ? undefined : site.root,
+        cache: site.cache,
+      }));
+      fs.writeFileSync(this.file, JSON.stringify(list, null, 2), 'utf8');
+    } catch (err) {
+      logger.error('Failed to save sites', { error: err.message });
+      throw err;
+    }
+  }
+
+  /**
+   * Fill in defaults for a stored site record
+   */
+  normalizeSite(site) {
+    return {
+      id: site.id,
+      hosts: (site.hosts || []).map(normalizeHost).filter(Boolean),
+      root: path.resolve(site.root || path.join(config.sites.rootDir, site.id)),
+      cache: { ...DEFAULT_CACHE_RULES, ...(site.cache || {}) },
+    };
+  }
+
+  /**
+   * Resolve the site for a Host header, falling back to the default site
+   */
+  resolveHost(hostHeader) {
+    const host = normalizeHost(hostHeader);
+    let wildcardMatch = null;
+
+    for (const site of this.sites.values()) {
+      for (const pattern of site.hosts) {
+        if (pattern === host) return site;
+        if (!wildcardMatch && pattern.startsWith('*.') && host.endsWith(pattern.slice(1))) {
+          wildcardMatch = site;
+        }
+      }
+    }
+
+    return wildcardMatch || this.getDefaultSite();
+  }
+
+  getDefaultSite() {
+    return this.sites.get(DEFAULT_SITE_ID);
+  }
+
+  getSite(id) {
+    return this.sites.get(id) || null;
+  }
+
+  listSites() {
+    return Array.from(this.sites.values());
+  }
+
+  /**
+   * Add a new site; creates its root directory if missing
+   */
+  addSite({ id, hosts = [], root, cache } = {}) {
+    if (!SITE_ID_PATTERN.test(id || '')) {
+      return { ok: false, error: 'id must be lowercase letters, digits and dashes' };
+    }
+    if (this.sites.has(id)) {
+      return { ok: false, error: 'Site already exists' };
+    }
+
+    const site = this.normalizeSite({ id, hosts, root, cache });
+    if (!isInsideSitesDir(site.root)) {
+      return { ok: false, error: 'root must be a directory inside the sites directory' };
+    }
+    const claimed = this.findHostOwner(site.hosts);
+    if (claimed) {
+      return { ok: false, error: `Host ${claimed.host} already belongs to site ${claimed.site}` };
+    }
+
+    fs.mkdirSync(site.root, { recursive: true });
+    fs.mkdirSync(getSiteDataDir(site.id), { recursive: true });
+    this.sites.set(id, site);
+    this.save();
+
+    logger.info('Site added', { id, hosts: site.hosts, root: site.root });
+    return { ok: true, site };
+  }
+
+  /**
+   * Update hosts and/or cache rules of a site
+   */
+  updateSite(id, { hosts, cache } = {}) {
+    const existing = this.sites.get(id);
+    if (!existing) {
+      return { ok: false, error: 'Site not found' };
+    }
+
+    const site = this.normalizeSite({
+      ...existing,
+      hosts: hosts || existing.hosts,
+      cache: { ...existing.cache, ...(cache || {}) },
+    });
+    const claimed = this.findHostOwner(site.hosts, id);
+    if (claimed) {
+      return { ok: false, error: `Host ${claimed.host} already belongs to site ${claimed.site}` };
+    }
+
+    this.sites.set(id, site);
+    this.save();
+
+    logger.info('Site updated', { id, hosts: site.hosts });
+    return { ok: true, site };
+  }
+
+  /**
+   * Remove a site from the registry (its files are left on disk)
+   */
+  removeSite(id) {
+    if (id === DEFAULT_SITE_ID) {
+      return { ok: false, error: 'The default site cannot be removed' };
+    }
+    if (!this.sites.delete(id)) {
+      return { ok: false, error: 'Site not found' };
+    }
+    this.save();
+
+    logger.info('Site removed', { id });
+    return { ok: true };
+  }
+
+  /**
+   * Find a host already claimed by another site
+   */
+  findHostOwner(hosts, exceptId = null) {
+    for (const site of this.sites.values()) {
+      if (site.id === exceptId) continue;
+      const host = hosts.find(h => site.hosts.includes(h));
+      if (host) return { host, site: site.id };
+    }
+    return null;
+  }
+}
+
+/**
+ * Directory holding a site's state files. The default site keeps using
+ * data/ directly so existing installs keep their state.
+ */
+export function getSiteDataDir(siteId = DEFAULT_SITE_ID) {
+  if (siteId === DEFAULT_SITE_ID) {
+    return config.paths.data;
+  }
+  return path.join(config.paths.data, 'sites', siteId);
+}
+
+/**
+ * Directory holding a site's backups
+ */
+export function getSiteBackupDir(siteId = DEFAULT_SITE_ID) {
+  return path.join(getSiteDataDir(siteId), 'backups');
+}
+
+/**
+ * Tell the master that a site's maintenance/coming-soon state changed on
+ * disk so it can have every worker reload it. No-op outside a worker.
+ */
+export function notifySiteStateChanged(siteId = DEFAULT_SITE_ID) {
+  if (process.send) {
+    process.send({ type: 'site-state-changed', site: siteId });
+  }
+}
+
+// Singleton instance
+let siteRegistry = null;
+
+/**
+ * Get or create the site registry
+ */
+export function getSiteRegistry() {
+  if (!siteRegistry) {
+    siteRegistry = new SiteRegistry();
+  }
+  return siteRegistry;
+}
@@ -0,0 +1,455 @@
+/**
+ * .smp Backup Archives
+ *
+ * An .smp file is a zip of the served content of the default site
+ * (website/) and of every other site (sites/<id>/), the maintenance page
+ * (maintenance/), persisted state (data/) and config overrides
+ * (config-override.json), described by manifest.json: format version,
+ * creation time and the size and SHA-256 of every file.
+ *
+ * Site content is restored as a new release of each site (the served files
+ * overlaid with the archive's), activated through the master like any
+ * other release; releases and backups themselves are never exported.
+ *
+ * Imports are checked before anything is written: entry names must stay
+ * inside their section (no absolute paths, "..", or symlinks), sizes must
+ * be within the configured limits and every file must match the manifest.
+ * An import can be previewed (dry run) and limited to some sections; the
+ * current state is exported to data/backups/pre-import-<time>.smp first.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import archiver from 'archiver';
+import config from './config.js';
+import logger from './logger.js';
+import { writeConfigOverride } from './config-override.js';
+import { DEFAULT_SITE_ID, getSiteRegistry, notifySiteStateChanged } from './sites.js';
+import { getReleaseManager } from './releases.js';
+import { isPrecompressedOutput } from './precompress.js';
+import { noteAudit } from './audit.js';
+
+export const SMP_FORMAT_VERSION = 3;
+
+/**
+ * Restorable sections, in restore order
+ * users: accounts, hardware keys and roles; data: all other persisted state
+ */
+export const SMP_SECTIONS = ['site', 'maintenance', 'users', 'config', 'data'];
+
+const USER_FILES = ['users.json', 'webauthn.json', 'roles.json'];
+
+// Host-specific, runtime or secret state: never exported, skipped on import
+// (releases travel as site content instead; API keys hold plaintext secrets)
+const UNPORTABLE_DATA = [
+  'backups', 'ops-backups', 'uploads', 'import-extract', 'tmp-import.zip',
+  'sessions', 'session-secret', 'audit.jsonl', 'backup-targets.json',
+  'maintenance-windows-state.json', 'releases', 'api-keys.json',
+];
+
+// The same below a site's data directory (data/sites/<id>/)
+const UNPORTABLE_SITE_DATA = ['releases', 'backups'];
+
+const SITE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+/**
+ * Whether a path below data/ is unportable, at any depth
+ */
+function isUnportableData(relative) {
+  const segments = relative.split('/');
+  if (UNPORTABLE_DATA.includes(segments[0])) return true;
+  return segments[0] === 'sites' && UNPORTABLE_SITE_DATA.includes(segments[2]);
+}
+
+/**
+ * Directory a site is served from: its active release, or its root
+ */
+function servedRoot(siteId) {
+  const site = getSiteRegistry().getSite(siteId);
+  if (!site) return null;
+  return getReleaseManager(siteId).getActiveRoot() || site.root;
+}
+
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Where an archive entry goes: { section, dest }, { skip } for unportable
+ * data, or null for names outside every section. Site files carry their
+ * site id and relative path; dest is their served copy (for the diff), or
+ * null for a site this host does not have yet.
+ */
+function resolveEntry(name) {
+  if (name === 'config-override.json' || name === 'data/config-override.json') {
+    return { section: 'config', dest: path.join(config.paths.data, 'config-override.json') };
+  }
+
+  const [top, ...rest] = name.split('/');
+  const relative = rest.join('/');
+  if (!relative) return null;
+
+  if (top === 'website' || top === 'sites') {
+    const siteId = top === 'website' ? DEFAULT_SITE_ID : rest[0];
+    const file = top === 'website' ? relative : rest.slice(1).join('/');
+    if (!file || !SITE_ID_PATTERN.test(siteId) || (top === 'sites' && siteId === DEFAULT_SITE_ID)) return null;
+    const root = servedRoot(siteId);
+    return { section: 'site', site: siteId, file, dest: root && path.join(root, file) };
+  }
+  if (top === 'maintenance') return { section: 'maintenance', dest: path.join(config.maintenance.pageDir, relative) };
+  if (top === 'data') {
+    if (isUnportableData(relative)) return { skip: true };
+    const section = USER_FILES.includes(relative) ? 'users' : 'data';
+    return { section, dest: path.join(config.paths.data, relative) };
+  }
+  return null;
+}
+
+/**
+ * Why an entry name is unsafe, or null
+ */
+function unsafeName(name) {
+  if (name.includes('\0') || name.includes('\\')) return 'invalid characters';
+  if (name.startsWith('/') || /^[a-zA-Z]:/.test(name)) return 'absolute path';
+  if (name.split('/').some(segment => segment === '..' || segment === '.')) return 'path traversal';
+  if (name.split('/').slice(0, -1).some(segment => segment === '')) return 'empty path segment';
+  return null;
+}
+
+/**
+ * Decompress one entry with a hard output cap (declared sizes can lie)
+ */
+function readEntry(entry) {
+  const compressed = entry.getCompressedData();
+  const { method } = entry.header;
+  if (method === ZIP_STORED) return compressed;
+  if (method === ZIP_DEFLATED) return zlib.inflateRawSync(compressed, { maxOutputLength: config.smp.maxEntryBytes });
+  throw new Error(`unsupported compression method ${method}`);
+}
+
+/**
+ * Validate an archive without writing anything
+ * Returns { manifest, files: [{ name, section, dest, bytes, sha256 }], skipped }
+ * and throws with `problems` listing every rejected entry
+ */
+export async function inspectSmp(buffer, { allowLegacy = false } = {}) {
+  const limits = config.smp;
+  if (buffer.length > limits.maxArchiveBytes) {
+    throw Object.assign(new Error('Archive is too large'), { problems: [`archive is ${buffer.length} bytes, limit ${limits.maxArchiveBytes}`] });
+  }
+
+  const { default: AdmZip } = await import('adm-zip');
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (err) {
+    throw Object.assign(new Error('Not a valid zip archive'), { problems: [err.message] });
+  }
+  if (entries.length > limits.maxEntries) {
+    throw Object.assign(new Error('Archive has too many entries'), { problems: [`${entries.length} entries, limit ${limits.maxEntries}`] });
+  }
+
+  const problems = [];
+  const files = [];
+  const skipped = [];
+  let manifest = null;
+  let totalBytes = 0;
+
+  for (const entry of entries) {
+    const name = entry.entryName;
+    const unsafe = unsafeName(name);
+    if (unsafe) { problems.push(`${name}: ${unsafe}`); continue; }
+    if (entry.isDirectory) continue;
+    if (((entry.attr >>> 16) & S_IFMT) === S_IFLNK) { problems.push(`${name}: symbolic link`); continue; }
+    if (entry.header.size > limits.maxEntryBytes) { problems.push(`${name}: ${entry.header.size} bytes exceeds the entry limit`); continue; }
+
+    let data;
+    try {
+      data = readEntry(entry);
+    } catch (err) {
+      problems.push(`${name}: ${err.code === 'ERR_BUFFER_TOO_LARGE' ? 'exceeds the entry limit' : err.message}`);
+      continue;
+    }
+    totalBytes += data.length;
+    if (totalBytes > limits.maxTotalBytes) {
+      problems.push(`archive expands beyond ${limits.maxTotalBytes} bytes`);
+      break;
+    }
+
+    if (name === 'manifest.json') {
+      try {
+        manifest = JSON.parse(data.toString('utf8'));
+      } catch {
+        problems.push('manifest.json: invalid JSON');
+      }
+      continue;
+    }
+
+    const target = resolveEntry(name);
+    if (!target) { problems.push(`${name}: unknown entry`); continue; }
+    if (target.skip) { skipped.push(name); continue; }
+    if (target.section === 'config') {
+      try {
+        JSON.parse(data.toString('utf8'));
+      } catch {
+        problems.push(`${name}: invalid JSON`);
+        continue;
+      }
+    }
+    files.push({ name, ...target, bytes: data.length, sha256: sha256(data) });
+  }
+
+  if (!manifest) {
+    if (!allowLegacy) problems.push('manifest.json missing (archives exported before manifests need allowLegacy)');
+  } else {
+    if (manifest.format !== 'smp' || !Number.isInteger(manifest.version)) {
+      problems.push('manifest.json: not an .smp manifest');
+    } else if (manifest.version > SMP_FORMAT_VERSION) {
+      problems.push(`manifest.json: version ${manifest.version} is newer than supported (${SMP_FORMAT_VERSION})`);
+    } else {
+      const listed = manifest.files || {};
+      for (const file of files) {
+        const expected = listed[file.name];
+        if (!expected) problems.push(`${file.name}: not listed in the manifest`);
+        else if (expected.sha256 !== file.sha256 || expected.bytes !== file.bytes) problems.push(`${file.name}: checksum mismatch`);
+      }
+      const present = new Set([...files.map(file => file.name), ...skipped]);
+      for (const name of Object.keys(listed)) {
+        if (!present.has(name)) problems.push(`${name}: listed in the manifest but missing`);
+      }
+    }
+  }
+
+  if (problems.length) {
+    throw Object.assign(new Error(`Archive rejected: ${problems.length} problem(s)`), { problems });
+  }
+  return { manifest: manifest ? { version: manifest.version, createdAt: manifest.createdAt, project: manifest.project } : null, files, skipped };
+}
+
+/**
+ * What an import would change, per section: added and changed files
+ */
+export function diffSmp(inspection, sections = SMP_SECTIONS) {
+  const diff = Object.fromEntries(sections.map(section => [section, { added: [], changed: [], unchanged: 0 }]));
+  for (const file of inspection.files) {
+    const entry = diff[file.section];
+    if (!entry) continue;
+    if (!file.dest || !fs.existsSync(file.dest)) entry.added.push(file.name);
+    else if (sha256(fs.readFileSync(file.dest)) !== file.sha256) entry.changed.push(file.name);
+    else entry.unchanged++;
+  }
+  return diff;
+}
+
+/**
+ * Files below a directory, as [absolute path, archive name]
+ * skip(relative) leaves out files and whole directories
+ */
+function listFiles(dir, prefix, skip = () => false, base = '') {
+  if (!fs.existsSync(dir)) return [];
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const relative = base ? `${base}/${entry.name}` : entry.name;
+    if (skip(relative)) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...listFiles(full, prefix, skip, relative));
+    else if (entry.isFile()) files.push([full, `${prefix}/${relative}`]);
+  }
+  return files;
+}
+
+/**
+ * The served content of every site: website/ for the default site,
+ * sites/<id>/ for the others
+ */
+function listSiteFiles() {
+  return getSiteRegistry().listSites().flatMap(site => {
+    const root = servedRoot(site.id);
+    const prefix = site.id === DEFAULT_SITE_ID ? 'website' : `sites/${site.id}`;
+    return listFiles(root, prefix, relative => isPrecompressedOutput(path.join(root, relative)));
+  });
+}
+
+/**
+ * Publish a site's imported files as a new release: the served files with
+ * the archive's laid over them, activated and announced to the workers
+ */
+async function releaseSiteFiles(siteId, files, zip, importedBy) {
+  const releases = getReleaseManager(siteId);
+  const current = servedRoot(siteId);
+  const release = await releases.createRelease(filesDir => {
+    if (current && fs.existsSync(current)) {
+      fs.cpSync(current, filesDir, { recursive: true, filter: src => !isPrecompressedOutput(src) });
+    }
+    for (const file of files) {
+      const dest = path.join(filesDir, file.file);
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      // Copies of release files are read-only
+      fs.rmSync(dest, { force: true });
+      fs.writeFileSync(dest, readEntry(zip.getEntry(file.name)));
+    }
+  }, { source: 'smp-import', createdBy: importedBy });
+
+  releases.activate(release.id, importedBy);
+  if (process.send) process.send({ type: 'release-activated', site: siteId, release: release.id });
+  return release.id;
+}
+
+/**
+ * Write the current state as an .smp archive to a stream
+ */
+export async function exportSmp(output) {
+  const overrideFile = path.join(config.paths.data, 'config-override.json');
+  const files = [
+    ...listSiteFiles(),
+    ...listFiles(config.paths.data, 'data', relative => relative === 'config-override.json' || isUnportableData(relative)),
+    ...listFiles(config.maintenance.pageDir, 'maintenance'),
+    ...(fs.existsSync(overrideFile) ? [[overrideFile, 'config-override.json']] : []),
+  ];
+
+  const manifest = {
+    format: 'smp',
+    version: SMP_FORMAT_VERSION,
+    createdAt: new Date().toISOString(),
+    project: process.env.PROJECT_NAME || 'project',
+    files: {},
+  };
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const done = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('finish', resolve);
+    archive.on('error', reject);
+  });
+  archive.pipe(output);
+
+  // Hashed up front, streamed into the archive afterwards
+  for (const [file, name] of files) {
+    const data = fs.readFileSync(file);
+    manifest.files[name] = { bytes: data.length, sha256: sha256(data) };
+    archive.file(file, { name });
+  }
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+  await archive.finalize();
+  await done;
+  return manifest;
+}
+
+/**
+ * Export the current state to data/backups/pre-import-<time>.smp
+ */
+async function backupBeforeImport() {
+  const dir = path.join(config.paths.data, 'backups');
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `pre-import-${new Date().toISOString().replace(/[:.]/g, '-')}.smp`);
+  await exportSmp(fs.createWriteStream(file));
+  return file;
+}
+
+/**
+ * Import an .smp archive: validate, diff and (unless dryRun) back up the
+ * current state and restore the selected sections. Files missing from the
+ * archive are left in place. Site content becomes a new release per site
+ * (once data, which may add sites, is restored).
+ */
+export async function importSmp(buffer, { sections = SMP_SECTIONS, dryRun = false, allowLegacy = false, importedBy = 'system' } = {}) {
+  const unknown = sections.filter(section => !SMP_SECTIONS.includes(section));
+  if (unknown.length) {
+    throw Object.assign(new Error('Unknown sections'), { problems: [`unknown sections: ${unknown.join(', ')} (use ${SMP_SECTIONS.join(', ')})`] });
+  }
+
+  const inspection = await inspectSmp(buffer, { allowLegacy });
+  const diff = diffSmp(inspection, sections);
+  const result = { dryRun, manifest: inspection.manifest, sections: diff, skipped: inspection.skipped, backup: null, releases: {} };
+  if (dryRun) return result;
+
+  result.backup = await backupBeforeImport();
+
+  const { default: AdmZip } = await import('adm-zip');
+  const zip = new AdmZip(buffer);
+  const siteFiles = new Map();
+  for (const file of inspection.files) {
+    if (!sections.includes(file.section)) continue;
+    const { added, changed } = diff[file.section];
+    if (!added.includes(file.name) && !changed.includes(file.name)) continue;
+    if (file.section === 'site') {
+      siteFiles.set(file.site, [...(siteFiles.get(file.site) || []), file]);
+      continue;
+    }
+    const data = readEntry(zip.getEntry(file.name));
+    if (file.section === 'config') {
+      writeConfigOverride(JSON.parse(data.toString('utf8')));
+      continue;
+    }
+    fs.mkdirSync(path.dirname(file.dest), { recursive: true });
+    fs.writeFileSync(file.dest, data);
+  }
+  // Workers reload the sites and the maintenance/coming-soon state that may have been restored
+  if (sections.includes('data')) {
+    getSiteRegistry().load();
+    if (process.send) process.send({ type: 'sites-changed' });
+    notifySiteStateChanged();
+  }
+
+  for (const [siteId, files] of siteFiles) {
+    if (!getSiteRegistry().getSite(siteId)) {
+      logger.warn('.smp site content skipped, site does not exist', { site: siteId, files: files.length });
+      result.skipped.push(...files.map(file => file.name));
+      continue;
+    }
+    result.releases[siteId] = await releaseSiteFiles(siteId, files, zip, importedBy);
+  }
+
+  logger.warn('.smp archive imported', {
+    sections,
+    files: Object.values(diff).reduce((sum, entry) => sum + entry.added.length + entry.changed.length, 0),
+    backup: result.backup,
+    importedBy,
+  });
+  return result;
+}
+
+/**
+ * Import options from a request body or query: sections as an array or
+ * comma separated list, flags as booleans or "1"/"true"
+ */
+export function parseImportOptions(input = {}) {
+  const flag = value => value === true || value === '1' || value === 'true';
+  const sections = Array.isArray(input.sections)
+    ? input.sections
+    : String(input.sections || '').split(',').map(section => section.trim()).filter(Boolean);
+  return {
+    sections: sections.length ? sections : SMP_SECTIONS,
+    dryRun: flag(input.dryRun),
+    allowLegacy: flag(input.allowLegacy),
+  };
+}
+
+/**
+ * Run an import for a panel request: 400 with the problems when the
+ * archive is rejected, otherwise the diff (and backup path)
+ */
+export async function respondSmpImport(req, res, buffer, options) {
+  let result;
+  try {
+    result = await importSmp(buffer, { ...options, importedBy: req.user.username });
+  } catch (err) {
+    if (!err.problems) throw err;
+    logger.warn('.smp import rejected', { problems: err.problems.slice(0, 20), user: req.user.username });
+    return res.status(400).json({ error: err.message, problems: err.problems });
+  }
+
+  if (!result.dryRun) {
+    const counts = Object.fromEntries(Object.entries(result.sections)
+      .map(([section, { added, changed }]) => [section, { added: added.length, changed: changed.length }]));
+    noteAudit(res, { target: Object.keys(result.sections).join(','), before: { backup: result.backup }, after: counts });
+  }
+  res.json({ status: 'success', message: result.dryRun ? 'Dry run: nothing was changed' : 'Import completed', ...result });
+}
@@ -0,0 +1,478 @@
+/**
+ * Incremental Site Snapshots
+ *
+ * Content-addressed backups of a site's working directory. Every file is
+ * stored once under its SHA-256, however many snapshots contain it; a
+ * snapshot is just a manifest mapping paths to hashes. Layout per site:
+ *
+ *   <site backup dir>/snapshots/
+ *     objects/ab/abcdef...      file contents, named by hash
+ *     manifests/<id>.json       { id, createdAt, parent, files: { path: { sha256, size, mtimeMs } } }
+ *
+ * Files whose size and mtime match the previous snapshot reuse its hash
+ * without being read again. Old snapshots are thinned out with a
+ * grandfather-father-son policy (config.snapshots.retention), after which
+ * objects no snapshot refers to are deleted.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import config from './config.js';
+import logger from './logger.js';
+import { DEFAULT_SITE_ID, getSiteBackupDir, getSiteRegistry } from './sites.js';
+import { isPrecompressedOutput } from './precompress.js';
+
+const SNAPSHOT_ID_PATTERN = /^\d{8}-\d{6}-[a-f0-9]{4}$/;
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+// Objects written or reused this recently survive garbage collection, so a
+// snapshot being created in another worker doesn't lose objects it relies on
+const GC_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Sortable, unique snapshot id: YYYYMMDD-HHMMSS-xxxx
+ */
+function newSnapshotId() {
+  const ts = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  return `${ts.slice(0, 8)}-${ts.slice(8)}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Files below a directory as forward-slash relative paths
+ * (precompressed .br/.gz siblings are regenerated, so they are left out)
+ */
+function listFiles(root) {
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else if (entry.isFile() && !isPrecompressedOutput(full)) files.push(path.relative(root, full).split(path.sep).join('/'));
+    }
+  };
+  if (fs.existsSync(root)) walk(root);
+  return files.sort();
+}
+
+// Ids only have second resolution, so order by creation time first
+const newestFirst = (a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id);
+
+/**
+ * UTC bucket keys for the retention rules
+ */
+function isoWeek(date) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+  const week = Math.ceil(((d - Date.UTC(d.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+const RETENTION_RULES = [
+  ['hourly', date => date.toISOString().slice(0, 13)],
+  ['daily', date => date.toISOString().slice(0, 10)],
+  ['weekly', isoWeek],
+  ['monthly', date => date.toISOString().slice(0, 7)],
+];
+
+/**
+ * Apply a grandfather-father-son policy to snapshots (any order)
+ * policy: { last, hourly, daily, weekly, monthly } counts. `last` keeps the
+ * newest N outright; each other rule keeps the newest snapshot of each of
+ * its N most recent hours/days/ISO weeks/months that have one.
+ * Returns { keep: [{ id, reasons }], remove: [id] }
+ */
+export function selectRetained(snapshots, policy = config.snapshots.retention) {
+  const sorted = [...snapshots].sort(newestFirst);
+  const reasons = new Map(sorted.map(snapshot => [snapshot.id, []]));
+
+  sorted.slice(0, policy.last || 0).forEach(snapshot => reasons.get(snapshot.id).push('last'));
+  for (const [rule, bucketOf] of RETENTION_RULES) {
+    let lastBucket = null;
+    let kept = 0;
+    for (const snapshot of sorted) {
+      if (kept >= (policy[rule] || 0)) break;
+      const bucket = bucketOf(new Date(snapshot.createdAt));
+      if (bucket === lastBucket) continue;
+      lastBucket = bucket;
+      reasons.get(snapshot.id).push(rule);
+      kept++;
+    }
+  }
+
+  return {
+    keep: sorted.filter(s => reasons.get(s.id).length).map(s => ({ id: s.id, reasons: reasons.get(s.id) })),
+    remove: sorted.filter(s => !reasons.get(s.id).length).map(s => s.id),
+  };
+}
+
+/**
+ * SnapshotStore handles the snapshots of one site
+ */
+export class SnapshotStore {
+  constructor(siteId = DEFAULT_SITE_ID, { dir = path.join(getSiteBackupDir(siteId), 'snapshots'), root = null } = {}) {
+    this.siteId = siteId;
+    this.dir = dir;
+    this.root = root;
+    this.objectsDir = path.join(dir, 'objects');
+    this.manifestsDir = path.join(dir, 'manifests');
+  }
+
+  /**
+   * Working directory being backed up (the site's root unless given)
+   */
+  siteRoot() {
+    if (this.root) return this.root;
+    const site = getSiteRegistry().getSite(this.siteId);
+    if (!site) throw new Error(`Unknown site: ${this.siteId}`);
+    return site.root;
+  }
+
+  objectPath(hash) {
+    return path.join(this.objectsDir, hash.slice(0, 2), hash);
+  }
+
+  manifestPath(id) {
+    return path.join(this.manifestsDir, `${id}.json`);
+  }
+
+  hasSnapshot(id) {
+    return SNAPSHOT_ID_PATTERN.test(id || '') && fs.existsSync(this.manifestPath(id));
+  }
+
+  readManifest(id) {
+    if (!SNAPSHOT_ID_PATTERN.test(id || '')) return null;
+    try {
+      return JSON.parse(fs.readFileSync(this.manifestPath(id), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Snapshots without their file lists, newest first
+   */
+  listSnapshots() {
+    if (!fs.existsSync(this.manifestsDir)) return [];
+    return fs.readdirSync(this.manifestsDir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => this.readManifest(name.slice(0, -5)))
+      .filter(Boolean)
+      .map(({ files, ...summary }) => summary)
+      .sort(newestFirst);
+  }
+
+  /**
+   * Store a file's contents unless an object with its hash exists
+   * Returns the number of bytes written (0 when deduplicated)
+   */
+  storeObject(hash, buffer) {
+    const target = this.objectPath(hash);
+    if (fs.existsSync(target)) {
+      const now = Date.now() / 1000;
+      fs.utimesSync(target, now, now); // Reused: restart its GC grace period
+      return 0;
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const tmp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, buffer);
+    fs.chmodSync(tmp, 0o444);
+    fs.renameSync(tmp, target);
+    return buffer.length;
+  }
+
+  /**
+   * Snapshot the site's working directory
+   * With skipUnchanged, returns null instead when nothing changed since the
+   * latest snapshot (used by the schedule)
+   */
+  createSnapshot({ createdBy = 'system', trigger = 'manual', skipUnchanged = false } = {}) {
+    const root = this.siteRoot();
+    const parentId = this.listSnapshots()[0]?.id || null;
+    const parentFiles = parentId ? this.readManifest(parentId)?.files || {} : {};
+
+    const files = {};
+    let bytes = 0;
+    let storedBytes = 0;
+    let storedFiles = 0;
+    for (const rel of listFiles(root)) {
+      const stats = fs.statSync(path.join(root, rel));
+      const previous = parentFiles[rel];
+      let hash;
+      if (previous && previous.size === stats.size && previous.mtimeMs === stats.mtimeMs && fs.existsSync(this.objectPath(previous.sha256))) {
+        hash = previous.sha256;
+      } else {
+        const buffer = fs.readFileSync(path.join(root, rel));
+        hash = sha256(buffer);
+        const written = this.storeObject(hash, buffer);
+        if (written) {
+          storedBytes += written;
+          storedFiles++;
+        }
+      }
+      files[rel] = { sha256: hash, size: stats.size, mtimeMs: stats.mtimeMs };
+      bytes += stats.size;
+    }
+
+    const changes = diffFiles(parentFiles, files);
+    if (skipUnchanged && parentId && !changes.added.length && !changes.changed.length && !changes.removed.length) {
+      return null;
+    }
+
+    const manifest = {
+      id: newSnapshotId(),
+      site: this.siteId,
+      createdAt: new Date().toISOString(),
+      createdBy,
+      trigger,
+      parent: parentId,
+      fileCount: Object.keys(files).length,
+      bytes,
+      storedFiles,
+      storedBytes,
+      changes: { added: changes.added.length, changed: changes.changed.length, removed: changes.removed.length },
+      files,
+    };
+    fs.mkdirSync(this.manifestsDir, { recursive: true });
+    const tmp = `${this.manifestPath(manifest.id)}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2), 'utf8');
+    fs.renameSync(tmp, this.manifestPath(manifest.id));
+
+    logger.info('Snapshot created', { site: this.siteId, snapshot: manifest.id, trigger, files: manifest.fileCount, storedBytes });
+    const { files: _files, ...summary } = manifest;
+    return summary;
+  }
+
+  /**
+   * Files of a snapshot, or of the working directory for 'working'
+   */
+  filesOf(id) {
+    if (id === 'working') {
+      const root = this.siteRoot();
+      return Object.fromEntries(listFiles(root).map(rel => {
+        const buffer = fs.readFileSync(path.join(root, rel));
+        return [rel, { sha256: sha256(buffer), size: buffer.length }];
+      }));
+    }
+    return this.readManifest(id)?.files || null;
+  }
+
+  /**
+   * Paths added, changed and removed going from one snapshot to another
+   * `against` defaults to the snapshot's parent; 'working' compares with
+   * the current working directory
+   */
+  diff(id, against = null) {
+    const manifest = this.readManifest(id);
+    if (!manifest) return { ok: false, error: 'Snapshot not found' };
+
+    const base = against || manifest.parent;
+    const baseFiles = base ? this.filesOf(base) : {};
+    if (!baseFiles) return { ok: false, error: 'Snapshot to compare against not found' };
+
+    // Working directory changes are shown relative to the snapshot
+    const changes = base === 'working' ? diffFiles(manifest.files, baseFiles) : diffFiles(baseFiles, manifest.files);
+    return { ok: true, snapshot: id, against: base, ...changes };
+  }
+
+  /**
+   * Check that every object a snapshot refers to exists and matches its hash
+   * Checks all snapshots when no id is given; each object is read once
+   * Returns { ok, valid, snapshots, objects, problems: [{ snapshot, path, sha256, problem }] }
+   */
+  verify(id = null) {
+    const ids = id ? [id] : this.listSnapshots().map(snapshot => snapshot.id);
+    if (id && !this.hasSnapshot(id)) return { ok: false, error: 'Snapshot not found' };
+
+    const checked = new Map(); // hash -> problem or null
+    const problems = [];
+    for (const snapshotId of ids) {
+      const manifest = this.readManifest(snapshotId);
+      if (!manifest) {
+        problems.push({ snapshot: snapshotId, path: null, sha256: null, problem: 'unreadable manifest' });
+        continue;
+      }
+      for (const [rel, file] of Object.entries(manifest.files)) {
+        if (!checked.has(file.sha256)) checked.set(file.sha256, this.checkObject(file.sha256));
+        const problem = checked.get(file.sha256);
+        if (problem) problems.push({ snapshot: snapshotId, path: rel, sha256: file.sha256, problem });
+      }
+    }
+    if (problems.length) logger.error('Snapshot verification failed', { site: this.siteId, problems: problems.length });
+    return { ok: true, valid: !problems.length, snapshots: ids.length, objects: checked.size, problems };
+  }
+
+  /**
+   * Why an object is unusable ('missing', 'corrupt'), or null if it is fine
+   */
+  checkObject(hash) {
+    if (!HASH_PATTERN.test(hash || '')) return 'invalid hash';
+    try {
+      return sha256(fs.readFileSync(this.objectPath(hash))) === hash ? null : 'corrupt';
+    } catch {
+      return 'missing';
+    }
+  }
+
+  /**
+   * Copy files from a snapshot back into the working directory
+   * paths: files or directories (prefixes) to restore; everything when
+   * empty. Files not in the snapshot are left alone. Objects are checked
+   * before anything is written.
+   * Returns { ok, restored: [path] } or { ok: false, error }
+   */
+  restore(id, { paths = [], restoredBy = 'system' } = {}) {
+    const manifest = this.readManifest(id);
+    if (!manifest) return { ok: false, error: 'Snapshot not found' };
+
+    const wanted = paths.map(p => String(p).replace(/^\/+|\/+$/g, '')).filter(Boolean);
+    const selected = Object.keys(manifest.files)
+      .filter(rel => !wanted.length || wanted.some(p => rel === p || rel.startsWith(`${p}/`)));
+    if (!selected.length) return { ok: false, error: 'No files in the snapshot match the given paths' };
+
+    const root = path.resolve(this.siteRoot());
+    const targets = [];
+    for (const rel of selected) {
+      const target = path.resolve(root, rel);
+      if (!target.startsWith(root + path.sep)) return { ok: false, error: `Invalid path in snapshot: ${rel}` };
+      const problem = this.checkObject(manifest.files[rel].sha256);
+      if (problem) return { ok: false, error: `Snapshot object for ${rel} is ${problem}` };
+      targets.push([rel, target]);
+    }
+
+    for (const [rel, target] of targets) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      const tmp = `${target}.${process.pid}.restore`;
+      fs.copyFileSync(this.objectPath(manifest.files[rel].sha256), tmp);
+      fs.chmodSync(tmp, 0o644);
+      fs.renameSync(tmp, target);
+    }
+    logger.warn('Snapshot restored', { site: this.siteId, snapshot: id, files: selected.length, restoredBy });
+    return { ok: true, restored: selected };
+  }
+
+  /**
+   * Delete a snapshot and the objects only it referred to
+   */
+  deleteSnapshot(id) {
+    if (!this.hasSnapshot(id)) return { ok: false, error: 'Snapshot not found' };
+    fs.rmSync(this.manifestPath(id), { force: true });
+    logger.info('Snapshot deleted', { site: this.siteId, snapshot: id });
+    return { ok: true, ...this.collectGarbage() };
+  }
+
+  /**
+   * Delete snapshots the retention policy doesn't keep, then unreferenced objects
+   * Returns { keep, removed, objectsDeleted, bytesFreed } (nothing is deleted with dryRun)
+   */
+  applyRetention({ policy = config.snapshots.retention, dryRun = false } = {}) {
+    const { keep, remove } = selectRetained(this.listSnapshots(), policy);
+    if (dryRun) return { keep, removed: remove, objectsDeleted: 0, bytesFreed: 0 };
+
+    remove.forEach(id => fs.rmSync(this.manifestPath(id), { force: true }));
+    const gc = remove.length ? this.collectGarbage() : { objectsDeleted: 0, bytesFreed: 0 };
+    if (remove.length) {
+      logger.info('Snapshots pruned', { site: this.siteId, removed: remove.length, ...gc });
+    }
+    return { keep, removed: remove, ...gc };
+  }
+
+  /**
+   * Delete objects no manifest refers to (past their grace period)
+   */
+  collectGarbage() {
+    if (!fs.existsSync(this.objectsDir)) return { objectsDeleted: 0, bytesFreed: 0 };
+    const referenced = new Set();
+    for (const { id } of this.listSnapshots()) {
+      Object.values(this.readManifest(id)?.files || {}).forEach(file => referenced.add(file.sha256));
+    }
+
+    let objectsDeleted = 0;
+    let bytesFreed = 0;
+    const cutoff = Date.now() - GC_GRACE_MS;
+    for (const prefix of fs.readdirSync(this.objectsDir)) {
+      for (const name of fs.readdirSync(path.join(this.objectsDir, prefix))) {
+        const file = path.join(this.objectsDir, prefix, name);
+        if (referenced.has(name)) continue;
+        const stats = fs.statSync(file);
+        if (stats.mtimeMs > cutoff) continue;
+        fs.rmSync(file, { force: true });
+        objectsDeleted++;
+        bytesFreed += stats.size;
+      }
+    }
+    return { objectsDeleted, bytesFreed };
+  }
+
+  /**
+   * Space used by the store: logical size of all snapshots vs stored objects
+   */
+  usage() {
+    const snapshots = this.listSnapshots();
+    let storedBytes = 0;
+    let objects = 0;
+    if (fs.existsSync(this.objectsDir)) {
+      for (const prefix of fs.readdirSync(this.objectsDir)) {
+        for (const name of fs.readdirSync(path.join(this.objectsDir, prefix))) {
+          storedBytes += fs.statSync(path.join(this.objectsDir, prefix, name)).size;
+          objects++;
+        }
+      }
+    }
+    return {
+      snapshots: snapshots.length,
+      logicalBytes: snapshots.reduce((sum, snapshot) => sum + snapshot.bytes, 0),
+      storedBytes,
+      objects,
+    };
+  }
+}
+
+/**
+ * Added, changed and removed paths between two file maps
+ */
+export function diffFiles(before, after) {
+  const added = [];
+  const changed = [];
+  const removed = [];
+  for (const [rel, file] of Object.entries(after)) {
+    if (!before[rel]) added.push(rel);
+    else if (before[rel].sha256 !== file.sha256) changed.push(rel);
+  }
+  for (const rel of Object.keys(before)) {
+    if (!after[rel]) removed.push(rel);
+  }
+  return { added: added.sort(), changed: changed.sort(), removed: removed.sort() };
+}
+
+// One instance per site
+const snapshotStores = new Map();
+
+/**
+ * Get or create the snapshot store for a site
+ */
+export function getSnapshotStore(siteId = DEFAULT_SITE_ID) {
+  if (!snapshotStores.has(siteId)) {
+    snapshotStores.set(siteId, new SnapshotStore(siteId));
+  }
+  return snapshotStores.get(siteId);
+}
+
+/**
+ * Scheduled run: snapshot every site that changed, then apply retention
+ */
+export function snapshotAllSites() {
+  for (const site of getSiteRegistry().listSites()) {
+    try {
+      const store = getSnapshotStore(site.id);
+      store.createSnapshot({ trigger: 'scheduled', skipUnchanged: true });
+      store.applyRetention();
+    } catch (err) {
+      logger.error('Scheduled snapshot failed', { site: site.id, error: err.message });
+    }
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Single-Page Application Fallback
+ *
+ * For sites with client-side routing: GET/HEAD requests for unknown paths
+ * that don't look like assets (no file extension) are answered with the
+ * site's entry HTML file instead of a 404. Paths under an excluded prefix
+ * are never rewritten.
+ *
+ * Settings are per site, stored under "spa" in data/config-override.json:
+ *   { "spa": { "<site id>": { "enabled", "entry", "exclude": [...] } } }
+ */
+
+import path from 'path';
+import config from './config.js';
+import logger from './logger.js';
+import { readConfigOverride, updateConfigOverride } from './config-override.js';
+
+// Parsed settings per site, dropped when the override file changes
+const settingsCache = new Map();
+
+/**
+ * Effective SPA settings of a site
+ */
+export function getSpaSettings(siteId) {
+  if (!settingsCache.has(siteId)) {
+    let stored = {};
+    try {
+      stored = readConfigOverride().spa?.[siteId] || {};
+    } catch (err) {
+      logger.error('Failed to read SPA settings', { site: siteId, error: err.message });
+    }
+    settingsCache.set(siteId, {
+      enabled: stored.enabled ?? config.spa.enabled,
+      entry: stored.entry || config.spa.entry,
+      exclude: stored.exclude || config.spa.exclude,
+    });
+  }
+  return settingsCache.get(siteId);
+}
+
+/**
+ * Forget cached settings (after the override file changed)
+ */
+export function reloadSpaSettings() {
+  settingsCache.clear();
+}
+
+/**
+ * Validate and persist a site's SPA settings
+ */
+export function setSpaSettings(siteId, { enabled, entry, exclude } = {}) {
+  const current = getSpaSettings(siteId);
+  const next = {
+    enabled: enabled === undefined ? current.enabled : !!enabled,
+    entry: entry === undefined ? current.entry : String(entry).replace(/^\/+/, ''),
+    exclude: exclude === undefined ? current.exclude : exclude,
+  };
+
+  if (!next.entry || !next.entry.endsWith('.html') || path.normalize(next.entry).startsWith('..')) {
+    return { ok: false, error: 'entry must be an .html file inside the site' };
+  }
+  if (!Array.isArray(next.exclude) || !next.exclude.every(prefix => typeof prefix === 'string' && prefix.startsWith('/'))) {
+    return { ok: false, error: 'exclude must be a list of path prefixes starting with /' };
+  }
+
+  updateConfigOverride(cfg => {
+    cfg.spa = { ...(cfg.spa || {}), [siteId]: next };
+  });
+  settingsCache.set(siteId, next);
+  logger.info('SPA settings updated', { site: siteId, ...next });
+  return { ok: true, settings: next };
+}
+
+/**
+ * Whether a request should get the entry file instead of a 404
+ */
+export function shouldFallback(settings, req) {
+  if (!settings.enabled || (req.method !== 'GET' && req.method !== 'HEAD')) return false;
+  // Asset-looking paths (app.js, logo.png) stay 404 so broken links are visible
+  if (path.posix.extname(req.path)) return false;
+  return !settings.exclude.some(prefix => {
+    const base = prefix.replace(/\/+$/, '');
+    return req.path === base || req.path.startsWith(`${base}/`);
+  });
+}
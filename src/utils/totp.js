@@ -0,0 +1,123 @@
+/**
+ * Time-based One-Time Passwords (RFC 6238)
+ *
+ * HMAC-SHA1, 30-second steps, 6 digits: the parameters every authenticator
+ * app supports. Secrets are base32 encoded for the otpauth:// provisioning
+ * URI (rendered as a QR code by the panel or typed in by hand).
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Accept codes from one step before/after to absorb clock drift
+const DRIFT_STEPS = 1;
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+export function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random secret (160 bits, as recommended by RFC 4226)
+ */
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Time step of a timestamp
+ */
+export function timeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Code for a secret at a time step
+ */
+export function totpCode(secret, step = timeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code; returns the matching time step, or null
+ * Steps at or before `lastStep` are refused so a code can't be replayed
+ */
+export function verifyTotp(secret, code, { now = Date.now(), lastStep = -1 } = {}) {
+  if (!/^\d{6}$/.test(code || '')) return null;
+  const current = timeStep(now);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (step <= lastStep) continue;
+    const expected = totpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return step;
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (encode it as a QR code)
+ */
+export function provisioningUri({ secret, issuer, account }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Single-use recovery codes, formatted xxxxx-xxxxx
+ */
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+/**
+ * Stored form of a recovery code (they are random, so a plain hash suffices)
+ */
+export function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+}
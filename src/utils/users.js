@@ -3,6 +3,13 @@ import path from 'path';
 import bcrypt from 'bcryptjs';
 import config from './config.js';
 import logger from './logger.js';
+import {
+  generateSecret,
+  provisioningUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from './totp.js';
 
 const USERS_FILE = path.join(config.paths.data, 'users.json');
 
@@ -13,11 +20,16 @@ function ensureFile() {
   }
 }
 
+function readUsers() {
+  ensureFile();
+  return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+}
+
 export function listUsers(role) {
   try {
     ensureFile();
     const data = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
-    return (data[role] || []).map(u => ({ username: u.username }));
+    return (data[role] || []).map(u => ({ username: u.username, roles: u.roles || [] }));
   } catch (err) {
     logger.error('List users error', { error: err.message });
     return [];
@@ -47,6 +59,7 @@ export function removeUser(role, username) {
     ensureFile();
     const data = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
     data[role] = (data[role] || []).filter(u => u.username !== username);
+    if (data.totp?.[role]) delete data.totp[role][username];
     fs.writeFileSync(USERS_FILE, JSON.stringify(data, null, 2), 'utf8');
     return { ok: true };
   } catch (err) {
@@ -67,3 +80,159 @@ export function verifyUser(role, username, passwordPlain) {
     return false;
   }
 }
+
+/**
+ * Whether an account exists (in users.json or as the role's configured user)
+ */
+export function userExists(role, username) {
+  const configured = role === 'maintenance' ? config.maintenanceAuth.username : config.admin.username;
+  return username === configured || listUsers(role).some(u => u.username === username);
+}
+
+/**
+ * Roles assigned to an account (empty: full access to its panel)
+ */
+export function getUserRoles(role, username) {
+  try {
+    const user = (readUsers()[role] || []).find(u => u.username === username);
+    return user?.roles || [];
+  } catch (err) {
+    logger.error('Get user roles error', { error: err.message });
+    return [];
+  }
+}
+
+/**
+ * Assign roles to an account stored in users.json (an empty list restores
+ * full access). The configured account always keeps full access.
+ */
+export function setUserRoles(role, username, roles) {
+  try {
+    const data = readUsers();
+    const user = (data[role] || []).find(u => u.username === username);
+    if (!user) return { ok: false, error: 'Roles can only be assigned to accounts added in the panel' };
+    if (roles.length) user.roles = roles;
+    else delete user.roles;
+    fs.writeFileSync(USERS_FILE, JSON.stringify(data, null, 2), 'utf8');
+    return { ok: true };
+  } catch (err) {
+    logger.error('Set user roles error', { error: err.message });
+    return { ok: false, error: err.message };
+  }
+}
+
+// TOTP enrollment, stored per role and username under "totp" in users.json
+
+function updateTotp(role, username, mutate) {
+  const data = readUsers();
+  data.totp = data.totp || {};
+  data.totp[role] = data.totp[role] || {};
+  let changed = false;
+  const result = mutate(data.totp[role][username] || null, record => {
+    if (record) data.totp[role][username] = record;
+    else delete data.totp[role][username];
+    changed = true;
+  });
+  // Failed checks leave the file alone
+  if (changed) fs.writeFileSync(USERS_FILE, JSON.stringify(data, null, 2), 'utf8');
+  return result;
+}
+
+/**
+ * TOTP state of a user: { enrolled, pending, recoveryCodesLeft }
+ */
+export function getTotpStatus(role, username) {
+  const record = readUsers().totp?.[role]?.[username];
+  return {
+    enrolled: !!record?.enabled,
+    pending: !!record && !record.enabled,
+    confirmedAt: record?.confirmedAt || null,
+    recoveryCodesLeft: record?.recoveryCodes?.length || 0,
+  };
+}
+
+/**
+ * Start (or restart) enrollment: a new secret that becomes active once a
+ * code from it is confirmed. An existing enrollment stays active until then.
+ */
+export function beginTotpEnrollment(role, username) {
+  const secret = generateSecret();
+  updateTotp(role, username, (record, save) => save({ ...record, enabled: record?.enabled || false, pendingSecret: secret }));
+  logger.info('TOTP enrollment started', { role, username });
+  return {
+    secret,
+    uri: provisioningUri({ secret, issuer: config.twoFactor.issuer, account: `${username} (${role})` }),
+  };
+}
+
+/**
+ * Confirm enrollment with a code from the new secret
+ * Returns fresh recovery codes (shown once), or null if the code is wrong
+ */
+export function confirmTotpEnrollment(role, username, code) {
+  return updateTotp(role, username, (record, save) => {
+    if (!record?.pendingSecret) return null;
+    const step = verifyTotp(record.pendingSecret, code);
+    if (step === null) return null;
+
+    const recoveryCodes = generateRecoveryCodes();
+    save({
+      enabled: true,
+      secret: record.pendingSecret,
+      lastStep: step,
+      confirmedAt: new Date().toISOString(),
+      recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+    });
+    logger.info('TOTP enrolled', { role, username });
+    return recoveryCodes;
+  });
+}
+
+/**
+ * Replace a user's recovery codes; returns the new codes, or null if not enrolled
+ */
+export function regenerateRecoveryCodes(role, username) {
+  return updateTotp(role, username, (record, save) => {
+    if (!record?.enabled) return null;
+    const recoveryCodes = generateRecoveryCodes();
+    save({ ...record, recoveryCodes: recoveryCodes.map(hashRecoveryCode) });
+    logger.info('TOTP recovery codes regenerated', { role, username });
+    return recoveryCodes;
+  });
+}
+
+/**
+ * Remove a user's TOTP enrollment
+ */
+export function disableTotp(role, username) {
+  return updateTotp(role, username, (record, save) => {
+    save(null);
+    if (record) logger.warn('TOTP disabled', { role, username });
+    return !!record;
+  });
+}
+
+/**
+ * Check a login code: a current TOTP code (never the same one twice) or an
+ * unused recovery code, which is then spent. Returns 'totp', 'recovery' or null.
+ */
+export function verifyTotpLogin(role, username, code) {
+  const input = String(code || '').trim();
+  return updateTotp(role, username, (record, save) => {
+    if (!record?.enabled) return null;
+
+    const step = verifyTotp(record.secret, input, { lastStep: record.lastStep ?? -1 });
+    if (step !== null) {
+      save({ ...record, lastStep: step });
+      return 'totp';
+    }
+
+    const hash = hashRecoveryCode(input);
+    if (input && record.recoveryCodes?.includes(hash)) {
+      save({ ...record, recoveryCodes: record.recoveryCodes.filter(h => h !== hash) });
+      logger.warn('TOTP recovery code used', { role, username, left: record.recoveryCodes.length - 1 });
+      return 'recovery';
+    }
+    return null;
+  });
+}
@@ -7,7 +7,9 @@
  * - Monitors memory usage
  * - Prevents crash loops
  * - Triggers maintenance mode if health is critical
- * - Coordinates graceful rolling restarts
+ * - Coordinates graceful rolling restarts, gated on readiness probes
+ * - Retires drained workers without replacing them (autoscaling)
+ * - Leaves the workers of a blue/green deployment to the deployment
  * 
  * The watchdog is the master process's primary defense mechanism
  * against any worker failure scenario.
@@ -17,7 +19,13 @@ import config from '../utils/config.js';
 import logger from '../utils/logger.js';
 import { HEALTH_STATUS, HealthMonitor } from '../health/monitor.js';
 import { getMaintenanceManager } from '../maintenance/manager.js';
+import { getSiteRegistry } from '../utils/sites.js';
 import * as emailAlerts from '../email/alerts.js';
+import fetch from 'node-fetch';
+
+// Pause between readiness probes of a replacement worker
+const PROBE_INTERVAL_MS = 250;
+const PROBE_TIMEOUT_MS = 2000;
 
 /**
  * Watchdog coordinator
@@ -35,6 +43,15 @@ export class Watchdog {
     // Track if we're in a controlled restart sequence
     this.isRollingRestart = false;
     this.rollingRestartQueue = [];
+    // Progress of the current (or last) rolling restart, for the ops panel
+    this.rollingRestart = null;
+
+    // Workers draining for a scale-down; their exit is not a crash
+    this.retiringWorkers = new Set();
+
+    // Workers of both generations while a blue/green deployment runs;
+    // the deployment decides what their exit means
+    this.deploymentWorkers = new Set();
     
     // Check interval - verify worker health every 2 seconds
     this.checkInterval = null;
@@ -77,7 +94,7 @@ export class Watchdog {
    * Record a worker's heartbeat
    */
   recordHeartbeat(workerId, healthData) {
-    this.healthMonitor.registerWorker(workerId);
+    // Registers the worker on its first heartbeat; later ones keep its history
     this.healthMonitor.processHeartbeat(workerId, healthData);
   }
 
@@ -87,6 +104,16 @@ export class Watchdog {
   onWorkerExit(worker, code, signal) {
     const workerId = worker.id;
     const exitReason = signal ? `signal ${signal}` : `code ${code}`;
+
+    if (this.retiringWorkers.delete(workerId)) {
+      logger.info('Retired worker exited', { workerId, exitReason });
+      return;
+    }
+
+    if (this.deploymentWorkers.has(workerId)) {
+      logger.warn('Deployment worker exited', { workerId, exitReason });
+      return;
+    }
     
     logger.warn('Worker exited', {
       workerId,
@@ -205,8 +232,10 @@ export class Watchdog {
         );
       }
 
-      // Check for auto-disable of maintenance mode
-      getMaintenanceManager().checkAutoDisable();
+      // Check for auto-disable of maintenance mode on every site
+      for (const site of getSiteRegistry().listSites()) {
+        getMaintenanceManager(site.id).checkAutoDisable();
+      }
 
     } catch (err) {
       // Never let the watchdog crash
@@ -218,50 +247,184 @@ export class Watchdog {
 
   /**
    * Graceful rolling restart of all workers
-   * Restarts workers one at a time, maintaining availability
+   * Replaces workers one at a time, maintaining availability. Each
+   * replacement must pass a readiness probe before its predecessor is
+   * drained; the first one that fails aborts the restart, leaving the
+   * remaining old workers running.
    */
   async gracefulRollingRestart(reason = 'Configuration updated') {
     if (this.isRollingRestart) {
       logger.warn('Rolling restart already in progress');
-      return;
+      return this.rollingRestart;
+    }
+    if (this.deploymentWorkers.size > 0) {
+      logger.warn('Rolling restart skipped: blue/green deployment in progress', { reason });
+      return this.rollingRestart;
     }
 
     this.isRollingRestart = true;
     const startTime = Date.now();
 
+    // Workers already retiring are left to finish draining
+    const workers = Object.values(this.cluster.workers || {}).filter(w => w && !this.retiringWorkers.has(w.id));
+    const progress = {
+      reason,
+      status: 'running',
+      total: workers.length,
+      steps: [],
+      error: null,
+      startedAt: new Date(startTime).toISOString(),
+      finishedAt: null,
+    };
+    this.rollingRestart = progress;
+
     try {
       logger.info('Starting graceful rolling restart', {
         reason,
-        workerCount: Object.keys(this.cluster.workers || {}).length,
+        workerCount: workers.length,
       });
 
-      await emailAlerts.alertRollingRestartStarted(
-        Object.keys(this.cluster.workers || {}).length,
-        reason
-      );
-
-      // Get list of workers to restart
-      const workers = Object.values(this.cluster.workers || {}).filter(w => w);
+      await emailAlerts.alertRollingRestartStarted(workers.length, reason);
 
       for (const worker of workers) {
-        await this.gracefullyRestartWorker(worker);
+        const step = await this.replaceWorker(worker, progress);
+        if (step.status === 'failed') {
+          progress.status = 'aborted';
+          progress.error = step.error;
+          break;
+        }
       }
 
       const durationSeconds = Math.round((Date.now() - startTime) / 1000);
-      logger.info('Rolling restart completed', {
-        duration: `${durationSeconds}s`,
-        workersRestarted: workers.length,
-      });
-
-      await emailAlerts.alertRollingRestartCompleted(workers.length, durationSeconds);
+      const replaced = progress.steps.filter(step => step.status === 'done').length;
+
+      if (progress.status === 'aborted') {
+        const remaining = workers.length - replaced;
+        logger.error('Rolling restart aborted: replacement worker not ready', {
+          error: progress.error,
+          workersRestarted: replaced,
+          oldWorkersRemaining: remaining,
+        });
+        await emailAlerts.alertRollingRestartAborted(progress.steps.at(-1), replaced, remaining, reason);
+      } else {
+        progress.status = 'completed';
+        logger.info('Rolling restart completed', {
+          duration: `${durationSeconds}s`,
+          workersRestarted: replaced,
+        });
+        await emailAlerts.alertRollingRestartCompleted(replaced, durationSeconds);
+      }
 
     } catch (err) {
+      progress.status = 'aborted';
+      progress.error = err.message;
       logger.error('Error during rolling restart', {
         error: err.message,
       });
     } finally {
+      progress.finishedAt = new Date().toISOString();
       this.isRollingRestart = false;
     }
+
+    return progress;
+  }
+
+  /**
+   * One rolling restart step: fork a replacement, wait until it is ready,
+   * then drain the old worker. A replacement that is not ready in time is
+   * retired instead and the old worker keeps serving.
+   */
+  async replaceWorker(worker, progress) {
+    const step = {
+      workerId: worker.id,
+      replacementId: null,
+      status: 'starting',
+      error: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+    };
+    progress.steps.push(step);
+
+    const replacement = this.cluster.fork();
+    step.replacementId = replacement.id;
+    logger.info('Spawning replacement worker', { workerId: worker.id, replacementId: replacement.id });
+
+    const readiness = await this.waitForReadiness(replacement, step);
+    if (!readiness.ready) {
+      step.status = 'failed';
+      step.error = readiness.error;
+      logger.warn('Replacement worker failed readiness probe', {
+        workerId: worker.id,
+        replacementId: replacement.id,
+        error: readiness.error,
+      });
+      if (!replacement.isDead()) {
+        // One that never listened has no connections to drain
+        await this.retireWorker(replacement, { immediate: !readiness.listening });
+      }
+    } else {
+      step.status = 'draining';
+      // (a worker that crashed meanwhile has nothing left to drain)
+      if (!worker.isDead()) {
+        await this.retireWorker(worker);
+      }
+      step.status = 'done';
+    }
+
+    step.finishedAt = new Date().toISOString();
+    return step;
+  }
+
+  /**
+   * Readiness probe for a freshly forked worker: it must start listening
+   * and answer /internal/health itself with 200 (plugin health checks
+   * included) within config.cluster.readinessTimeoutMs.
+   * Connections are spread over all workers, so probes answered by
+   * another worker are retried.
+   */
+  async waitForReadiness(worker, step = {}) {
+    const deadline = Date.now() + config.cluster.readinessTimeoutMs;
+
+    const startError = await new Promise((resolve) => {
+      const finish = (error) => {
+        clearTimeout(timer);
+        worker.removeListener('listening', onListening);
+        worker.removeListener('exit', onExit);
+        resolve(error);
+      };
+      const onListening = () => finish(null);
+      const onExit = (code, signal) => finish(`Worker exited before listening (${signal ? `signal ${signal}` : `code ${code}`})`);
+      const timer = setTimeout(() => finish('Worker did not start listening'), config.cluster.readinessTimeoutMs);
+      worker.once('listening', onListening);
+      worker.once('exit', onExit);
+    });
+    if (startError) return { ready: false, listening: false, error: startError };
+
+    step.status = 'probing';
+    const url = `http://${probeHost()}:${config.port}/internal/health`;
+    let lastError = 'Health check never reached the worker';
+
+    while (Date.now() < deadline) {
+      if (worker.isDead()) return { ready: false, listening: true, error: 'Worker exited during readiness probe' };
+
+      try {
+        const res = await fetch(url, { headers: { Connection: 'close' }, timeout: PROBE_TIMEOUT_MS });
+        const body = await res.json();
+        if (body.workerId === worker.id) {
+          if (res.ok) return { ready: true, listening: true };
+          const failing = (body.plugins || []).filter(check => !check.healthy).map(check => `${check.plugin}/${check.name}`);
+          lastError = failing.length
+            ? `Plugin health checks failing: ${failing.join(', ')}`
+            : `Health check answered ${res.status}`;
+        }
+      } catch (err) {
+        lastError = `Health check failed: ${err.message}`;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, PROBE_INTERVAL_MS));
+    }
+
+    return { ready: false, listening: true, error: lastError };
   }
 
   /**
@@ -308,6 +471,34 @@ export class Watchdog {
     });
   }
 
+  /**
+   * Drain a worker and let it exit without a replacement (scale-down)
+   * Resolves once it has exited; `immediate` kills it without draining
+   */
+  retireWorker(worker, { immediate = false } = {}) {
+    const workerId = worker.id;
+    this.retiringWorkers.add(workerId);
+    logger.info('Retiring worker', { workerId });
+
+    return new Promise((resolve) => {
+      if (worker.isConnected() && !immediate) {
+        worker.send({ cmd: 'drain' });
+      } else {
+        worker.kill();
+      }
+
+      const drainTimeout = setTimeout(() => {
+        logger.warn('Drain timeout exceeded, killing worker', { workerId });
+        worker.kill();
+      }, config.cluster.drainTimeoutMs);
+
+      worker.once('exit', () => {
+        clearTimeout(drainTimeout);
+        resolve();
+      });
+    });
+  }
+
   /**
    * Restart a specific worker by ID
    */
@@ -330,6 +521,13 @@ export class Watchdog {
     return this.healthMonitor;
   }
 
+  /**
+   * Progress of the current (or last) rolling restart, null if none ran
+   */
+  getRollingRestartStatus() {
+    return this.rollingRestart;
+  }
+
   /**
    * Get watchdog status
    */
@@ -337,9 +535,61 @@ export class Watchdog {
     return {
       isMonitoring: !!this.checkInterval,
       isRollingRestart: this.isRollingRestart,
+      rollingRestart: this.rollingRestart,
       systemHealth: this.healthMonitor.getSystemHealth(),
       workers: this.healthMonitor.getAllWorkerSummaries(),
       maintenanceActive: getMaintenanceManager().getState().enabled,
     };
   }
 }
+
+/**
+ * Loopback address of the workers' listener, for readiness probes
+ */
+function probeHost() {
+  if (!config.host || config.host === '0.0.0.0') return '127.0.0.1';
+  if (config.host === '::') return '[::1]';
+  return config.host.includes(':') ? `[${config.host}]` : config.host;
+}
+
+/**
+ * Ask the master to start a rolling restart (from a worker)
+ * Returns false when not running under the cluster master
+ */
+export function requestRollingRestart(reason) {
+  if (!process.send) return false;
+  process.send({ type: 'rolling-restart', reason });
+  return true;
+}
+
+// Status requests waiting for the master's answer, by request id
+const pendingStatus = new Map();
+let nextStatusId = 1;
+
+/**
+ * Ask the master for rolling restart progress (from a worker)
+ */
+export function requestRollingRestartStatus(timeoutMs = 3000) {
+  if (!process.send) return Promise.reject(new Error('Rolling restarts run in the cluster master'));
+
+  return new Promise((resolve, reject) => {
+    const requestId = nextStatusId++;
+    const timer = setTimeout(() => {
+      pendingStatus.delete(requestId);
+      reject(new Error('Timed out waiting for rolling restart status'));
+    }, timeoutMs);
+    pendingStatus.set(requestId, { resolve, timer });
+    process.send({ type: 'rolling-restart-status-request', requestId });
+  });
+}
+
+/**
+ * Deliver the master's answer to a pending status request
+ */
+export function resolveRollingRestartStatus({ requestId, result }) {
+  const pending = pendingStatus.get(requestId);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pendingStatus.delete(requestId);
+  pending.resolve(result);
+}
@@ -14,6 +14,7 @@ import path from 'path';
 import logger from '../utils/logger.js';
 import config from '../utils/config.js';
 import { getMaintenanceManager } from '../maintenance/manager.js';
+import { getSiteRegistry } from '../utils/sites.js';
 
 /**
  * File change debouncer
@@ -53,14 +54,15 @@ class Debouncer {
 }
 
 /**
- * Watch static site directory for changes
+ * Watch every site root for changes
  * Reloads content without restarting workers
  */
 export function watchStaticSite(onContentChanged) {
   const debouncer = new Debouncer(config.watchers.debounceMs);
   let isReady = false;
+  let roots = getSiteRegistry().listSites().map(site => site.root);
 
-  const watcher = chokidar.watch(config.staticSiteDir, {
+  const watcher = chokidar.watch(roots, {
     ignored: config.watchers.ignored,
     persistent: true,
     awaitWriteFinish: {
@@ -73,14 +75,14 @@ export function watchStaticSite(onContentChanged) {
     .on('ready', () => {
       isReady = true;
       logger.info('Static site watcher ready', {
-        directory: config.staticSiteDir,
+        directories: roots,
       });
     })
     .on('add', (filepath) => {
       if (!isReady) return; // Ignore initial discovery
       
       logger.debug('Static file added', { path: filepath });
-      debouncer.debounce('content-change', () => {
+      debouncer.debounce(`content-change:${filepath}`, () => {
         logger.info('Static content changed (add)', { path: filepath });
         onContentChanged?.('add', filepath);
       });
@@ -89,7 +91,7 @@ export function watchStaticSite(onContentChanged) {
       if (!isReady) return;
 
       logger.debug('Static file changed', { path: filepath });
-      debouncer.debounce('content-change', () => {
+      debouncer.debounce(`content-change:${filepath}`, () => {
         logger.info('Static content changed (modify)', { path: filepath });
         onContentChanged?.('change', filepath);
       });
@@ -100,6 +102,12 @@ export function watchStaticSite(onContentChanged) {
       logger.info('Static file deleted', { path: filepath });
       onContentChanged?.('unlink', filepath);
     })
+    .on('unlinkDir', (dirpath) => {
+      if (!isReady) return;
+
+      logger.info('Static directory deleted', { path: dirpath });
+      onContentChanged?.('unlinkDir', dirpath);
+    })
     .on('error', (err) => {
       logger.error('Static site watcher error', {
         error: err.message,
@@ -108,6 +116,17 @@ export function watchStaticSite(onContentChanged) {
 
   return {
     watcher,
+    /**
+     * Re-read site roots from the registry after sites change
+     */
+    refreshSites: () => {
+      const next = getSiteRegistry().listSites().map(site => site.root);
+      const added = next.filter(root => !roots.includes(root));
+      const removed = roots.filter(root => !next.includes(root));
+      if (added.length) watcher.add(added);
+      if (removed.length) watcher.unwatch(removed);
+      roots = next;
+    },
     destroy: () => {
       debouncer.destroy();
       return watcher.close();
@@ -132,5 +132,1127 @@ export function createTestSuite() {
     assert.assert(validated !== null, 'Key should validate');
   });
 
+  // Plugin system tests
+  runner.test('Plugin middleware skips disabled plugins', async (assert) => {
+    const { Plugin, PluginManager } = await import('../src/utils/plugin-system.js');
+    const manager = new PluginManager();
+    const calls = [];
+
+    class TestPlugin extends Plugin {
+      getMiddleware() {
+        return [(req, res, next) => { calls.push(this.name); next(); }];
+      }
+    }
+
+    manager.registerPlugin('first', new TestPlugin('first'));
+    manager.registerPlugin('second', new TestPlugin('second'));
+    manager.setEnabled('first', false);
+
+    const handler = manager.middlewareHandler();
+    await new Promise(resolve => handler({}, {}, resolve));
+    assert.assertEqual(calls.join(','), 'second', 'Only enabled plugin middleware should run');
+  });
+
+  // Multi-site tests
+  runner.test('Site registry resolves hosts to sites', async (assert) => {
+    const { SiteRegistry } = await import('../src/utils/sites.js');
+    const registry = new SiteRegistry();
+    registry.save = () => {};
+    registry.sites.set('shop', registry.normalizeSite({ id: 'shop', hosts: ['shop.example.com'] }));
+    registry.sites.set('promo', registry.normalizeSite({ id: 'promo', hosts: ['*.example.com'] }));
+
+    assert.assertEqual(registry.resolveHost('Shop.Example.com:8080').id, 'shop', 'Exact host should win');
+    assert.assertEqual(registry.resolveHost('sale.example.com').id, 'promo', 'Wildcard should match subdomains');
+    assert.assertEqual(registry.resolveHost('other.test').id, 'default', 'Unknown hosts use the default site');
+
+    const { default: config } = await import('../src/utils/config.js');
+    for (const root of [config.paths.data, '/', config.sites.rootDir, `${config.sites.rootDir}/../data`]) {
+      assert.assert(!registry.addSite({ id: 'leak', root }).ok, `Root ${root} is refused`);
+    }
+    assert.assertEqual(registry.getSite('leak'), null, 'Refused sites are not registered');
+  });
+
+  // Release tests
+  runner.test('Release activation and rollback switch the pointer', async (assert) => {
+    const fs = await import('fs');
+    const os = await import('os');
+    const path = await import('path');
+    const { ReleaseManager } = await import('../src/utils/releases.js');
+    const { getSiteDataDir } = await import('../src/utils/sites.js');
+    const src = fs.mkdtempSync(path.join(os.tmpdir(), 'smplus-release-'));
+    const releases = new ReleaseManager('test-releases');
+
+    try {
+      fs.writeFileSync(path.join(src, 'index.html'), 'v1');
+      const first = await releases.createFromDirectory(src);
+      releases.activate(first.id);
+      fs.writeFileSync(path.join(src, 'index.html'), 'v2');
+      const second = await releases.createFromDirectory(src);
+      releases.activate(second.id);
+
+      assert.assertEqual(fs.readFileSync(path.join(releases.getActiveRoot(), 'index.html'), 'utf8'), 'v2', 'Second release should be live');
+      assert.assert(releases.rollback().ok, 'Rollback should succeed');
+      assert.assertEqual(releases.getActiveRelease(), first.id, 'Rollback should restore the first release');
+
+      // Uploaded archives are unpacked within the .smp limits
+      const { default: AdmZip } = await import('adm-zip');
+      const { default: config } = await import('../src/utils/config.js');
+      const zip = new AdmZip();
+      zip.addFile('site/index.html', Buffer.from('v3'));
+      zip.addFile('site/assets/app.js', Buffer.from('0'.repeat(4096)));
+      const uploaded = await releases.createFromZip(zip.toBuffer());
+      assert.assertEqual(fs.readFileSync(path.join(releases.filesDir(uploaded.id), 'index.html'), 'utf8'), 'v3', 'Single top-level directory is unwrapped');
+      const saved = { ...config.smp };
+      try {
+        config.smp.maxTotalBytes = 1024;
+        let error = null;
+        try { await releases.createFromZip(zip.toBuffer()); } catch (err) { error = err.message; }
+        assert.assert(error && error.includes('expands beyond'), 'Archives expanding past the limit are refused');
+        config.smp.maxEntries = 1;
+        error = null;
+        try { await releases.createFromZip(zip.toBuffer()); } catch (err) { error = err.message; }
+        assert.assert(error && error.includes('entries'), 'Too many entries are refused');
+      } finally {
+        Object.assign(config.smp, saved);
+      }
+      assert.assertEqual(releases.listReleases().length, 3, 'Refused uploads leave no release behind');
+    } finally {
+      fs.rmSync(src, { recursive: true, force: true });
+      fs.rmSync(getSiteDataDir('test-releases'), { recursive: true, force: true });
+    }
+  });
+
+  // File cache tests
+  runner.test('File cache evicts least recently used entries', async (assert) => {
+    const { FileCache } = await import('../src/utils/file-cache.js');
+    const cache = new FileCache({ enabled: true, maxBytes: 10, maxFileBytes: 10 });
+    const entry = bytes => ({ body: Buffer.alloc(bytes), bytes, size: bytes, mtimeMs: 1 });
+
+    cache.set('/a', entry(4));
+    cache.set('/b', entry(4));
+    const { hit } = await cache.load('/a', { size: 4, mtimeMs: 1 });
+    assert.assert(hit, 'Unchanged file should be a cache hit');
+    cache.set('/c', entry(4));
+
+    assert.assert(cache.entries.has('/a'), 'Recently used entry should stay');
+    assert.assert(!cache.entries.has('/b'), 'Least recently used entry should be evicted');
+    assert.assertEqual(cache.totalBytes, 8, 'Byte count should follow evictions');
+  });
+
+  // Conditional and range request tests
+  runner.test('Range selection honors If-Range and rejects unsatisfiable ranges', async (assert) => {
+    const { default: express } = await import('express');
+    const { selectRanges, isNotModified } = await import('../src/utils/ranges.js');
+    const validators = { etag: '"abc"', lastModified: new Date('2024-01-01T00:00:00Z') };
+    // Express requests, so req.range() parses the header as in the server
+    const request = headers => Object.assign(Object.create(express.request), { method: 'GET', headers });
+
+    const ranges = selectRanges(request({ range: 'bytes=0-9,20-' }), 100, validators);
+    assert.assertEqual(JSON.stringify(ranges), '[{"start":0,"end":9},{"start":20,"end":99}]', 'Ranges should be parsed');
+    assert.assertEqual(selectRanges(request({ range: 'bytes=200-' }), 100, validators), -1, 'Range beyond the end is unsatisfiable');
+    assert.assertEqual(selectRanges(request({ range: 'bytes=0-9', 'if-range': '"old"' }), 100, validators), null, 'Stale If-Range sends the full body');
+    assert.assert(isNotModified(request({ 'if-none-match': 'W/"abc"' }), validators), 'Matching ETag is not modified');
+    assert.assert(isNotModified(request({ 'if-modified-since': 'Mon, 01 Jan 2024 00:00:00 GMT' }), validators), 'Unchanged date is not modified');
+  });
+
+  // Precompression tests
+  runner.test('Precompressed siblings are ignored once the source changes', async (assert) => {
+    const fs = await import('fs');
+    const os = await import('os');
+    const path = await import('path');
+    const { precompressFile, findPrecompressed } = await import('../src/utils/precompress.js');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smplus-precompress-'));
+    const file = path.join(dir, 'app.js');
+
+    try {
+      fs.writeFileSync(file, 'console.log("hello");\n'.repeat(200));
+      assert.assert(await precompressFile(file), 'Siblings should be written');
+      const fresh = await findPrecompressed(file, fs.statSync(file));
+      assert.assert(fresh.br && fresh.gzip, 'Both encodings should be available');
+
+      const later = new Date(Date.now() + 5000);
+      fs.utimesSync(file, later, later);
+      const stale = await findPrecompressed(file, fs.statSync(file));
+      assert.assertEqual(Object.keys(stale).length, 0, 'Stale siblings should not be served');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  // Redirect and header rule tests
+  runner.test('Site rules expand placeholders and match header globs', async (assert) => {
+    const { SiteRules, parseRedirects, parseHeaders, isRuleFile } = await import('../src/utils/site-rules.js');
+    const rules = new SiteRules('/nonexistent-site-root');
+    rules.redirects = parseRedirects('/blog/:year/*  /posts/:year/:splat  200\n/old /new 308!\n/go/*  /:splat  301\n/cdn/*  //cdn.example/:splat  302');
+    rules.headers = parseHeaders('/assets/*\n  Cache-Control: no-store\n');
+
+    const rewrite = rules.matchRedirect('/blog/2024/a/b.html');
+    assert.assertEqual(rewrite.target, '/posts/2024/a/b.html', 'Placeholders and splat should expand');
+    assert.assertEqual(rewrite.status, 200, 'Status 200 is a rewrite');
+    assert.assert(rules.matchRedirect('/old').force, 'Trailing ! forces the rule');
+    assert.assertEqual(rules.matchHeaders('/assets/app.css')['Cache-Control'], 'no-store', 'Header glob should match');
+    assert.assertEqual(rules.matchRedirect('/other'), null, 'Unmatched paths have no rule');
+    assert.assertEqual(rules.matchRedirect('/go//evil.example').target, '/evil.example', 'Local targets never become protocol-relative');
+    assert.assertEqual(rules.matchRedirect('/go/\\evil.example').target, '/evil.example', 'Backslashes collapse too');
+    assert.assertEqual(rules.matchRedirect('/cdn/app.js').target, '//cdn.example/app.js', 'Explicit protocol-relative targets stay');
+    assert.assert(isRuleFile('/site/_rules.json.gz') && isRuleFile('/site/docs/_headers'), 'Rule files and their compressed copies are hidden');
+    assert.assert(!isRuleFile('/site/_rules.json.html'), 'Other files are served');
+  });
+
+  // Error page tests
+  runner.test('Error pages prefer the site page and honor Accept', async (assert) => {
+    const fs = await import('fs');
+    const os = await import('os');
+    const path = await import('path');
+    const { sendError } = await import('../src/utils/error-pages.js');
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'smplus-errors-'));
+    const respond = async accepted => {
+      const sent = {};
+      const res = {
+        headersSent: false,
+        status(code) { sent.status = code; return this; },
+        setHeader() {},
+        removeHeader() {},
+        type(type) { sent.type = type; return this; },
+        send(body) { sent.body = body; },
+        json(body) { sent.json = body; },
+      };
+      await sendError({ accepts: () => accepted, site: { id: 'test-errors', root } }, res, 404, 'Not found');
+      return sent;
+    };
+
+    try {
+      assert.assert((await respond('html')).body.includes('Page Not Found'), 'Built-in page is the fallback');
+      fs.writeFileSync(path.join(root, '404.html'), 'custom');
+      const html = await respond('html');
+      assert.assertEqual(html.body, 'custom', 'Site page should be served');
+      assert.assertEqual(html.status, 404, 'Status should be kept');
+      assert.assertEqual((await respond('json')).json.error, 'Not found', 'JSON clients get JSON');
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+
+  // SPA fallback tests
+  runner.test('SPA fallback skips assets, other methods and excluded prefixes', async (assert) => {
+    const { shouldFallback } = await import('../src/utils/spa.js');
+    const settings = { enabled: true, entry: 'index.html', exclude: ['/api', '/admin/'] };
+    const get = path => ({ method: 'GET', path });
+
+    assert.assert(shouldFallback(settings, get('/dashboard/settings')), 'App routes fall back');
+    assert.assert(!shouldFallback(settings, get('/static/app.js')), 'Assets are not rewritten');
+    assert.assert(!shouldFallback(settings, get('/api/users')), 'Excluded prefixes are left alone');
+    assert.assert(!shouldFallback(settings, get('/admin')), 'Prefix itself is excluded');
+    assert.assert(shouldFallback(settings, get('/apiary')), 'Prefixes match whole segments');
+    assert.assert(!shouldFallback(settings, { method: 'POST', path: '/dashboard' }), 'Only GET and HEAD fall back');
+    assert.assert(!shouldFallback({ ...settings, enabled: false }, get('/dashboard')), 'Disabled mode never falls back');
+  });
+
+  // Cluster metrics tests
+  runner.test('Cluster metrics merge worker deltas into histograms', async (assert) => {
+    const { RequestMetrics, ClusterMetrics } = await import('../src/utils/metrics.js');
+    const worker = new RequestMetrics();
+    const cluster = new ClusterMetrics();
+
+    worker.record({ route: 'static', method: 'GET', status: 200, durationMs: 3, bytes: 100 });
+    cluster.merge(1, worker.takeDelta());
+    worker.record({ route: 'static', method: 'GET', status: 200, durationMs: 300, bytes: 50 });
+    cluster.merge(1, worker.takeDelta());
+
+    const text = cluster.getPrometheusMetrics();
+    const series = 'worker="1",route="static",method="GET",status="200"';
+    assert.assert(text.includes(`http_requests_total{${series}} 2`), 'Requests should be summed across deltas');
+    assert.assert(text.includes(`http_request_duration_seconds_bucket{${series},le="0.005"} 1`), 'Fast request in the first bucket');
+    assert.assert(text.includes(`http_request_duration_seconds_bucket{${series},le="0.5"} 2`), 'Buckets are cumulative');
+    assert.assert(text.includes(`http_response_bytes_total{${series}} 150`), 'Bytes should be summed');
+  });
+
+  runner.test('Metrics delta is kept when the master does not answer a scrape', async (assert) => {
+    const { getRequestMetrics, requestClusterMetrics } = await import('../src/utils/metrics.js');
+    const metrics = getRequestMetrics();
+    metrics.takeDelta();
+    metrics.record({ route: 'static', method: 'GET', status: 200, durationMs: 3, bytes: 10 });
+
+    const sent = [];
+    process.send = (message) => sent.push(message);
+    try {
+      let error = null;
+      try { await requestClusterMetrics('prometheus', 10); } catch (err) { error = err.message; }
+      assert.assert(error && error.includes('Timed out'), 'Scrape times out');
+      assert.assertEqual(sent[0].delta.series[0][1].count, 1, 'The delta went with the request');
+    } finally {
+      delete process.send;
+    }
+    metrics.record({ route: 'static', method: 'GET', status: 200, durationMs: 3, bytes: 10 });
+    const [[, series]] = metrics.takeDelta().series;
+    assert.assertEqual(series.count, 2, 'Unanswered counts travel with the next delta');
+    assert.assertEqual(series.bytes, 20, 'Bytes are restored too');
+  });
+
+  runner.test('Metrics scrapes need the token, or loopback without one', async (assert) => {
+    const { checkScrapeAccess } = await import('../src/utils/metrics.js');
+
+    assert.assertEqual(checkScrapeAccess(undefined, '127.0.0.1', ''), null, 'Loopback scrapes without a token');
+    assert.assertEqual(checkScrapeAccess(undefined, '::ffff:127.0.0.1', ''), null, 'Mapped IPv4 loopback counts');
+    assert.assertEqual(checkScrapeAccess(undefined, '10.0.0.5', ''), 403, 'Remote scrapes need a token');
+    assert.assertEqual(checkScrapeAccess('Bearer s3cret', '10.0.0.5', 's3cret'), null, 'Token admits any address');
+    assert.assertEqual(checkScrapeAccess('Bearer s3cre', '10.0.0.5', 's3cret'), 401, 'Shorter token refused');
+    assert.assertEqual(checkScrapeAccess(undefined, '127.0.0.1', 's3cret'), 401, 'Configured token applies to loopback too');
+  });
+
+  // API key scope tests
+  runner.test('API key scopes map panel routes and honor wildcards', async (assert) => {
+    const { resolveScope, hasScope } = await import('../src/utils/api-scopes.js');
+
+    assert.assertEqual(resolveScope('POST', '/maintenance/enable'), 'maintenance:write');
+    assert.assertEqual(resolveScope('POST', '/files/read'), 'files:read', 'Reading a file is a read');
+    assert.assertEqual(resolveScope('POST', '/restart/rolling'), 'workers:restart');
+    assert.assertEqual(resolveScope('POST', '/workers/3/throttle'), 'workers:write');
+    assert.assertEqual(resolveScope('GET', '/releases'), 'releases:read');
+    assert.assertEqual(resolveScope('POST', '/api-keys/generate'), null, 'Key management is session-only');
+    assert.assertEqual(resolveScope('GET', '/unknown/route'), undefined);
+
+    assert.assert(hasScope(['releases:*'], 'releases:write'), 'Area wildcard');
+    assert.assert(hasScope(['write'], 'files:write'), 'Legacy write scope');
+    assert.assert(!hasScope(['write'], 'workers:restart'), 'Privileged scopes need an explicit grant');
+    assert.assertEqual(resolveScope('POST', '/backups/import-smp-upload'), 'backups:write');
+    const { checkRouteAccess } = await import('../src/utils/roles.js');
+    assert.assert(!checkRouteAccess(['read', 'write'], 'POST', '/backups/import-smp-upload').allowed, 'Default keys cannot import .smp archives');
+    assert.assert(!hasScope(['write'], 'sites:write') && !hasScope(['write'], 'config:write'), 'Nor change site roots or config');
+    assert.assert(hasScope(['backups:write'], 'backups:write'), 'An explicit grant still works');
+    assert.assert(!hasScope(['read'], 'files:write'), 'Read does not allow writes');
+    assert.assert(hasScope(['*'], 'workers:restart'), 'Full access');
+  });
+
+  runner.test('API key usage never brings back a key revoked by another worker', async (assert) => {
+    const fs = await import('fs');
+    const path = await import('path');
+    const { APIKeyManager } = await import('../src/utils/api-keys.js');
+    const { default: config } = await import('../src/utils/config.js');
+    const file = path.join(config.paths.data, 'api-keys.json');
+    const saved = fs.existsSync(file) ? fs.readFileSync(file) : null;
+
+    try {
+      // Two workers' views of the same keys file
+      const first = new APIKeyManager();
+      const second = new APIKeyManager();
+      const { key, id } = first.generateKey('ci', ['releases:read']);
+      assert.assert(second.validateKey(key, false), 'The other worker sees the new key');
+
+      await new Promise(resolve => setTimeout(resolve, 20));
+      first.revokeKey(id);
+      second.recordUse(id, { allowed: true, scope: 'releases:read', method: 'GET', path: '/admin/releases' });
+      assert.assert(!JSON.parse(fs.readFileSync(file, 'utf8')).find(k => k.id === id).active, 'The revoke survives the usage write');
+      assert.assertEqual(second.validateKey(key, false), null, 'The revoked key is refused');
+    } finally {
+      if (saved) fs.writeFileSync(file, saved);
+      else fs.rmSync(file, { force: true });
+    }
+  });
+
+  runner.test('API key middleware accepts a valid key and refuses a revoked one', async (assert) => {
+    const fs = await import('fs');
+    const path = await import('path');
+    const { getAPIKeyManager, validateAPIKey } = await import('../src/utils/api-keys.js');
+    const { default: config } = await import('../src/utils/config.js');
+    const file = path.join(config.paths.data, 'api-keys.json');
+    const saved = fs.existsSync(file) ? fs.readFileSync(file) : null;
+    // Runs the middleware, returning the status it answered or 'next'
+    const run = async (key) => {
+      const req = { headers: { authorization: `Bearer ${key}` }, method: 'GET', path: '/api/status', originalUrl: '/api/status' };
+      let status = 'next';
+      const res = { setHeader() {}, status(code) { status = code; return this; }, json() { return this; } };
+      await validateAPIKey(req, res, (err) => { if (err) throw err; });
+      return { status, req };
+    };
+
+    try {
+      const manager = getAPIKeyManager();
+      const { key, id } = manager.generateKey('middleware', ['read']);
+      const accepted = await run(key);
+      assert.assertEqual(accepted.status, 'next', 'A valid key passes');
+      assert.assertEqual(accepted.req.user.id, id, 'The key is attached to the request');
+      manager.revokeKey(id);
+      assert.assertEqual((await run(key)).status, 401, 'A revoked key is refused');
+    } finally {
+      if (saved) fs.writeFileSync(file, saved);
+      else fs.rmSync(file, { force: true });
+    }
+  });
+
+  // Rate limit tests
+  runner.test('Rate limit store enforces token bucket and sliding window', async (assert) => {
+    const { MemoryRateLimitStore } = await import('../src/utils/rate-limit.js');
+    const store = new MemoryRateLimitStore();
+    const bucket = { algorithm: 'token-bucket', limit: 2, windowMs: 1000 };
+    const window = { algorithm: 'sliding-window', limit: 2, windowMs: 1000 };
+
+    assert.assert(store.consume('b', bucket, 0).allowed, 'First token');
+    assert.assert(store.consume('b', bucket, 0).allowed, 'Burst up to the limit');
+    const denied = store.consume('b', bucket, 0);
+    assert.assert(!denied.allowed, 'Bucket empty');
+    assert.assertEqual(denied.retryAfterMs, 500, 'One token refills in window / limit');
+    assert.assert(store.consume('b', bucket, 500).allowed, 'Refilled token');
+
+    store.consume('w', window, 0);
+    store.consume('w', window, 400);
+    const full = store.consume('w', window, 900);
+    assert.assert(!full.allowed, 'Window full');
+    assert.assertEqual(full.retryAfterMs, 100, 'Retry when the oldest request leaves the window');
+    assert.assert(store.consume('w', window, 1000).allowed, 'Window slid');
+
+    store.prune(5000);
+    assert.assertEqual(store.entries.size, 0, 'Idle counters are pruned');
+  });
+
+  // Session registry tests
+  runner.test('Session registry revokes and expires sessions', async (assert) => {
+    const fs = await import('fs');
+    const os = await import('os');
+    const path = await import('path');
+    const { SessionStore } = await import('../src/utils/sessions.js');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    const store = new SessionStore(dir);
+
+    try {
+      const mine = store.create({ username: 'alice', role: 'admin', ip: '10.0.0.1' });
+      const other = store.create({ username: 'alice', role: 'admin' });
+      const ops = store.create({ username: 'bob', role: 'maintenance' });
+      assert.assert(store.validate(mine.id), 'New session is valid');
+      assert.assertEqual(store.list().length, 3);
+
+      assert.assertEqual(store.revokeUser('admin', 'alice', { keepId: mine.id }), 1, "Only the user's other session");
+      assert.assert(!store.validate(other.id), 'Revoked session is rejected');
+      assert.assert(store.validate(mine.id), 'Kept session still valid');
+
+      // Idle for longer than the idle timeout
+      const idleSince = (Date.now() - 24 * 60 * 60 * 1000) / 1000;
+      fs.utimesSync(path.join(dir, `${ops.id}.json`), idleSince, idleSince);
+      assert.assert(!store.validate(ops.id), 'Idle session expires');
+      assert.assert(!fs.existsSync(path.join(dir, `${ops.id}.json`)), 'Expired session is removed');
+      assert.assert(!store.validate('../users'), 'Malformed ids are rejected');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  // TOTP tests
+  runner.test('TOTP matches RFC 6238 vectors and refuses replays', async (assert) => {
+    const { base32Encode, totpCode, verifyTotp, timeStep } = await import('../src/utils/totp.js');
+    // RFC 6238 appendix B, SHA-1 secret "12345678901234567890"
+    const secret = base32Encode(Buffer.from('12345678901234567890'));
+    assert.assertEqual(totpCode(secret, timeStep(59 * 1000)), '287082');
+    assert.assertEqual(totpCode(secret, timeStep(1111111109 * 1000)), '081804');
+
+    const now = 1111111109 * 1000;
+    const step = verifyTotp(secret, '081804', { now });
+    assert.assertEqual(step, timeStep(now), 'Current code accepted');
+    assert.assertEqual(verifyTotp(secret, '081804', { now, lastStep: step }), null, 'Used code refused');
+    assert.assertEqual(verifyTotp(secret, '000000', { now }), null, 'Wrong code refused');
+  });
+
+  // RBAC tests
+  runner.test('Failed TOTP codes lock the pending session and are limited per account', async (assert) => {
+    const { loginHandlers } = await import('../src/utils/auth.js');
+    const { getSessionStore } = await import('../src/utils/sessions.js');
+    const { default: config } = await import('../src/utils/config.js');
+    const { postLogin, postTotp } = loginHandlers('admin', '/admin');
+
+    // Runs a handler, returning the redirect target and the cookie it set
+    const call = async (handler, ip, body, cookie = '') => {
+      const res = { headers: {} };
+      res.status = () => res;
+      res.setHeader = (name, value) => { res.headers[name] = value; };
+      res.end = () => res;
+      res.json = () => res;
+      await handler({ ip, body, headers: { cookie } }, res);
+      return { location: res.headers.Location, cookie: (res.headers['Set-Cookie'] || '').split(';')[0] };
+    };
+    const signIn = async (ip) => (await call(postLogin, ip, { username: config.admin.username, password: config.admin.password })).cookie;
+    const sessionsBefore = getSessionStore().list().length;
+
+    // Failures spread over several IPs still lock the session
+    const cookie = await signIn('198.51.100.1');
+    let last;
+    for (let i = 0; i < 5; i++) {
+      last = await call(postTotp, `198.51.100.${10 + i}`, { code: '000000' }, cookie);
+    }
+    assert.assertEqual(last.location, '/admin/login?e=1', 'The fifth failure sends the user back to the password');
+    assert.assertEqual(getSessionStore().list().length, sessionsBefore, 'The pending session is revoked');
+    assert.assertEqual((await call(postTotp, '198.51.100.20', { code: '000000' }, cookie)).location, '/admin/login', 'The locked session cannot try again');
+
+    // Fresh password logins do not reset the account's budget
+    const second = await signIn('198.51.100.2');
+    for (let i = 0; i < 5; i++) {
+      await call(postTotp, `198.51.100.${30 + i}`, { code: '000000' }, second);
+    }
+    const third = await signIn('198.51.100.3');
+    assert.assertEqual((await call(postTotp, '198.51.100.40', { code: '000000' }, third)).location, '/admin/login?step=totp&e=2', 'Attempts per account are limited across IPs and sessions');
+    await call(loginHandlers('admin', '/admin').postLogout, '198.51.100.3', {}, third);
+  });
+
+  runner.test('Roles grant panel routes through their permissions', async (assert) => {
+    const { getRoleManager, checkRouteAccess, isUIRoute } = await import('../src/utils/roles.js');
+    const roles = getRoleManager();
+
+    const viewer = roles.permissionsFor(['viewer']);
+    assert.assert(checkRouteAccess(viewer, 'GET', '/metrics').allowed, 'Viewer reads metrics');
+    assert.assert(!checkRouteAccess(viewer, 'POST', '/cache/clear').allowed, 'Viewer cannot clear cache');
+
+    const deployer = roles.permissionsFor(['deployer', 'no-such-role']);
+    assert.assert(checkRouteAccess(deployer, 'POST', '/releases/abc/activate').allowed, 'Deployer activates releases');
+    assert.assert(checkRouteAccess(deployer, 'POST', '/restart/rolling').allowed, 'Deployer restarts workers');
+    assert.assert(!checkRouteAccess(deployer, 'POST', '/files/write').allowed, 'Deployer cannot write files');
+
+    assert.assert(!checkRouteAccess(['*'], 'POST', '/roles').allowed, 'Role management is session-only');
+    assert.assert(isUIRoute('GET', '/'), 'Dashboard page is open to every account');
+    assert.assertEqual(roles.saveRole('viewer', { permissions: ['*'] }).ok, false, 'Built-in roles are read-only');
+  });
+
+  // Audit journal tests
+  runner.test('Audit journal chains entries and detects tampering', async (assert) => {
+    const fs = await import('fs');
+    const os = await import('os');
+    const path = await import('path');
+    const { AuditJournal, toCsv } = await import('../src/utils/audit.js');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    const file = path.join(dir, 'audit.jsonl');
+    try {
+      const journal = new AuditJournal(file);
+      journal.append({ actor: 'admin', role: 'admin', action: 'POST /admin/files/write', target: 'index.html', status: 200 });
+      journal.append({ actor: 'ops', role: 'maintenance', action: 'POST /maintenance/workers/kill-all', status: 200 });
+      journal.append({ actor: 'admin', role: 'admin', action: 'POST /admin/files/delete', target: 'old.html', status: 404 });
+
+      assert.assert(journal.verify().valid, 'Untouched journal verifies');
+      assert.assertEqual(journal.query({ actor: 'admin' }).total, 2, 'Filter by actor');
+      assert.assertEqual(journal.query({ action: 'files' }).entries[0].target, 'old.html', 'Newest first');
+
+      const lines = fs.readFileSync(file, 'utf8').split('\n');
+      fs.writeFileSync(file, lines.join('\n').replace('index.html', 'other.html'));
+      const edited = journal.verify();
+      assert.assert(!edited.valid && edited.brokenAt === 1, 'Edited entry detected');
+
+      fs.writeFileSync(file, [lines[0], lines[2], ''].join('\n'));
+      assert.assertEqual(new AuditJournal(file).verify().brokenAt, 2, 'Removed entry detected');
+
+      // With a secret, a chain recomputed without it does not verify
+      const keyedFile = path.join(dir, 'keyed.jsonl');
+      const keyed = new AuditJournal(keyedFile, 'audit-secret');
+      keyed.append({ actor: 'admin', action: 'POST /admin/cache/purge', status: 200 });
+      assert.assert(keyed.verify().valid && keyed.verify().keyed, 'Keyed journal verifies');
+      assert.assertEqual(keyed.verify().head.seq, 1, 'Verify reports the chain head');
+      const forged = new AuditJournal(path.join(dir, 'forged.jsonl'), '');
+      forged.append({ actor: 'intruder', action: 'POST /admin/cache/purge', status: 200 });
+      fs.copyFileSync(forged.file, keyedFile);
+      assert.assertEqual(new AuditJournal(keyedFile, 'audit-secret').verify().brokenAt, 1, 'Rewritten chain detected');
+
+      const csv = toCsv([{ seq: 1, actor: '=HYPERLINK("http://evil")', target: '-2+3', status: 200 }]);
+      assert.assert(csv.includes(`"'=HYPERLINK(""http://evil"")"`) && csv.includes("'-2+3"), 'Formula cells are escaped');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  // .smp import tests
+  runner.test('.smp import validates entries against the manifest', async (assert) => {
+    const crypto = await import('crypto');
+    const { default: AdmZip } = await import('adm-zip');
+    const { inspectSmp } = await import('../src/utils/smp.js');
+    const page = Buffer.from('<h1>Restored</h1>');
+    const manifest = {
+      format: 'smp',
+      version: 2,
+      files: { 'website/index.html': { bytes: page.length, sha256: crypto.createHash('sha256').update(page).digest('hex') } },
+    };
+    const archive = (files) => {
+      const zip = new AdmZip();
+      // Renamed after adding: addFile() would normalize unsafe names
+      files.forEach(([name, data], index) => {
+        zip.addFile(`entry-${index}`, Buffer.from(data));
+        zip.getEntry(`entry-${index}`).entryName = name;
+      });
+      return zip.toBuffer();
+    };
+    const problemsOf = async (buffer, options) => {
+      try {
+        await inspectSmp(buffer, options);
+        return [];
+      } catch (err) {
+        return err.problems || [err.message];
+      }
+    };
+
+    const valid = await inspectSmp(archive([['website/index.html', page], ['manifest.json', JSON.stringify(manifest)]]));
+    assert.assertEqual(valid.files[0].section, 'site', 'Website files restore into the site section');
+
+    const traversal = await problemsOf(archive([['website/../../etc/cron.d/x', 'x'], ['manifest.json', JSON.stringify(manifest)]]));
+    assert.assert(traversal.some(p => p.includes('path traversal')), 'Path traversal rejected');
+
+    const unknown = await problemsOf(archive([['node_modules/x.js', 'x'], ['website/index.html', page], ['manifest.json', JSON.stringify(manifest)]]));
+    assert.assert(unknown.some(p => p.includes('unknown entry')), 'Unknown entries rejected');
+
+    const tampered = await problemsOf(archive([['website/index.html', 'changed'], ['manifest.json', JSON.stringify(manifest)]]));
+    assert.assert(tampered.some(p => p.includes('checksum mismatch')), 'Checksum mismatch rejected');
+
+    const legacy = archive([['website/index.html', page], ['data/sessions/x.json', '{}']]);
+    assert.assert((await problemsOf(legacy)).some(p => p.includes('manifest.json missing')), 'Archives without a manifest need allowLegacy');
+    assert.assertEqual((await inspectSmp(legacy, { allowLegacy: true })).skipped.length, 1, 'Runtime data is skipped');
+
+    const nested = await inspectSmp(archive([
+      ['website/index.html', page],
+      ['sites/blog/index.html', page],
+      ['data/releases/current.json', '{}'],
+      ['data/sites/blog/releases/20260101-000000-abcd/files/a.txt', 'a'],
+      ['data/sites/blog/backups/snapshots/objects/ab', 'x'],
+      ['data/sites/blog/maintenance-state.json', '{}'],
+      ['data/api-keys.json', '[]'],
+    ]), { allowLegacy: true });
+    assert.assertEqual(nested.skipped.length, 4, 'Releases, backups and API keys are skipped at any depth');
+    assert.assert(nested.skipped.includes('data/api-keys.json'), 'API keys never restore');
+    assert.assertEqual(nested.files.find(file => file.name === 'sites/blog/index.html').site, 'blog', 'Other sites restore into their own site');
+    assert.assert(nested.files.some(file => file.name === 'data/sites/blog/maintenance-state.json'), 'Site state is still restored');
+  });
+
+  // Snapshot tests
+  runner.test('Snapshots deduplicate files and restore single paths', async (assert) => {
+    const fs = await import('fs');
+    const os = await import('os');
+    const path = await import('path');
+    const { SnapshotStore, selectRetained } = await import('../src/utils/snapshots.js');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smplus-snapshots-'));
+    const root = path.join(dir, 'site');
+    try {
+      fs.mkdirSync(path.join(root, 'css'), { recursive: true });
+      fs.writeFileSync(path.join(root, 'index.html'), '<h1>v1</h1>');
+      fs.writeFileSync(path.join(root, 'css', 'site.css'), 'body{}');
+      const store = new SnapshotStore('default', { dir: path.join(dir, 'snapshots'), root });
+
+      const first = store.createSnapshot();
+      fs.writeFileSync(path.join(root, 'index.html'), '<h1>v2</h1>');
+      const second = store.createSnapshot();
+      assert.assertEqual(second.storedFiles, 1, 'Only the changed file is stored again');
+      assert.assertEqual(store.usage().objects, 3, 'Unchanged files are stored once');
+      assert.assert(store.createSnapshot({ skipUnchanged: true }) === null, 'Unchanged site skipped');
+
+      const diff = store.diff(second.id);
+      assert.assertEqual(diff.changed.join(), 'index.html', 'Diff lists the changed file');
+
+      fs.writeFileSync(path.join(root, 'css', 'site.css'), 'broken');
+      assert.assertEqual(store.restore(first.id, { paths: ['index.html'] }).restored.join(), 'index.html', 'Single file restored');
+      assert.assertEqual(fs.readFileSync(path.join(root, 'index.html'), 'utf8'), '<h1>v1</h1>', 'Old content back');
+      assert.assertEqual(fs.readFileSync(path.join(root, 'css', 'site.css'), 'utf8'), 'broken', 'Other files untouched');
+
+      assert.assert(store.verify().valid, 'Store verifies');
+      const object = store.objectPath(store.readManifest(first.id).files['index.html'].sha256);
+      fs.chmodSync(object, 0o644);
+      fs.writeFileSync(object, 'tampered');
+      const check = store.verify();
+      assert.assert(!check.valid && check.problems.every(p => p.problem === 'corrupt'), 'Corrupt object detected');
+      assert.assert(!store.restore(first.id).ok, 'Corrupt snapshot not restored');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    // Hourly snapshots Mar 1-10: all of Mar 10, the last of Mar 4-9, and of ISO week 9 (Mar 1);
+    // the weeks of Mar 8 and Mar 10 are already covered
+    const start = Date.parse('2026-03-01T00:30:00Z');
+    const snapshots = Array.from({ length: 240 }, (_, i) => ({ id: `s${String(i).padStart(3, '0')}`, createdAt: new Date(start + i * 3600000).toISOString() }));
+    const { keep, remove } = selectRetained(snapshots, { last: 0, hourly: 24, daily: 7, weekly: 4, monthly: 0 });
+    assert.assertEqual(keep[0].id, 's239', 'Newest snapshot kept');
+    assert.assertEqual(keep.length, 24 + 6 + 1, 'GFS keeps the hourly, daily and weekly set');
+    assert.assertEqual(keep.length + remove.length, 240, 'Every snapshot kept or removed');
+  });
+
+  // Backup target tests
+  runner.test('Backup adapters store backups locally and on S3-compatible targets', async (assert) => {
+    const fs = await import('fs');
+    const os = await import('os');
+    const path = await import('path');
+    const http = await import('http');
+    const crypto = await import('crypto');
+    const { LocalDirectoryAdapter, S3Adapter, encryptBackup, decryptBackup } = await import('../src/utils/backup-targets.js');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smplus-targets-'));
+
+    // Minimal S3 stand-in: path-style objects, ListObjectsV2, payload hash check
+    const objects = new Map();
+    const server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const body = Buffer.concat(chunks);
+        const url = new URL(req.url, 'http://s3.local');
+        const signed = /^AWS4-HMAC-SHA256 Credential=test-key\/\d{8}\/us-east-1\/s3\/aws4_request, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=[a-f0-9]{64}$/.test(req.headers.authorization || '');
+        if (!signed || req.headers['x-amz-content-sha256'] !== crypto.createHash('sha256').update(body).digest('hex')) {
+          res.writeHead(403);
+          return res.end('<Error><Code>SignatureDoesNotMatch</Code></Error>');
+        }
+        const key = decodeURIComponent(url.pathname.replace(/^\/backups\/?/, ''));
+        if (req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+          const prefix = url.searchParams.get('prefix') || '';
+          const contents = [...objects].filter(([name]) => name.startsWith(prefix))
+            .map(([name, data]) => `<Contents><Key>${name}</Key><LastModified>2026-01-01T00:00:00.000Z</LastModified><Size>${data.length}</Size></Contents>`);
+          return res.end(`<ListBucketResult>${contents.join('')}<IsTruncated>false</IsTruncated></ListBucketResult>`);
+        }
+        if (req.method === 'PUT') objects.set(key, body);
+        else if (req.method === 'DELETE') objects.delete(key);
+        else if (!objects.has(key)) {
+          res.writeHead(404);
+          return res.end('<Error><Code>NoSuchKey</Code></Error>');
+        } else return res.end(objects.get(key));
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const data = Buffer.from('PK fake archive');
+      const adapters = [
+        new LocalDirectoryAdapter({ path: path.join(dir, 'nfs') }),
+        new S3Adapter({ endpoint: `http://127.0.0.1:${server.address().port}`, bucket: 'backups', prefix: 'site-a', accessKeyId: 'test-key', secretAccessKey: 'secret' }),
+      ];
+      for (const adapter of adapters) {
+        const label = adapter.constructor.name;
+        await adapter.put('demo-backup-20260101-000000.smp', data);
+        if (adapter instanceof S3Adapter) assert.assertEqual([...objects.keys()].join(), 'site-a/demo-backup-20260101-000000.smp', 'S3 keys use the prefix');
+        const listed = await adapter.list();
+        assert.assertEqual(listed.map(o => `${o.key}:${o.size}`).join(), `demo-backup-20260101-000000.smp:${data.length}`, `${label} lists the backup`);
+        assert.assert((await adapter.get('demo-backup-20260101-000000.smp')).equals(data), `${label} returns the contents`);
+        await adapter.remove('demo-backup-20260101-000000.smp');
+        assert.assertEqual((await adapter.list()).length, 0, `${label} removes the backup`);
+      }
+
+      const bad = new S3Adapter({ endpoint: `http://127.0.0.1:${server.address().port}`, bucket: 'backups', accessKeyId: 'other', secretAccessKey: 'x' });
+      let error = null;
+      try { await bad.get('x-backup-20260101-000000.smp'); } catch (err) { error = err.message; }
+      assert.assert(error && error.includes('SignatureDoesNotMatch'), 'S3 error codes are reported');
+      let unsafe = null;
+      try { await adapters[0].put('../escape.smp', data); } catch (err) { unsafe = err.message; }
+      assert.assert(unsafe && !fs.existsSync(path.join(dir, 'escape.smp')), 'Keys cannot leave the target directory');
+
+      const sealed = encryptBackup(data, 'correct horse');
+      assert.assert(!sealed.includes(data), 'Encrypted backup hides the contents');
+      assert.assert(decryptBackup(sealed, 'correct horse').equals(data), 'Passphrase decrypts');
+      let wrong = null;
+      try { decryptBackup(sealed, 'wrong'); } catch (err) { wrong = err.message; }
+      assert.assert(wrong && wrong.includes('wrong passphrase'), 'Wrong passphrase refused');
+    } finally {
+      server.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+
+  runner.test('Maintenance windows recur, fill the calendar and show notices', async (assert) => {
+    const fs = await import('fs');
+    const os = await import('os');
+    const path = await import('path');
+    const { nextOccurrence, MaintenanceWindowManager } = await import('../src/maintenance/windows.js');
+    const { getSiteRegistry } = await import('../src/utils/sites.js');
+    const at = (iso) => Date.parse(iso);
+
+    const weekly = { startAt: '2026-01-04T04:00:00.000Z', endAt: '2026-01-04T04:30:00.000Z', recurrence: 'weekly', until: '2026-02-01T00:00:00.000Z' };
+    assert.assertEqual(nextOccurrence(weekly, at('2026-01-01T00:00:00Z')).start, weekly.startAt, 'First occurrence before the start');
+    assert.assertEqual(nextOccurrence(weekly, at('2026-01-11T04:10:00Z')).start, '2026-01-11T04:00:00.000Z', 'Running occurrence is current');
+    assert.assertEqual(nextOccurrence(weekly, at('2026-01-11T05:00:00Z')).start, '2026-01-18T04:00:00.000Z', 'Next week after it ends');
+    assert.assertEqual(nextOccurrence(weekly, at('2026-01-26T00:00:00Z')), null, 'Nothing after until');
+    const monthly = { startAt: '2026-01-15T22:00:00.000Z', endAt: '2026-01-16T01:00:00.000Z', recurrence: 'monthly' };
+    assert.assertEqual(nextOccurrence(monthly, at('2026-03-20T00:00:00Z')).end, '2026-04-16T01:00:00.000Z', 'Monthly keeps the day of the month');
+    const once = { startAt: '2026-01-01T00:00:00.000Z', endAt: '2026-01-01T01:00:00.000Z', recurrence: 'none' };
+    assert.assertEqual(nextOccurrence(once, at('2026-01-01T02:00:00Z')), null, 'One-off window is over after its end');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smp-windows-'));
+    try {
+      const windows = new MaintenanceWindowManager({ file: path.join(dir, 'windows.json'), stateFile: path.join(dir, 'state.json') });
+      const site = getSiteRegistry().getDefaultSite().id;
+      const start = new Date(Date.now() + 30 * 60 * 1000);
+      const end = new Date(start.getTime() + 60 * 60 * 1000);
+
+      const invalid = windows.createWindow({ site, startAt: end.toISOString(), endAt: start.toISOString() });
+      assert.assert(!invalid.ok, 'End before start is refused');
+      const tooLong = windows.createWindow({ site, startAt: start.toISOString(), endAt: new Date(start.getTime() + 2 * 24 * 60 * 60 * 1000).toISOString(), recurrence: 'daily' });
+      assert.assert(!tooLong.ok, 'Daily window longer than a day is refused');
+
+      const created = windows.createWindow({ site, startAt: start.toISOString(), endAt: end.toISOString(), recurrence: 'daily', reason: 'Upgrade <db>', noticeMinutes: 60 }, 'tester');
+      assert.assert(created.ok, 'Window is planned');
+      const calendar = windows.calendar(site, Date.now(), Date.now() + 3 * 24 * 60 * 60 * 1000);
+      assert.assertEqual(calendar.length, 3, 'Three daily occurrences in three days');
+
+      const notice = windows.noticeFor(site);
+      assert.assert(notice && notice.html.includes('Upgrade &lt;db&gt;'), 'Notice shows the escaped reason within the notice period');
+      assert.assertEqual(windows.noticeFor('other-site'), null, 'No notice for other sites');
+      assert.assertEqual(windows.noticeFor(site, start.getTime() - 2 * 60 * 60 * 1000), null, 'No notice before the notice period');
+
+      const reread = new MaintenanceWindowManager({ file: path.join(dir, 'windows.json'), stateFile: path.join(dir, 'state.json') });
+      assert.assertEqual(reread.getWindow(created.window.id).createdBy, 'tester', 'Windows persist on disk');
+      assert.assert(reread.cancelWindow(created.window.id) && windows.listWindows(site).length === 0, 'Cancelled window disappears for every worker');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  runner.test('Autoscaler scales on sustained load and honors cooldowns', async (assert) => {
+    const { Autoscaler, decideScaling, resolveAutoscaleSettings } = await import('../src/cluster/autoscaler.js');
+    const settings = resolveAutoscaleSettings({
+      enabled: true, minWorkers: 2, maxWorkers: 3, sustainChecks: 2, scaleUpCooldownMs: 60000, scaleDownCooldownMs: 300000,
+      scaleUp: { requestsPerSecond: 50, eventLoopLagMs: 80, cpuPercent: 75 },
+      scaleDown: { requestsPerSecond: 10, eventLoopLagMs: 20, cpuPercent: 25 },
+    });
+    const idle = { requestsPerSecond: 1, eventLoopLagMs: 1, cpuPercent: 1 };
+    assert.assertEqual(decideScaling({ workers: 1, ...idle }, settings).direction, 'up', 'Below minimum scales up');
+    assert.assertEqual(decideScaling({ workers: 2, ...idle, cpuPercent: 90 }, settings).direction, 'up', 'One hot signal scales up');
+    assert.assertEqual(decideScaling({ workers: 3, ...idle, cpuPercent: 90 }, settings).direction, null, 'Never above maximum');
+    assert.assertEqual(decideScaling({ workers: 3, ...idle }, settings).direction, 'down', 'Idle cluster scales down');
+    assert.assertEqual(decideScaling({ workers: 3, ...idle, requestsPerSecond: 9 }, { ...settings, scaleUp: { ...settings.scaleUp, requestsPerSecond: 12 } }).direction, null, 'No scale-down that would push the rest over the scale-up threshold');
+
+    const health = new Map();
+    const cluster = { workers: {} };
+    const addWorker = (id) => {
+      cluster.workers[id] = { id, isConnected: () => true };
+      health.set(id, { lastHeartbeat: 0, requestCount: 0, eventLoopLagMs: 0, cpuPercent: 0 });
+    };
+    const retired = [];
+    const spawned = [];
+    const watchdog = {
+      isRollingRestart: false,
+      retiringWorkers: new Set(),
+      deploymentWorkers: new Set(),
+      getHealthMonitor: () => ({ workers: health }),
+      retireWorker: (worker) => { retired.push(worker.id); return Promise.resolve(); },
+    };
+    addWorker(1);
+    addWorker(2);
+    const autoscaler = new Autoscaler(cluster, watchdog, { spawnWorker: () => { spawned.push(true); } });
+    autoscaler.settings = settings;
+
+    // Heartbeats every 5s; `rps` requests per second per worker
+    let now = 1000000;
+    const beat = (rps, workerRates = {}) => {
+      now += 5000;
+      for (const [id, h] of health) {
+        h.lastHeartbeat = now;
+        h.requestCount += (workerRates[id] ?? rps) * 5;
+      }
+    };
+
+    beat(100);
+    assert.assertEqual(autoscaler.check(now), null, 'No decision before request rates are known');
+    beat(100);
+    assert.assertEqual(autoscaler.check(now), null, 'First hot check only starts the streak');
+    beat(100);
+    const up = autoscaler.check(now);
+    assert.assert(up && up.direction === 'up' && up.to === 3 && spawned.length === 1, 'Sustained load adds a worker');
+
+    addWorker(3);
+    beat(100);
+    assert.assertEqual(autoscaler.check(now), null, 'Waits for the new worker to report');
+    beat(1, { 1: 0, 2: 2, 3: 1 });
+    beat(1, { 1: 0, 2: 2, 3: 1 });
+    autoscaler.check(now);
+    assert.assertEqual(autoscaler.check(now + 1000), null, 'Scale-down waits for its cooldown');
+    now += 300000;
+    beat(1, { 1: 0, 2: 2, 3: 1 });
+    const down = autoscaler.check(now);
+    assert.assert(down && down.direction === 'down' && retired[0] === 1, 'Idle cluster retires its least busy worker');
+    assert.assertEqual(autoscaler.getStatus(now).history.length, 2, 'Decisions are kept for the ops panel');
+  });
+
+  runner.test('Worker health acts on lag, CPU and GC figures', async (assert) => {
+    const { WorkerHealth, HEALTH_STATUS } = await import('../src/health/monitor.js');
+    const { RuntimeSampler } = await import('../src/health/sampler.js');
+    const beat = { memoryUsageMB: 50, errorCount: 0, requestCount: 100, eventLoopLagMs: 5, cpuPercent: 10, gc: { count: 1, pauseMs: 5, maxPauseMs: 5 }, intervalMs: 5000 };
+
+    const health = new WorkerHealth(1);
+    health.recordHeartbeat(beat);
+    assert.assertEqual(health.status, HEALTH_STATUS.HEALTHY, 'Quiet worker is healthy');
+    health.recordHeartbeat({ ...beat, eventLoopLagMs: 250 });
+    assert.assertEqual(health.status, HEALTH_STATUS.DEGRADED, 'Lag degrades');
+    assert.assert(health.checkHeartbeat(), 'Degraded worker keeps serving');
+    health.recordHeartbeat({ ...beat, cpuPercent: 99 });
+    assert.assertEqual(health.status, HEALTH_STATUS.DEGRADED, 'Saturated CPU degrades');
+    health.recordHeartbeat({ ...beat, gc: { count: 40, pauseMs: 1000, maxPauseMs: 80 } });
+    assert.assertEqual(health.status, HEALTH_STATUS.DEGRADED, 'Time lost to GC degrades');
+    health.recordHeartbeat({ ...beat, eventLoopLagMs: 5000 });
+    assert.assertEqual(health.status, HEALTH_STATUS.UNHEALTHY, 'Seconds of lag is unhealthy');
+    assert.assert(!health.checkHeartbeat(), 'Unhealthy worker is restarted');
+    assert.assertEqual(health.getSummary().eventLoopLagMs, 5000, 'Summary carries the figures');
+
+    const sampler = new RuntimeSampler();
+    try {
+      await new Promise(resolve => setTimeout(resolve, 30));
+      const busyUntil = Date.now() + 120;
+      while (Date.now() < busyUntil) { /* block the loop */ }
+      await new Promise(resolve => setTimeout(resolve, 30));
+      const sample = sampler.take();
+      assert.assert(sample.eventLoopLag.max >= 50, 'Blocked loop shows up as lag');
+      assert.assert(sample.cpu.percent > 0, 'Busy loop uses CPU');
+      assert.assert(sample.activeHandles >= 0 && sample.intervalMs > 0, 'Handles and interval are reported');
+      assert.assert(sampler.take().eventLoopLag.max < sample.eventLoopLag.max, 'Each sample covers its own interval');
+    } finally {
+      sampler.stop();
+    }
+  });
+
+  runner.test('Rolling restart waits for ready replacements and aborts on failure', async (assert) => {
+    const http = await import('http');
+    const { EventEmitter } = await import('events');
+    const { Watchdog } = await import('../src/watchdog/coordinator.js');
+    const { default: config } = await import('../src/utils/config.js');
+
+    // Fake workers: drain makes them exit; each fork becomes the newest worker
+    const cluster = { workers: {} };
+    const unhealthy = new Set();
+    let nextId = 1;
+    let newest = null;
+    const makeWorker = () => {
+      const worker = new EventEmitter();
+      worker.id = nextId++;
+      worker.dead = false;
+      worker.isDead = () => worker.dead;
+      worker.isConnected = () => !worker.dead;
+      worker.kill = () => {
+        worker.dead = true;
+        delete cluster.workers[worker.id];
+        setImmediate(() => worker.emit('exit', 0, null));
+      };
+      worker.send = (msg) => { if (msg.cmd === 'drain') worker.kill(); };
+      cluster.workers[worker.id] = worker;
+      return worker;
+    };
+    cluster.fork = () => {
+      newest = makeWorker();
+      setImmediate(() => newest.emit('listening', {}));
+      return newest;
+    };
+    [1, 2, 3].forEach(() => makeWorker());
+
+    // Stands in for the workers' shared listener
+    const server = http.createServer((req, res) => {
+      const healthy = !unhealthy.has(newest.id);
+      res.writeHead(healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        workerId: newest.id,
+        plugins: healthy ? [] : [{ plugin: 'db', name: 'connection', healthy: false }],
+      }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const saved = { port: config.port, host: config.host, readinessTimeoutMs: config.cluster.readinessTimeoutMs };
+    config.port = server.address().port;
+    config.host = '127.0.0.1';
+    config.cluster.readinessTimeoutMs = 1500;
+    try {
+      const watchdog = new Watchdog(cluster, { cluster });
+
+      const done = await watchdog.gracefulRollingRestart('test');
+      assert.assertEqual(done.status, 'completed', 'Healthy replacements complete the restart');
+      assert.assertEqual(Object.keys(cluster.workers).join(','), '4,5,6', 'Every old worker was replaced');
+      assert.assertEqual(done.steps.map(step => step.status).join(','), 'done,done,done', 'Each step is recorded');
+
+      unhealthy.add(8);
+      const aborted = await watchdog.gracefulRollingRestart('bad config');
+      assert.assertEqual(aborted.status, 'aborted', 'A replacement failing readiness aborts');
+      assert.assert(aborted.error.includes('db/connection'), 'The failing plugin check is reported');
+      assert.assertEqual(Object.keys(cluster.workers).join(','), '5,6,7', 'Failed replacement retired; remaining old workers kept');
+      assert.assertEqual(watchdog.getRollingRestartStatus().steps.at(-1).status, 'failed', 'Progress shows the failed step');
+      assert.assertEqual(watchdog.workerRestarts.size, 0, 'Drained workers are not counted as crashes');
+    } finally {
+      Object.assign(config, { port: saved.port, host: saved.host });
+      config.cluster.readinessTimeoutMs = saved.readinessTimeoutMs;
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  runner.test('Blue/green deployment verifies, bakes and shifts traffic back on errors', async (assert) => {
+    const http = await import('http');
+    const { EventEmitter } = await import('events');
+    const { Watchdog } = await import('../src/watchdog/coordinator.js');
+    const { DeploymentManager } = await import('../src/cluster/deployment.js');
+    const { default: config } = await import('../src/utils/config.js');
+
+    // Stands in for the standby ports of the new generation
+    let failPages = false;
+    const server = http.createServer((req, res) => {
+      res.writeHead(failPages && req.url === '/' ? 500 : 200);
+      res.end('ok');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const standbyPort = server.address().port;
+
+    // Fake workers: standby ones report their port, serve makes them listen
+    const cluster = { workers: {} };
+    const log = [];
+    let nextId = 1;
+    cluster.fork = (env = {}) => {
+      const worker = new EventEmitter();
+      worker.id = nextId++;
+      worker.dead = false;
+      worker.isDead = () => worker.dead;
+      worker.isConnected = () => !worker.dead;
+      worker.kill = () => {
+        worker.dead = true;
+        delete cluster.workers[worker.id];
+        setImmediate(() => worker.emit('exit', 0, null));
+      };
+      worker.send = (msg) => {
+        log.push(`${msg.cmd}:${worker.id}`);
+        if (msg.cmd === 'drain') worker.kill();
+        if (msg.cmd === 'serve') setImmediate(() => worker.emit('listening', { port: config.port }));
+      };
+      cluster.workers[worker.id] = worker;
+      if (env.WORKER_STANDBY) setImmediate(() => worker.emit('message', { type: 'standby-ready', port: standbyPort }));
+      return worker;
+    };
+    cluster.fork();
+    cluster.fork();
+
+    const watchdog = new Watchdog(cluster, { cluster });
+    const spawnWorker = () => {
+      const worker = cluster.fork();
+      watchdog.healthMonitor.registerWorker(worker.id);
+      return worker;
+    };
+    const deployments = new DeploymentManager(cluster, watchdog, { spawnWorker });
+    const waitFor = async (status) => {
+      for (let i = 0; i < 150 && deployments.current?.status !== status; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      return deployments.current?.status;
+    };
+    const beat = (ids, requests, serverErrors) => {
+      for (const id of ids) watchdog.healthMonitor.processHeartbeat(id, { requestCount: requests, serverErrorCount: serverErrors });
+    };
+
+    try {
+      assert.assert(!deployments.start({ releases: { default: 'missing' } }).ok, 'Unknown releases are refused');
+
+      // Promote, then too many 5xx during the bake
+      assert.assert(deployments.start({ bakeSeconds: 60 }, 'ops').ok, 'Deployment starts');
+      assert.assertEqual(await waitFor('verified'), 'verified', 'New generation passes the synthetic checks');
+      assert.assert(deployments.current.checks.every(check => check.ok) && deployments.current.checks.length >= 2, 'Health and site pages were checked');
+      assert.assertEqual(deployments.start({}).conflict, true, 'One deployment at a time');
+      assert.assert(deployments.promote('ops').ok, 'Verified deployment promotes');
+      assert.assertEqual(await waitFor('baking'), 'baking', 'Traffic moves to the new generation');
+      assert.assert(log.includes('serve:3') && log.includes('serve:4') && log.includes('park:1') && log.includes('park:2'), 'Green serves, blue is parked');
+      assert.assertEqual(watchdog.deploymentWorkers.size, 4, 'Both generations are left to the deployment');
+
+      beat([3, 4], 50, 10);
+      const rolledBack = await deployments.checkBake();
+      assert.assertEqual(rolledBack.status, 'rolled-back', 'High 5xx rate rolls back');
+      assert.assert(log.filter(entry => entry === 'serve:1').length === 1 && log.includes('drain:3'), 'Blue serves again, green drains');
+      assert.assertEqual(Object.keys(cluster.workers).join(','), '1,2', 'Old generation keeps serving');
+      assert.assertEqual(watchdog.deploymentWorkers.size, 0, 'Workers go back to the watchdog');
+
+      // Aborting while green starts to listen leaves blue serving
+      deployments.start({ bakeSeconds: 60 }, 'ops');
+      assert.assertEqual(await waitFor('verified'), 'verified', 'Second deployment verifies');
+      const parked = log.filter(entry => entry.startsWith('park:')).length;
+      deployments.promote('ops');
+      assert.assertEqual(deployments.current.status, 'promoting', 'Traffic switch is under way');
+      assert.assert(deployments.abort('ops').ok, 'Abort during promotion is accepted');
+      for (let i = 0; i < 50 && deployments.current; i++) await new Promise(resolve => setTimeout(resolve, 20));
+      assert.assertEqual(deployments.history[0].status, 'rolled-back', 'Abort during promotion rolls back');
+      assert.assertEqual(log.filter(entry => entry.startsWith('park:')).length, parked, 'Blue is not parked');
+      assert.assertEqual(deployments.bakeTimer, null, 'No bake timer is left running');
+      assert.assertEqual(Object.keys(cluster.workers).join(','), '1,2', 'Old generation keeps serving');
+
+      // A clean bake retires the old generation
+      deployments.start({ bakeSeconds: 0, autoPromote: true }, 'ops');
+      assert.assertEqual(await waitFor('baking'), 'baking', 'Auto-promotion after verification');
+      beat([7, 8], 100, 0);
+      const completed = await deployments.checkBake();
+      assert.assertEqual(completed.status, 'completed', 'Clean bake completes');
+      assert.assertEqual(Object.keys(cluster.workers).join(','), '7,8', 'New generation replaced the old one');
+
+      // Failing synthetic checks never reach traffic
+      failPages = true;
+      deployments.start({}, 'ops');
+      assert.assertEqual(await waitFor('failed'), 'failed', 'A 5xx page fails verification');
+      assert.assertEqual(Object.keys(cluster.workers).join(','), '7,8', 'Failed generation is stopped');
+      assert.assertEqual(deployments.history.map(d => d.status).join(','), 'failed,completed,rolled-back,rolled-back', 'History keeps finished deployments');
+
+      // Workers lost along the way are replaced through the master's spawnWorker
+      cluster.workers[8].kill();
+      deployments.finish({ id: 99, size: 2, blue: [], green: [], events: [] }, 'failed');
+      const replacement = Object.keys(cluster.workers).map(Number).find(id => id > 8);
+      assert.assert(replacement && watchdog.healthMonitor.workers.has(replacement), 'Replacement is tracked by the health monitor');
+    } finally {
+      deployments.stop();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  runner.test('Canary routing serves a sticky share of visitors and tracks each variant', async (assert) => {
+    const fs = await import('fs');
+    const os = await import('os');
+    const path = await import('path');
+    const { getReleaseManager } = await import('../src/utils/releases.js');
+    const { resolveReleaseRoot } = await import('../src/utils/canary.js');
+    const { getMetricsCollector, RequestMetrics, ClusterMetrics } = await import('../src/utils/metrics.js');
+    const { getSiteDataDir } = await import('../src/utils/sites.js');
+    const src = fs.mkdtempSync(path.join(os.tmpdir(), 'smplus-canary-'));
+    const releases = getReleaseManager('test-canary');
+    const site = { id: 'test-canary', root: src };
+
+    // Resolves a visitor's directory, returning it with the response headers and variant
+    const visit = (headers = {}) => {
+      const req = { headers };
+      const res = { headers: {}, varied: [] };
+      res.append = (name, value) => { res.headers[name] = value; };
+      res.setHeader = (name, value) => { res.headers[name] = value; };
+      res.vary = (field) => res.varied.push(field);
+      const root = resolveReleaseRoot(req, res, site);
+      return { root, res, variant: req.releaseVariant };
+    };
+
+    try {
+      fs.writeFileSync(path.join(src, 'index.html'), 'v1');
+      const stable = await releases.createFromDirectory(src);
+      releases.activate(stable.id);
+      fs.writeFileSync(path.join(src, 'index.html'), 'v2');
+      const candidate = await releases.createFromDirectory(src);
+
+      assert.assertEqual(visit().root, releases.filesDir(stable.id), 'Without a canary everyone gets the active release');
+      assert.assert(!releases.startCanary(candidate.id, 101).ok, 'Weights above 100 are refused');
+      assert.assert(releases.startCanary(candidate.id, 30, 'admin').ok, 'Canary starts');
+
+      const first = visit();
+      const bucket = /smplus_canary=(\d+);/.exec(first.res.headers['Set-Cookie'])[1];
+      const again = visit({ cookie: `smplus_canary=${bucket}` });
+      assert.assertEqual(again.root, first.root, 'A returning visitor keeps their variant');
+      assert.assert(!again.res.headers['Set-Cookie'], 'Known visitors are not re-bucketed');
+      assert.assert(first.res.varied.includes('Cookie') && first.res.headers['X-Release-Variant'], 'Variant responses are marked and vary by cookie');
+      assert.assertEqual(visit({ cookie: 'smplus_canary=5' }).variant.variant, 'canary', 'Low buckets get the canary');
+      assert.assertEqual(visit({ cookie: 'smplus_canary=50' }).root, releases.filesDir(stable.id), 'High buckets stay on stable');
+      assert.assertEqual(visit({ cookie: 'smplus_canary=50', 'x-canary': 'always' }).root, releases.filesDir(candidate.id), 'The opt-in header wins');
+      assert.assertEqual(visit({ cookie: 'smplus_canary=never' }).variant.variant, 'stable', 'Visitors can opt out');
+
+      releases.setCanaryWeight(0);
+      assert.assertEqual(visit({ cookie: 'smplus_canary=5' }).variant.variant, 'stable', 'Weight 0 sends buckets back to stable');
+      assert.assert(!releases.deleteRelease(candidate.id).ok, 'The canary release is protected');
+
+      // Per-variant figures, summed over workers
+      const collector = getMetricsCollector();
+      collector.recordVariant({ site: 'test-canary', variant: 'canary', release: candidate.id }, 500, 40);
+      collector.recordVariant({ site: 'test-canary', variant: 'canary', release: candidate.id }, 200, 20);
+      collector.recordVariant({ site: 'test-canary', variant: 'stable', release: stable.id }, 200, 10);
+      const cluster = new ClusterMetrics();
+      const delta = new RequestMetrics().takeDelta();
+      cluster.merge(1, delta);
+      cluster.merge(2, delta);
+      const summary = cluster.getVariantSummary('test-canary');
+      const canaryFigures = summary.find(v => v.variant === 'canary');
+      assert.assertEqual(canaryFigures.requests, 4, 'Workers add up');
+      assert.assertEqual(canaryFigures.errorRate, '50.00%', '5xx responses count as errors');
+      assert.assertEqual(canaryFigures.avgResponseTime, '30ms', 'Latency is tracked per variant');
+      assert.assert(cluster.getPrometheusMetrics().includes('release_variant_requests_total{site="test-canary",variant="stable"'), 'Variants are exported');
+
+      assert.assert(releases.promoteCanary('admin').ok, 'Canary promotes');
+      assert.assertEqual(releases.getActiveRelease(), candidate.id, 'The canary is the active release');
+      assert.assertEqual(releases.getCanary(), null, 'Promotion ends the canary');
+    } finally {
+      fs.rmSync(src, { recursive: true, force: true });
+      fs.rmSync(getSiteDataDir('test-canary'), { recursive: true, force: true });
+    }
+  });
   return runner;
 }